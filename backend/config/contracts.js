@@ -14,6 +14,7 @@ const ADDRESSES = {
     LIQUIDITY_POOL: '0x308861A430be4cce5502d0A12724771Fc6DaF216', // EtherFi Liquidity Pool
     STAKING_MANAGER: '0x3d320286E014C3e1ce99Af6d6B00f0C1D63E3000', // EtherFi Staking Manager (approximate)
     WITHDRAWAL_SAFE: '0x0EF8fa4760Db8f5Cd4d993f3e3416f30f942D705', // Withdrawal Safe (approximate)
+    WITHDRAW_REQUEST_NFT: '0x7d5706f6ef3F89B3951E23e557CDFBC3239D4E2c', // Withdrawal request NFTs (one per queued withdrawal)
 
     // Additional contracts to monitor
     LIQUIDITY_POOL_OLD: '0x308861A430be4cce5502d0A12724771Fc6DaF216',
@@ -58,6 +59,22 @@ const LIQUIDITY_POOL_ABI = [
     'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)'
 ];
 
+/**
+ * EtherFi WithdrawRequestNFT ABI (minimal)
+ * Requests are finalized in id order: finalizing an id finalizes every request up to it
+ */
+const WITHDRAW_REQUEST_NFT_ABI = [
+    'function nextRequestId() view returns (uint32)',
+    'function lastFinalizedRequestId() view returns (uint32)',
+
+    // Events
+    'event WithdrawRequestCreated(uint32 indexed requestId, uint256 amountOfEEth, uint256 shareOfEEth, address owner, uint256 fee)',
+    'event WithdrawRequestClaimed(uint32 indexed requestId, uint256 amountOfEEth, uint256 burntShareOfEEth, address owner, uint256 fee)',
+    'event WithdrawRequestInvalidated(uint32 indexed requestId)',
+    'event WithdrawRequestValidated(uint32 indexed requestId)',
+    'event UpdateFinalizedRequestId(uint32 indexed requestId, uint128 finalizedAmount)'
+];
+
 /**
  * Generic ERC20 Vault/Pool ABI
  * For interacting with staking vaults
@@ -112,6 +129,11 @@ function getContractConfig(contractName) {
             abi: VAULT_ABI,
             name: 'EtherFi Withdrawal Safe'
         },
+        WITHDRAW_REQUEST_NFT: {
+            address: ADDRESSES.WITHDRAW_REQUEST_NFT,
+            abi: WITHDRAW_REQUEST_NFT_ABI,
+            name: 'EtherFi Withdraw Request NFT'
+        },
         WETH: {
             address: ADDRESSES.WETH,
             abi: ERC20_ABI,
@@ -206,6 +228,7 @@ module.exports = {
     ADDRESSES,
     ERC20_ABI,
     LIQUIDITY_POOL_ABI,
+    WITHDRAW_REQUEST_NFT_ABI,
     VAULT_ABI,
     CHAINLINK_ORACLE_ABI,
     NETWORK_CONFIG,
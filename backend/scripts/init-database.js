@@ -8,6 +8,7 @@ require('dotenv').config({ path: require('path').join(__dirname, '../../.env') }
 
 const db = require('../src/database/db-connection');
 const logger = require('../src/utils/logger');
+const { seedLabels } = require('../src/labels/address-labels');
 
 /**
  * Main initialization function
@@ -33,6 +34,9 @@ async function initializeDatabase() {
         await db.initializeSchema();
         logger.success('Database schema initialized!');
 
+        const added = await seedLabels();
+        logger.success(`Seeded ${added} address labels`);
+
         // Step 3: Verify tables
         logger.info('Step 3: Verifying database setup...');
         const pool = db.getPool();
@@ -0,0 +1,41 @@
+/**
+ * Unit Test Runner
+ * Runs every *.test.js file under src/ with the built-in node:test runner
+ *
+ * The manual scripts (src/analysis/test-prefilter.js, scripts/test-database.js, ...)
+ * need a database or API key and are not collected here
+ *
+ * Usage: npm test [-- <path filter>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SRC_DIR = path.join(__dirname, '../src');
+
+/**
+ * Collect test files below a directory
+ * @param {string} dir - Directory to search
+ * @returns {string[]} Test file paths, sorted
+ */
+function findTestFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return findTestFiles(fullPath);
+            return entry.name.endsWith('.test.js') ? [fullPath] : [];
+        })
+        .sort();
+}
+
+const filter = process.argv[2];
+const files = findTestFiles(SRC_DIR).filter(file => !filter || file.includes(filter));
+
+if (files.length === 0) {
+    console.error(`No test files found${filter ? ` matching "${filter}"` : ''}`);
+    process.exit(1);
+}
+
+const result = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+process.exit(result.status === null ? 1 : result.status);
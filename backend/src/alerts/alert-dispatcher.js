@@ -0,0 +1,503 @@
+/**
+ * Alert Dispatcher
+ * Delivers detected anomalies to outbound channels (webhook, Slack, Discord, email)
+ * Called from detectAnomalies() after Claude analysis stores new anomalies
+ *
+ * Channels are configured with the ALERT_CHANNELS environment variable (JSON array):
+ *   [
+ *     { "name": "ops-hook", "type": "webhook", "url": "https://...", "secret": "...", "minSeverity": "MEDIUM" },
+ *     { "name": "slack", "type": "slack", "url": "https://hooks.slack.com/...", "minSeverity": "HIGH" },
+ *     { "name": "discord", "type": "discord", "url": "https://discord.com/api/webhooks/..." },
+ *     { "name": "oncall", "type": "email", "to": ["oncall@example.com"], "minSeverity": "CRITICAL" }
+ *   ]
+ *
+ * Channel interface:
+ *   type      {string}   Channel type used in ALERT_CHANNELS
+ *   validate  {Function} (config) => string[] configuration errors
+ *   send      {Function} async (config, alert) => { status }; throws on failure,
+ *                        with error.retryable = false for permanent failures
+ *
+ * Alert rules (alert-rules.js) can suppress an alert or route it to specific
+ * channels and recipients; without a matching rule every channel whose
+ * minSeverity accepts the alert receives it
+ *
+ * A detection that joins an open incident is only alerted when it raises the
+ * incident's peak severity, so a persisting problem pages once per level
+ *
+ * Each delivery is retried with exponential backoff and its final outcome is
+ * written to the alert_deliveries table
+ */
+
+const queries = require('../database/queries');
+const alertRules = require('./alert-rules');
+const logger = require('../utils/logger');
+
+const CHANNEL_TYPES = {
+    webhook: require('./channels/webhook-channel'),
+    slack: require('./channels/slack-channel'),
+    discord: require('./channels/discord-channel'),
+    email: require('./channels/email-channel')
+};
+
+const SEVERITY_LEVELS = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+/**
+ * Channels without a minSeverity only receive HIGH and CRITICAL alerts
+ */
+const DEFAULT_MIN_SEVERITY = 'HIGH';
+
+/**
+ * Retry configuration (delay doubles after every failed attempt)
+ */
+const RETRY = {
+    maxAttempts: parseInt(process.env.ALERT_MAX_ATTEMPTS || '3'),
+    baseDelayMs: parseInt(process.env.ALERT_RETRY_BASE_MS || '2000')
+};
+
+/**
+ * Parsed channel configuration (loaded lazily from ALERT_CHANNELS)
+ */
+let channels = null;
+
+/**
+ * Parse and validate channel definitions
+ * Invalid channels are logged and skipped so one typo does not silence every channel
+ * @param {string|Array} raw - JSON string or array of channel configs
+ * @returns {object} { channels, errors }
+ */
+function parseChannels(raw) {
+    const errors = [];
+    let list;
+
+    try {
+        list = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        return { channels: [], errors: [`ALERT_CHANNELS is not valid JSON: ${error.message}`] };
+    }
+
+    if (!Array.isArray(list)) {
+        return { channels: [], errors: ['ALERT_CHANNELS must be a JSON array'] };
+    }
+
+    const parsed = [];
+    list.forEach((config, index) => {
+        const name = config?.name || `${config?.type || 'channel'}-${index + 1}`;
+        const handler = CHANNEL_TYPES[config?.type];
+
+        if (!handler) {
+            errors.push(`${name}: unknown channel type ${config?.type}`);
+            return;
+        }
+
+        const minSeverity = (config.minSeverity || DEFAULT_MIN_SEVERITY).toUpperCase();
+        const channelErrors = [...handler.validate(config)];
+        if (!SEVERITY_LEVELS[minSeverity]) {
+            channelErrors.push(`invalid minSeverity ${config.minSeverity}`);
+        }
+        if (parsed.some(channel => channel.name === name)) {
+            channelErrors.push('duplicate channel name');
+        }
+
+        if (channelErrors.length > 0) {
+            errors.push(...channelErrors.map(message => `${name}: ${message}`));
+            return;
+        }
+
+        parsed.push({ ...config, name, minSeverity, enabled: config.enabled !== false });
+    });
+
+    return { channels: parsed, errors };
+}
+
+/**
+ * Replace the channel configuration (defaults to ALERT_CHANNELS)
+ * @param {string|Array} raw - JSON string or array of channel configs
+ * @returns {Array} Configured channels
+ */
+function configureChannels(raw = process.env.ALERT_CHANNELS || '[]') {
+    const result = parseChannels(raw);
+
+    result.errors.forEach(error => logger.warn('Invalid alert channel', { error }));
+    channels = result.channels;
+
+    logger.info('Alert channels configured', {
+        channels: channels.map(channel => `${channel.name} (${channel.type} >= ${channel.minSeverity})`)
+    });
+
+    return channels;
+}
+
+/**
+ * Get configured channels, loading them on first use
+ * @returns {Array} Channels
+ */
+function getChannels() {
+    if (channels === null) {
+        configureChannels();
+    }
+    return channels;
+}
+
+/**
+ * Channel list without secrets (for the API)
+ * @returns {Array} Channel summaries
+ */
+function listChannels() {
+    return getChannels().map(channel => ({
+        name: channel.name,
+        type: channel.type,
+        minSeverity: channel.minSeverity,
+        enabled: channel.enabled,
+        signed: channel.type === 'webhook' ? !!channel.secret : undefined
+    }));
+}
+
+/**
+ * Check whether a channel should receive an alert of this severity
+ * @param {object} channel - Channel config
+ * @param {string} severity - Alert severity
+ * @returns {boolean} True if the channel accepts the alert
+ */
+function acceptsSeverity(channel, severity) {
+    return (SEVERITY_LEVELS[severity] || 0) >= SEVERITY_LEVELS[channel.minSeverity];
+}
+
+/**
+ * Normalize an anomaly row into the payload every channel formats
+ * @param {object} anomaly - Stored anomaly row
+ * @returns {object} Alert
+ */
+function buildAlert(anomaly) {
+    const dashboardUrl = process.env.DASHBOARD_URL;
+
+    return {
+        id: anomaly.id,
+        type: anomaly.anomaly_type,
+        severity: anomaly.severity,
+        confidence: parseFloat(anomaly.confidence) || 0,
+        title: anomaly.title,
+        description: anomaly.description,
+        affected_metrics: anomaly.affected_metrics || [],
+        recommendation: anomaly.recommendation || null,
+        detected_at: anomaly.detected_at || new Date(),
+        incident_id: anomaly.incident_id || null,
+        url: dashboardUrl ? `${dashboardUrl.replace(/\/$/, '')}/?anomaly=${anomaly.id}` : null
+    };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send an alert to one channel, retrying transient failures with exponential backoff
+ * @param {object} channel - Channel config
+ * @param {object} alert - Alert from buildAlert
+ * @param {object} retry - { maxAttempts, baseDelayMs }
+ * @returns {Promise<object>} { channel, type, status, attempts, responseStatus, error }
+ */
+async function deliver(channel, alert, retry = RETRY) {
+    const handler = CHANNEL_TYPES[channel.type];
+    let lastError = null;
+    let attempts = 0;
+
+    while (attempts < retry.maxAttempts) {
+        attempts++;
+
+        try {
+            const result = await handler.send(channel, alert);
+            return {
+                channel: channel.name,
+                type: channel.type,
+                status: 'delivered',
+                attempts,
+                responseStatus: result?.status || null,
+                error: null
+            };
+        } catch (error) {
+            lastError = error;
+            logger.warn('Alert delivery attempt failed', {
+                channel: channel.name,
+                attempt: attempts,
+                error: error.message
+            });
+
+            if (error.retryable === false) {
+                break;
+            }
+            if (attempts < retry.maxAttempts) {
+                await sleep(retry.baseDelayMs * 2 ** (attempts - 1));
+            }
+        }
+    }
+
+    return {
+        channel: channel.name,
+        type: channel.type,
+        status: 'failed',
+        attempts,
+        responseStatus: lastError?.status || null,
+        error: lastError?.message || 'Unknown error'
+    };
+}
+
+/**
+ * Write a delivery outcome to the delivery log
+ * @param {object} alert - Alert that was sent
+ * @param {object} result - Result from deliver()
+ */
+async function logDelivery(alert, result) {
+    try {
+        await queries.insertAlertDelivery({
+            anomaly_id: alert.id,
+            channel_name: result.channel,
+            channel_type: result.type,
+            status: result.status,
+            attempts: result.attempts,
+            response_status: result.responseStatus,
+            error_message: result.error,
+            severity: alert.severity
+        });
+    } catch (error) {
+        logger.error('Failed to record alert delivery', {
+            channel: result.channel,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Resolve rule routes against the configured channels
+ * Recipients replace an email channel's "to" list and are attached to the alert for other channels
+ * @param {Array} routes - [{ channel, recipients }] from evaluateRules
+ * @param {Array} configured - Configured channels
+ * @returns {Array} [{ channel, recipients }] with channel configs
+ */
+function resolveRoutes(routes, configured) {
+    const resolved = [];
+
+    routes.forEach(route => {
+        const channel = configured.find(c => c.name === route.channel);
+        if (!channel) {
+            logger.warn('Alert rule routes to unknown channel', { channel: route.channel });
+            return;
+        }
+        if (!channel.enabled) {
+            return;
+        }
+
+        const recipients = route.recipients.length > 0 ? route.recipients : null;
+        resolved.push({
+            channel: recipients && channel.type === 'email' ? { ...channel, to: recipients } : channel,
+            recipients
+        });
+    });
+
+    return resolved;
+}
+
+/**
+ * Deliver an alert to resolved targets and log every outcome
+ * @param {object} alert - Alert from buildAlert
+ * @param {Array} targets - [{ channel, recipients }]
+ * @param {object} retry - Retry overrides
+ * @returns {Promise<Array>} Delivery results
+ */
+async function deliverAll(alert, targets, retry) {
+    const results = await Promise.all(targets.map(({ channel, recipients }) =>
+        deliver(channel, recipients ? { ...alert, recipients } : alert, retry)
+    ));
+    await Promise.all(results.map(result => logDelivery(alert, result)));
+    return results;
+}
+
+/**
+ * Schedule escalations for route rules that escalate when unacknowledged
+ * @param {object} alert - Alert from buildAlert
+ * @param {Array} rules - Rules from evaluateRules().escalations
+ */
+async function scheduleEscalations(alert, rules) {
+    if (!alert.id) return;
+
+    for (const rule of rules) {
+        try {
+            const dueAt = new Date(Date.now() + rule.escalate_after_minutes * 60 * 1000);
+            await queries.insertAlertEscalation(alert.id, rule.id, dueAt);
+        } catch (error) {
+            logger.error('Failed to schedule alert escalation', {
+                anomalyId: alert.id,
+                rule: rule.name,
+                error: error.message
+            });
+        }
+    }
+}
+
+/**
+ * Deliver one anomaly according to the alert rules
+ * Suppressed alerts are logged with status 'suppressed'; unmatched alerts go
+ * to every enabled channel whose severity filter accepts them
+ * @param {object} anomaly - Stored anomaly row
+ * @param {object} options - { channels, rules, retry, now } overrides
+ * @returns {Promise<Array>} Delivery results
+ */
+async function dispatchAlert(anomaly, options = {}) {
+    const alert = buildAlert(anomaly);
+    const configured = options.channels || getChannels();
+    const rules = options.rules || await alertRules.getActiveRules();
+    const evaluation = alertRules.evaluateRules(rules, alert, options.now);
+
+    if (evaluation.suppressedBy) {
+        const result = {
+            channel: evaluation.suppressedBy.name,
+            type: 'rule',
+            status: 'suppressed',
+            attempts: 0,
+            responseStatus: null,
+            error: null
+        };
+        await logDelivery(alert, result);
+
+        logger.info('Alert suppressed by rule', {
+            anomalyId: alert.id,
+            severity: alert.severity,
+            rule: evaluation.suppressedBy.name
+        });
+        return [result];
+    }
+
+    const targets = evaluation.routed
+        ? resolveRoutes(evaluation.routes, configured)
+        : configured
+            .filter(channel => channel.enabled && acceptsSeverity(channel, alert.severity))
+            .map(channel => ({ channel, recipients: null }));
+
+    await scheduleEscalations(alert, evaluation.escalations);
+
+    if (targets.length === 0) {
+        return [];
+    }
+
+    const results = await deliverAll(alert, targets, options.retry);
+
+    logger.info('Alert dispatched', {
+        anomalyId: alert.id,
+        severity: alert.severity,
+        rules: evaluation.matched,
+        delivered: results.filter(r => r.status === 'delivered').map(r => r.channel),
+        failed: results.filter(r => r.status === 'failed').map(r => r.channel)
+    });
+
+    return results;
+}
+
+/**
+ * Send an escalation for an unacknowledged anomaly to a rule's escalation channels
+ * @param {object} anomaly - Stored anomaly row
+ * @param {object} rule - Rule that scheduled the escalation
+ * @param {object} options - { channels, retry } overrides
+ * @returns {Promise<Array>} Delivery results
+ */
+async function dispatchEscalation(anomaly, rule, options = {}) {
+    const base = buildAlert(anomaly);
+    const alert = {
+        ...base,
+        title: `[ESCALATED] ${base.title}`,
+        description: `Not acknowledged within ${rule.escalate_after_minutes} minutes (rule ${rule.name}). ${base.description || ''}`.trim(),
+        escalated: true
+    };
+
+    const targets = resolveRoutes(alertRules.escalationRoutes(rule), options.channels || getChannels());
+    const results = await deliverAll(alert, targets, options.retry);
+
+    logger.info('Alert escalated', {
+        anomalyId: alert.id,
+        rule: rule.name,
+        delivered: results.filter(r => r.status === 'delivered').map(r => r.channel),
+        failed: results.filter(r => r.status === 'failed').map(r => r.channel)
+    });
+
+    return results;
+}
+
+/**
+ * Deliver a batch of newly stored anomalies
+ * Repeat detections of an open incident (incident_repeat: joined it without raising
+ * its peak severity) were already alerted; they are logged as suppressed instead
+ * @param {Array} anomalies - Stored anomaly rows
+ * @param {object} options - dispatchAlert() overrides
+ * @returns {Promise<Array>} Delivery results for all anomalies
+ */
+async function dispatchAnomalyAlerts(anomalies, options = {}) {
+    const results = [];
+    for (const anomaly of anomalies || []) {
+        if (anomaly.incident_repeat) {
+            const result = {
+                channel: `incident-${anomaly.incident_id}`,
+                type: 'incident',
+                status: 'suppressed',
+                attempts: 0,
+                responseStatus: null,
+                error: null
+            };
+            await logDelivery(buildAlert(anomaly), result);
+
+            logger.info('Alert suppressed for repeat detection of open incident', {
+                anomalyId: anomaly.id,
+                incidentId: anomaly.incident_id,
+                severity: anomaly.severity
+            });
+            results.push(result);
+            continue;
+        }
+
+        results.push(...await dispatchAlert(anomaly, options));
+    }
+    return results;
+}
+
+/**
+ * Send a synthetic alert to one channel, ignoring its severity filter
+ * @param {string} name - Channel name
+ * @returns {Promise<object>} Delivery result
+ */
+async function sendTestAlert(name) {
+    const channel = getChannels().find(c => c.name === name);
+    if (!channel) {
+        const error = new Error(`Unknown alert channel: ${name}`);
+        error.status = 404;
+        throw error;
+    }
+
+    const alert = buildAlert({
+        id: null,
+        anomaly_type: 'test',
+        severity: channel.minSeverity,
+        confidence: 1,
+        title: 'Test alert',
+        description: `Test alert for channel ${channel.name} from the EtherFi anomaly detector`,
+        affected_metrics: [],
+        detected_at: new Date()
+    });
+
+    const result = await deliver(channel, alert, { ...RETRY, maxAttempts: 1 });
+    await logDelivery(alert, result);
+    return result;
+}
+
+module.exports = {
+    dispatchAlert,
+    dispatchAnomalyAlerts,
+    dispatchEscalation,
+    sendTestAlert,
+    configureChannels,
+    parseChannels,
+    listChannels,
+    buildAlert,
+    CHANNEL_TYPES
+};
@@ -0,0 +1,120 @@
+/**
+ * Alert Dispatcher tests (against a local mock webhook server)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { dispatchAlert, dispatchAnomalyAlerts, parseChannels, CHANNEL_TYPES } = require('./alert-dispatcher');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+const received = [];
+let hookCalls = 0;
+
+// /hook fails once then succeeds, /slack always rejects with 400
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        if (req.url === '/hook') {
+            hookCalls++;
+            res.writeHead(hookCalls === 1 ? 503 : 200);
+        } else {
+            res.writeHead(400);
+        }
+        res.end();
+    });
+});
+
+let base;
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const anomaly = {
+    id: 42,
+    anomaly_type: 'peg_deviation',
+    severity: 'HIGH',
+    confidence: 0.9,
+    title: 'eETH below peg',
+    description: 'eETH trading 0.6% below ETH',
+    affected_metrics: ['peg'],
+    detected_at: new Date()
+};
+
+test('channel config without required fields is rejected', () => {
+    const { channels, errors } = parseChannels([
+        { name: 'hook', type: 'webhook', url: 'http://127.0.0.1/hook' },
+        { name: 'broken', type: 'email' }
+    ]);
+
+    assert.deepEqual(channels.map(c => c.name), ['hook']);
+    assert.ok(errors.length > 0);
+});
+
+test('dispatch retries, filters by severity, logs and signs deliveries', async () => {
+    const logged = [];
+    const restore = stubQueries(queries, {
+        insertAlertDelivery: async (delivery) => {
+            logged.push(delivery);
+            return delivery;
+        }
+    });
+
+    try {
+        const { channels } = parseChannels([
+            { name: 'hook', type: 'webhook', url: `${base}/hook`, secret: 'test-secret', minSeverity: 'MEDIUM' },
+            { name: 'chat', type: 'slack', url: `${base}/slack`, minSeverity: 'HIGH' },
+            { name: 'pager', type: 'discord', url: `${base}/discord`, minSeverity: 'CRITICAL' }
+        ]);
+
+        const results = await dispatchAlert(anomaly, { channels, rules: [], retry: { maxAttempts: 3, baseDelayMs: 10 } });
+        const byChannel = Object.fromEntries(results.map(r => [r.channel, r]));
+
+        // Webhook succeeds on the retry; a 400 fails without retrying
+        assert.equal(byChannel.hook?.status, 'delivered');
+        assert.equal(byChannel.hook.attempts, 2);
+        assert.equal(byChannel.chat?.status, 'failed');
+        assert.equal(byChannel.chat.attempts, 1);
+        assert.equal(byChannel.pager, undefined);
+        assert.equal(logged.length, 2);
+
+        const delivered = received.filter(r => r.path === '/hook').pop();
+        const expected = CHANNEL_TYPES.webhook.signPayload('test-secret', delivered.headers['x-alert-timestamp'], delivered.body);
+        assert.equal(delivered.headers['x-alert-signature'], expected);
+    } finally {
+        restore();
+    }
+});
+
+test('repeat detections of an open incident are logged as suppressed, not sent', async () => {
+    const logged = [];
+    const restore = stubQueries(queries, {
+        insertAlertDelivery: async (delivery) => {
+            logged.push(delivery);
+            return delivery;
+        }
+    });
+    const before = hookCalls;
+
+    try {
+        const { channels } = parseChannels([
+            { name: 'hook', type: 'webhook', url: `${base}/hook`, minSeverity: 'MEDIUM' }
+        ]);
+        const results = await dispatchAnomalyAlerts(
+            [{ ...anomaly, id: 43, incident_id: 5, incident_repeat: true }, { ...anomaly, id: 44, incident_id: 5, incident_repeat: false }],
+            { channels, rules: [] }
+        );
+
+        assert.deepEqual(results.map(r => r.status), ['suppressed', 'delivered']);
+        assert.deepEqual(logged.map(d => [d.anomaly_id, d.channel_type, d.status]), [[43, 'incident', 'suppressed'], [44, 'webhook', 'delivered']]);
+        assert.equal(hookCalls, before + 1);
+    } finally {
+        restore();
+    }
+});
@@ -0,0 +1,314 @@
+/**
+ * Alert Rules
+ * Database-stored routing rules evaluated by the alert dispatcher
+ *
+ * A rule matches on anomaly type, severity range, affected metrics and a time
+ * window (a one-off starts_at/ends_at maintenance window and/or recurring
+ * days_of_week + window_start/window_end quiet hours, all UTC). Matching rules
+ * are applied in priority order:
+ *   suppress - the alert is not delivered (maintenance windows, quiet hours)
+ *   route    - the alert goes to the rule's channels instead of the default
+ *              severity-filtered set; recipients override email "to"
+ * Route rules with escalate_after_minutes schedule an escalation to
+ * escalation_channels if the anomaly is still unacknowledged by then
+ *
+ * When no rule matches, every channel whose minSeverity accepts the alert receives it
+ */
+
+const queries = require('../database/queries');
+const { metricFamily } = require('../analysis/incident-manager');
+const logger = require('../utils/logger');
+
+const SEVERITY_LEVELS = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+const RULE_ACTIONS = ['route', 'suppress'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+/**
+ * In-memory cache of enabled rules (cleared whenever rules change through the API)
+ */
+let ruleCache = {
+    rules: [],
+    loadedAt: null
+};
+
+/**
+ * Minutes since midnight for a TIME value ('HH:MM' or 'HH:MM:SS')
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check the rule's one-off and recurring time windows
+ * @param {object} rule - Rule row
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} True if now is inside every configured window
+ */
+function inTimeWindow(rule, now) {
+    if (rule.starts_at && now < new Date(rule.starts_at)) return false;
+    if (rule.ends_at && now >= new Date(rule.ends_at)) return false;
+
+    if (Array.isArray(rule.days_of_week) && rule.days_of_week.length > 0 &&
+        !rule.days_of_week.includes(now.getUTCDay())) {
+        return false;
+    }
+
+    if (rule.window_start && rule.window_end) {
+        const start = toMinutes(rule.window_start);
+        const end = toMinutes(rule.window_end);
+        const minute = now.getUTCHours() * 60 + now.getUTCMinutes();
+
+        // A window ending before it starts wraps past midnight (e.g. 22:00-07:00)
+        const inside = start <= end
+            ? minute >= start && minute < end
+            : minute >= start || minute < end;
+        if (!inside) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check whether a rule matches an alert
+ * @param {object} rule - Rule row
+ * @param {object} alert - Alert from buildAlert
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} True if every configured condition matches
+ */
+function ruleMatches(rule, alert, now = new Date()) {
+    if (rule.enabled === false) return false;
+
+    if (Array.isArray(rule.anomaly_types) && rule.anomaly_types.length > 0 &&
+        !rule.anomaly_types.includes(alert.type)) {
+        return false;
+    }
+
+    const level = SEVERITY_LEVELS[alert.severity] || 0;
+    if (rule.min_severity && level < SEVERITY_LEVELS[rule.min_severity]) return false;
+    if (rule.max_severity && level > SEVERITY_LEVELS[rule.max_severity]) return false;
+
+    if (Array.isArray(rule.affected_metrics) && rule.affected_metrics.length > 0) {
+        const wanted = new Set(rule.affected_metrics.map(metricFamily));
+        if (!(alert.affected_metrics || []).some(metric => wanted.has(metricFamily(metric)))) {
+            return false;
+        }
+    }
+
+    return inTimeWindow(rule, now);
+}
+
+/**
+ * Add channels and recipients to a route map, merging recipients per channel
+ * @param {Map} routes - channel name -> Set of recipients
+ * @param {string[]} channels - Channel names
+ * @param {string[]} recipients - Recipients
+ */
+function addRoutes(routes, channels, recipients) {
+    (channels || []).forEach(channel => {
+        if (!routes.has(channel)) {
+            routes.set(channel, new Set());
+        }
+        (recipients || []).forEach(recipient => routes.get(channel).add(recipient));
+    });
+}
+
+/**
+ * Convert a route map into [{ channel, recipients }]
+ * @param {Map} routes - From addRoutes
+ * @returns {Array} Routes
+ */
+function routeList(routes) {
+    return Array.from(routes.entries()).map(([channel, recipients]) => ({
+        channel,
+        recipients: [...recipients]
+    }));
+}
+
+/**
+ * Evaluate rules against an alert
+ * @param {Array} rules - Rules in priority order
+ * @param {object} alert - Alert from buildAlert
+ * @param {Date} now - Evaluation time
+ * @returns {object} { matched, suppressedBy, routed, routes, escalations }
+ */
+function evaluateRules(rules, alert, now = new Date()) {
+    const matched = rules.filter(rule => ruleMatches(rule, alert, now));
+    const suppressedBy = matched.find(rule => rule.action === 'suppress') || null;
+    const routeRules = matched.filter(rule => rule.action === 'route');
+
+    const routes = new Map();
+    routeRules.forEach(rule => addRoutes(routes, rule.channels, rule.recipients));
+
+    return {
+        matched: matched.map(rule => rule.name),
+        suppressedBy,
+        routed: routeRules.length > 0,
+        routes: routeList(routes),
+        escalations: suppressedBy ? [] : routeRules.filter(rule => rule.escalate_after_minutes > 0)
+    };
+}
+
+/**
+ * Escalation routes for a rule
+ * @param {object} rule - Rule row
+ * @returns {Array} [{ channel, recipients }]
+ */
+function escalationRoutes(rule) {
+    const routes = new Map();
+    addRoutes(routes, rule.escalation_channels, rule.escalation_recipients);
+    return routeList(routes);
+}
+
+/**
+ * Normalize an optional string array field
+ * @param {*} value - Raw value
+ * @param {string} field - Field name (for errors)
+ * @param {Array} errors - Error list to append to
+ * @returns {string[]|null} Array or null when empty
+ */
+function stringList(value, field, errors) {
+    if (value === undefined || value === null) return null;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+        errors.push(`${field} must be an array of non-empty strings`);
+        return null;
+    }
+    return value.length > 0 ? value.map(item => item.trim()) : null;
+}
+
+/**
+ * Validate and normalize a rule from the API
+ * @param {object} input - Rule fields
+ * @returns {object} { valid, errors, rule }
+ */
+function validateRule(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['Rule must be an object'], rule: null };
+    }
+
+    const rule = {
+        name: typeof input.name === 'string' ? input.name.trim() : '',
+        description: input.description || null,
+        enabled: input.enabled !== false,
+        priority: input.priority ?? 100,
+        action: input.action || 'route',
+        anomaly_types: stringList(input.anomaly_types, 'anomaly_types', errors),
+        min_severity: input.min_severity ? String(input.min_severity).toUpperCase() : null,
+        max_severity: input.max_severity ? String(input.max_severity).toUpperCase() : null,
+        affected_metrics: stringList(input.affected_metrics, 'affected_metrics', errors),
+        starts_at: input.starts_at || null,
+        ends_at: input.ends_at || null,
+        days_of_week: input.days_of_week ?? null,
+        window_start: input.window_start || null,
+        window_end: input.window_end || null,
+        channels: stringList(input.channels, 'channels', errors),
+        recipients: stringList(input.recipients, 'recipients', errors),
+        escalate_after_minutes: input.escalate_after_minutes ?? null,
+        escalation_channels: stringList(input.escalation_channels, 'escalation_channels', errors),
+        escalation_recipients: stringList(input.escalation_recipients, 'escalation_recipients', errors)
+    };
+
+    if (!rule.name || rule.name.length > 100) {
+        errors.push('name is required (max 100 characters)');
+    }
+    if (!Number.isInteger(rule.priority)) {
+        errors.push('priority must be an integer');
+    }
+    if (!RULE_ACTIONS.includes(rule.action)) {
+        errors.push(`action must be one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+
+    ['min_severity', 'max_severity'].forEach(field => {
+        if (rule[field] && !SEVERITY_LEVELS[rule[field]]) {
+            errors.push(`${field} must be one of: ${Object.keys(SEVERITY_LEVELS).join(', ')}`);
+        }
+    });
+    if (rule.min_severity && rule.max_severity &&
+        SEVERITY_LEVELS[rule.min_severity] > SEVERITY_LEVELS[rule.max_severity]) {
+        errors.push('min_severity must not exceed max_severity');
+    }
+
+    ['starts_at', 'ends_at'].forEach(field => {
+        if (rule[field] && isNaN(new Date(rule[field]).getTime())) {
+            errors.push(`${field} must be a valid timestamp`);
+        }
+    });
+    if (rule.starts_at && rule.ends_at && new Date(rule.starts_at) >= new Date(rule.ends_at)) {
+        errors.push('starts_at must be before ends_at');
+    }
+
+    if (rule.days_of_week !== null &&
+        (!Array.isArray(rule.days_of_week) || rule.days_of_week.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        errors.push('days_of_week must be an array of integers 0-6 (0 = Sunday)');
+    }
+
+    if (!!rule.window_start !== !!rule.window_end) {
+        errors.push('window_start and window_end must be set together');
+    }
+    ['window_start', 'window_end'].forEach(field => {
+        if (rule[field] && !TIME_PATTERN.test(rule[field])) {
+            errors.push(`${field} must be HH:MM (UTC)`);
+        }
+    });
+
+    if (rule.action === 'route' && !rule.channels) {
+        errors.push('route rules need at least one channel');
+    }
+
+    if (rule.escalate_after_minutes !== null) {
+        if (!Number.isInteger(rule.escalate_after_minutes) || rule.escalate_after_minutes <= 0) {
+            errors.push('escalate_after_minutes must be a positive integer');
+        }
+        if (rule.action !== 'route') {
+            errors.push('only route rules can escalate');
+        }
+        if (!rule.escalation_channels) {
+            errors.push('escalation_channels are required when escalate_after_minutes is set');
+        }
+    }
+
+    return { valid: errors.length === 0, errors, rule };
+}
+
+/**
+ * Get enabled rules in priority order (cached for CACHE_TTL)
+ * Falls back to the cached rules if the database is unavailable
+ * @returns {Promise<Array>} Rules
+ */
+async function getActiveRules() {
+    if (ruleCache.loadedAt !== null && Date.now() - ruleCache.loadedAt < CACHE_TTL) {
+        return ruleCache.rules;
+    }
+
+    try {
+        ruleCache = { rules: await queries.getAlertRules(true), loadedAt: Date.now() };
+    } catch (error) {
+        logger.warn('Failed to load alert rules, using cached rules', { error: error.message });
+        ruleCache.loadedAt = Date.now();
+    }
+
+    return ruleCache.rules;
+}
+
+/**
+ * Drop the rule cache so the next alert reloads rules
+ */
+function invalidateRuleCache() {
+    ruleCache.loadedAt = null;
+}
+
+module.exports = {
+    evaluateRules,
+    ruleMatches,
+    escalationRoutes,
+    validateRule,
+    getActiveRules,
+    invalidateRuleCache,
+    RULE_ACTIONS
+};
@@ -0,0 +1,86 @@
+/**
+ * Alert Rules tests: validation, matching, suppression and routing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateRules, validateRule } = require('./alert-rules');
+const { dispatchAlert, parseChannels } = require('./alert-dispatcher');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+const quietHours = validateRule({
+    name: 'quiet-hours', action: 'suppress', priority: 10,
+    max_severity: 'HIGH', window_start: '22:00', window_end: '07:00'
+});
+const maintenance = validateRule({
+    name: 'oracle-upgrade', action: 'suppress', priority: 5, affected_metrics: ['peg_ratio'],
+    starts_at: '2026-03-02T10:00:00Z', ends_at: '2026-03-02T12:00:00Z'
+});
+const pegOncall = validateRule({
+    name: 'peg-oncall', priority: 20, anomaly_types: ['peg_deviation'], min_severity: 'HIGH',
+    channels: ['pager'], recipients: ['peg@example.com'],
+    escalate_after_minutes: 15, escalation_channels: ['pager'], escalation_recipients: ['lead@example.com']
+});
+const rules = [maintenance.rule, quietHours.rule, { ...pegOncall.rule, id: 7 }];
+
+const alert = (severity, metrics = ['peg']) => ({
+    id: 42, type: 'peg_deviation', severity, title: 'eETH below peg', affected_metrics: metrics
+});
+const night = new Date('2026-03-02T23:30:00Z');
+const morning = new Date('2026-03-02T08:00:00Z');
+const duringMaintenance = new Date('2026-03-02T11:00:00Z');
+
+test('rules are validated', () => {
+    assert.ok(quietHours.valid && maintenance.valid && pegOncall.valid);
+
+    const invalid = validateRule({ name: 'bad', action: 'route', window_start: '25:00' });
+    assert.equal(invalid.valid, false);
+    assert.ok(invalid.errors.length > 0);
+});
+
+test('quiet hours suppress up to HIGH only', () => {
+    assert.equal(evaluateRules(rules, alert('HIGH'), night).suppressedBy?.name, 'quiet-hours');
+    assert.equal(evaluateRules(rules, alert('CRITICAL'), night).suppressedBy, null);
+});
+
+test('maintenance windows suppress only the affected metrics', () => {
+    assert.equal(evaluateRules(rules, alert('CRITICAL'), duringMaintenance).suppressedBy?.name, 'oracle-upgrade');
+    assert.equal(evaluateRules(rules, alert('CRITICAL', ['tvl']), duringMaintenance).suppressedBy, null);
+});
+
+test('route rules pick the channels', () => {
+    assert.deepEqual(evaluateRules(rules, alert('HIGH'), morning).routes.map(r => r.channel), ['pager']);
+});
+
+test('dispatch logs suppressed alerts and schedules escalations for routed ones', async () => {
+    const logged = [];
+    const scheduled = [];
+    const restore = stubQueries(queries, {
+        insertAlertDelivery: async (delivery) => { logged.push(delivery); return delivery; },
+        insertAlertEscalation: async (anomalyId, ruleId, dueAt) => { scheduled.push({ anomalyId, ruleId, dueAt }); }
+    });
+
+    try {
+        const { channels } = parseChannels([
+            { name: 'pager', type: 'webhook', url: 'http://127.0.0.1:9/pager', minSeverity: 'CRITICAL' }
+        ]);
+        const anomaly = {
+            id: 42, anomaly_type: 'peg_deviation', severity: 'HIGH', confidence: 0.9,
+            title: 'eETH below peg', description: 'eETH trading 0.6% below ETH', affected_metrics: ['peg']
+        };
+
+        const suppressed = await dispatchAlert(anomaly, { channels, rules, now: night });
+        assert.deepEqual(suppressed.map(r => r.status), ['suppressed']);
+        assert.equal(logged[0]?.channel_name, 'quiet-hours');
+
+        // Routed to 'pager' despite its CRITICAL minSeverity; delivery fails (closed port) but the escalation is scheduled
+        const routed = await dispatchAlert(anomaly, { channels, rules, now: morning, retry: { maxAttempts: 1, baseDelayMs: 1 } });
+        assert.deepEqual(routed.map(r => r.channel), ['pager']);
+        assert.equal(scheduled.length, 1);
+        assert.equal(scheduled[0].ruleId, 7);
+    } finally {
+        restore();
+    }
+});
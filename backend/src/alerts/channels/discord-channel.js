@@ -0,0 +1,60 @@
+/**
+ * Discord Channel
+ * Posts an embed to a Discord webhook
+ */
+
+const { postJson } = require('./post-json');
+
+const SEVERITY_COLORS = {
+    CRITICAL: 0xff003c,
+    HIGH: 0xffaa00,
+    MEDIUM: 0x00ffff,
+    LOW: 0x00ff88
+};
+
+/**
+ * Build the Discord message payload
+ * @param {object} alert - Alert from buildAlert
+ * @returns {object} Discord payload
+ */
+function buildPayload(alert) {
+    const fields = [
+        { name: 'Severity', value: alert.severity, inline: true },
+        { name: 'Confidence', value: `${Math.round(alert.confidence * 100)}%`, inline: true }
+    ];
+
+    if (alert.affected_metrics.length > 0) {
+        fields.push({ name: 'Affected metrics', value: alert.affected_metrics.join(', ') });
+    }
+    if (alert.recommendation) {
+        // Discord rejects field values over 1024 characters
+        fields.push({ name: 'Recommendation', value: alert.recommendation.substring(0, 1024) });
+    }
+
+    return {
+        content: `**[${alert.severity}]** ${alert.title}`,
+        embeds: [{
+            title: alert.title.substring(0, 256),
+            url: alert.url || undefined,
+            description: alert.description.substring(0, 4096),
+            color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.MEDIUM,
+            fields,
+            timestamp: new Date(alert.detected_at).toISOString(),
+            footer: { text: 'EtherFi Anomaly Detection' }
+        }]
+    };
+}
+
+module.exports = {
+    type: 'discord',
+
+    validate(config) {
+        return config.url ? [] : ['url is required'];
+    },
+
+    async send(config, alert) {
+        return postJson(config.url, JSON.stringify(buildPayload(alert)));
+    },
+
+    buildPayload
+};
@@ -0,0 +1,127 @@
+/**
+ * Email Channel
+ * Sends a plain-text and HTML alert over SMTP
+ *
+ * SMTP settings come from the channel's `smtp` block or the SMTP_* environment variables
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Transports keyed by SMTP settings, reused across alerts
+ */
+const transports = new Map();
+
+/**
+ * Resolve SMTP settings for a channel
+ * @param {object} config - Channel config
+ * @returns {object} { host, port, secure, user, pass }
+ */
+function smtpSettings(config) {
+    const smtp = config.smtp || {};
+    const port = parseInt(smtp.port || process.env.SMTP_PORT || '587');
+
+    return {
+        host: smtp.host || process.env.SMTP_HOST,
+        port,
+        secure: smtp.secure !== undefined ? !!smtp.secure : (process.env.SMTP_SECURE === 'true' || port === 465),
+        user: smtp.user || process.env.SMTP_USER,
+        pass: smtp.pass || process.env.SMTP_PASS
+    };
+}
+
+/**
+ * Get (or create) the transport for a set of SMTP settings
+ * @param {object} settings - From smtpSettings
+ * @returns {object} Nodemailer transport
+ */
+function getTransport(settings) {
+    const key = `${settings.user || ''}@${settings.host}:${settings.port}`;
+
+    if (!transports.has(key)) {
+        transports.set(key, nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port,
+            secure: settings.secure,
+            auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined
+        }));
+    }
+
+    return transports.get(key);
+}
+
+/**
+ * Escape text for the HTML body
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the email message
+ * @param {object} alert - Alert from buildAlert
+ * @returns {object} { subject, text, html }
+ */
+function buildMessage(alert) {
+    const lines = [
+        alert.description,
+        '',
+        `Severity: ${alert.severity}`,
+        `Confidence: ${Math.round(alert.confidence * 100)}%`,
+        `Detected: ${new Date(alert.detected_at).toISOString()}`
+    ];
+
+    if (alert.affected_metrics.length > 0) lines.push(`Affected metrics: ${alert.affected_metrics.join(', ')}`);
+    if (alert.recommendation) lines.push('', `Recommendation: ${alert.recommendation}`);
+    if (alert.url) lines.push('', alert.url);
+
+    return {
+        subject: `[${alert.severity}] ${alert.title}`,
+        text: lines.join('\n'),
+        html: `<h2>${escapeHtml(alert.title)}</h2>` +
+            lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')
+    };
+}
+
+module.exports = {
+    type: 'email',
+
+    validate(config) {
+        const errors = [];
+        if (!config.to || (Array.isArray(config.to) && config.to.length === 0)) {
+            errors.push('to is required');
+        }
+        if (!smtpSettings(config).host) {
+            errors.push('smtp.host or SMTP_HOST is required');
+        }
+        return errors;
+    },
+
+    async send(config, alert) {
+        const settings = smtpSettings(config);
+        const message = buildMessage(alert);
+
+        try {
+            const info = await getTransport(settings).sendMail({
+                from: config.from || process.env.ALERT_EMAIL_FROM || settings.user,
+                to: Array.isArray(config.to) ? config.to.join(', ') : config.to,
+                ...message
+            });
+
+            return { status: parseInt(String(info.response).substring(0, 3)) || 250 };
+        } catch (error) {
+            // 5xx SMTP replies are permanent (bad recipient, auth rejected); everything else is transient
+            error.status = error.responseCode;
+            error.retryable = !(error.responseCode >= 500);
+            throw error;
+        }
+    },
+
+    buildMessage
+};
@@ -0,0 +1,46 @@
+/**
+ * JSON POST helper shared by the HTTP alert channels
+ * Throws on non-2xx responses; 4xx other than 408/429 are marked non-retryable
+ */
+
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * POST a JSON body
+ * @param {string} url - Target URL
+ * @param {string} body - Serialized JSON body (sent as-is so signatures match)
+ * @param {object} headers - Extra headers
+ * @returns {Promise<object>} { status }
+ */
+async function postJson(url, body, headers = {}) {
+    let response;
+
+    try {
+        response = await axios.post(url, body, {
+            headers: { 'Content-Type': 'application/json', ...headers },
+            timeout: REQUEST_TIMEOUT_MS,
+            validateStatus: () => true,
+            // Keep the exact bytes that were signed
+            transformRequest: [data => data]
+        });
+    } catch (error) {
+        // Network errors and timeouts are worth retrying
+        error.retryable = true;
+        throw error;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw error;
+    }
+
+    return { status: response.status };
+}
+
+module.exports = {
+    postJson
+};
@@ -0,0 +1,59 @@
+/**
+ * Slack Channel
+ * Posts to a Slack incoming webhook (also accepted by Mattermost and Rocket.Chat)
+ */
+
+const { postJson } = require('./post-json');
+
+const SEVERITY_COLORS = {
+    CRITICAL: '#ff003c',
+    HIGH: '#ffaa00',
+    MEDIUM: '#00ffff',
+    LOW: '#00ff88'
+};
+
+/**
+ * Build the Slack message payload
+ * @param {object} alert - Alert from buildAlert
+ * @returns {object} Slack payload
+ */
+function buildPayload(alert) {
+    const fields = [
+        { title: 'Severity', value: alert.severity, short: true },
+        { title: 'Confidence', value: `${Math.round(alert.confidence * 100)}%`, short: true }
+    ];
+
+    if (alert.affected_metrics.length > 0) {
+        fields.push({ title: 'Affected metrics', value: alert.affected_metrics.join(', '), short: false });
+    }
+    if (alert.recommendation) {
+        fields.push({ title: 'Recommendation', value: alert.recommendation, short: false });
+    }
+
+    return {
+        text: `[${alert.severity}] ${alert.title}`,
+        attachments: [{
+            color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.MEDIUM,
+            title: alert.title,
+            title_link: alert.url || undefined,
+            text: alert.description,
+            fields,
+            footer: 'EtherFi Anomaly Detection',
+            ts: Math.floor(new Date(alert.detected_at).getTime() / 1000)
+        }]
+    };
+}
+
+module.exports = {
+    type: 'slack',
+
+    validate(config) {
+        return config.url ? [] : ['url is required'];
+    },
+
+    async send(config, alert) {
+        return postJson(config.url, JSON.stringify(buildPayload(alert)));
+    },
+
+    buildPayload
+};
@@ -0,0 +1,47 @@
+/**
+ * Generic Webhook Channel
+ * POSTs the alert as JSON, signed with HMAC-SHA256 when a secret is configured
+ *
+ * Headers:
+ *   X-Alert-Timestamp  Unix time in seconds
+ *   X-Alert-Signature  sha256=<hex HMAC of "<timestamp>.<raw body>">
+ * Receivers should recompute the HMAC over the raw body and reject stale timestamps
+ */
+
+const crypto = require('crypto');
+const { postJson } = require('./post-json');
+
+/**
+ * Sign a payload
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - X-Alert-Timestamp value
+ * @param {string} body - Raw request body
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+module.exports = {
+    type: 'webhook',
+
+    validate(config) {
+        return config.url ? [] : ['url is required'];
+    },
+
+    async send(config, alert) {
+        const event = alert.escalated ? 'anomaly.escalated' : 'anomaly.detected';
+        const body = JSON.stringify({ event, alert });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = { 'X-Alert-Timestamp': timestamp, ...(config.headers || {}) };
+
+        if (config.secret) {
+            headers['X-Alert-Signature'] = signPayload(config.secret, timestamp, body);
+        }
+
+        return postJson(config.url, body, headers);
+    },
+
+    signPayload
+};
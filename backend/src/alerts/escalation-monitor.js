@@ -0,0 +1,167 @@
+/**
+ * Escalation Monitor
+ * Periodically sends escalations for routed alerts nobody acknowledged in time
+ *
+ * The dispatcher schedules an alert_escalations row for every route rule with
+ * escalate_after_minutes. When it comes due, the escalation is cancelled if the
+ * anomaly was acknowledged, is no longer active, its rule was disabled, or a
+ * suppress rule now matches (e.g. a maintenance window started); otherwise it is
+ * delivered to the rule's escalation_channels / escalation_recipients
+ *
+ * An escalation counts as sent once at least one channel delivered it. When every
+ * delivery fails, or processing it throws, it stays pending and is retried after
+ * ESCALATION_RETRY_MINUTES, up to ESCALATION_MAX_ATTEMPTS tries, then it is marked 'failed'
+ */
+
+const queries = require('../database/queries');
+const alertRules = require('./alert-rules');
+const { dispatchEscalation, buildAlert } = require('./alert-dispatcher');
+const logger = require('../utils/logger');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.ESCALATION_CHECK_INTERVAL_MS || '60000');
+const MAX_ATTEMPTS = parseInt(process.env.ESCALATION_MAX_ATTEMPTS || '3');
+const RETRY_DELAY_MS = parseInt(process.env.ESCALATION_RETRY_MINUTES || '5') * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Reason a due escalation should not be sent
+ * @param {object} anomaly - Anomaly row
+ * @param {object} rule - Route rule that scheduled the escalation
+ * @param {Array} rules - Active rules
+ * @param {Date} now - Evaluation time
+ * @returns {string|null} Cancellation reason, or null to escalate
+ */
+function cancellationReason(anomaly, rule, rules, now) {
+    if (anomaly.user_acknowledged) return 'acknowledged';
+    if (anomaly.status && anomaly.status !== 'active') return `anomaly ${anomaly.status}`;
+    if (rule.enabled === false) return 'rule disabled';
+
+    const { suppressedBy } = alertRules.evaluateRules(rules, buildAlert(anomaly), now);
+    if (suppressedBy) return `suppressed by ${suppressedBy.name}`;
+
+    return null;
+}
+
+/**
+ * Keep an escalation pending for another try, or mark it failed after its last one
+ * @param {number} escalationId - Escalation ID
+ * @param {number} attempts - Tries made before this one
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<string>} 'retrying' or 'failed'
+ */
+async function retryOrFail(escalationId, attempts, now) {
+    if (attempts + 1 >= MAX_ATTEMPTS) {
+        await queries.updateEscalationStatus(escalationId, 'failed');
+        return 'failed';
+    }
+
+    await queries.rescheduleEscalation(escalationId, new Date(now.getTime() + RETRY_DELAY_MS));
+    return 'retrying';
+}
+
+/**
+ * Send or cancel every due escalation
+ * @param {object} options - { channels, rules, retry, now } overrides
+ * @returns {Promise<object>} { escalated, cancelled, retrying, failed }
+ */
+async function processEscalations(options = {}) {
+    const summary = { escalated: 0, cancelled: 0, retrying: 0, failed: 0 };
+    const due = await queries.getDueEscalations();
+
+    if (due.length === 0) {
+        return summary;
+    }
+
+    const now = options.now || new Date();
+    const rules = options.rules || await alertRules.getActiveRules();
+
+    for (const { escalation_id: escalationId, attempts = 0, anomaly, rule } of due) {
+        try {
+            const reason = cancellationReason(anomaly, rule, rules, now);
+
+            if (reason) {
+                await queries.updateEscalationStatus(escalationId, 'cancelled');
+                summary.cancelled++;
+                logger.debug('Escalation cancelled', { anomalyId: anomaly.id, rule: rule.name, reason });
+                continue;
+            }
+
+            const results = await dispatchEscalation(anomaly, rule, options);
+
+            if (results.some(result => result.status === 'delivered')) {
+                await queries.updateEscalationStatus(escalationId, 'escalated');
+                summary.escalated++;
+                continue;
+            }
+
+            const context = { escalationId, anomalyId: anomaly.id, rule: rule.name, attempts: attempts + 1 };
+            if (await retryOrFail(escalationId, attempts, now) === 'failed') {
+                summary.failed++;
+                logger.error('Escalation failed on every channel, giving up', context);
+            } else {
+                summary.retrying++;
+                logger.warn('Escalation failed on every channel, will retry', context);
+            }
+        } catch (error) {
+            logger.error('Failed to process escalation', {
+                escalationId,
+                anomalyId: anomaly.id,
+                attempts: attempts + 1,
+                error: error.message
+            });
+
+            try {
+                summary[await retryOrFail(escalationId, attempts, now)]++;
+            } catch (retryError) {
+                summary.failed++;
+                logger.error('Failed to reschedule escalation', { escalationId, error: retryError.message });
+            }
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Start checking for due escalations every CHECK_INTERVAL_MS
+ */
+function startEscalationMonitor() {
+    if (timer) return;
+
+    timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+
+        try {
+            const summary = await processEscalations();
+            if (summary.escalated + summary.cancelled + summary.retrying + summary.failed > 0) {
+                logger.info('Escalations processed', summary);
+            }
+        } catch (error) {
+            logger.warn('Escalation check failed', { error: error.message });
+        } finally {
+            running = false;
+        }
+    }, CHECK_INTERVAL_MS);
+    timer.unref();
+
+    logger.info('Escalation monitor started', { intervalMs: CHECK_INTERVAL_MS });
+}
+
+/**
+ * Stop the escalation monitor
+ */
+function stopEscalationMonitor() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    processEscalations,
+    startEscalationMonitor,
+    stopEscalationMonitor
+};
@@ -0,0 +1,123 @@
+/**
+ * Escalation Monitor tests (against a local mock webhook server)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { processEscalations } = require('./escalation-monitor');
+const { validateRule } = require('./alert-rules');
+const { parseChannels } = require('./alert-dispatcher');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+// /pager accepts, /down always fails
+const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+        res.writeHead(req.url === '/pager' ? 200 : 503);
+        res.end();
+    });
+});
+
+let base;
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const rule = {
+    ...validateRule({
+        name: 'peg-oncall', priority: 20, anomaly_types: ['peg_deviation'], min_severity: 'HIGH',
+        channels: ['pager'], escalate_after_minutes: 15, escalation_channels: ['pager']
+    }).rule,
+    id: 7
+};
+const anomaly = {
+    id: 42, anomaly_type: 'peg_deviation', severity: 'HIGH', confidence: 0.9,
+    title: 'eETH below peg', description: 'eETH trading 0.6% below ETH', affected_metrics: ['peg'],
+    status: 'active', user_acknowledged: false
+};
+const now = new Date('2026-03-02T08:00:00Z');
+const retry = { maxAttempts: 1, baseDelayMs: 1 };
+
+/**
+ * Run one escalation pass over stubbed due escalations
+ * @param {Array} due - getDueEscalations() rows
+ * @param {string} path - Path the pager channel posts to
+ * @param {object} stubs - Extra query stubs
+ * @returns {Promise<object>} { summary, statuses, rescheduled }
+ */
+async function runEscalations(due, path, stubs = {}) {
+    const statuses = {};
+    const rescheduled = {};
+    const restore = stubQueries(queries, {
+        insertAlertDelivery: async (delivery) => delivery,
+        getDueEscalations: async () => due,
+        updateEscalationStatus: async (id, status) => { statuses[id] = status; },
+        rescheduleEscalation: async (id, dueAt) => { rescheduled[id] = dueAt; },
+        ...stubs
+    });
+
+    try {
+        const { channels } = parseChannels([{ name: 'pager', type: 'webhook', url: `${base}${path}` }]);
+        const summary = await processEscalations({ channels, rules: [rule], now, retry });
+        return { summary, statuses, rescheduled };
+    } finally {
+        restore();
+    }
+}
+
+test('acknowledged anomalies cancel their escalation, the others escalate', async () => {
+    const { summary, statuses } = await runEscalations([
+        { escalation_id: 1, attempts: 0, anomaly: { ...anomaly, user_acknowledged: true }, rule },
+        { escalation_id: 2, attempts: 0, anomaly, rule }
+    ], '/pager');
+
+    assert.deepEqual(summary, { escalated: 1, cancelled: 1, retrying: 0, failed: 0 });
+    assert.deepEqual(statuses, { 1: 'cancelled', 2: 'escalated' });
+});
+
+test('an escalation no channel delivered stays pending for a retry', async () => {
+    const { summary, statuses, rescheduled } = await runEscalations([{ escalation_id: 3, attempts: 0, anomaly, rule }], '/down');
+
+    assert.equal(summary.retrying, 1);
+    assert.deepEqual(statuses, {});
+    assert.ok(rescheduled[3] > now);
+});
+
+test('an escalation is marked failed after its last attempt', async () => {
+    const { summary, statuses, rescheduled } = await runEscalations([{ escalation_id: 4, attempts: 2, anomaly, rule }], '/down');
+
+    assert.equal(summary.failed, 1);
+    assert.deepEqual(statuses, { 4: 'failed' });
+    assert.deepEqual(rescheduled, {});
+});
+
+test('escalations of a disabled rule are cancelled', async () => {
+    const { summary, statuses } = await runEscalations([{ escalation_id: 5, attempts: 0, anomaly, rule: { ...rule, enabled: false } }], '/pager');
+
+    assert.deepEqual(summary, { escalated: 0, cancelled: 1, retrying: 0, failed: 0 });
+    assert.deepEqual(statuses, { 5: 'cancelled' });
+});
+
+test('an escalation that throws counts as an attempt', async () => {
+    const statuses = {};
+    const failing = {
+        updateEscalationStatus: async (id, status) => {
+            if (status === 'escalated') throw new Error('connection reset');
+            statuses[id] = status;
+        }
+    };
+
+    const first = await runEscalations([{ escalation_id: 6, attempts: 0, anomaly, rule }], '/pager', failing);
+    const last = await runEscalations([{ escalation_id: 6, attempts: 2, anomaly, rule }], '/pager', failing);
+
+    assert.equal(first.summary.retrying, 1);
+    assert.ok(first.rescheduled[6] > now);
+    assert.equal(last.summary.failed, 1);
+    assert.deepEqual(last.rescheduled, {});
+    assert.deepEqual(statuses, { 6: 'failed' });
+});
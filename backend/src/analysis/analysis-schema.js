@@ -0,0 +1,175 @@
+/**
+ * Analysis Schema
+ * JSON Schema for the analysis the LLM returns, and helpers to extract and validate it
+ *
+ * The schema mirrors the format requested at the end of the prompt templates (prompts/).
+ * Only the fields the pipeline depends on are required; the optional ones are
+ * type-checked when present. Severity strings are upper-cased and numeric
+ * strings coerced before validation, so trivial formatting slips do not cost
+ * a repair round-trip
+ */
+
+const Ajv = require('ajv');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const ANOMALY_TYPES = [
+    'peg_deviation',
+    'tvl_change',
+    'whale_movement',
+    'sentiment_shift',
+    'gas_spike',
+    'multi_signal',
+    'queue_spike',
+    'unusual_pattern'
+];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const ANOMALY_SCHEMA = {
+    type: 'object',
+    required: ['type', 'severity', 'confidence', 'title', 'description'],
+    properties: {
+        type: { type: 'string', enum: ANOMALY_TYPES },
+        severity: { type: 'string', enum: SEVERITIES },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', minLength: 1 },
+        affectedMetrics: stringList,
+        recommendation: { type: 'string' },
+        historicalComparison: { type: 'string' },
+        correlations: stringList,
+        timeframe: { type: 'string' },
+        riskLevel: { type: 'string' }
+    }
+};
+
+const ANALYSIS_SCHEMA = {
+    $id: 'etherfi-anomaly-analysis',
+    type: 'object',
+    required: ['anomalies', 'overallAssessment', 'riskLevel'],
+    properties: {
+        anomalies: { type: 'array', items: ANOMALY_SCHEMA },
+        overallAssessment: { type: 'string', minLength: 1 },
+        riskLevel: { type: 'string', enum: SEVERITIES },
+        keyFindings: stringList,
+        recommendations: stringList,
+        monitoringPriority: { type: 'string' },
+        falseAlarmProbability: { type: 'number', minimum: 0, maximum: 1 }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+const validateSchema = ajv.compile(ANALYSIS_SCHEMA);
+const validateAnomalySchema = ajv.compile(ANOMALY_SCHEMA);
+
+/**
+ * Extract the JSON object from a response
+ * Accepts bare JSON, a fenced ```json block anywhere in the text, or prose around a single object
+ * @param {string} text - Raw response text
+ * @returns {object} Parsed value
+ * @throws {Error} If no JSON can be parsed
+ */
+function extractJson(text) {
+    const raw = String(text || '').trim();
+    const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1].trim() : raw;
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                return JSON.parse(candidate.slice(start, end + 1));
+            } catch (innerError) {
+                throw new Error(`Response is not valid JSON: ${innerError.message}`);
+            }
+        }
+        throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Upper-case severity fields in place (Claude occasionally returns "High")
+ * @param {object} analysis - Parsed analysis
+ * @returns {object} The same analysis
+ */
+function normalizeAnalysis(analysis) {
+    if (!analysis || typeof analysis !== 'object') return analysis;
+
+    if (typeof analysis.riskLevel === 'string') {
+        analysis.riskLevel = analysis.riskLevel.toUpperCase();
+    }
+    if (Array.isArray(analysis.anomalies)) {
+        analysis.anomalies.forEach(anomaly => {
+            if (typeof anomaly?.severity === 'string') {
+                anomaly.severity = anomaly.severity.toUpperCase();
+            }
+        });
+    }
+
+    return analysis;
+}
+
+/**
+ * Format Ajv errors as { path, message }
+ * @param {Array} errors - Ajv errors
+ * @returns {Array} Errors
+ */
+function formatErrors(errors) {
+    return (errors || []).map(error => ({
+        path: error.instancePath || '/',
+        message: error.params?.allowedValues
+            ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+            : error.message
+    }));
+}
+
+/**
+ * Validate a parsed analysis against the schema
+ * @param {object} analysis - Parsed analysis (normalized and coerced in place)
+ * @returns {object} { valid, errors }
+ */
+function validateAnalysis(analysis) {
+    normalizeAnalysis(analysis);
+    const valid = validateSchema(analysis);
+    return { valid, errors: valid ? [] : formatErrors(validateSchema.errors) };
+}
+
+/**
+ * Keep the anomalies that are individually valid from an analysis that failed validation
+ * @param {object} analysis - Parsed analysis
+ * @returns {object|null} Analysis with valid anomalies only, or null if none survive
+ */
+function salvageAnalysis(analysis) {
+    const anomalies = Array.isArray(analysis?.anomalies)
+        ? analysis.anomalies.filter(anomaly => validateAnomalySchema(anomaly))
+        : [];
+
+    if (anomalies.length === 0) {
+        return null;
+    }
+
+    const highest = anomalies.reduce((max, a) =>
+        SEVERITIES.indexOf(a.severity) > SEVERITIES.indexOf(max) ? a.severity : max, 'LOW');
+
+    return {
+        ...analysis,
+        anomalies,
+        overallAssessment: typeof analysis.overallAssessment === 'string' && analysis.overallAssessment
+            ? analysis.overallAssessment
+            : 'Not provided (partial analysis)',
+        riskLevel: SEVERITIES.includes(analysis.riskLevel) ? analysis.riskLevel : highest,
+        salvaged: true
+    };
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    ANOMALY_TYPES,
+    extractJson,
+    validateAnalysis,
+    salvageAnalysis
+};
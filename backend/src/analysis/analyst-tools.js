@@ -0,0 +1,280 @@
+/**
+ * Analyst Tools
+ * Read-only tools the LLM analyst can call during analysis to pull history it needs
+ *
+ * Tool interface (definitions are passed to the model as-is, minus `run`):
+ *   name          {string}   Tool name the model calls
+ *   description   {string}   What the tool returns and when to use it
+ *   input_schema  {object}   JSON Schema for the tool input
+ *   run           {Function} async (input) => JSON-serializable result
+ *
+ * Results are compacted (selected fields, downsampled series, truncated text)
+ * so a single call cannot blow up the context window
+ */
+
+const queries = require('../database/queries');
+const { ANOMALY_TYPES } = require('./analysis-schema');
+const logger = require('../utils/logger');
+
+/**
+ * Longest serialized tool result sent back to the model
+ */
+const MAX_RESULT_CHARS = 12000;
+
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Time series columns the model may request (numeric unless noted)
+ */
+const SERIES_FIELDS = [
+    'tvl_eth', 'tvl_usd', 'eeth_eth_ratio', 'avg_gas_price_gwei',
+    'queue_size', 'queue_eth_amount', 'avg_queue_wait_hours',
+    'queue_wait_p50_hours', 'queue_wait_p90_hours', 'queue_wait_p99_hours',
+    'deposits_24h', 'withdrawals_24h', 'deposit_volume_eth', 'withdrawal_volume_eth',
+    'unique_stakers', 'total_validators', 'validator_apr'
+];
+
+const DEFAULT_SERIES_FIELDS = ['tvl_eth', 'eeth_eth_ratio', 'avg_gas_price_gwei', 'queue_size', 'withdrawals_24h'];
+
+/**
+ * Clamp an integer input
+ * @param {*} value - Raw value
+ * @param {number} fallback - Default
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} Clamped integer
+ */
+function clampInt(value, fallback, min, max) {
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+}
+
+/**
+ * Evenly downsample rows, always keeping the first and last
+ * @param {Array} rows - Rows
+ * @param {number} maxPoints - Maximum rows
+ * @returns {Array} Downsampled rows
+ */
+function downsample(rows, maxPoints) {
+    if (rows.length <= maxPoints) return rows;
+
+    const step = (rows.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => rows[Math.round(i * step)]);
+}
+
+/**
+ * Parse a number column, keeping nulls
+ * @param {*} value - Column value
+ * @returns {number|null} Number or null
+ */
+function num(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+}
+
+const TOOLS = [
+    {
+        name: 'query_time_series',
+        description: 'Protocol metrics (TVL, eETH/ETH peg, gas, withdrawal queue, flows) between two timestamps, ' +
+            `downsampled to at most max_points rows. Ranges are limited to ${MAX_RANGE_DAYS} days. ` +
+            'Use it to check how a metric behaved before the current trigger or around a past event.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                start: { type: 'string', description: 'ISO 8601 start timestamp' },
+                end: { type: 'string', description: 'ISO 8601 end timestamp (defaults to now)' },
+                fields: { type: 'array', items: { type: 'string', enum: SERIES_FIELDS }, description: 'Columns to return' },
+                max_points: { type: 'integer', minimum: 2, maximum: 200, description: 'Default 50' }
+            },
+            required: ['start']
+        },
+        async run(input) {
+            const end = input.end ? new Date(input.end) : new Date();
+            const start = new Date(input.start);
+
+            if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+                throw new Error('start and end must be valid timestamps with start before end');
+            }
+            if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+                throw new Error(`Range exceeds ${MAX_RANGE_DAYS} days`);
+            }
+
+            const fields = (input.fields || []).filter(f => SERIES_FIELDS.includes(f));
+            const columns = fields.length > 0 ? fields : DEFAULT_SERIES_FIELDS;
+            const rows = await queries.getTimeSeriesDataRange(start, end);
+            const sampled = downsample(rows, clampInt(input.max_points, 50, 2, 200));
+
+            return {
+                total_points: rows.length,
+                returned_points: sampled.length,
+                points: sampled.map(row => ({
+                    timestamp: row.timestamp,
+                    ...Object.fromEntries(columns.map(column => [column, num(row[column])]))
+                }))
+            };
+        }
+    },
+    {
+        name: 'get_whale_wallet_history',
+        description: 'Balance history of one eETH holder over the last `hours`, or the current top holders ' +
+            'when no wallet_address is given. Use it to see whether large holders are moving.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                wallet_address: { type: 'string', description: '0x-prefixed address; omit for the current top holders' },
+                hours: { type: 'integer', minimum: 1, maximum: 720, description: 'Default 168' },
+                limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Top holders to return (default 20)' }
+            }
+        },
+        async run(input) {
+            const compact = row => ({
+                wallet_address: row.wallet_address,
+                timestamp: row.timestamp,
+                eeth_balance: num(row.eeth_balance),
+                percentage_of_total: num(row.percentage_of_total),
+                rank_position: row.rank_position,
+                balance_change_24h: num(row.balance_change_24h),
+                balance_change_pct_24h: num(row.balance_change_pct_24h),
+                label: row.label || null,
+                label_category: row.label_category || null
+            });
+
+            if (input.wallet_address) {
+                if (!/^0x[0-9a-fA-F]{40}$/.test(input.wallet_address)) {
+                    throw new Error('wallet_address must be a 0x-prefixed 20-byte hex address');
+                }
+                const address = input.wallet_address.toLowerCase();
+                const rows = await queries.getWhaleWalletHistory(address, clampInt(input.hours, 168, 1, 720));
+                return { wallet_address: address, snapshots: downsample(rows, 50).map(compact) };
+            }
+
+            const rows = await queries.getCurrentTopWhales(clampInt(input.limit, 20, 1, 50));
+            return { top_holders: rows.map(compact) };
+        }
+    },
+    {
+        name: 'get_sentiment_samples',
+        description: 'Summary of social sentiment over the last `hours` plus the most engaged sample posts. ' +
+            'Use it to check whether users are reacting to the anomaly.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                hours: { type: 'integer', minimum: 1, maximum: 168, description: 'Default 24' },
+                limit: { type: 'integer', minimum: 1, maximum: 25, description: 'Sample posts to return (default 10)' },
+                sentiment: { type: 'string', enum: ['positive', 'negative', 'neutral'], description: 'Only this sentiment' }
+            }
+        },
+        async run(input) {
+            const hours = clampInt(input.hours, 24, 1, 168);
+            const [rows, summary] = await Promise.all([
+                queries.getRecentSentiment(hours),
+                queries.getSentimentSummary(hours)
+            ]);
+
+            const samples = rows
+                .filter(row => !input.sentiment || row.sentiment === input.sentiment)
+                .sort((a, b) => (b.like_count + b.retweet_count) - (a.like_count + a.retweet_count))
+                .slice(0, clampInt(input.limit, 10, 1, 25))
+                .map(row => ({
+                    collected_at: row.collected_at,
+                    author: row.author_username,
+                    followers: row.author_followers,
+                    sentiment: row.sentiment,
+                    score: num(row.sentiment_score),
+                    engagement: (row.like_count || 0) + (row.retweet_count || 0),
+                    text: String(row.tweet_text || '').substring(0, 280)
+                }));
+
+            return {
+                hours,
+                summary: {
+                    total: parseInt(summary?.total_tweets) || 0,
+                    avg_sentiment: num(summary?.avg_sentiment),
+                    positive: parseInt(summary?.positive_count) || 0,
+                    negative: parseInt(summary?.negative_count) || 0,
+                    neutral: parseInt(summary?.neutral_count) || 0
+                },
+                samples
+            };
+        }
+    },
+    {
+        name: 'get_past_anomalies',
+        description: 'Earlier detections of an anomaly type with their triage outcome ' +
+            '(active, resolved, false_positive). Use it to compare with precedent and spot repeat false alarms.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                anomaly_type: { type: 'string', enum: ANOMALY_TYPES },
+                days: { type: 'integer', minimum: 1, maximum: 180, description: 'Default 30' },
+                limit: { type: 'integer', minimum: 1, maximum: 25, description: 'Default 10' }
+            },
+            required: ['anomaly_type']
+        },
+        async run(input) {
+            if (!ANOMALY_TYPES.includes(input.anomaly_type)) {
+                throw new Error(`anomaly_type must be one of: ${ANOMALY_TYPES.join(', ')}`);
+            }
+
+            const rows = await queries.getAnomaliesByType(
+                input.anomaly_type,
+                clampInt(input.days, 30, 1, 180),
+                clampInt(input.limit, 10, 1, 25)
+            );
+
+            return {
+                anomalies: rows.map(row => ({
+                    id: row.id,
+                    detected_at: row.detected_at,
+                    severity: row.severity,
+                    confidence: num(row.confidence),
+                    title: row.title,
+                    description: row.description,
+                    status: row.status,
+                    acknowledged: !!row.user_acknowledged,
+                    resolution_notes: row.resolution_notes || null
+                }))
+            };
+        }
+    }
+];
+
+/**
+ * Tool definitions for the model (without run)
+ * @returns {Array} [{ name, description, input_schema }]
+ */
+function getToolDefinitions() {
+    return TOOLS.map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+}
+
+/**
+ * Run one tool call; failures are returned to the model as error results
+ * @param {string} name - Tool name
+ * @param {object} input - Tool input
+ * @returns {Promise<object>} { content, isError, durationMs }
+ */
+async function executeTool(name, input = {}) {
+    const started = Date.now();
+    const tool = TOOLS.find(t => t.name === name);
+
+    try {
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        let content = JSON.stringify(await tool.run(input || {}));
+        if (content.length > MAX_RESULT_CHARS) {
+            content = `${content.substring(0, MAX_RESULT_CHARS)}... [truncated, narrow the query]`;
+        }
+
+        return { content, isError: false, durationMs: Date.now() - started };
+    } catch (error) {
+        logger.warn('Analyst tool call failed', { tool: name, error: error.message });
+        return { content: `Error: ${error.message}`, isError: true, durationMs: Date.now() - started };
+    }
+}
+
+module.exports = {
+    getToolDefinitions,
+    executeTool,
+    TOOLS
+};
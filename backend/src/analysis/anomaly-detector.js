@@ -6,20 +6,30 @@
 
 const { getBaselineStatistics } = require('./baseline-calculator');
 const { analyzeStatisticalAnomalies } = require('./statistical-prefilter');
+const { TREND_WINDOW_HOURS } = require('./trend-calculator');
+const { runChangePointDetection } = require('./change-point-detector');
+const { updateIncidentResolution } = require('./incident-manager');
 const { analyzeWithClaude } = require('./claude-analyzer');
+const { checkBudget } = require('./llm-usage');
+const rateLimiter = require('./rate-limiter');
+const { dispatchAnomalyAlerts } = require('../alerts/alert-dispatcher');
 const db = require('../database/db-connection');
 const queries = require('../database/queries');
 const logger = require('../utils/logger');
 
 /**
- * Rate limiting configuration
- * Prevents calling Claude too frequently even if anomalies detected
+ * Rate limiting state
+ * Intervals, coalescing and per-family budgets live in rate-limiter.js
  */
 const RATE_LIMIT = {
-    minIntervalMs: 5 * 60 * 1000, // 5 minutes minimum between Claude calls (reduced for testing)
     lastClaudeCall: null
 };
 
+/**
+ * Whale rows read per cycle: the tracked top list and whales that just left it
+ */
+const WHALE_SNAPSHOT_LIMIT = 50;
+
 /**
  * Store pre-filter trigger result in database
  * @param {object} prefilterResult - Pre-filter analysis result
@@ -37,8 +47,10 @@ async function storeTriggerResult(prefilterResult, currentData, baselineStats) {
                 triggers,
                 current_data,
                 baseline_stats,
+                mahalanobis_distance,
+                multivariate_score,
                 claude_called
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
             RETURNING *
         `;
 
@@ -48,17 +60,37 @@ async function storeTriggerResult(prefilterResult, currentData, baselineStats) {
             prefilterResult.shouldCallClaude,
             JSON.stringify(prefilterResult.triggers),
             JSON.stringify({
+                timestamp: currentData.timestamp,
                 tvl_eth: currentData.tvl_eth,
+                tvl_usd: currentData.tvl_usd,
                 eeth_eth_ratio: currentData.eeth_eth_ratio,
                 avg_gas_price_gwei: currentData.avg_gas_price_gwei,
                 queue_size: currentData.queue_size,
+                queue_eth_amount: currentData.queue_eth_amount,
+                queue_wait_p90_hours: currentData.queue_wait_p90_hours,
                 withdrawals_24h: currentData.withdrawals_24h
             }),
+            // Everything the prompt templates read, so stored triggers can be replayed (eval-prompts.js)
             JSON.stringify({
                 tvl_avg: baselineStats.tvl_avg,
+                tvl_stddev: baselineStats.tvl_stddev,
+                tvl_min: baselineStats.tvl_min,
+                tvl_max: baselineStats.tvl_max,
                 peg_avg: baselineStats.peg_avg,
-                gas_avg: baselineStats.gas_avg
+                peg_stddev: baselineStats.peg_stddev,
+                peg_min: baselineStats.peg_min,
+                peg_max: baselineStats.peg_max,
+                gas_avg: baselineStats.gas_avg,
+                gas_stddev: baselineStats.gas_stddev,
+                sentiment_avg: baselineStats.sentiment_avg,
+                positive_pct: baselineStats.positive_pct,
+                period_days: baselineStats.period_days,
+                data_points: baselineStats.data_points,
+                seasonal_hour: baselineStats.seasonalBucket?.hour,
+                seasonal_day_of_week: baselineStats.seasonalBucket?.dayOfWeek
             }),
+            prefilterResult.multivariateScore?.distance ?? null,
+            prefilterResult.multivariateScore ? JSON.stringify(prefilterResult.multivariateScore) : null,
             false // Claude not called yet
         ];
 
@@ -77,26 +109,27 @@ async function storeTriggerResult(prefilterResult, currentData, baselineStats) {
 /**
  * Update trigger record after Claude analysis
  * @param {number} triggerId - Trigger record ID
- * @param {number} anomalyId - Created anomaly ID
+ * @param {number[]} anomalyIds - Created anomaly IDs
  * @returns {Promise<void>}
  */
-async function updateTriggerWithAnomaly(triggerId, anomalyId) {
+async function updateTriggerWithAnomalies(triggerId, anomalyIds) {
     try {
         const query = `
             UPDATE anomaly_triggers
             SET claude_called = true,
                 claude_call_timestamp = NOW(),
-                anomaly_id = $1
-            WHERE id = $2
+                anomaly_id = $1,
+                anomaly_ids = $2
+            WHERE id = $3
         `;
 
-        await db.query(query, [anomalyId, triggerId]);
+        await db.query(query, [anomalyIds[0], anomalyIds, triggerId]);
 
     } catch (error) {
         logger.error('Failed to update trigger record', {
             error: error.message,
             triggerId,
-            anomalyId
+            anomalyIds
         });
     }
 }
@@ -140,39 +173,39 @@ async function getLastClaudeCallTime() {
 }
 
 /**
- * Check if Claude can be called based on rate limiting
+ * Check if Claude can be called based on the daily LLM budget and severity-aware rate limits
+ * With the budget exhausted, detection runs statistical-only until the next UTC day;
+ * CRITICAL results bypass the budget like every other rate limit
+ * @param {object} prefilterResult - Pre-filter result asking for a call
  * @returns {Promise<object>} Rate limit status
  */
-async function checkRateLimit() {
-    const lastCall = await getLastClaudeCallTime();
+async function checkRateLimit(prefilterResult = null) {
+    const budget = await checkBudget();
 
-    if (!lastCall) {
-        return {
-            allowed: true,
-            reason: 'No previous Claude calls found'
-        };
-    }
-
-    const timeSinceLastCall = Date.now() - lastCall.getTime();
-    const isAllowed = timeSinceLastCall >= RATE_LIMIT.minIntervalMs;
+    if (!budget.allowed && prefilterResult?.maxSeverity === 'CRITICAL') {
+        logger.warn('Daily LLM budget exhausted, calling anyway for CRITICAL triggers', {
+            spentUsd: budget.spentUsd,
+            budgetUsd: budget.budgetUsd
+        });
+    } else if (!budget.allowed) {
+        const minutesRemaining = Math.ceil((budget.resetsAt.getTime() - Date.now()) / (60 * 1000));
 
-    if (isAllowed) {
         return {
-            allowed: true,
-            timeSinceLastCall,
-            reason: 'Rate limit satisfied'
+            allowed: false,
+            budgetExhausted: true,
+            rule: 'budget',
+            budget,
+            minutesRemaining,
+            reason: `Daily LLM budget exhausted ($${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd.toFixed(2)}). Statistical-only until ${budget.resetsAt.toISOString()}`
         };
     }
 
-    const timeRemaining = RATE_LIMIT.minIntervalMs - timeSinceLastCall;
-    const minutesRemaining = Math.ceil(timeRemaining / (60 * 1000));
+    const lastCall = await getLastClaudeCallTime();
+    const decision = rateLimiter.evaluateCall(prefilterResult || { triggers: [], maxSeverity: 'LOW' }, lastCall);
 
     return {
-        allowed: false,
-        timeSinceLastCall,
-        timeRemaining,
-        minutesRemaining,
-        reason: `Rate limited. ${minutesRemaining} minutes until next allowed call`
+        ...decision,
+        timeSinceLastCall: lastCall ? Date.now() - lastCall.getTime() : null
     };
 }
 
@@ -201,6 +234,63 @@ async function getRecentSentiment() {
     }
 }
 
+/**
+ * Get the whale snapshot taken in the same collection cycle as the current data point
+ * Older snapshots are ignored so a stalled whale tracker does not keep re-reporting a move
+ * @param {object} currentData - Latest data point
+ * @returns {Promise<Array>} whale_wallets rows (empty when there is no current snapshot)
+ */
+async function getCurrentWhales(currentData) {
+    try {
+        // Ranked whales plus any that dropped out of the top list this cycle
+        const whales = await queries.getCurrentTopWhales(WHALE_SNAPSHOT_LIMIT);
+        const cycleTime = new Date(currentData.timestamp).getTime();
+
+        return whales.filter(whale => Math.abs(new Date(whale.timestamp).getTime() - cycleTime) <= 60 * 1000);
+
+    } catch (error) {
+        logger.warn('Failed to get whale data', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Run change-point detection and return regime shifts recorded in this cycle
+ * Failures are logged and treated as "no new shifts" so detection can continue
+ * @returns {Promise<Array>} New change points
+ */
+async function getNewChangePoints() {
+    try {
+        return await runChangePointDetection();
+    } catch (error) {
+        logger.warn('Change-point detection failed', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Update incident lifecycle after a pre-filter cycle and broadcast resolutions
+ * Failures are logged so incident bookkeeping cannot stop detection
+ * @param {object} prefilterResult - Pre-filter analysis result
+ * @returns {Promise<void>}
+ */
+async function resolveRecoveredIncidents(prefilterResult) {
+    try {
+        const resolved = await updateIncidentResolution(prefilterResult);
+
+        if (resolved.length > 0) {
+            try {
+                const { broadcastIncidentUpdated } = require('../api/websocket');
+                resolved.forEach(incident => broadcastIncidentUpdated(incident));
+            } catch (wsError) {
+                logger.debug('WebSocket broadcast skipped (server may not be running)');
+            }
+        }
+    } catch (error) {
+        logger.warn('Failed to update incident resolution', { error: error.message });
+    }
+}
+
 /**
  * Main anomaly detection function
  * Orchestrates the entire detection flow
@@ -229,8 +319,8 @@ async function detectAnomalies() {
             peg: currentData.eeth_eth_ratio
         });
 
-        // 2. Get baseline statistics
-        const baselineStats = await getBaselineStatistics(30);
+        // 2. Get baseline statistics (with the seasonal bucket for this data point)
+        const baselineStats = await getBaselineStatistics(30, false, currentData.timestamp);
 
         // Require minimum 48 data points (4 hours) for reliable automatic detection
         const MIN_DATA_POINTS = 48;
@@ -255,14 +345,18 @@ async function detectAnomalies() {
             });
         }
 
-        // 3. Get recent sentiment data
+        // 3. Get recent sentiment and whale data, the trend window and new regime shifts
         const sentimentData = await getRecentSentiment();
+        const whaleData = await getCurrentWhales(currentData);
+        const recentData = await queries.getTimeSeriesData(TREND_WINDOW_HOURS);
+        const changePoints = await getNewChangePoints();
 
         // 4. Run statistical pre-filter
         const prefilterResult = await analyzeStatisticalAnomalies(
             currentData,
             baselineStats,
-            sentimentData
+            sentimentData,
+            { recentData, changePoints, whaleData }
         );
 
         // 5. Store pre-filter result in database
@@ -272,6 +366,9 @@ async function detectAnomalies() {
             baselineStats
         );
 
+        // 5b. Count clear cycles on open incidents and auto-resolve recovered ones
+        await resolveRecoveredIncidents(prefilterResult);
+
         logger.info('Pre-filter analysis completed', {
             isAnomalous: prefilterResult.isAnomalous,
             shouldCallClaude: prefilterResult.shouldCallClaude,
@@ -291,13 +388,18 @@ async function detectAnomalies() {
             };
         }
 
-        // 7. Check rate limiting
-        const rateLimitStatus = await checkRateLimit();
+        // 7. Check rate limiting; suppressed triggers are queued for the next call
+        const rateLimitStatus = await checkRateLimit(prefilterResult);
 
         if (!rateLimitStatus.allowed) {
-            logger.info('Claude call rate limited', {
+            rateLimiter.enqueueSuppressed(prefilterResult, rateLimitStatus.rule);
+
+            logger[rateLimitStatus.budgetExhausted ? 'warn' : 'info']('Claude call rate limited', {
+                rule: rateLimitStatus.rule,
+                maxSeverity: prefilterResult.maxSeverity,
                 reason: rateLimitStatus.reason,
-                minutesRemaining: rateLimitStatus.minutesRemaining
+                minutesRemaining: rateLimitStatus.minutesRemaining,
+                queued: rateLimiter.getQueuedTriggers().length
             });
 
             return {
@@ -305,35 +407,45 @@ async function detectAnomalies() {
                 prefilterResult,
                 claudeCalled: false,
                 rateLimited: true,
+                statisticalOnly: !!rateLimitStatus.budgetExhausted,
                 reason: rateLimitStatus.reason,
                 minutesRemaining: rateLimitStatus.minutesRemaining,
                 duration: Date.now() - startTime
             };
         }
 
-        // 8. Get recent data for Claude analysis (last 20 points ~ 100 minutes)
-        const recentData = await queries.getTimeSeriesData(2); // Last 2 hours
-        const recentDataSample = recentData.slice(0, 20);
+        // 8. Reuse the trend window for Claude analysis (latest 20 points ~ 100 minutes)
+        const recentDataSample = recentData.slice(-20);
+
+        // Triggers suppressed since the last call ride along as context
+        const queuedTriggers = rateLimiter.getQueuedTriggers();
 
         logger.info('Calling Claude for analysis', {
-            recentDataPoints: recentDataSample.length
+            recentDataPoints: recentDataSample.length,
+            rule: rateLimitStatus.rule,
+            queuedTriggers: queuedTriggers.length
         });
 
         // 9. Call Claude for analysis
         const claudeResult = await analyzeWithClaude(
-            prefilterResult,
+            { ...prefilterResult, queuedTriggers },
             recentDataSample,
-            baselineStats
+            baselineStats,
+            { currentData }
         );
 
-        // 10. Update rate limit timestamp
+        // 10. Update rate limit state; a failed analysis keeps the queue and is not
+        // fingerprinted, so the same trigger set is not coalesced without an analysis
         RATE_LIMIT.lastClaudeCall = new Date();
+        if (claudeResult.success) {
+            rateLimiter.recordCall(prefilterResult, RATE_LIMIT.lastClaudeCall);
+            rateLimiter.clearQueue();
+        }
 
         // 11. Update trigger record with anomaly IDs
         if (claudeResult.success && claudeResult.anomalies && claudeResult.anomalies.length > 0) {
-            const firstAnomalyId = claudeResult.anomalies[0].id;
             if (triggerRecord) {
-                await updateTriggerWithAnomaly(triggerRecord.id, firstAnomalyId);
+                await updateTriggerWithAnomalies(triggerRecord.id, claudeResult.anomalies.map(a => a.id));
             }
 
             logger.info('Claude analysis successful', {
@@ -353,6 +465,12 @@ async function detectAnomalies() {
                 logger.debug('WebSocket broadcast skipped (server may not be running)');
             }
             // ====== END PHASE 7 ======
+
+            // Outbound alerts (webhook, Slack, Discord, email) - not awaited so
+            // delivery retries never hold up the detection cycle
+            dispatchAnomalyAlerts(claudeResult.anomalies).catch(error => {
+                logger.error('Alert dispatch failed', { error: error.message });
+            });
         } else {
             logger.warn('Claude analysis completed but returned no anomalies or failed', {
                 success: claudeResult.success,
@@ -419,7 +537,7 @@ async function getDetectionStats() {
                 lastClaudeCall: stats.last_claude_call ? stats.last_claude_call.toISOString() : null
             },
             rateLimit: {
-                minIntervalMinutes: RATE_LIMIT.minIntervalMs / (60 * 1000),
+                ...rateLimiter.getLimiterState(),
                 lastCall: RATE_LIMIT.lastClaudeCall
             }
         };
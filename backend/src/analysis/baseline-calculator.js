@@ -1,12 +1,46 @@
 /**
  * Baseline Statistics Calculator (Phase 5D)
  * Calculates 30-day baseline statistics for anomaly detection
+ * Alongside the flat baseline it keeps hour-of-day / day-of-week buckets and an EWMA baseline
  * Caches results to avoid recalculation on every check
  */
 
 const db = require('../database/db-connection');
 const logger = require('../utils/logger');
 
+/**
+ * Metrics tracked by seasonal and EWMA baselines
+ * Keys match the prefixes used by the flat baseline (tvl_avg, gas_stddev, ...)
+ */
+const SEASONAL_METRICS = {
+    tvl: 'tvl_eth',
+    peg: 'eeth_eth_ratio',
+    gas: 'avg_gas_price_gwei',
+    queue_size: 'queue_size',
+    deposits: 'deposits_24h',
+    withdrawals: 'withdrawals_24h'
+};
+
+/**
+ * Metrics in the joint (covariance) baseline used for Mahalanobis scoring
+ */
+const MULTIVARIATE_METRICS = ['tvl', 'peg', 'gas', 'queue_size', 'withdrawals'];
+
+/**
+ * Minimum samples a seasonal bucket needs before it replaces the global baseline
+ */
+const MIN_SEASONAL_SAMPLES = 24;
+
+/**
+ * Scale factor turning MAD into a stddev-equivalent spread
+ */
+const MAD_SCALE_FACTOR = 1.4826;
+
+/**
+ * EWMA smoothing factor (span of one day of 5-minute points)
+ */
+const EWMA_ALPHA = 2 / (288 + 1);
+
 /**
  * In-memory cache for baseline statistics
  * Recalculated every 5 minutes during active data collection
@@ -99,8 +133,19 @@ async function calculateBaselineFromDB(days = 30) {
         const sentimentResult = await db.query(sentimentQuery);
         const sentimentStats = sentimentResult.rows[0];
 
+        // Robust (median/MAD), seasonal (hour-of-day / day-of-week) and EWMA baselines
+        const [robust, seasonal, ewma, multivariate] = await Promise.all([
+            calculateRobustBaseline(days),
+            calculateSeasonalBaselines(days),
+            calculateEWMABaseline(days),
+            calculateCovarianceBaseline(days)
+        ]);
+
         // Combine all statistics
         const baseline = {
+            // Median/MAD statistics for every metric (robust scoring)
+            ...robust,
+
             // TVL statistics
             tvl_avg: parseFloat(timeSeriesStats.tvl_avg) || 0,
             tvl_stddev: parseFloat(timeSeriesStats.tvl_stddev) || 0,
@@ -138,6 +183,11 @@ async function calculateBaselineFromDB(days = 30) {
             positive_pct: parseFloat(sentimentStats.positive_pct) || 0,
             total_tweets: parseInt(sentimentStats.total_tweets) || 0,
 
+            // Seasonal, EWMA and joint (covariance) baselines
+            seasonal,
+            ewma,
+            multivariate,
+
             // Metadata
             data_points: parseInt(timeSeriesStats.data_points) || 0,
             period_days: days,
@@ -162,19 +212,294 @@ async function calculateBaselineFromDB(days = 30) {
     }
 }
 
+/**
+ * Query mean/stddev and median/MAD per metric, grouped by a bucket expression
+ * MAD (median absolute deviation) is computed against each bucket's own median
+ * @param {string} bucketExpression - SQL expression yielding the bucket key
+ * @param {number} days - Number of days to include in baseline
+ * @returns {Promise<object>} Stats keyed by bucket ({ data_points, tvl_avg, tvl_stddev, tvl_median, tvl_mad, ... })
+ */
+async function queryBucketStats(bucketExpression, days) {
+    const entries = Object.entries(SEASONAL_METRICS);
+
+    const baseColumns = entries.map(([, column]) => column).join(', ');
+    const medianColumns = entries.map(([prefix, column]) => `
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${column}) as ${prefix}_median`).join(',');
+    const statColumns = entries.map(([prefix, column]) => `
+                AVG(b.${column}) as ${prefix}_avg,
+                STDDEV(b.${column}) as ${prefix}_stddev,
+                MAX(m.${prefix}_median) as ${prefix}_median,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ABS(b.${column} - m.${prefix}_median)) as ${prefix}_mad`).join(',');
+
+    const query = `
+            WITH base AS (
+                SELECT ${bucketExpression} as bucket, ${baseColumns}
+                FROM time_series_data
+                WHERE timestamp > NOW() - INTERVAL '${days} days'
+                    AND data_source IN ('historical_loader', 'blockchain_collector')
+                    AND collection_status = 'success'
+            ),
+            medians AS (
+                SELECT bucket,${medianColumns}
+                FROM base
+                GROUP BY bucket
+            )
+            SELECT
+                b.bucket,
+                COUNT(*) as data_points,${statColumns}
+            FROM base b
+            JOIN medians m ON m.bucket = b.bucket
+            GROUP BY b.bucket
+        `;
+
+    const result = await db.query(query);
+
+    return result.rows.reduce((buckets, row) => {
+        const stats = { data_points: parseInt(row.data_points) || 0 };
+        entries.forEach(([prefix]) => {
+            ['avg', 'stddev', 'median', 'mad'].forEach(stat => {
+                stats[`${prefix}_${stat}`] = parseFloat(row[`${prefix}_${stat}`]) || 0;
+            });
+        });
+        buckets[parseInt(row.bucket)] = stats;
+        return buckets;
+    }, {});
+}
+
+/**
+ * Calculate seasonal baselines grouped by hour of day and day of week
+ * @param {number} days - Number of days to include in baseline
+ * @returns {Promise<object>} { hourOfDay: { 0..23: stats }, dayOfWeek: { 0..6: stats } }
+ */
+async function calculateSeasonalBaselines(days = 30) {
+    const [hourOfDay, dayOfWeek] = await Promise.all([
+        queryBucketStats('EXTRACT(HOUR FROM timestamp)::int', days),
+        queryBucketStats('EXTRACT(DOW FROM timestamp)::int', days)
+    ]);
+
+    return { hourOfDay, dayOfWeek };
+}
+
+/**
+ * Calculate global median and MAD for every tracked metric
+ * @param {number} days - Number of days to include in baseline
+ * @returns {Promise<object>} { tvl_median, tvl_mad, peg_median, peg_mad, ... }
+ */
+async function calculateRobustBaseline(days = 30) {
+    const buckets = await queryBucketStats('0', days);
+    const stats = buckets[0] || {};
+    const robust = {};
+
+    Object.keys(SEASONAL_METRICS).forEach(prefix => {
+        robust[`${prefix}_median`] = stats[`${prefix}_median`] || 0;
+        robust[`${prefix}_mad`] = stats[`${prefix}_mad`] || 0;
+    });
+
+    return robust;
+}
+
+/**
+ * Calculate exponentially weighted moving average baselines
+ * Recent data weighs more, so the baseline follows slow trends
+ * @param {number} days - Number of days to include in baseline
+ * @returns {Promise<object>} { alpha, tvl_avg, tvl_stddev, ... }
+ */
+async function calculateEWMABaseline(days = 30) {
+    const columns = Object.values(SEASONAL_METRICS).join(', ');
+    const query = `
+        SELECT ${columns}
+        FROM time_series_data
+        WHERE timestamp > NOW() - INTERVAL '${days} days'
+            AND data_source IN ('historical_loader', 'blockchain_collector')
+            AND collection_status = 'success'
+        ORDER BY timestamp ASC
+    `;
+
+    const result = await db.query(query);
+    const ewma = { alpha: EWMA_ALPHA };
+
+    Object.entries(SEASONAL_METRICS).forEach(([prefix, column]) => {
+        let mean = null;
+        let variance = 0;
+
+        result.rows.forEach(row => {
+            const value = parseFloat(row[column]);
+            if (isNaN(value)) return;
+
+            if (mean === null) {
+                mean = value;
+                return;
+            }
+
+            const diff = value - mean;
+            mean += EWMA_ALPHA * diff;
+            variance = (1 - EWMA_ALPHA) * (variance + EWMA_ALPHA * diff * diff);
+        });
+
+        ewma[`${prefix}_avg`] = mean || 0;
+        ewma[`${prefix}_stddev`] = Math.sqrt(variance);
+    });
+
+    return ewma;
+}
+
+/**
+ * Calculate the mean vector and covariance matrix of the multivariate metrics
+ * Only rows where every metric is present are used, so all pairs share one sample
+ * @param {number} days - Number of days to include in baseline
+ * @returns {Promise<object>} { metrics, columns, mean, covariance, data_points }
+ */
+async function calculateCovarianceBaseline(days = 30) {
+    const columns = MULTIVARIATE_METRICS.map(prefix => SEASONAL_METRICS[prefix]);
+
+    const aggregates = [];
+    columns.forEach((column, i) => {
+        aggregates.push(`AVG(${column}) as mean_${i}`);
+        for (let j = i; j < columns.length; j++) {
+            aggregates.push(`COVAR_SAMP(${column}, ${columns[j]}) as cov_${i}_${j}`);
+        }
+    });
+
+    const query = `
+        SELECT
+            ${aggregates.join(',\n            ')},
+            COUNT(*) as data_points
+        FROM time_series_data
+        WHERE timestamp > NOW() - INTERVAL '${days} days'
+            AND data_source IN ('historical_loader', 'blockchain_collector')
+            AND collection_status = 'success'
+            AND ${columns.map(column => `${column} IS NOT NULL`).join(' AND ')}
+    `;
+
+    const result = await db.query(query);
+    const row = result.rows[0] || {};
+
+    const mean = columns.map((_, i) => parseFloat(row[`mean_${i}`]) || 0);
+    const covariance = columns.map((_, i) => columns.map((__, j) => {
+        const key = i <= j ? `cov_${i}_${j}` : `cov_${j}_${i}`;
+        return parseFloat(row[key]) || 0;
+    }));
+
+    return {
+        metrics: [...MULTIVARIATE_METRICS],
+        columns,
+        mean,
+        covariance,
+        data_points: parseInt(row.data_points) || 0
+    };
+}
+
+/**
+ * Select the seasonal buckets matching a timestamp
+ * Uses local hours/days, matching how node-postgres reads TIMESTAMP columns
+ * @param {object} baseline - Baseline statistics with seasonal data
+ * @param {Date|string} timestamp - Timestamp to match
+ * @returns {object|null} { hour, dayOfWeek, hourOfDay: stats|null, dayOfWeekStats: stats|null }
+ */
+function selectSeasonalBucket(baseline, timestamp = new Date()) {
+    if (!baseline?.seasonal) {
+        return null;
+    }
+
+    const date = new Date(timestamp);
+    const hour = date.getHours();
+    const dayOfWeek = date.getDay();
+
+    return {
+        hour,
+        dayOfWeek,
+        hourOfDay: baseline.seasonal.hourOfDay[hour] || null,
+        dayOfWeekStats: baseline.seasonal.dayOfWeek[dayOfWeek] || null
+    };
+}
+
+/**
+ * Resolve the baseline centre/scale to score a metric against
+ * Prefers the hour-of-day bucket, then day-of-week, then the flat 30-day baseline
+ * Classic scoring uses mean/stddev; robust scoring uses median/MAD
+ * (falls back to classic when the MAD is zero, e.g. a perfectly flat peg)
+ * @param {object} baselineStats - Baseline returned by getBaselineStatistics
+ * @param {string} prefix - Metric prefix (tvl, peg, gas, queue_size, deposits, withdrawals)
+ * @param {string} method - 'classic' or 'robust'
+ * @returns {object} { center, scale, source, samples, method }
+ */
+function getMetricBaseline(baselineStats, prefix, method = 'classic') {
+    if (method === 'robust') {
+        const robust = resolveBaseline(baselineStats, prefix, 'median', 'mad');
+        if (robust.scale > 0) {
+            // 1.4826 * MAD is a consistent estimator of stddev for normal data
+            return { ...robust, scale: robust.scale * MAD_SCALE_FACTOR, method: 'robust' };
+        }
+    }
+
+    return { ...resolveBaseline(baselineStats, prefix, 'avg', 'stddev'), method: 'classic' };
+}
+
+/**
+ * Pick the most specific bucket that has enough samples for a centre/scale pair
+ * @param {object} baselineStats - Baseline statistics
+ * @param {string} prefix - Metric prefix
+ * @param {string} centerKey - 'avg' or 'median'
+ * @param {string} scaleKey - 'stddev' or 'mad'
+ * @returns {object} { center, scale, source, samples }
+ */
+function resolveBaseline(baselineStats, prefix, centerKey, scaleKey) {
+    const bucket = baselineStats.seasonalBucket;
+    const candidates = [
+        { source: 'hour_of_day', stats: bucket?.hourOfDay },
+        { source: 'day_of_week', stats: bucket?.dayOfWeekStats }
+    ];
+
+    for (const { source, stats } of candidates) {
+        if (stats && stats.data_points >= MIN_SEASONAL_SAMPLES && stats[`${prefix}_${scaleKey}`] > 0) {
+            return {
+                center: stats[`${prefix}_${centerKey}`],
+                scale: stats[`${prefix}_${scaleKey}`],
+                source,
+                samples: stats.data_points
+            };
+        }
+    }
+
+    return {
+        center: baselineStats[`${prefix}_${centerKey}`],
+        scale: baselineStats[`${prefix}_${scaleKey}`] || 0,
+        source: 'global',
+        samples: baselineStats.data_points
+    };
+}
+
+/**
+ * Score a value against the resolved baseline for a metric
+ * @param {number} value - Current value
+ * @param {object} baselineStats - Baseline statistics
+ * @param {string} prefix - Metric prefix
+ * @param {string} method - 'classic' or 'robust'
+ * @returns {object} { zScore, baseline }
+ */
+function scoreMetric(value, baselineStats, prefix, method = 'classic') {
+    const baseline = getMetricBaseline(baselineStats, prefix, method);
+    return {
+        zScore: calculateZScore(value, baseline.center, baseline.scale),
+        baseline
+    };
+}
+
 /**
  * Get baseline statistics (with caching)
  * Returns cached data if calculated today, otherwise recalculates
+ * The seasonal bucket matching `timestamp` is attached as `seasonalBucket`
  * @param {number} days - Number of days for baseline (default: 30)
  * @param {boolean} forceRefresh - Force recalculation even if cache valid
+ * @param {Date|string} timestamp - Timestamp to select the seasonal bucket for (default: now)
  * @returns {Promise<object>} Baseline statistics
  */
-async function getBaselineStatistics(days = 30, forceRefresh = false) {
+async function getBaselineStatistics(days = 30, forceRefresh = false, timestamp = new Date()) {
     try {
         // Return cached data if valid and not forcing refresh
         if (!forceRefresh && isCacheValid()) {
             logger.debug('Using cached baseline statistics');
-            return baselineCache.data;
+            return withSeasonalBucket(baselineCache.data, timestamp);
         }
 
         // Calculate new baseline
@@ -187,7 +512,7 @@ async function getBaselineStatistics(days = 30, forceRefresh = false) {
             calculatedAt: Date.now()
         };
 
-        return baseline;
+        return withSeasonalBucket(baseline, timestamp);
 
     } catch (error) {
         logger.error('Failed to get baseline statistics', { error: error.message });
@@ -195,13 +520,26 @@ async function getBaselineStatistics(days = 30, forceRefresh = false) {
         // Return cached data if available, even if stale
         if (baselineCache.data) {
             logger.warn('Using stale cached baseline due to error');
-            return baselineCache.data;
+            return withSeasonalBucket(baselineCache.data, timestamp);
         }
 
         throw error;
     }
 }
 
+/**
+ * Attach the seasonal bucket for a timestamp without mutating the cached baseline
+ * @param {object} baseline - Baseline statistics
+ * @param {Date|string} timestamp - Timestamp to match
+ * @returns {object} Baseline with seasonalBucket
+ */
+function withSeasonalBucket(baseline, timestamp) {
+    return {
+        ...baseline,
+        seasonalBucket: selectSeasonalBucket(baseline, timestamp)
+    };
+}
+
 /**
  * Calculate z-score for a value
  * @param {number} value - Current value
@@ -245,7 +583,16 @@ function getCacheStatus() {
 module.exports = {
     getBaselineStatistics,
     calculateBaselineFromDB,
+    calculateSeasonalBaselines,
+    calculateRobustBaseline,
+    calculateEWMABaseline,
+    calculateCovarianceBaseline,
+    selectSeasonalBucket,
+    getMetricBaseline,
+    scoreMetric,
     calculateZScore,
     clearCache,
-    getCacheStatus
+    getCacheStatus,
+    MIN_SEASONAL_SAMPLES,
+    MULTIVARIATE_METRICS
 };
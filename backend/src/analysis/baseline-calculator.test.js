@@ -0,0 +1,91 @@
+/**
+ * Baseline Calculator tests: seasonal buckets and robust (median/MAD) scoring
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { selectSeasonalBucket, getMetricBaseline } = require('./baseline-calculator');
+const detectorRegistry = require('./detector-registry');
+const { analyzeStatisticalAnomalies, getThresholds } = require('./statistical-prefilter');
+
+afterEach(() => detectorRegistry.resetDetectors());
+
+test('seasonal baseline suppresses routine gas levels for the hour', async () => {
+    const thresholds = getThresholds();
+    const timestamp = new Date();
+    const globalBaseline = {
+        gas_avg: 5, gas_stddev: 2,
+        data_points: 8640
+    };
+    // Afternoon congestion is routine: this hour normally sits around 11 gwei
+    const seasonalBaseline = {
+        ...globalBaseline,
+        seasonal: {
+            hourOfDay: { [timestamp.getHours()]: { data_points: 360, gas_avg: 11, gas_stddev: 2 } },
+            dayOfWeek: {}
+        }
+    };
+    seasonalBaseline.seasonalBucket = selectSeasonalBucket(seasonalBaseline, timestamp);
+
+    assert.equal(getMetricBaseline(seasonalBaseline, 'gas').source, 'hour_of_day');
+
+    const data = { timestamp, avg_gas_price_gwei: 12 };
+    const globalResult = await analyzeStatisticalAnomalies(data, globalBaseline, null, { thresholds });
+    const seasonalResult = await analyzeStatisticalAnomalies(data, seasonalBaseline, null, { thresholds });
+
+    assert.equal(globalResult.isAnomalous, true);
+    assert.equal(seasonalResult.isAnomalous, false);
+});
+
+test('robust scoring flags a drop hidden by an outlier-inflated stddev', async () => {
+    const thresholds = getThresholds();
+    // A single near-zero seed row drags the mean down and inflates the stddev,
+    // while the median/MAD still describe the normal ~10M ETH range
+    const baselineStats = {
+        tvl_avg: 9000000, tvl_stddev: 3000000,
+        tvl_median: 10000000, tvl_mad: 50000,
+        data_points: 8640
+    };
+    const currentData = { timestamp: new Date(), tvl_eth: 9500000 };
+    const context = { currentData, baselineStats, thresholds };
+    const tvlDetector = detectorRegistry.getDetector('tvl');
+
+    assert.equal(detectorRegistry.runDetector(tvlDetector, { ...context, scoring: 'classic' }), null);
+    assert.equal(detectorRegistry.runDetector(tvlDetector, { ...context, scoring: 'robust' })?.scoringMethod, 'robust');
+
+    // Classic by default; operators opt in per detector through the registry
+    const classic = await analyzeStatisticalAnomalies(currentData, baselineStats, null, { thresholds });
+    detectorRegistry.setDetectorScoring('tvl', 'robust');
+    const overridden = await analyzeStatisticalAnomalies(currentData, baselineStats, null, { thresholds });
+    detectorRegistry.setDetectorScoring('tvl', null);
+    const restored = await analyzeStatisticalAnomalies(currentData, baselineStats, null, { thresholds });
+
+    assert.equal(classic.isAnomalous, false);
+    assert.ok(overridden.triggers.some(t => t.metric === 'tvl' && t.scoringMethod === 'robust'));
+    assert.equal(restored.isAnomalous, false);
+});
+
+test('DETECTOR_SCORING opts detectors into robust scoring', () => {
+    process.env.DETECTOR_SCORING = 'tvl=robust, queue=robust, unknown=robust, gas=fancy';
+    try {
+        detectorRegistry.resetDetectors();
+    } finally {
+        delete process.env.DETECTOR_SCORING;
+    }
+
+    const scoring = Object.fromEntries(detectorRegistry.listDetectors().map(d => [d.name, d.scoring]));
+    assert.deepEqual([scoring.tvl, scoring.queue, scoring.withdrawals, scoring.gas], ['robust', 'robust', 'classic', 'classic']);
+});
+
+test('robust scoring falls back to classic without median/MAD', () => {
+    const tvlDetector = detectorRegistry.getDetector('tvl');
+    const fallback = detectorRegistry.runDetector(tvlDetector, {
+        currentData: { timestamp: new Date(), tvl_eth: 9500000 },
+        baselineStats: { tvl_avg: 10000000, tvl_stddev: 100000, data_points: 8640 },
+        thresholds: getThresholds(),
+        scoring: 'robust'
+    });
+
+    assert.equal(fallback?.scoringMethod, 'classic');
+});
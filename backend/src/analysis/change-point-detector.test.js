@@ -0,0 +1,51 @@
+/**
+ * Change-Point Detector tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectCusumChanges, CHANGE_POINT_METRICS } = require('./change-point-detector');
+const { analyzeStatisticalAnomalies, getThresholds } = require('./statistical-prefilter');
+
+const now = Date.now();
+// 12 hours of TVL around 10M ETH, then a 0.5% step down 4 hours ago
+const series = Array.from({ length: 144 }, (_, i) => ({
+    timestamp: new Date(now - (143 - i) * 5 * 60 * 1000),
+    value: (i < 96 ? 10000000 : 9950000) + (i % 3 - 1) * 2000
+}));
+const minSigma = CHANGE_POINT_METRICS.tvl_eth.minSigma;
+
+test('CUSUM finds one downward shift near its onset', () => {
+    const changes = detectCusumChanges(series, { minSigma });
+
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].direction, 'down');
+
+    const onsetIndex = series.findIndex(p => p.timestamp.getTime() === changes[0].changeAt.getTime());
+    assert.ok(Math.abs(onsetIndex - 96) <= 2, `onset estimated at point ${onsetIndex}, expected ~96`);
+});
+
+test('a stable series has no change points', () => {
+    assert.deepEqual(detectCusumChanges(series.slice(0, 96), { minSigma }), []);
+});
+
+test('a recorded TVL drop reaches the pre-filter as a HIGH regime_shift trigger', async () => {
+    const [change] = detectCusumChanges(series, { minSigma });
+    const changePoints = [{
+        metric: 'tvl_eth',
+        direction: 'down',
+        change_at: change.changeAt,
+        before_mean: change.beforeMean,
+        after_mean: change.afterMean,
+        magnitude_pct: -0.5
+    }];
+    const result = await analyzeStatisticalAnomalies(
+        { timestamp: new Date(now) },
+        { data_points: 8640 },
+        null,
+        { thresholds: getThresholds(), changePoints }
+    );
+
+    assert.equal(result.triggers.find(t => t.metric === 'regime_shift')?.severity, 'HIGH');
+});
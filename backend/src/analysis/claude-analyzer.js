@@ -2,22 +2,25 @@
  * Claude Analysis Engine (Phase 5B)
  * Sends anomaly data to Claude API for expert analysis
  * Only called when statistical pre-filter triggers anomaly
+ *
+ * The prompt is answered by the provider selected in llm-provider.js
+ * (Claude, the offline rule-based analyst, or recorded fixtures). Providers
+ * that support tool use run an agentic loop in which the model can query
+ * history through analyst-tools.js; every tool call is stored with the anomaly
  */
 
 require('dotenv').config({ path: require('path').join(__dirname, '../../../.env') });
 
-const Anthropic = require('@anthropic-ai/sdk');
 const db = require('../database/db-connection');
 const queries = require('../database/queries');
+const llmProvider = require('./llm-provider');
+const promptTemplates = require('./prompt-templates');
+const { recordUsage } = require('./llm-usage');
+const { getToolDefinitions, executeTool } = require('./analyst-tools');
+const { ANALYSIS_SCHEMA, extractJson, validateAnalysis, salvageAnalysis } = require('./analysis-schema');
+const { attachToIncident } = require('./incident-manager');
 const logger = require('../utils/logger');
 
-/**
- * Initialize Anthropic client
- */
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY
-});
-
 /**
  * API Configuration
  */
@@ -26,17 +29,33 @@ const CONFIG = {
     maxTokens: 2000,
     maxRetries: 3,
     retryDelay: 2000, // 2 seconds
-    timeout: 30000    // 30 seconds
+    timeout: 30000,   // 30 seconds
+    toolUse: process.env.ANALYST_TOOL_USE !== 'false',
+    maxToolTurns: parseInt(process.env.ANALYST_MAX_TOOL_TURNS || '5')
 };
 
 /**
- * Construct prompt for Claude analysis
+ * Format a USD amount compactly ($9.41B, $350.2M)
+ * @param {*} value - Amount in USD
+ * @returns {string} Formatted amount, or 'USD value unavailable'
+ */
+function formatUsd(value) {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount)) return 'USD value unavailable';
+    if (amount >= 1e9) return `$${(amount / 1e9).toFixed(2)}B`;
+    if (amount >= 1e6) return `$${(amount / 1e6).toFixed(1)}M`;
+    return `$${amount.toFixed(0)}`;
+}
+
+/**
+ * Fill the prompt template variables from live data
  * @param {object} triggerData - Pre-filter trigger data
- * @param {Array} recentData - Recent time-series data points
+ * @param {Array} recentData - Recent time-series data points (oldest first)
  * @param {object} baselineStats - Baseline statistics
- * @returns {string} Formatted prompt
+ * @param {object} options - { tools, currentData: latest data point (defaults to the newest recent point) }
+ * @returns {object} Variables by template placeholder name
  */
-function constructPrompt(triggerData, recentData, baselineStats) {
+function buildPromptVariables(triggerData, recentData, baselineStats, options = {}) {
     // Format triggers for display
     const triggersText = triggerData.triggers.map(t => {
         return `  - ${t.metric.toUpperCase()}: ${t.severity} severity
@@ -46,8 +65,24 @@ function constructPrompt(triggerData, recentData, baselineStats) {
     Reason: ${t.reason}`;
     }).join('\n\n');
 
-    // Format recent data (last 10 points for readability)
-    const recentDataSample = recentData.slice(0, 10).map(d => {
+    // Triggers the rate limiter held back since the last analysis
+    const queued = triggerData.queuedTriggers || [];
+    const queuedText = queued.length > 0
+        ? `\n\n  Also seen since the last analysis (rate limited, not analyzed yet):\n${queued.map(q =>
+            `  - ${q.metric.toUpperCase()}: ${q.severity} x${q.count} between ${q.firstSeen} and ${q.lastSeen}` +
+            `${q.lastValue !== null && q.lastValue !== undefined ? ` (last ${q.lastValue})` : ''} - ${q.reason}`).join('\n')}`
+        : '';
+
+    // Joint (Mahalanobis) score of the current point across all tracked metrics
+    const multivariate = triggerData.multivariateScore;
+    const multivariateText = multivariate
+        ? `- Mahalanobis distance: ${multivariate.distance.toFixed(2)} across ${multivariate.dimensions} metrics (${multivariate.metrics.join(', ')})
+- Contribution by metric: ${multivariate.contributions.map(c => `${c.metric} ${(c.share * 100).toFixed(0)}%`).join(', ')}
+- Reference: distances above ~4 are rare (<1%) for normally co-moving metrics`
+        : '- Not available (insufficient baseline data)';
+
+    // Format recent data (latest 10 points for readability, oldest first)
+    const recentDataSample = recentData.slice(-10).map(d => {
         return {
             timestamp: d.timestamp,
             tvl_eth: d.tvl_eth ? parseFloat(d.tvl_eth).toFixed(2) : null,
@@ -63,190 +98,345 @@ function constructPrompt(triggerData, recentData, baselineStats) {
         ? `\n⚠️ WARNING: Limited baseline data (${baselineStats.data_points} points). Analysis confidence may be lower.`
         : '';
 
-    const prompt = `You are an autonomous anomaly detection system for EtherFi, a major Ethereum liquid staking protocol.
-
-PROTOCOL CONTEXT:
-EtherFi allows users to stake ETH and receive eETH (liquid staking token) that maintains ~1:1 peg with ETH.
-Current TVL: ~$9.4B USD. Users can deposit, withdraw, and use eETH in DeFi while earning staking rewards.
-
-BASELINE DATA (30-day normal patterns):${dataWarning}
-- TVL Average: ${baselineStats.tvl_avg.toFixed(2)} ETH (StdDev: ±${(baselineStats.tvl_stddev || 0).toFixed(2)})
-- TVL Range: ${baselineStats.tvl_min.toFixed(2)} - ${baselineStats.tvl_max.toFixed(2)} ETH
-- Peg Average: ${baselineStats.peg_avg.toFixed(6)} (StdDev: ±${(baselineStats.peg_stddev || 0).toFixed(6)})
-- Peg Range: ${(baselineStats.peg_min || 0).toFixed(6)} - ${(baselineStats.peg_max || 0).toFixed(6)}
-- Gas Average: ${baselineStats.gas_avg.toFixed(2)} gwei (StdDev: ±${(baselineStats.gas_stddev || 0).toFixed(2)})
-- Sentiment Average: ${baselineStats.sentiment_avg.toFixed(3)} score (${(baselineStats.positive_pct * 100).toFixed(1)}% positive)
-- Data Period: ${baselineStats.period_days} days (${baselineStats.data_points} data points)
-
-STATISTICAL TRIGGERS DETECTED:
-${triggersText}
-
-RECENT DATA (last 10 data points):
-${JSON.stringify(recentDataSample, null, 2)}
-
-YOUR TASK:
-Analyze this situation as an expert DeFi risk analyst. Consider:
-
-1. Pattern Analysis: What is breaking from baseline? Is this within normal variance or significant?
-
-2. Multi-Signal Correlation: Are multiple metrics moving together? What does this suggest?
-
-3. Contextual Assessment: Given EtherFi's role as a liquid staking protocol:
-   - Is this likely user behavior, market movement, or protocol issue?
-   - Does this pattern match historical DeFi events (Luna, Celsius, USDC depeg, etc.)?
-
-4. Severity Classification:
-   - LOW: Minor deviation, likely normal variance
-   - MEDIUM: Notable pattern, worth monitoring
-   - HIGH: Significant anomaly, potential risk
-   - CRITICAL: Protocol-threatening pattern, immediate attention
-
-5. Confidence Level: Based on data quality, pattern clarity, and historical precedent
-
-6. Actionable Recommendations: What should protocol users consider?
-
-Return ONLY valid JSON (no markdown, no explanations outside JSON):
-{
-  "anomalies": [
-    {
-      "type": "peg_deviation|tvl_change|whale_movement|sentiment_shift|gas_spike|multi_signal|queue_spike|unusual_pattern",
-      "severity": "LOW|MEDIUM|HIGH|CRITICAL",
-      "confidence": 0.75,
-      "title": "Brief descriptive title (max 60 chars)",
-      "description": "Detailed 2-3 sentence explanation of what's happening and why it matters",
-      "affectedMetrics": ["tvl", "peg", "sentiment"],
-      "recommendation": "Specific actionable advice for users",
-      "historicalComparison": "Similar past DeFi events or 'No clear precedent'",
-      "correlations": ["List specific metric correlations observed"],
-      "timeframe": "Expected duration or resolution timeframe",
-      "riskLevel": "Protocol risk assessment"
-    }
-  ],
-  "overallAssessment": "1-2 sentence summary of current protocol health",
-  "riskLevel": "LOW|MEDIUM|HIGH|CRITICAL",
-  "keyFindings": ["3-5 brief bullet points of key observations"],
-  "recommendations": ["2-4 actionable recommendations for users/operators"],
-  "monitoringPriority": "What to watch most closely in next cycles",
-  "falseAlarmProbability": 0.2
-}`;
-
-    return prompt;
+    // Live protocol state: explicit current point, else the newest recent point, else the baseline
+    const current = options.currentData || recentData.reduce((latest, d) =>
+        !latest || new Date(d.timestamp) > new Date(latest.timestamp) ? d : latest, null) || {};
+    const currentTvl = parseFloat(current.tvl_eth ?? baselineStats.tvl_avg);
+    const currentPeg = parseFloat(current.eeth_eth_ratio ?? baselineStats.peg_avg);
+
+    return {
+        data_warning: dataWarning,
+        tvl_avg: baselineStats.tvl_avg.toFixed(2),
+        tvl_stddev: (baselineStats.tvl_stddev || 0).toFixed(2),
+        tvl_min: baselineStats.tvl_min.toFixed(2),
+        tvl_max: baselineStats.tvl_max.toFixed(2),
+        peg_avg: baselineStats.peg_avg.toFixed(6),
+        peg_stddev: (baselineStats.peg_stddev || 0).toFixed(6),
+        peg_min: (baselineStats.peg_min || 0).toFixed(6),
+        peg_max: (baselineStats.peg_max || 0).toFixed(6),
+        gas_avg: baselineStats.gas_avg.toFixed(2),
+        gas_stddev: (baselineStats.gas_stddev || 0).toFixed(2),
+        sentiment_avg: baselineStats.sentiment_avg.toFixed(3),
+        positive_pct: (baselineStats.positive_pct * 100).toFixed(1),
+        period_days: baselineStats.period_days,
+        data_points: baselineStats.data_points,
+        current_tvl_eth: Number.isFinite(currentTvl) ? currentTvl.toFixed(2) : 'N/A',
+        current_tvl_usd: formatUsd(current.tvl_usd),
+        current_peg: Number.isFinite(currentPeg) ? currentPeg.toFixed(6) : 'N/A',
+        as_of: current.timestamp ? new Date(current.timestamp).toISOString() : 'baseline average',
+        triggers: triggersText + queuedText,
+        multivariate: multivariateText,
+        recent_count: recentDataSample.length,
+        recent_data: JSON.stringify(recentDataSample, null, 2),
+        tools_section: options.tools ? `
+TOOLS:
+The data above is a summary. You can call tools to pull more history: metric ranges before
+the trigger, whale holder balances, social sentiment samples and past anomalies of the same
+type with their triage outcome (past false positives are strong evidence of a false alarm).
+Call only what you need (at most ${CONFIG.maxToolTurns} rounds), then give your final answer.
+` : ''
+    };
+}
+
+/**
+ * Construct prompt for Claude analysis from the versioned template
+ * @param {object} triggerData - Pre-filter trigger data
+ * @param {Array} recentData - Recent time-series data points
+ * @param {object} baselineStats - Baseline statistics
+ * @param {object} options - { tools, currentData, version: prompt template (defaults to PROMPT_VERSION) }
+ * @returns {string} Formatted prompt
+ */
+function constructPrompt(triggerData, recentData, baselineStats, options = {}) {
+    const version = options.version || promptTemplates.getActiveVersion();
+    const variables = buildPromptVariables(triggerData, recentData, baselineStats, options);
+
+    return promptTemplates.renderTemplate(promptTemplates.loadTemplate(version), variables);
 }
 
 /**
- * Call Claude API with retry logic
- * @param {string} prompt - Formatted prompt
+ * Call the configured LLM provider with retry logic
+ * The call is recorded in llm_usage once it succeeds or runs out of retries
+ * @param {object} request - { prompt, triggerData, recentData, baselineStats, purpose: analysis|tool_turn|repair|evaluation }
  * @param {number} attempt - Current attempt number
- * @returns {Promise<object>} Claude's response
+ * @returns {Promise<object>} { text, model, usage, stopReason, provider, latencyMs }
  */
-async function callClaudeAPI(prompt, attempt = 1) {
+async function callClaudeAPI(request, attempt = 1) {
+    const started = Date.now();
+
     try {
-        logger.debug('Calling Claude API', { attempt, model: CONFIG.model });
+        logger.debug('Calling LLM provider', { attempt, model: CONFIG.model });
 
-        const response = await anthropic.messages.create({
+        const response = await llmProvider.complete({
+            ...request,
             model: CONFIG.model,
-            max_tokens: CONFIG.maxTokens,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ]
+            maxTokens: CONFIG.maxTokens
         });
+        const latencyMs = Date.now() - started;
 
-        // Extract text content
-        const textContent = response.content.find(c => c.type === 'text');
-        if (!textContent) {
-            throw new Error('No text content in Claude response');
-        }
-
-        logger.info('Claude API call successful', {
+        logger.info('LLM call successful', {
+            provider: response.provider,
             model: response.model,
             usage: response.usage,
-            stopReason: response.stop_reason
+            latencyMs,
+            stopReason: response.stopReason
         });
 
-        return textContent.text;
+        await recordUsage({
+            provider: response.provider,
+            model: response.model || CONFIG.model,
+            purpose: request.purpose,
+            usage: response.usage,
+            latencyMs,
+            retries: attempt - 1,
+            success: true
+        });
+
+        return { ...response, latencyMs };
 
     } catch (error) {
-        logger.error('Claude API call failed', {
+        logger.error('LLM call failed', {
             attempt,
             error: error.message,
             type: error.type
         });
 
         // Check if we should retry
-        if (attempt < CONFIG.maxRetries) {
+        if (error.retryable !== false && attempt < CONFIG.maxRetries) {
             const delay = CONFIG.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
             logger.info(`Retrying in ${delay}ms`, { attempt: attempt + 1 });
 
             await new Promise(resolve => setTimeout(resolve, delay));
-            return callClaudeAPI(prompt, attempt + 1);
+            return callClaudeAPI(request, attempt + 1);
         }
 
+        await recordUsage({
+            provider: llmProvider.getProviderConfig().provider,
+            model: CONFIG.model,
+            purpose: request.purpose,
+            latencyMs: Date.now() - started,
+            retries: attempt - 1,
+            success: false,
+            error: error.message
+        });
+
         throw error;
     }
 }
 
 /**
- * Parse and validate Claude's JSON response
- * @param {string} responseText - Raw response from Claude
- * @returns {object} Parsed and validated analysis
+ * Run the analysis as a tool-use conversation
+ * The model may call analyst tools for up to CONFIG.maxToolTurns rounds before answering
+ * @param {object} request - { prompt, triggerData, recentData, baselineStats }
+ * @returns {Promise<object>} Final provider response plus toolCalls ([{ turn, name, input, isError, durationMs, result }])
  */
-function parseClaudeResponse(responseText) {
-    try {
-        // Remove markdown code blocks if present
-        let cleanedText = responseText.trim();
-        if (cleanedText.startsWith('```json')) {
-            cleanedText = cleanedText.replace(/```json\n?/g, '').replace(/```\n?$/g, '');
-        } else if (cleanedText.startsWith('```')) {
-            cleanedText = cleanedText.replace(/```\n?/g, '');
-        }
+async function runAnalystLoop(request) {
+    const tools = getToolDefinitions();
+    const messages = [{ role: 'user', content: request.prompt }];
+    const toolCalls = [];
+
+    for (let turn = 1; ; turn++) {
+        const response = await callClaudeAPI({
+            ...request,
+            messages,
+            tools,
+            purpose: turn === 1 ? request.purpose : 'tool_turn'
+        });
 
-        // Parse JSON
-        const analysis = JSON.parse(cleanedText);
+        if (response.stopReason !== 'tool_use' || !response.toolCalls?.length) {
+            return { ...response, toolCalls };
+        }
 
-        // Validate structure
-        if (!analysis.anomalies || !Array.isArray(analysis.anomalies)) {
-            throw new Error('Invalid response structure: missing anomalies array');
+        if (turn > CONFIG.maxToolTurns) {
+            const error = new Error(`Analyst kept calling tools after ${CONFIG.maxToolTurns} rounds`);
+            error.retryable = false;
+            throw error;
         }
 
-        // Validate each anomaly
-        analysis.anomalies.forEach((anomaly, index) => {
-            const required = ['type', 'severity', 'confidence', 'title', 'description'];
-            required.forEach(field => {
-                if (!anomaly[field]) {
-                    throw new Error(`Anomaly ${index} missing required field: ${field}`);
-                }
+        const results = [];
+        for (const call of response.toolCalls) {
+            const result = await executeTool(call.name, call.input);
+
+            logger.info('Analyst tool call', {
+                turn,
+                tool: call.name,
+                input: call.input,
+                isError: result.isError,
+                durationMs: result.durationMs
             });
 
-            // Validate severity
-            const validSeverities = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
-            if (!validSeverities.includes(anomaly.severity)) {
-                logger.warn(`Invalid severity: ${anomaly.severity}, defaulting to MEDIUM`);
-                anomaly.severity = 'MEDIUM';
-            }
+            toolCalls.push({
+                turn,
+                name: call.name,
+                input: call.input,
+                isError: result.isError,
+                durationMs: result.durationMs,
+                result: result.content
+            });
 
-            // Validate confidence
-            if (typeof anomaly.confidence !== 'number' || anomaly.confidence < 0 || anomaly.confidence > 1) {
-                logger.warn(`Invalid confidence: ${anomaly.confidence}, defaulting to 0.5`);
-                anomaly.confidence = 0.5;
-            }
-        });
+            results.push({
+                type: 'tool_result',
+                tool_use_id: call.id,
+                content: result.content,
+                ...(result.isError && { is_error: true })
+            });
+        }
 
-        logger.info('Claude response parsed successfully', {
-            anomalyCount: analysis.anomalies.length
-        });
+        // Out of rounds: the next response must be the final answer
+        if (turn === CONFIG.maxToolTurns) {
+            results.push({ type: 'text', text: 'Tool budget exhausted. Return the final JSON analysis now.' });
+        }
 
-        return analysis;
+        messages.push({ role: 'assistant', content: response.content });
+        messages.push({ role: 'user', content: results });
+    }
+}
 
+/**
+ * Parse and validate Claude's JSON response against ANALYSIS_SCHEMA
+ * @param {string} responseText - Raw response from Claude
+ * @returns {object} Parsed and validated analysis
+ * @throws {Error} With validationErrors ([{ path, message }]) and parsed (if JSON parsed)
+ */
+function parseClaudeResponse(responseText) {
+    let analysis;
+
+    try {
+        analysis = extractJson(responseText);
     } catch (error) {
         logger.error('Failed to parse Claude response', {
             error: error.message,
-            responseText: responseText.substring(0, 200)
+            responseText: String(responseText || '').substring(0, 200)
+        });
+        const parseError = new Error(`JSON parsing failed: ${error.message}`);
+        parseError.validationErrors = [{ path: '/', message: error.message }];
+        parseError.parsed = null;
+        throw parseError;
+    }
+
+    const { valid, errors } = validateAnalysis(analysis);
+
+    if (!valid) {
+        logger.warn('Claude response failed schema validation', {
+            errors: errors.slice(0, 5)
+        });
+        const validationError = new Error(`Schema validation failed: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        validationError.validationErrors = errors;
+        validationError.parsed = analysis;
+        throw validationError;
+    }
+
+    logger.info('Claude response parsed successfully', {
+        anomalyCount: analysis.anomalies.length
+    });
+
+    return analysis;
+}
+
+/**
+ * Construct the follow-up prompt asking the model to fix an invalid response
+ * @param {string} responseText - Invalid response
+ * @param {Array} errors - Validation errors
+ * @returns {string} Repair prompt
+ */
+function constructRepairPrompt(responseText, errors) {
+    return `Your previous response to an EtherFi anomaly analysis request did not match the required JSON schema.
+
+VALIDATION ERRORS:
+${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}
+
+REQUIRED JSON SCHEMA:
+${JSON.stringify(ANALYSIS_SCHEMA, null, 2)}
+
+YOUR PREVIOUS RESPONSE:
+${responseText}
+
+Return ONLY the corrected JSON object (no markdown, no explanations). Keep your original analysis; change only what is needed to satisfy the schema.`;
+}
+
+/**
+ * Record a response that failed validation (never throws)
+ * @param {object} failure - Row for analysis_validation_failures
+ */
+async function recordValidationFailure(failure) {
+    try {
+        await queries.insertValidationFailure(failure);
+    } catch (error) {
+        logger.error('Failed to record analysis validation failure', { error: error.message });
+    }
+}
+
+/**
+ * Call the provider and return a schema-valid analysis
+ * An invalid response gets one repair round-trip; if the repair is still invalid,
+ * the individually valid anomalies are kept. Every failure is recorded unless
+ * request.recordFailures is false (offline prompt evaluation)
+ * @param {object} request - { prompt, triggerData, recentData, baselineStats, useTools, recordFailures }
+ * @returns {Promise<object>} { analysis, response, toolCalls }
+ */
+async function getValidatedAnalysis(request) {
+    const response = request.useTools
+        ? await runAnalystLoop(request)
+        : await callClaudeAPI(request);
+    const toolCalls = response.toolCalls || [];
+
+    const record = request.recordFailures === false
+        ? async () => {}
+        : recordValidationFailure;
+
+    let firstError;
+    try {
+        return { analysis: parseClaudeResponse(response.text), response, toolCalls };
+    } catch (error) {
+        firstError = error;
+    }
+
+    const failure = {
+        provider: response.provider,
+        model: response.model,
+        errors: firstError.validationErrors,
+        response_text: response.text,
+        trigger_summary: {
+            maxSeverity: request.triggerData?.maxSeverity || null,
+            metrics: (request.triggerData?.triggers || []).map(t => t.metric)
+        }
+    };
+
+    logger.warn('Attempting analysis repair round-trip', { errorCount: firstError.validationErrors.length });
+
+    let lastParsed = firstError.parsed;
+    try {
+        const repairResponse = await callClaudeAPI({
+            ...request,
+            prompt: constructRepairPrompt(response.text, firstError.validationErrors),
+            purpose: 'repair'
         });
-        throw new Error(`JSON parsing failed: ${error.message}`);
+        failure.repair_response = repairResponse.text;
+
+        try {
+            const analysis = parseClaudeResponse(repairResponse.text);
+            await record({ ...failure, outcome: 'repaired' });
+            logger.info('Analysis repaired after validation failure');
+            return { analysis, response: repairResponse, toolCalls };
+        } catch (repairError) {
+            failure.repair_errors = repairError.validationErrors;
+            lastParsed = repairError.parsed || lastParsed;
+        }
+    } catch (callError) {
+        failure.repair_errors = [{ path: '/', message: `Repair call failed: ${callError.message}` }];
+    }
+
+    const salvaged = salvageAnalysis(lastParsed);
+    await record({ ...failure, outcome: salvaged ? 'salvaged' : 'failed' });
+
+    if (!salvaged) {
+        throw firstError;
     }
+
+    logger.warn('Keeping valid anomalies from an invalid analysis', {
+        kept: salvaged.anomalies.length,
+        total: lastParsed.anomalies.length
+    });
+    return { analysis: salvaged, response, toolCalls };
 }
 
 /**
@@ -271,8 +461,13 @@ async function storeAnalysisResults(analysis, triggerData, metadata = {}) {
                 affected_metrics: anomaly.affectedMetrics || [],
                 recommendation: anomaly.recommendation || null,
                 historical_comparison: anomaly.historicalComparison || null,
+                prompt_version: metadata.promptVersion || null,
                 claude_analysis: {
                     fullAnalysis: analysis,
+                    provider: metadata.provider || null,
+                    model: metadata.model || null,
+                    promptVersion: metadata.promptVersion || null,
+                    toolCalls: metadata.toolCalls || [],
                     correlations: anomaly.correlations || [],
                     timeframe: anomaly.timeframe || null,
                     riskLevel: anomaly.riskLevel || null,
@@ -283,12 +478,27 @@ async function storeAnalysisResults(analysis, triggerData, metadata = {}) {
                 raw_data: {
                     triggers: triggerData.triggers,
                     maxSeverity: triggerData.maxSeverity,
+                    multivariateScore: triggerData.multivariateScore || null,
+                    queuedTriggers: triggerData.queuedTriggers || [],
                     summary: triggerData.summary
                 },
                 status: 'active'
             };
 
             const inserted = await queries.insertAnomaly(anomalyData);
+
+            // Group repeated detections of the same problem into one incident
+            try {
+                const { incident, isRepeat } = await attachToIncident(inserted);
+                inserted.incident_id = incident.id;
+                inserted.incident_repeat = isRepeat;
+            } catch (incidentError) {
+                logger.warn('Failed to attach anomaly to incident', {
+                    anomalyId: inserted.id,
+                    error: incidentError.message
+                });
+            }
+
             insertedAnomalies.push(inserted);
 
             logger.info('Anomaly stored in database', {
@@ -314,9 +524,10 @@ async function storeAnalysisResults(analysis, triggerData, metadata = {}) {
  * @param {object} triggerData - Pre-filter trigger results
  * @param {Array} recentData - Recent time-series data
  * @param {object} baselineStats - Baseline statistics
+ * @param {object} options - { currentData: latest data point for the live protocol context }
  * @returns {Promise<object>} Analysis results with database IDs
  */
-async function analyzeWithClaude(triggerData, recentData, baselineStats) {
+async function analyzeWithClaude(triggerData, recentData, baselineStats, options = {}) {
     try {
         logger.info('Starting Claude analysis', {
             triggerCount: triggerData.triggers.length,
@@ -324,26 +535,44 @@ async function analyzeWithClaude(triggerData, recentData, baselineStats) {
         });
 
         // 1. Construct prompt
-        const prompt = constructPrompt(triggerData, recentData, baselineStats);
-
-        // 2. Call Claude API
-        const responseText = await callClaudeAPI(prompt);
+        const useTools = CONFIG.toolUse && llmProvider.supportsTools();
+        const promptVersion = promptTemplates.getActiveVersion();
+        const prompt = constructPrompt(triggerData, recentData, baselineStats, {
+            tools: useTools,
+            currentData: options.currentData,
+            version: promptVersion
+        });
 
-        // 3. Parse response
-        const analysis = parseClaudeResponse(responseText);
+        // 2-3. Call the LLM provider (with tools if supported) and validate, repairing if needed
+        const { analysis, response, toolCalls } = await getValidatedAnalysis({
+            prompt,
+            triggerData,
+            recentData,
+            baselineStats,
+            useTools
+        });
 
         // 4. Store in database
         const storedAnomalies = await storeAnalysisResults(analysis, triggerData, {
-            detectedAt: triggerData.timestamp
+            detectedAt: triggerData.timestamp,
+            provider: response.provider,
+            model: response.model,
+            promptVersion,
+            toolCalls
         });
 
         logger.info('Claude analysis completed successfully', {
             anomaliesDetected: storedAnomalies.length,
+            toolCalls: toolCalls.length,
             overallAssessment: analysis.overallAssessment
         });
 
         return {
             success: true,
+            provider: response.provider,
+            model: response.model,
+            promptVersion,
+            toolCalls,
             analysis,
             anomalies: storedAnomalies,
             timestamp: new Date()
@@ -371,6 +600,8 @@ async function analyzeWithClaude(triggerData, recentData, baselineStats) {
 function getConfig() {
     return {
         ...CONFIG,
+        provider: llmProvider.getProviderConfig().provider,
+        promptVersion: promptTemplates.getActiveVersion(),
         hasApiKey: !!process.env.ANTHROPIC_API_KEY
     };
 }
@@ -378,6 +609,9 @@ function getConfig() {
 module.exports = {
     analyzeWithClaude,
     constructPrompt,
+    buildPromptVariables,
     parseClaudeResponse,
+    getValidatedAnalysis,
+    runAnalystLoop,
     getConfig
 };
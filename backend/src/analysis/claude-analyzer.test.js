@@ -0,0 +1,162 @@
+/**
+ * Claude Analyzer tests: schema validation, repair, salvage and the tool-use loop
+ * The model is stubbed through llm-provider (no API key or database required)
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const llmProvider = require('./llm-provider');
+const { parseClaudeResponse, getValidatedAnalysis, runAnalystLoop } = require('./claude-analyzer');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+const originalComplete = llmProvider.complete;
+afterEach(() => {
+    llmProvider.complete = originalComplete;
+});
+
+const anomaly = {
+    type: 'peg_deviation',
+    severity: 'HIGH',
+    confidence: 0.8,
+    title: 'eETH below peg',
+    description: 'eETH trading 1.3% below ETH.'
+};
+const valid = { anomalies: [anomaly], overallAssessment: 'Peg under pressure', riskLevel: 'HIGH' };
+const request = { prompt: 'analyze', triggerData: { maxSeverity: 'HIGH', triggers: [{ metric: 'peg' }] } };
+
+/**
+ * Stub the model with a fixed list of replies and record validation failures
+ * @param {string[]} replies - Response texts, one per call
+ * @returns {object} { recorded, restore }
+ */
+function scriptModel(replies) {
+    const recorded = [];
+    llmProvider.complete = async () => ({ text: replies.shift(), provider: 'stub', model: 'stub-model' });
+    const restore = stubQueries(queries, {
+        insertValidationFailure: async (failure) => { recorded.push(failure); return failure; }
+    });
+    return { recorded, restore };
+}
+
+test('fenced output, lower-case severity and numeric strings are accepted without repair', () => {
+    const lenient = parseClaudeResponse('Here you go:\n```json\n' +
+        JSON.stringify({ ...valid, riskLevel: 'high', anomalies: [{ ...anomaly, confidence: '0.8' }] }) + '\n```');
+
+    assert.equal(lenient.riskLevel, 'HIGH');
+    assert.equal(lenient.anomalies[0].confidence, 0.8);
+});
+
+test('an invalid analysis is fixed by the repair round-trip', async () => {
+    const { recorded, restore } = scriptModel([
+        JSON.stringify({ anomalies: [{ ...anomaly, severity: 'URGENT' }], overallAssessment: 'Peg under pressure' }),
+        JSON.stringify(valid)
+    ]);
+
+    try {
+        const repaired = await getValidatedAnalysis(request);
+
+        assert.equal(repaired.analysis.riskLevel, 'HIGH');
+        assert.equal(recorded[0]?.outcome, 'repaired');
+    } finally {
+        restore();
+    }
+});
+
+test('valid anomalies are salvaged when the repair is still invalid', async () => {
+    const { recorded, restore } = scriptModel([
+        JSON.stringify({ anomalies: [anomaly, { type: 'peg_deviation' }] }),
+        'Sorry, I cannot help with that.'
+    ]);
+
+    try {
+        const salvaged = await getValidatedAnalysis(request);
+
+        assert.equal(recorded[0]?.outcome, 'salvaged');
+        assert.equal(salvaged.analysis.anomalies.length, 1);
+        assert.ok(salvaged.analysis.salvaged);
+    } finally {
+        restore();
+    }
+});
+
+test('an unusable response fails and records the repair errors', async () => {
+    const { recorded, restore } = scriptModel(['not json', 'still not json']);
+
+    try {
+        await assert.rejects(getValidatedAnalysis(request));
+
+        assert.equal(recorded[0]?.outcome, 'failed');
+        assert.ok(recorded[0].repair_errors);
+    } finally {
+        restore();
+    }
+});
+
+test('tool calls are answered and the final analysis is returned', async () => {
+    const requests = [];
+    const final = {
+        anomalies: [{ type: 'peg_deviation', severity: 'MEDIUM', confidence: 0.6, title: 'eETH below peg', description: 'Repeat of a past false alarm.' }],
+        overallAssessment: 'Minor peg discount', riskLevel: 'MEDIUM'
+    };
+    const restore = stubQueries(queries, {
+        getAnomaliesByType: async (type) => [
+            { id: 7, anomaly_type: type, severity: 'HIGH', confidence: '0.80', title: 'eETH below peg', status: 'false_positive', user_acknowledged: true, detected_at: new Date('2026-02-20T10:00:00Z') }
+        ]
+    });
+
+    // Turn 1: two tool calls (one invalid); turn 2: final answer
+    llmProvider.complete = async (modelRequest) => {
+        requests.push(JSON.parse(JSON.stringify(modelRequest)));
+        if (requests.length === 1) {
+            const toolCalls = [
+                { id: 'call_1', name: 'get_past_anomalies', input: { anomaly_type: 'peg_deviation', days: 30 } },
+                { id: 'call_2', name: 'query_time_series', input: { start: 'yesterday' } }
+            ];
+            return {
+                text: '',
+                content: toolCalls.map(c => ({ type: 'tool_use', ...c })),
+                toolCalls,
+                stopReason: 'tool_use',
+                provider: 'stub'
+            };
+        }
+        return { text: JSON.stringify(final), content: [{ type: 'text', text: JSON.stringify(final) }], toolCalls: [], stopReason: 'end_turn', provider: 'stub' };
+    };
+
+    try {
+        const { analysis, toolCalls } = await getValidatedAnalysis({ prompt: 'analyze', triggerData: { triggers: [] }, useTools: true });
+
+        assert.equal(requests.length, 2);
+        assert.ok(requests[0].tools?.some(t => t.name === 'get_past_anomalies'));
+
+        const results = requests[1].messages[2].content;
+        assert.ok(results.find(r => r.tool_use_id === 'call_1')?.content.includes('false_positive'));
+        assert.ok(results.find(r => r.tool_use_id === 'call_2')?.is_error);
+
+        assert.deepEqual(toolCalls.map(call => call.isError), [false, true]);
+        assert.equal(analysis.riskLevel, 'MEDIUM');
+    } finally {
+        restore();
+    }
+});
+
+test('a model that never stops calling tools is cut off', async () => {
+    const restore = stubQueries(queries, {
+        getRecentSentiment: async () => [],
+        getSentimentSummary: async () => ({ total_tweets: '0' })
+    });
+    llmProvider.complete = async () => ({
+        text: '',
+        content: [{ type: 'tool_use', id: 'loop', name: 'get_sentiment_samples', input: {} }],
+        toolCalls: [{ id: 'loop', name: 'get_sentiment_samples', input: {} }],
+        stopReason: 'tool_use'
+    });
+
+    try {
+        await assert.rejects(runAnalystLoop({ prompt: 'analyze', triggerData: { triggers: [] }, useTools: true }));
+    } finally {
+        restore();
+    }
+});
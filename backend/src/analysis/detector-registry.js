@@ -0,0 +1,377 @@
+/**
+ * Detector Registry
+ * Holds the metric checks run by the statistical pre-filter
+ * Detectors can be registered, enabled/disabled and re-ordered at runtime
+ *
+ * Detector interface:
+ *   name          {string}   Unique name, also used as the trigger metric
+ *   description   {string}   Human-readable summary (optional)
+ *   inputs        {string[]} currentData fields that must be present
+ *   baselineKeys  {string[]} baselineStats fields that must be present
+ *   scoring       {string}   Default z-score method: 'classic' (mean/stddev) or 'robust' (median/MAD) (optional)
+ *   isApplicable  {Function} (context) => boolean, overrides the inputs/baselineKeys check (optional)
+ *   tuning        {object}   { threshold, measure } for false-positive tuning: the threshold key that gates
+ *                            the detector and (trigger) => number reading the compared value back from a stored trigger (optional)
+ *   severity      {Function} (context) => 'LOW'|'MEDIUM'|'HIGH'|'CRITICAL'|null
+ *   buildTrigger  {Function} (context, severity) => trigger object ({ metric, severity, reason, ... })
+ *
+ * Context passed to detectors: { currentData, baselineStats, sentimentData, whaleData, recentData, changePoints,
+ *                               multivariateScore, thresholds, scoring }
+ * recentData holds the last TREND_WINDOW_HOURS of points (oldest first) for the trend detectors
+ * changePoints holds regime shifts recorded by the change-point detector in this cycle
+ * whaleData holds this cycle's whale_wallets snapshot (empty when whales are not tracked yet)
+ * multivariateScore is the Mahalanobis score of currentData (null when the covariance baseline is unusable)
+ * Triggers record the method that produced them as `scoringMethod` ('threshold' when no z-score was used)
+ *
+ * Built-in detectors score with 'classic'. Operators opt individual detectors into robust
+ * scoring with DETECTOR_SCORING (e.g. "tvl=robust,queue=robust") or setDetectorScoring()
+ */
+
+const logger = require('../utils/logger');
+
+const VALID_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const SCORING_METHODS = ['classic', 'robust'];
+
+/**
+ * Built-in detectors, in their default evaluation order
+ */
+const DEFAULT_DETECTORS = [
+    require('./detectors/tvl-detector'),
+    require('./detectors/tvl-velocity-detector'),
+    require('./detectors/peg-detector'),
+    require('./detectors/peg-zscore-detector'),
+    require('./detectors/peg-trend-detector'),
+    require('./detectors/gas-detector'),
+    require('./detectors/queue-detector'),
+    require('./detectors/queue-growth-detector'),
+    require('./detectors/withdrawal-detector'),
+    require('./detectors/whale-movement-detector'),
+    require('./detectors/regime-shift-detector'),
+    require('./detectors/multivariate-detector'),
+    require('./detectors/sentiment-detector')
+];
+
+/**
+ * Registered detectors keyed by name
+ * Each entry: { detector, enabled, order, scoring }
+ */
+const registry = new Map();
+
+/**
+ * Validate a detector against the common interface
+ * @param {object} detector - Detector module
+ */
+function validateDetector(detector) {
+    if (!detector || typeof detector.name !== 'string' || !detector.name) {
+        throw new Error('Detector must have a non-empty name');
+    }
+    if (typeof detector.severity !== 'function') {
+        throw new Error(`Detector ${detector.name} must implement severity(context)`);
+    }
+    if (typeof detector.buildTrigger !== 'function') {
+        throw new Error(`Detector ${detector.name} must implement buildTrigger(context, severity)`);
+    }
+    if (detector.inputs !== undefined && !Array.isArray(detector.inputs)) {
+        throw new Error(`Detector ${detector.name} inputs must be an array`);
+    }
+    if (detector.baselineKeys !== undefined && !Array.isArray(detector.baselineKeys)) {
+        throw new Error(`Detector ${detector.name} baselineKeys must be an array`);
+    }
+    if (detector.scoring !== undefined && !SCORING_METHODS.includes(detector.scoring)) {
+        throw new Error(`Detector ${detector.name} scoring must be one of: ${SCORING_METHODS.join(', ')}`);
+    }
+    if (detector.tuning !== undefined &&
+        (typeof detector.tuning?.threshold !== 'string' || typeof detector.tuning?.measure !== 'function')) {
+        throw new Error(`Detector ${detector.name} tuning must have a threshold key and a measure(trigger) function`);
+    }
+}
+
+/**
+ * Register a detector
+ * @param {object} detector - Detector implementing the common interface
+ * @param {object} options - { enabled = true, order = end of list, scoring = detector default, replace = false }
+ * @returns {object} Registered entry
+ */
+function registerDetector(detector, options = {}) {
+    validateDetector(detector);
+
+    if (registry.has(detector.name) && !options.replace) {
+        throw new Error(`Detector already registered: ${detector.name}`);
+    }
+
+    const existing = registry.get(detector.name);
+    const entry = {
+        detector,
+        enabled: options.enabled !== undefined ? !!options.enabled : (existing ? existing.enabled : true),
+        order: options.order !== undefined ? options.order : (existing ? existing.order : nextOrder()),
+        scoring: options.scoring || null
+    };
+
+    if (entry.scoring && !SCORING_METHODS.includes(entry.scoring)) {
+        throw new Error(`Invalid scoring method: ${entry.scoring}`);
+    }
+
+    registry.set(detector.name, entry);
+    logger.debug('Detector registered', { name: detector.name, enabled: entry.enabled, order: entry.order });
+
+    return entry;
+}
+
+/**
+ * Remove a detector from the registry
+ * @param {string} name - Detector name
+ * @returns {boolean} True if a detector was removed
+ */
+function unregisterDetector(name) {
+    return registry.delete(name);
+}
+
+/**
+ * Next free order slot (appends to the end)
+ * @returns {number} Order value
+ */
+function nextOrder() {
+    let max = -1;
+    registry.forEach(entry => {
+        if (entry.order > max) max = entry.order;
+    });
+    return max + 1;
+}
+
+/**
+ * Get a registry entry or throw
+ * @param {string} name - Detector name
+ * @returns {object} Registry entry
+ */
+function getEntry(name) {
+    const entry = registry.get(name);
+    if (!entry) {
+        throw new Error(`Unknown detector: ${name}`);
+    }
+    return entry;
+}
+
+/**
+ * Enable a detector
+ * @param {string} name - Detector name
+ */
+function enableDetector(name) {
+    getEntry(name).enabled = true;
+    logger.info('Detector enabled', { name });
+}
+
+/**
+ * Disable a detector
+ * @param {string} name - Detector name
+ */
+function disableDetector(name) {
+    getEntry(name).enabled = false;
+    logger.info('Detector disabled', { name });
+}
+
+/**
+ * Override the z-score method used by a detector
+ * @param {string} name - Detector name
+ * @param {string|null} method - 'classic', 'robust', or null to restore the detector default
+ */
+function setDetectorScoring(name, method) {
+    if (method !== null && !SCORING_METHODS.includes(method)) {
+        throw new Error(`Invalid scoring method: ${method}`);
+    }
+    getEntry(name).scoring = method;
+    logger.info('Detector scoring updated', { name, method });
+}
+
+/**
+ * Resolve the scoring method an entry will run with
+ * @param {object} entry - Registry entry
+ * @returns {string} Scoring method
+ */
+function resolveScoring(entry) {
+    return entry.scoring || entry.detector.scoring || 'classic';
+}
+
+/**
+ * Set evaluation order
+ * Listed detectors run first in the given order, unlisted ones keep their relative order after them
+ * @param {string[]} names - Detector names
+ */
+function setDetectorOrder(names) {
+    names.forEach(name => getEntry(name));
+
+    const unlisted = sortedEntries()
+        .filter(entry => !names.includes(entry.detector.name))
+        .map(entry => entry.detector.name);
+
+    [...names, ...unlisted].forEach((name, index) => {
+        registry.get(name).order = index;
+    });
+}
+
+/**
+ * All registry entries sorted by order
+ * @returns {Array} Entries
+ */
+function sortedEntries() {
+    return Array.from(registry.values()).sort((a, b) => a.order - b.order);
+}
+
+/**
+ * List registered detectors with their status (for APIs/debugging)
+ * @returns {Array} Detector descriptions
+ */
+function listDetectors() {
+    return sortedEntries().map(entry => ({
+        name: entry.detector.name,
+        description: entry.detector.description || null,
+        inputs: entry.detector.inputs || [],
+        baselineKeys: entry.detector.baselineKeys || [],
+        enabled: entry.enabled,
+        order: entry.order,
+        scoring: resolveScoring(entry),
+        tuningThreshold: entry.detector.tuning?.threshold || null
+    }));
+}
+
+/**
+ * Get a registered detector by name
+ * @param {string} name - Detector name
+ * @returns {object|null} Detector module or null if not registered
+ */
+function getDetector(name) {
+    const entry = registry.get(name);
+    return entry ? entry.detector : null;
+}
+
+/**
+ * Get enabled detectors in evaluation order
+ * @returns {Array} Detector modules
+ */
+function getEnabledDetectors() {
+    return sortedEntries()
+        .filter(entry => entry.enabled)
+        .map(entry => entry.detector);
+}
+
+/**
+ * Check whether a detector has the data it needs
+ * @param {object} detector - Detector module
+ * @param {object} context - Detector context
+ * @returns {boolean} True if detector can run
+ */
+function isApplicable(detector, context) {
+    if (typeof detector.isApplicable === 'function') {
+        return detector.isApplicable(context);
+    }
+
+    const { currentData = {}, baselineStats = {} } = context;
+    const hasInputs = (detector.inputs || []).every(key => currentData[key]);
+    const hasBaseline = (detector.baselineKeys || []).every(key => baselineStats[key]);
+
+    return hasInputs && hasBaseline;
+}
+
+/**
+ * Run a single detector against a context
+ * @param {object} detector - Detector module
+ * @param {object} context - Detector context (scoring defaults to the detector's own method)
+ * @returns {object|null} Trigger or null if nothing detected
+ */
+function runDetector(detector, context) {
+    context = { scoring: detector.scoring || 'classic', ...context };
+
+    if (!isApplicable(detector, context)) {
+        return null;
+    }
+
+    const severity = detector.severity(context);
+    if (!severity) {
+        return null;
+    }
+
+    if (!VALID_SEVERITIES.includes(severity)) {
+        throw new Error(`Detector ${detector.name} returned invalid severity: ${severity}`);
+    }
+
+    const trigger = detector.buildTrigger(context, severity);
+
+    return {
+        metric: detector.name,
+        ...trigger,
+        severity,
+        scoringMethod: trigger.scoringMethod || 'threshold'
+    };
+}
+
+/**
+ * Run all enabled detectors in order
+ * A failing detector is logged and skipped so it cannot take down the pre-filter
+ * @param {object} context - { currentData, baselineStats, sentimentData, recentData, changePoints, thresholds }
+ * @returns {Array} Triggers
+ */
+function runDetectors(context) {
+    const triggers = [];
+
+    const entries = sortedEntries().filter(entry => entry.enabled);
+
+    for (const entry of entries) {
+        const { detector } = entry;
+        try {
+            const trigger = runDetector(detector, { ...context, scoring: resolveScoring(entry) });
+            if (trigger) {
+                triggers.push(trigger);
+            }
+        } catch (error) {
+            logger.error('Detector failed', {
+                detector: detector.name,
+                error: error.message
+            });
+        }
+    }
+
+    return triggers;
+}
+
+/**
+ * Apply scoring overrides from DETECTOR_SCORING ("name=method,...")
+ * Unknown detectors or methods are logged and skipped
+ * @param {string} spec - Override list
+ */
+function applyScoringOverrides(spec) {
+    (spec || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [name, method] = part.split('=').map(value => value.trim());
+        try {
+            setDetectorScoring(name, method);
+        } catch (error) {
+            logger.warn('Ignoring DETECTOR_SCORING entry', { entry: part, error: error.message });
+        }
+    });
+}
+
+/**
+ * Reset registry to the built-in detectors and the DETECTOR_SCORING overrides (useful for testing)
+ */
+function resetDetectors() {
+    registry.clear();
+    DEFAULT_DETECTORS.forEach(detector => registerDetector(detector));
+    applyScoringOverrides(process.env.DETECTOR_SCORING);
+}
+
+resetDetectors();
+
+module.exports = {
+    registerDetector,
+    unregisterDetector,
+    enableDetector,
+    disableDetector,
+    setDetectorOrder,
+    setDetectorScoring,
+    listDetectors,
+    getDetector,
+    getEnabledDetectors,
+    runDetector,
+    runDetectors,
+    resetDetectors,
+    VALID_SEVERITIES,
+    SCORING_METHODS
+};
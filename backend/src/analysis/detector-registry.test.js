@@ -0,0 +1,70 @@
+/**
+ * Detector Registry tests
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const detectorRegistry = require('./detector-registry');
+const { analyzeStatisticalAnomalies, getThresholds } = require('./statistical-prefilter');
+
+const baselineStats = {
+    tvl_avg: 1000, tvl_stddev: 10,
+    peg_avg: 1.0, peg_stddev: 0.0005,
+    gas_avg: 5,
+    queue_size_avg: 100, queue_size_stddev: 10,
+    withdrawals_avg: 50, withdrawals_stddev: 5
+};
+const anomalousData = {
+    timestamp: new Date(),
+    tvl_eth: 960,                // z = -4.0
+    eeth_eth_ratio: 0.988,       // 1.2% depeg
+    avg_gas_price_gwei: 25,
+    queue_size: 140,             // z = 4.0
+    withdrawals_24h: 70          // z = 4.0
+};
+const sentimentData = { negative_pct: 0.65, avg_sentiment: -0.4 };
+
+afterEach(() => detectorRegistry.resetDetectors());
+
+test('each detector scores the anomalous point on its own', () => {
+    const expected = {
+        tvl: 'CRITICAL',
+        peg: 'CRITICAL',
+        peg_zscore: null,
+        gas: 'HIGH',
+        queue: 'HIGH',
+        withdrawals: 'HIGH',
+        sentiment: 'HIGH'
+    };
+    const context = { currentData: anomalousData, baselineStats, sentimentData, thresholds: getThresholds() };
+
+    const severities = {};
+    for (const detector of detectorRegistry.getEnabledDetectors()) {
+        const trigger = detectorRegistry.runDetector(detector, context);
+        if (detector.name in expected) {
+            severities[detector.name] = trigger ? trigger.severity : null;
+        }
+    }
+
+    assert.deepEqual(severities, expected);
+});
+
+test('a disabled detector produces no trigger', async () => {
+    detectorRegistry.disableDetector('gas');
+    const result = await analyzeStatisticalAnomalies(anomalousData, baselineStats, sentimentData, { thresholds: getThresholds() });
+
+    assert.ok(result.isAnomalous);
+    assert.ok(!result.triggers.some(t => t.metric === 'gas'));
+});
+
+test('normal data produces no triggers', async () => {
+    const result = await analyzeStatisticalAnomalies(
+        { timestamp: new Date(), tvl_eth: 1002, eeth_eth_ratio: 1.0, avg_gas_price_gwei: 4, queue_size: 101, withdrawals_24h: 51 },
+        baselineStats,
+        null,
+        { thresholds: getThresholds() }
+    );
+
+    assert.equal(result.isAnomalous, false, result.summary);
+});
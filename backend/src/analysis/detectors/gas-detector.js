@@ -0,0 +1,63 @@
+/**
+ * Gas Price Detector
+ * Flags network congestion using absolute gas price levels (gwei)
+ * MEDIUM congestion is only reported when it is also unusual for the time of day,
+ * so routine weekday-afternoon gas does not fire every cycle
+ */
+
+const { scoreMetric } = require('../baseline-calculator');
+
+/**
+ * @param {object} context - Detector context
+ * @returns {object} { gas, zScore, baseline }
+ */
+function measure({ currentData, baselineStats, scoring }) {
+    const gas = parseFloat(currentData.avg_gas_price_gwei);
+    const { zScore, baseline } = scoreMetric(gas, baselineStats, 'gas', scoring);
+
+    return { gas, zScore, baseline };
+}
+
+module.exports = {
+    name: 'gas',
+    description: 'Absolute gas price congestion levels',
+    inputs: ['avg_gas_price_gwei'],
+    baselineKeys: [],
+    scoring: 'classic',
+    tuning: {
+        threshold: 'GAS_MEDIUM',
+        measure: trigger => parseFloat(trigger.currentValue)
+    },
+
+    severity(context) {
+        const { thresholds } = context;
+        const { gas, zScore, baseline } = measure(context);
+
+        if (gas >= thresholds.GAS_CRITICAL) return 'CRITICAL';
+        if (gas >= thresholds.GAS_HIGH) return 'HIGH';
+        if (gas >= thresholds.GAS_MEDIUM) {
+            const isSeasonal = baseline.source !== 'global';
+            return !isSeasonal || zScore >= thresholds.Z_SCORE_MEDIUM ? 'MEDIUM' : null;
+        }
+        return null;
+    },
+
+    buildTrigger(context, severity) {
+        const { gas, zScore, baseline } = measure(context);
+        const gasChange = baseline.center
+            ? ((gas - baseline.center) / baseline.center * 100)
+            : 0;
+
+        return {
+            metric: 'gas',
+            severity,
+            zScore: baseline.scale ? zScore.toFixed(2) : undefined,
+            currentValue: gas.toFixed(2),
+            baselineAvg: baseline.center?.toFixed(2) || 'N/A',
+            baselineSource: baseline.source,
+            scoringMethod: baseline.method,
+            deviation: gasChange ? `${gasChange >= 0 ? '+' : ''}${gasChange.toFixed(0)}%` : 'N/A',
+            reason: `Elevated gas prices indicating network congestion`
+        };
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Multivariate Detector
+ * Flags data points far from the joint distribution of TVL, peg, gas, queue
+ * and withdrawals (Mahalanobis distance), even when no single metric crosses
+ * its own threshold
+ */
+
+const { scoreMultivariate } = require('../multivariate-scorer');
+
+/**
+ * Use the score computed by the pre-filter, or compute it when run standalone
+ * @param {object} context - Detector context
+ * @returns {object|null} Multivariate score
+ */
+function getScore({ multivariateScore, currentData, baselineStats }) {
+    return multivariateScore !== undefined
+        ? multivariateScore
+        : scoreMultivariate(currentData, baselineStats);
+}
+
+module.exports = {
+    name: 'multivariate',
+    description: 'Joint deviation of TVL, peg, gas, queue and withdrawals (Mahalanobis distance)',
+    inputs: [],
+    baselineKeys: ['multivariate'],
+    tuning: {
+        threshold: 'MAHALANOBIS_MEDIUM',
+        measure: trigger => parseFloat(trigger.mahalanobisDistance)
+    },
+
+    severity(context) {
+        const { thresholds } = context;
+        const score = getScore(context);
+        if (!score) return null;
+
+        if (score.distance >= thresholds.MAHALANOBIS_CRITICAL) return 'CRITICAL';
+        if (score.distance >= thresholds.MAHALANOBIS_HIGH) return 'HIGH';
+        if (score.distance >= thresholds.MAHALANOBIS_MEDIUM) return 'MEDIUM';
+        return null;
+    },
+
+    buildTrigger(context, severity) {
+        const score = getScore(context);
+        const topContributors = score.contributions
+            .filter(c => c.share > 0)
+            .slice(0, 3)
+            .map(c => `${c.metric} ${(c.share * 100).toFixed(0)}%`);
+
+        return {
+            metric: 'multivariate',
+            severity,
+            currentValue: score.distance.toFixed(2),
+            mahalanobisDistance: score.distance.toFixed(2),
+            dimensions: score.dimensions,
+            topContributors,
+            scoringMethod: 'mahalanobis',
+            reason: `Unusual combination of metrics (Mahalanobis distance ${score.distance.toFixed(2)} ` +
+                `across ${score.dimensions} metrics; driven by ${topContributors.join(', ') || 'all metrics'})`
+        };
+    }
+};
@@ -0,0 +1,60 @@
+/**
+ * Peg Detector
+ * Flags eETH/ETH ratio deviations from the 1:1 peg using fixed thresholds
+ */
+
+/**
+ * Absolute deviation of the eETH/ETH ratio from 1.0
+ * @param {object} currentData - Latest data point
+ * @returns {number} Deviation as a fraction (0.01 = 1%)
+ */
+function pegDeviation(currentData) {
+    return Math.abs(parseFloat(currentData.eeth_eth_ratio) - 1.0);
+}
+
+/**
+ * Map a peg deviation onto a severity level
+ * @param {number} deviation - Absolute deviation from 1.0
+ * @param {object} thresholds - Active thresholds
+ * @returns {string|null} Severity or null when within range
+ */
+function pegSeverity(deviation, thresholds) {
+    if (deviation >= thresholds.PEG_CRITICAL) return 'CRITICAL';
+    if (deviation >= thresholds.PEG_HIGH) return 'HIGH';
+    if (deviation >= thresholds.PEG_MEDIUM) return 'MEDIUM';
+    return null;
+}
+
+module.exports = {
+    name: 'peg',
+    description: 'eETH/ETH peg deviation from 1:1',
+    inputs: ['eeth_eth_ratio'],
+    baselineKeys: [],
+    tuning: {
+        threshold: 'PEG_MEDIUM',
+        measure: trigger => Math.abs(parseFloat(trigger.currentValue) - 1.0)
+    },
+
+    severity({ currentData, thresholds }) {
+        return pegSeverity(pegDeviation(currentData), thresholds);
+    },
+
+    buildTrigger({ currentData }, severity) {
+        const ratio = parseFloat(currentData.eeth_eth_ratio);
+        const deviationPct = pegDeviation(currentData) * 100;
+
+        return {
+            metric: 'peg',
+            severity,
+            currentValue: ratio.toFixed(6),
+            targetValue: '1.000000',
+            deviation: `${deviationPct.toFixed(3)}%`,
+            reason: ratio > 1.0
+                ? `eETH trading above peg (${deviationPct.toFixed(3)}% premium)`
+                : `eETH trading below peg (${deviationPct.toFixed(3)}% discount)`
+        };
+    },
+
+    pegDeviation,
+    pegSeverity
+};
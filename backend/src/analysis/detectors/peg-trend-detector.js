@@ -0,0 +1,61 @@
+/**
+ * Peg Trend Detector
+ * Flags the eETH/ETH ratio moving steadily away from 1.0, before the
+ * absolute deviation reaches the fixed peg thresholds
+ */
+
+const { calculateTrend, hasTrendData } = require('../trend-calculator');
+
+/**
+ * @param {object} context - Detector context
+ * @returns {object|null} Trend of the distance from peg over the recent window
+ */
+function pegTrend({ recentData }) {
+    return calculateTrend(recentData, 'eeth_eth_ratio', ratio => Math.abs(ratio - 1.0));
+}
+
+module.exports = {
+    name: 'peg_trend',
+    description: 'eETH/ETH ratio moving away from peg over the last 2 hours',
+    inputs: [],
+    baselineKeys: [],
+    tuning: {
+        threshold: 'PEG_TREND_MEDIUM',
+        measure: trigger => parseFloat(trigger.velocity)
+    },
+
+    isApplicable({ recentData }) {
+        return hasTrendData(recentData, 'eeth_eth_ratio');
+    },
+
+    severity(context) {
+        const { thresholds } = context;
+        const trend = pegTrend(context);
+        if (!trend) return null;
+
+        // Only a widening deviation is interesting; a recovering peg is not
+        const drift = trend.slopePerHour;
+        if (drift >= thresholds.PEG_TREND_CRITICAL) return 'CRITICAL';
+        if (drift >= thresholds.PEG_TREND_HIGH) return 'HIGH';
+        if (drift >= thresholds.PEG_TREND_MEDIUM) return 'MEDIUM';
+        return null;
+    },
+
+    buildTrigger(context, severity) {
+        const trend = pegTrend(context);
+        const ratioTrend = calculateTrend(context.recentData, 'eeth_eth_ratio');
+        const direction = ratioTrend && ratioTrend.slopePerHour < 0 ? 'below' : 'above';
+
+        return {
+            metric: 'peg_trend',
+            severity,
+            currentValue: `${(trend.slopePerHour * 100).toFixed(3)}%/h`,
+            velocity: trend.slopePerHour.toFixed(6),
+            acceleration: trend.acceleration !== null ? trend.acceleration.toFixed(6) : null,
+            windowHours: trend.spanHours.toFixed(2),
+            windowPoints: trend.points,
+            deviation: `${(trend.first * 100).toFixed(3)}% → ${(trend.last * 100).toFixed(3)}%`,
+            reason: `eETH drifting ${direction} peg at ${(trend.slopePerHour * 100).toFixed(3)}% per hour`
+        };
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Peg Z-Score Detector
+ * Flags peg ratios that break from their historical pattern while still
+ * inside the fixed peg thresholds (the peg detector covers larger moves)
+ */
+
+const { scoreMetric } = require('../baseline-calculator');
+const { pegDeviation, pegSeverity } = require('./peg-detector');
+
+/**
+ * @param {object} context - Detector context
+ * @returns {object} { zScore, baseline } against the seasonal or global baseline
+ */
+function pegZScore({ currentData, baselineStats, scoring }) {
+    const { zScore, baseline } = scoreMetric(parseFloat(currentData.eeth_eth_ratio), baselineStats, 'peg', scoring);
+
+    return { zScore, baseline };
+}
+
+module.exports = {
+    name: 'peg_zscore',
+    description: 'eETH/ETH ratio deviation from its own 30-day pattern',
+    inputs: ['eeth_eth_ratio'],
+    baselineKeys: ['peg_avg', 'peg_stddev'],
+    scoring: 'classic',
+    tuning: {
+        threshold: 'Z_SCORE_HIGH',
+        measure: trigger => Math.abs(parseFloat(trigger.zScore))
+    },
+
+    severity(context) {
+        const { currentData, thresholds } = context;
+
+        // Only report when the fixed-threshold peg check stayed quiet
+        if (pegSeverity(pegDeviation(currentData), thresholds)) {
+            return null;
+        }
+
+        return Math.abs(pegZScore(context).zScore) >= thresholds.Z_SCORE_HIGH ? 'MEDIUM' : null;
+    },
+
+    buildTrigger(context, severity) {
+        const { currentData } = context;
+        const { zScore, baseline } = pegZScore(context);
+
+        return {
+            metric: 'peg_zscore',
+            severity,
+            zScore: zScore.toFixed(2),
+            currentValue: parseFloat(currentData.eeth_eth_ratio).toFixed(6),
+            baselineAvg: baseline.center.toFixed(6),
+            baselineSource: baseline.source,
+            scoringMethod: baseline.method,
+            reason: `Peg ratio deviating from historical pattern`
+        };
+    }
+};
@@ -0,0 +1,125 @@
+/**
+ * Withdrawal Queue Detector
+ * Flags withdrawal queues significantly larger than baseline (upside only) and
+ * withdrawals taking long to finalize (p90 request-to-finalization time)
+ */
+
+const { scoreMetric } = require('../baseline-calculator');
+
+const SEVERITY_ORDER = ['MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * @param {object} context - Detector context
+ * @returns {object} { zScore, baseline } against the seasonal or global baseline
+ */
+function queueZScore({ currentData, baselineStats, scoring }) {
+    const { zScore, baseline } = scoreMetric(parseFloat(currentData.queue_size), baselineStats, 'queue_size', scoring);
+
+    return { zScore, baseline };
+}
+
+/**
+ * @param {object} context - Detector context
+ * @returns {boolean} True if the queue size baseline is usable
+ */
+function hasBaseline({ baselineStats = {} }) {
+    return Boolean(baselineStats.queue_size_avg && baselineStats.queue_size_stddev);
+}
+
+/**
+ * Severity from the pending request count against baseline
+ * @param {object} context - Detector context
+ * @returns {string|null} Severity
+ */
+function sizeSeverity(context) {
+    if (!hasBaseline(context)) return null;
+
+    const { zScore } = queueZScore(context);
+    if (zScore >= context.thresholds.Z_SCORE_HIGH) {
+        return zScore >= 3.0 ? 'HIGH' : 'MEDIUM';
+    }
+    return null;
+}
+
+/**
+ * Severity from the measured p90 time to finalization
+ * @param {object} context - Detector context
+ * @returns {string|null} Severity
+ */
+function waitSeverity({ currentData, thresholds }) {
+    const p90 = parseFloat(currentData.queue_wait_p90_hours);
+    if (!Number.isFinite(p90)) return null;
+
+    if (p90 >= thresholds.QUEUE_WAIT_HOURS_CRITICAL) return 'CRITICAL';
+    if (p90 >= thresholds.QUEUE_WAIT_HOURS_HIGH) return 'HIGH';
+    if (p90 >= thresholds.QUEUE_WAIT_HOURS_MEDIUM) return 'MEDIUM';
+    return null;
+}
+
+module.exports = {
+    name: 'queue',
+    description: 'Pending withdrawal requests above baseline (z-score) or slow finalization (p90 hours)',
+    inputs: ['queue_size'],
+    baselineKeys: ['queue_size_avg', 'queue_size_stddev'],
+    scoring: 'classic',
+    tuning: {
+        threshold: 'Z_SCORE_HIGH',
+        measure: trigger => parseFloat(trigger.zScore)
+    },
+
+    /**
+     * Needs pending requests; the wait check runs without a queue size baseline
+     * @param {object} context - Detector context
+     * @returns {boolean} True if detector can run
+     */
+    isApplicable({ currentData = {} }) {
+        return parseFloat(currentData.queue_size) > 0;
+    },
+
+    severity(context) {
+        const levels = [sizeSeverity(context), waitSeverity(context)].filter(Boolean);
+        if (levels.length === 0) return null;
+
+        return levels.reduce((max, level) => (SEVERITY_ORDER.indexOf(level) > SEVERITY_ORDER.indexOf(max) ? level : max));
+    },
+
+    buildTrigger(context, severity) {
+        const { currentData } = context;
+        const number = value => (value === null || value === undefined ? null : parseFloat(value));
+        const pendingEth = number(currentData.queue_eth_amount);
+        const waitP90 = number(currentData.queue_wait_p90_hours);
+
+        const reasons = [];
+        let zScore = null;
+        let baseline = null;
+        let deviation = null;
+
+        if (hasBaseline(context)) {
+            ({ zScore, baseline } = queueZScore(context));
+            const queueChange = ((currentData.queue_size - baseline.center) / baseline.center) * 100;
+            deviation = `${queueChange >= 0 ? '+' : ''}${queueChange.toFixed(0)}%`;
+        }
+        if (sizeSeverity(context)) {
+            reasons.push('Withdrawal queue significantly larger than baseline');
+        }
+        if (waitSeverity(context)) {
+            reasons.push(`90% of recent withdrawals took up to ${waitP90.toFixed(1)}h to finalize`);
+        }
+
+        return {
+            metric: 'queue',
+            severity,
+            zScore: zScore !== null ? zScore.toFixed(2) : null,
+            currentValue: currentData.queue_size,
+            pendingEth: pendingEth !== null ? `${pendingEth.toFixed(2)} ETH` : null,
+            waitP50Hours: number(currentData.queue_wait_p50_hours),
+            waitP90Hours: waitP90,
+            baselineAvg: baseline ? baseline.center.toFixed(0) : null,
+            baselineSource: baseline ? baseline.source : null,
+            scoringMethod: baseline ? baseline.method : 'threshold',
+            deviation,
+            reason: `${reasons.join('; ')} (${currentData.queue_size} pending requests` +
+                `${pendingEth !== null ? `, ${pendingEth.toFixed(2)} ETH` : ''})`
+        };
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Withdrawal Queue Detector tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeStatisticalAnomalies, getThresholds } = require('../statistical-prefilter');
+
+const timestamp = new Date('2026-03-01T12:00:00Z');
+const baselineStats = { data_points: 100, queue_size_avg: 10, queue_size_stddev: 2 };
+
+/**
+ * @param {object} queue - queue_* fields of the current point
+ * @param {object} baseline - Baseline statistics
+ * @returns {Promise<object|undefined>} The queue trigger, if any
+ */
+async function queueTrigger(queue, baseline = baselineStats) {
+    const result = await analyzeStatisticalAnomalies({ timestamp, ...queue }, baseline, null, { thresholds: getThresholds() });
+    return result.triggers.find(t => t.metric === 'queue');
+}
+
+test('slow finalization fires without a queue size baseline', async () => {
+    const trigger = await queueTrigger({ queue_size: 40, queue_eth_amount: 320, queue_wait_p90_hours: 130 }, { data_points: 0 });
+
+    assert.equal(trigger?.severity, 'HIGH');
+    assert.equal(trigger.zScore, null);
+    assert.equal(trigger.scoringMethod, 'threshold');
+    assert.ok(trigger.reason.includes('130.0h'));
+    assert.equal(trigger.pendingEth, '320.00 ETH');
+});
+
+test('size and wait together take the worse severity', async () => {
+    const trigger = await queueTrigger({ queue_size: 40, queue_eth_amount: 320, queue_wait_p90_hours: 200 });
+
+    assert.equal(trigger?.severity, 'CRITICAL');
+    assert.equal(trigger.zScore, '15.00');
+    assert.ok(trigger.reason.startsWith('Withdrawal queue significantly larger than baseline; '));
+});
+
+test('normal and empty queues do not fire', async () => {
+    assert.equal(await queueTrigger({ queue_size: 11, queue_eth_amount: 80, queue_wait_p90_hours: 20 }), undefined);
+    assert.equal(await queueTrigger({ queue_size: 0, queue_eth_amount: 0, queue_wait_p90_hours: 500 }), undefined);
+});
@@ -0,0 +1,62 @@
+/**
+ * Queue Growth Detector
+ * Flags a withdrawal queue growing quickly over the recent window (% per hour)
+ */
+
+const { calculateTrend, hasTrendData } = require('../trend-calculator');
+
+/**
+ * Queues smaller than this are too noisy for percentage growth rates
+ */
+const MIN_QUEUE_SIZE = 10;
+
+/**
+ * @param {object} context - Detector context
+ * @returns {object|null} Trend of queue_size over the recent window
+ */
+function queueTrend({ recentData }) {
+    return calculateTrend(recentData, 'queue_size');
+}
+
+module.exports = {
+    name: 'queue_growth',
+    description: 'Withdrawal queue growth rate over the last 2 hours (% per hour)',
+    inputs: [],
+    baselineKeys: [],
+    tuning: {
+        threshold: 'QUEUE_GROWTH_MEDIUM',
+        measure: trigger => parseFloat(trigger.currentValue)
+    },
+
+    isApplicable({ recentData }) {
+        return hasTrendData(recentData, 'queue_size');
+    },
+
+    severity(context) {
+        const { thresholds } = context;
+        const trend = queueTrend(context);
+        if (!trend || trend.mean < MIN_QUEUE_SIZE || trend.pctPerHour === null) return null;
+
+        const growth = trend.pctPerHour;
+        if (growth >= thresholds.QUEUE_GROWTH_CRITICAL) return 'CRITICAL';
+        if (growth >= thresholds.QUEUE_GROWTH_HIGH) return 'HIGH';
+        if (growth >= thresholds.QUEUE_GROWTH_MEDIUM) return 'MEDIUM';
+        return null;
+    },
+
+    buildTrigger(context, severity) {
+        const trend = queueTrend(context);
+
+        return {
+            metric: 'queue_growth',
+            severity,
+            currentValue: `${trend.pctPerHour.toFixed(1)}%/h`,
+            velocity: trend.slopePerHour.toFixed(2),
+            acceleration: trend.acceleration !== null ? trend.acceleration.toFixed(2) : null,
+            windowHours: trend.spanHours.toFixed(2),
+            windowPoints: trend.points,
+            deviation: `${trend.first.toFixed(0)} → ${trend.last.toFixed(0)} requests`,
+            reason: `Withdrawal queue growing ${trend.pctPerHour.toFixed(1)}% per hour`
+        };
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * Regime Shift Detector
+ * Surfaces change points recorded by the CUSUM change-point detector in this cycle
+ * Shifts that point towards a bank run (TVL or peg down, queue up) or that hit
+ * several metrics at once are reported as HIGH
+ */
+
+const { CHANGE_POINT_METRICS } = require('../change-point-detector');
+
+/**
+ * Shift directions that match stress scenarios
+ */
+const STRESS_DIRECTIONS = {
+    tvl_eth: 'down',
+    eeth_eth_ratio: 'down',
+    queue_size: 'up'
+};
+
+module.exports = {
+    name: 'regime_shift',
+    description: 'Structural level shifts detected by CUSUM change-point detection',
+    inputs: [],
+    baselineKeys: [],
+
+    isApplicable({ changePoints }) {
+        return Array.isArray(changePoints) && changePoints.length > 0;
+    },
+
+    severity({ changePoints }) {
+        const metrics = new Set(changePoints.map(cp => cp.metric));
+        const isStress = changePoints.some(cp => STRESS_DIRECTIONS[cp.metric] === cp.direction);
+
+        return metrics.size > 1 || isStress ? 'HIGH' : 'MEDIUM';
+    },
+
+    buildTrigger({ changePoints }, severity) {
+        const shifts = changePoints.map(cp => {
+            const magnitude = cp.magnitude_pct !== null && cp.magnitude_pct !== undefined
+                ? `${cp.magnitude_pct >= 0 ? '+' : ''}${parseFloat(cp.magnitude_pct).toFixed(3)}%`
+                : 'N/A';
+            return {
+                metric: cp.metric,
+                direction: cp.direction,
+                changeAt: cp.change_at,
+                beforeMean: cp.before_mean,
+                afterMean: cp.after_mean,
+                magnitude
+            };
+        });
+
+        const summary = shifts
+            .map(s => `${CHANGE_POINT_METRICS[s.metric]?.label || s.metric} ${s.direction} ${s.magnitude}`)
+            .join(', ');
+
+        return {
+            metric: 'regime_shift',
+            severity,
+            currentValue: summary,
+            shifts,
+            scoringMethod: 'cusum',
+            reason: `Sustained level shift detected (${summary})`
+        };
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Sentiment Detector
+ * Flags negative social sentiment spikes from the Twitter collector summary
+ */
+
+module.exports = {
+    name: 'sentiment',
+    description: 'Negative social media sentiment spike',
+    inputs: [],
+    baselineKeys: [],
+
+    /**
+     * Sentiment is optional input, so only run when a summary was supplied
+     * @param {object} context - Detector context
+     * @returns {boolean} True if detector can run
+     */
+    isApplicable({ sentimentData }) {
+        return !!sentimentData;
+    },
+
+    severity({ sentimentData, thresholds }) {
+        const negativePct = sentimentData.negative_pct || 0;
+        const avgSentiment = sentimentData.avg_sentiment || 0;
+
+        if (negativePct >= thresholds.SENTIMENT_NEGATIVE_PCT ||
+            avgSentiment <= thresholds.SENTIMENT_SCORE_LOW) {
+            return negativePct >= 0.6 ? 'HIGH' : 'MEDIUM';
+        }
+        return null;
+    },
+
+    buildTrigger({ sentimentData }, severity) {
+        const negativePct = sentimentData.negative_pct || 0;
+        const avgSentiment = sentimentData.avg_sentiment || 0;
+
+        return {
+            metric: 'sentiment',
+            severity,
+            currentValue: avgSentiment.toFixed(3),
+            negativePct: (negativePct * 100).toFixed(1) + '%',
+            reason: `Negative sentiment spike detected in social media`
+        };
+    }
+};
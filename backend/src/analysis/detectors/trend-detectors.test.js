@@ -0,0 +1,40 @@
+/**
+ * Trend detector tests: tvl_velocity, peg_trend and queue_growth over a synthetic 2-hour window
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeStatisticalAnomalies, getThresholds } = require('../statistical-prefilter');
+
+const now = Date.now();
+// Steady 4% TVL drain over two hours with a slowly growing queue, every 5 minutes
+const recentData = Array.from({ length: 25 }, (_, i) => ({
+    timestamp: new Date(now - (24 - i) * 5 * 60 * 1000),
+    tvl_eth: 10000000 * (1 - 0.04 * i / 24),
+    eeth_eth_ratio: 1.0 - 0.002 * i / 24,
+    queue_size: 100 + Math.floor(i / 6)
+}));
+const currentData = recentData[recentData.length - 1];
+// Level detectors see nothing unusual against a wide baseline
+const baselineStats = {
+    tvl_avg: 9800000, tvl_stddev: 500000,
+    queue_size_avg: 110, queue_size_stddev: 30,
+    data_points: 8640
+};
+
+test('level detectors stay quiet without a trend window', async () => {
+    const flat = await analyzeStatisticalAnomalies(currentData, baselineStats, null, { thresholds: getThresholds() });
+
+    assert.equal(flat.isAnomalous, false, flat.summary);
+});
+
+test('a steady drain fires tvl_velocity and peg_trend', async () => {
+    const trending = await analyzeStatisticalAnomalies(currentData, baselineStats, null, { thresholds: getThresholds(), recentData });
+    const metrics = trending.triggers.map(t => t.metric);
+
+    assert.equal(trending.triggers.find(t => t.metric === 'tvl_velocity')?.severity, 'HIGH');
+    assert.ok(metrics.includes('peg_trend'));
+    // ~2% per hour queue growth stays below thresholds
+    assert.ok(!metrics.includes('queue_growth'));
+});
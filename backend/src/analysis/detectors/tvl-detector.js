@@ -0,0 +1,77 @@
+/**
+ * TVL Detector
+ * Flags TVL readings that deviate significantly from the baseline mean
+ */
+
+const { scoreMetric } = require('../baseline-calculator');
+
+/**
+ * Compute TVL z-score and percentage change against baseline
+ * Uses the seasonal bucket when it has enough samples
+ * @param {object} context - Detector context
+ * @returns {object} z-score, percentage change and baseline used
+ */
+function measure({ currentData, baselineStats, scoring }) {
+    const tvl = parseFloat(currentData.tvl_eth);
+    const { zScore, baseline } = scoreMetric(tvl, baselineStats, 'tvl', scoring);
+    const change = ((tvl - baseline.center) / baseline.center) * 100;
+
+    return { tvl, zScore, change, baseline };
+}
+
+module.exports = {
+    name: 'tvl',
+    description: 'TVL deviation from 30-day baseline (z-score)',
+    inputs: ['tvl_eth'],
+    baselineKeys: ['tvl_avg', 'tvl_stddev'],
+    scoring: 'classic',
+    tuning: {
+        threshold: 'Z_SCORE_MEDIUM',
+        measure: trigger => Math.abs(parseFloat(trigger.zScore))
+    },
+
+    /**
+     * @param {object} context - Detector context
+     * @returns {string|null} Severity or null when within range
+     */
+    severity(context) {
+        const { thresholds } = context;
+        const absZ = Math.abs(measure(context).zScore);
+
+        if (absZ >= thresholds.Z_SCORE_HIGH) {
+            return absZ >= 3.0 ? 'CRITICAL' : 'HIGH';
+        }
+        if (absZ >= thresholds.Z_SCORE_MEDIUM) {
+            return 'MEDIUM';
+        }
+        return null;
+    },
+
+    /**
+     * @param {object} context - Detector context
+     * @param {string} severity - Severity returned by severity()
+     * @returns {object} Trigger
+     */
+    buildTrigger(context, severity) {
+        const { tvl, zScore, change, baseline } = measure(context);
+
+        let reason = 'TVL moderately deviating from baseline';
+        if (severity !== 'MEDIUM') {
+            reason = zScore > 0
+                ? `TVL significantly higher than baseline (${change.toFixed(2)}% increase)`
+                : `TVL significantly lower than baseline (${Math.abs(change).toFixed(2)}% decrease)`;
+        }
+
+        return {
+            metric: 'tvl',
+            severity,
+            zScore: zScore.toFixed(2),
+            currentValue: tvl.toFixed(2),
+            baselineAvg: baseline.center.toFixed(2),
+            baselineSource: baseline.source,
+            scoringMethod: baseline.method,
+            deviation: `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`,
+            reason
+        };
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * TVL Velocity Detector
+ * Flags sustained TVL outflows over the recent window (% per hour) before the
+ * level itself drifts far enough from baseline for the z-score detector to fire
+ * An accelerating outflow is escalated one severity level
+ */
+
+const { calculateTrend, hasTrendData } = require('../trend-calculator');
+
+const ESCALATION = { MEDIUM: 'HIGH', HIGH: 'CRITICAL', CRITICAL: 'CRITICAL' };
+
+/**
+ * @param {object} context - Detector context
+ * @returns {object|null} Trend of tvl_eth over the recent window
+ */
+function tvlTrend({ recentData }) {
+    return calculateTrend(recentData, 'tvl_eth');
+}
+
+/**
+ * Outflow is accelerating when the second half of the window drains faster than the first
+ * @param {object} trend - Trend from calculateTrend
+ * @returns {boolean} True if accelerating outflow
+ */
+function isAccelerating(trend) {
+    return trend.secondHalfSlope !== null &&
+        trend.firstHalfSlope !== null &&
+        trend.secondHalfSlope < 0 &&
+        trend.secondHalfSlope < trend.firstHalfSlope;
+}
+
+module.exports = {
+    name: 'tvl_velocity',
+    description: 'Sustained TVL outflow rate over the last 2 hours (% per hour)',
+    inputs: [],
+    baselineKeys: [],
+    tuning: {
+        threshold: 'TVL_VELOCITY_MEDIUM',
+        measure: trigger => -parseFloat(trigger.currentValue)
+    },
+
+    isApplicable({ recentData }) {
+        return hasTrendData(recentData, 'tvl_eth');
+    },
+
+    severity(context) {
+        const { thresholds } = context;
+        const trend = tvlTrend(context);
+        if (!trend || trend.pctPerHour === null) return null;
+
+        const outflow = -trend.pctPerHour;
+        let severity = null;
+        if (outflow >= thresholds.TVL_VELOCITY_CRITICAL) severity = 'CRITICAL';
+        else if (outflow >= thresholds.TVL_VELOCITY_HIGH) severity = 'HIGH';
+        else if (outflow >= thresholds.TVL_VELOCITY_MEDIUM) severity = 'MEDIUM';
+
+        return severity && isAccelerating(trend) ? ESCALATION[severity] : severity;
+    },
+
+    buildTrigger(context, severity) {
+        const trend = tvlTrend(context);
+        const totalChange = ((trend.last - trend.first) / trend.first) * 100;
+        const accelerating = isAccelerating(trend);
+
+        return {
+            metric: 'tvl_velocity',
+            severity,
+            currentValue: `${trend.pctPerHour.toFixed(2)}%/h`,
+            velocity: trend.slopePerHour.toFixed(2),
+            acceleration: trend.acceleration !== null ? trend.acceleration.toFixed(2) : null,
+            accelerating,
+            windowHours: trend.spanHours.toFixed(2),
+            windowPoints: trend.points,
+            deviation: `${totalChange >= 0 ? '+' : ''}${totalChange.toFixed(2)}%`,
+            reason: `TVL draining at ${Math.abs(trend.pctPerHour).toFixed(2)}% per hour` +
+                `${accelerating ? ' and accelerating' : ''} (possible bank-run dynamics)`
+        };
+    }
+};
@@ -0,0 +1,101 @@
+/**
+ * Whale Movement Detector
+ * Flags a top eETH holder whose balance changed by a large share of total supply in 24h
+ *
+ * Only whales that transferred since the previous snapshot (moved_since_previous) are
+ * considered, so one large transfer is reported once rather than every cycle for 24h
+ */
+
+/**
+ * How a whale is named in trigger reasons: its label when known, the address otherwise
+ * @param {object} whale - whale_wallets row
+ * @returns {string} e.g. "Binance Hot Wallet 14 (exchange, #2 holder)" or "#2 holder 0xabc..."
+ */
+function describeWhale(whale) {
+    const rank = whale.rank_position ? `#${whale.rank_position}` : 'former top';
+
+    if (whale.label) {
+        const category = whale.label_category ? `${whale.label_category}, ` : '';
+        return `${whale.label} (${category}${rank} holder)`;
+    }
+    return `${rank} holder ${whale.wallet_address}`;
+}
+
+/**
+ * Total eETH supply implied by the snapshot (balance / share of supply)
+ * @param {Array} whaleData - whale_wallets rows
+ * @returns {number|null} Supply in eETH
+ */
+function impliedSupply(whaleData) {
+    const row = whaleData.find(w => parseFloat(w.percentage_of_total) > 0 && parseFloat(w.eeth_balance) > 0);
+    return row ? parseFloat(row.eeth_balance) / (parseFloat(row.percentage_of_total) / 100) : null;
+}
+
+/**
+ * Whale with the largest 24h balance change among those that moved this cycle
+ * @param {object} context - Detector context
+ * @returns {object|null} { whale, change, pctOfSupply }
+ */
+function largestMove({ whaleData }) {
+    const supply = impliedSupply(whaleData);
+    if (!supply) return null;
+
+    return whaleData
+        .filter(whale => whale.moved_since_previous)
+        .map(whale => {
+            const change = parseFloat(whale.balance_change_24h);
+            return { whale, change, pctOfSupply: (Math.abs(change) / supply) * 100 };
+        })
+        .filter(move => Number.isFinite(move.change))
+        .reduce((max, move) => (!max || move.pctOfSupply > max.pctOfSupply ? move : max), null);
+}
+
+module.exports = {
+    name: 'whale_movement',
+    description: 'Top eETH holder moved a large share of supply in 24h',
+    inputs: [],
+    baselineKeys: [],
+    tuning: {
+        threshold: 'WHALE_MOVE_PCT_MEDIUM',
+        measure: trigger => parseFloat(trigger.currentValue)
+    },
+
+    /**
+     * Whale data is only present once the holder index is caught up
+     * @param {object} context - Detector context
+     * @returns {boolean} True if detector can run
+     */
+    isApplicable({ whaleData }) {
+        return Array.isArray(whaleData) && whaleData.length > 0;
+    },
+
+    severity(context) {
+        const { thresholds } = context;
+        const move = largestMove(context);
+        if (!move) return null;
+
+        if (move.pctOfSupply >= thresholds.WHALE_MOVE_PCT_CRITICAL) return 'CRITICAL';
+        if (move.pctOfSupply >= thresholds.WHALE_MOVE_PCT_HIGH) return 'HIGH';
+        if (move.pctOfSupply >= thresholds.WHALE_MOVE_PCT_MEDIUM) return 'MEDIUM';
+        return null;
+    },
+
+    buildTrigger(context, severity) {
+        const { whale, change, pctOfSupply } = largestMove(context);
+        const direction = change < 0 ? 'moved out' : 'added';
+
+        return {
+            metric: 'whale_movement',
+            severity,
+            currentValue: `${pctOfSupply.toFixed(3)}%`,
+            wallet: whale.wallet_address,
+            label: whale.label || null,
+            labelCategory: whale.label_category || null,
+            isContract: !!whale.is_contract,
+            balanceChange: `${change.toFixed(2)} eETH`,
+            balance: `${parseFloat(whale.eeth_balance).toFixed(2)} eETH`,
+            deviation: `${change >= 0 ? '+' : ''}${change.toFixed(2)} eETH in 24h`,
+            reason: `${describeWhale(whale)} ${direction} ${Math.abs(change).toFixed(2)} eETH (${pctOfSupply.toFixed(3)}% of supply) in 24h`
+        };
+    }
+};
@@ -0,0 +1,53 @@
+/**
+ * Withdrawal Volume Detector
+ * Flags unusually high withdrawal transaction counts (upside only)
+ */
+
+const { scoreMetric } = require('../baseline-calculator');
+
+/**
+ * @param {object} context - Detector context
+ * @returns {object} { zScore, baseline } against the seasonal or global baseline
+ */
+function withdrawalZScore({ currentData, baselineStats, scoring }) {
+    const { zScore, baseline } = scoreMetric(parseFloat(currentData.withdrawals_24h), baselineStats, 'withdrawals', scoring);
+
+    return { zScore, baseline };
+}
+
+module.exports = {
+    name: 'withdrawals',
+    description: 'Withdrawal transaction count above baseline (z-score)',
+    inputs: ['withdrawals_24h'],
+    baselineKeys: ['withdrawals_avg', 'withdrawals_stddev'],
+    scoring: 'classic',
+    tuning: {
+        threshold: 'Z_SCORE_HIGH',
+        measure: trigger => parseFloat(trigger.zScore)
+    },
+
+    severity(context) {
+        const { zScore } = withdrawalZScore(context);
+
+        if (zScore >= context.thresholds.Z_SCORE_HIGH) {
+            return zScore >= 3.0 ? 'HIGH' : 'MEDIUM';
+        }
+        return null;
+    },
+
+    buildTrigger(context, severity) {
+        const { currentData } = context;
+        const { zScore, baseline } = withdrawalZScore(context);
+
+        return {
+            metric: 'withdrawals',
+            severity,
+            zScore: zScore.toFixed(2),
+            currentValue: currentData.withdrawals_24h,
+            baselineAvg: baseline.center.toFixed(0),
+            baselineSource: baseline.source,
+            scoringMethod: baseline.method,
+            reason: `Unusually high withdrawal activity`
+        };
+    }
+};
@@ -0,0 +1,275 @@
+/**
+ * Prompt Evaluation
+ * Replays stored anomaly triggers through two prompt versions and diffs the results
+ *
+ * Usage:
+ *   node src/analysis/eval-prompts.js --a analyst-v1 --b analyst-v2 [--days 7] [--limit 20]
+ *                                     [--provider offline|anthropic|replay] [--tools] [--json]
+ *
+ * Each trigger is rebuilt from anomaly_triggers (triggers, current data and the
+ * baseline snapshot, topped up with today's baseline for fields older rows did
+ * not store) plus the time series leading up to it. Nothing is written to the
+ * anomalies table and validation failures are not recorded; the LLM calls are
+ * still accounted in llm_usage (purpose 'evaluation') and count toward the daily budget
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../../../.env') });
+
+const { constructPrompt, getValidatedAnalysis } = require('./claude-analyzer');
+const { getBaselineStatistics } = require('./baseline-calculator');
+const { TREND_WINDOW_HOURS } = require('./trend-calculator');
+const { PROMPT_VERSIONS, getActiveVersion } = require('./prompt-templates');
+const llmProvider = require('./llm-provider');
+const queries = require('../database/queries');
+const db = require('../database/db-connection');
+
+const SEVERITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Headline severity and confidence of an analysis
+ * @param {object|null} analysis - Validated analysis (null if the run failed)
+ * @returns {object|null} { severity, confidence, anomalyCount }
+ */
+function summarizeAnalysis(analysis) {
+    if (!analysis) return null;
+
+    const anomalies = analysis.anomalies || [];
+    const severity = anomalies.reduce((max, a) =>
+        SEVERITY_ORDER.indexOf(a.severity) > SEVERITY_ORDER.indexOf(max) ? a.severity : max,
+        anomalies.length > 0 ? 'LOW' : analysis.riskLevel);
+    const confidence = anomalies.length > 0
+        ? Math.max(...anomalies.map(a => parseFloat(a.confidence) || 0))
+        : null;
+
+    return { severity, confidence, anomalyCount: anomalies.length };
+}
+
+/**
+ * Compare the analyses two prompt versions produced for the same trigger
+ * @param {object|null} a - Analysis from version A
+ * @param {object|null} b - Analysis from version B
+ * @returns {object} { a, b, severityAgrees, severityShift, confidenceDelta }
+ */
+function compareAnalyses(a, b) {
+    const summaryA = summarizeAnalysis(a);
+    const summaryB = summarizeAnalysis(b);
+
+    if (!summaryA || !summaryB) {
+        return { a: summaryA, b: summaryB, severityAgrees: null, severityShift: null, confidenceDelta: null };
+    }
+
+    const shift = SEVERITY_ORDER.indexOf(summaryB.severity) - SEVERITY_ORDER.indexOf(summaryA.severity);
+    const confidenceDelta = summaryA.confidence !== null && summaryB.confidence !== null
+        ? parseFloat((summaryB.confidence - summaryA.confidence).toFixed(3))
+        : null;
+
+    return {
+        a: summaryA,
+        b: summaryB,
+        severityAgrees: shift === 0,
+        severityShift: shift,
+        confidenceDelta
+    };
+}
+
+/**
+ * Aggregate per-trigger comparisons
+ * @param {Array} comparisons - compareAnalyses() results
+ * @returns {object} { total, compared, failed, severityAgreement, escalated, deescalated, meanConfidenceDelta }
+ */
+function summarizeComparisons(comparisons) {
+    const compared = comparisons.filter(c => c.severityAgrees !== null);
+    const deltas = compared.map(c => c.confidenceDelta).filter(d => d !== null);
+
+    return {
+        total: comparisons.length,
+        compared: compared.length,
+        failed: comparisons.length - compared.length,
+        severityAgreement: compared.length > 0
+            ? parseFloat((compared.filter(c => c.severityAgrees).length / compared.length).toFixed(3))
+            : null,
+        escalated: compared.filter(c => c.severityShift > 0).length,
+        deescalated: compared.filter(c => c.severityShift < 0).length,
+        meanConfidenceDelta: deltas.length > 0
+            ? parseFloat((deltas.reduce((sum, d) => sum + d, 0) / deltas.length).toFixed(3))
+            : null
+    };
+}
+
+/**
+ * Rebuild the analyzer inputs for a stored trigger
+ * @param {object} row - getTriggersForEvaluation() row
+ * @param {object} currentBaseline - Today's baseline, for fields the snapshot lacks
+ * @returns {Promise<object>} { triggerData, recentData, baselineStats, currentData }
+ */
+async function rebuildInputs(row, currentBaseline) {
+    const end = new Date(row.timestamp);
+    const start = new Date(end.getTime() - TREND_WINDOW_HOURS * 60 * 60 * 1000);
+    const recentData = (await queries.getTimeSeriesDataRange(start, end)).slice(-20);
+    const triggers = row.triggers || [];
+
+    const maxSeverity = triggers.reduce((max, t) =>
+        SEVERITY_ORDER.indexOf(t.severity) > SEVERITY_ORDER.indexOf(max) ? t.severity : max, 'LOW');
+
+    return {
+        triggerData: {
+            timestamp: row.timestamp,
+            triggers,
+            maxSeverity,
+            multivariateScore: row.multivariate_score || null
+        },
+        recentData,
+        baselineStats: { ...currentBaseline, ...(row.baseline_stats || {}) },
+        currentData: row.current_data ? { timestamp: row.timestamp, ...row.current_data } : null
+    };
+}
+
+/**
+ * Run one prompt version over a trigger
+ * @param {object} inputs - rebuildInputs() result
+ * @param {string} version - Prompt version
+ * @param {boolean} useTools - Let the analyst call tools
+ * @returns {Promise<object|null>} Analysis, or null on failure
+ */
+async function runVersion(inputs, version, useTools) {
+    const prompt = constructPrompt(inputs.triggerData, inputs.recentData, inputs.baselineStats, {
+        tools: useTools,
+        currentData: inputs.currentData,
+        version
+    });
+
+    try {
+        const { analysis } = await getValidatedAnalysis({
+            prompt,
+            ...inputs,
+            useTools,
+            recordFailures: false,
+            purpose: 'evaluation'
+        });
+        return analysis;
+    } catch (error) {
+        console.error(`  ${version} failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Parse --name value flags
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {object} Options
+ */
+function parseArgs(args) {
+    const value = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : fallback;
+    };
+
+    return {
+        a: value('a', 'analyst-v1'),
+        b: value('b', getActiveVersion()),
+        days: parseInt(value('days', '7')),
+        limit: parseInt(value('limit', '20')),
+        provider: value('provider', null),
+        tools: args.includes('--tools'),
+        json: args.includes('--json')
+    };
+}
+
+/**
+ * Evaluate two prompt versions over stored triggers
+ * @param {object} options - parseArgs() result
+ * @returns {Promise<object>} { a, b, provider, results, summary }
+ */
+async function evaluatePrompts(options) {
+    for (const version of [options.a, options.b]) {
+        if (!PROMPT_VERSIONS[version]) {
+            throw new Error(`Unknown prompt version: ${version}. Valid: ${Object.keys(PROMPT_VERSIONS).join(', ')}`);
+        }
+    }
+
+    if (options.provider) {
+        llmProvider.configureProvider({ provider: options.provider });
+    }
+    const useTools = options.tools && llmProvider.supportsTools();
+
+    const rows = await queries.getTriggersForEvaluation(options.days, options.limit);
+    const currentBaseline = await getBaselineStatistics(30);
+    const results = [];
+
+    for (const row of rows) {
+        const inputs = await rebuildInputs(row, currentBaseline);
+        const analysisA = await runVersion(inputs, options.a, useTools);
+        const analysisB = await runVersion(inputs, options.b, useTools);
+
+        results.push({
+            triggerId: row.id,
+            timestamp: row.timestamp,
+            stored: row.anomaly_id ? {
+                anomalyId: row.anomaly_id,
+                severity: row.stored_severity,
+                confidence: row.stored_confidence !== null ? parseFloat(row.stored_confidence) : null,
+                promptVersion: row.stored_prompt_version
+            } : null,
+            ...compareAnalyses(analysisA, analysisB)
+        });
+    }
+
+    return {
+        a: options.a,
+        b: options.b,
+        provider: llmProvider.getProviderConfig().provider,
+        results,
+        summary: summarizeComparisons(results)
+    };
+}
+
+/**
+ * Print an evaluation as a table
+ * @param {object} report - evaluatePrompts() result
+ */
+function printReport(report) {
+    const cell = summary => summary ? `${summary.severity.padEnd(8)} ${summary.confidence?.toFixed(2) ?? ' n/a'}` : 'failed       ';
+
+    console.log(`\nPrompt evaluation: A=${report.a}  B=${report.b}  (provider: ${report.provider})\n`);
+    console.log('Trigger  Timestamp                 Stored     A              B              Δconf');
+
+    report.results.forEach(r => {
+        const stored = r.stored ? `${r.stored.severity}`.padEnd(10) : '-'.padEnd(10);
+        const delta = r.confidenceDelta === null ? '' : `${r.confidenceDelta >= 0 ? '+' : ''}${r.confidenceDelta.toFixed(2)}`;
+        const marker = r.severityAgrees === false ? ' *' : '';
+        console.log(`${String(r.triggerId).padEnd(8)} ${new Date(r.timestamp).toISOString()}  ${stored} ${cell(r.a)}  ${cell(r.b)}  ${delta}${marker}`);
+    });
+
+    const s = report.summary;
+    console.log(`\nTriggers: ${s.total} (${s.compared} compared, ${s.failed} failed)`);
+    if (s.compared > 0) {
+        console.log(`Severity agreement: ${(s.severityAgreement * 100).toFixed(1)}%  (B higher: ${s.escalated}, B lower: ${s.deescalated})`);
+        console.log(`Mean confidence delta (B - A): ${s.meanConfidenceDelta ?? 'n/a'}`);
+    }
+    console.log('');
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+
+    evaluatePrompts(options)
+        .then(report => {
+            if (options.json) {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                printReport(report);
+            }
+        })
+        .catch(error => {
+            console.error(`Prompt evaluation failed: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => db.closePool());
+}
+
+module.exports = {
+    evaluatePrompts,
+    compareAnalyses,
+    summarizeComparisons,
+    summarizeAnalysis
+};
@@ -0,0 +1,297 @@
+/**
+ * Feedback Tuner
+ * Learns from triaged anomalies: per-detector precision and threshold proposals
+ *
+ * Each stored anomaly is labelled by its triage outcome - false_positive is a
+ * false positive, acknowledged (resolving or acknowledging through the API) is
+ * a true positive, anything else is unreviewed and ignored. Reopening an
+ * anomaly clears its acknowledgement
+ *
+ * A trigger takes the outcome of the anomalies from its call that name its
+ * metric family: one confirmed anomaly makes it a true positive, otherwise a
+ * false positive verdict makes it a false positive. Triggers no anomaly
+ * mentions stay unreviewed, so a verdict on a depeg is not credited to a gas
+ * trigger that fired alongside it
+ *
+ * Proposals raise the threshold that gates a detector (its `tuning.threshold`)
+ * just far enough to suppress past false positives while every true positive
+ * would still have fired. Counting is per trigger: a detection made of several
+ * triggers only disappears once all of them are suppressed
+ */
+
+const queries = require('../database/queries');
+const detectorRegistry = require('./detector-registry');
+const { getActiveThresholds, THRESHOLD_LIMITS, ORDERED_GROUPS } = require('./threshold-manager');
+const { getFiringFamilies, metricFamily } = require('./incident-manager');
+
+/**
+ * False positives a threshold needs before a change is proposed
+ * A single mis-click should not move a threshold
+ */
+const MIN_FALSE_POSITIVES = 2;
+
+/**
+ * Headroom above the highest suppressed false positive when no true positive bounds the proposal
+ */
+const SUPPRESSION_MARGIN = 0.05;
+
+/**
+ * Triage outcome of a stored anomaly
+ * @param {object} anomaly - Entry of a getTriagedTriggers row's anomalies
+ * @returns {string} 'false_positive', 'true_positive' or 'unreviewed'
+ */
+function labelOutcome(anomaly) {
+    if (anomaly.status === 'false_positive') return 'false_positive';
+    if (anomaly.user_acknowledged) return 'true_positive';
+    return 'unreviewed';
+}
+
+/**
+ * Triage outcome of one trigger, from the anomalies of its call that cover its metric family
+ * @param {object} row - Row from getTriagedTriggers
+ * @param {object} trigger - Trigger of that row
+ * @returns {string} 'false_positive', 'true_positive' or 'unreviewed'
+ */
+function labelTrigger(row, trigger) {
+    const families = getFiringFamilies({ triggers: [trigger] });
+    const outcomes = (row.anomalies || [])
+        .filter(anomaly => (anomaly.affected_metrics || []).some(m => families.has(metricFamily(m))))
+        .map(labelOutcome);
+
+    if (outcomes.includes('true_positive')) return 'true_positive';
+    if (outcomes.includes('false_positive')) return 'false_positive';
+    return 'unreviewed';
+}
+
+/**
+ * Precision per detector over triaged trigger records
+ * @param {Array} rows - Rows from getTriagedTriggers
+ * @returns {Array} [{ detector, triggers, true_positives, false_positives, unreviewed, precision }]
+ */
+function buildPrecisionReport(rows) {
+    const byDetector = new Map();
+
+    rows.forEach(row => {
+        // One outcome per detector and record; a detector fires at most once per cycle
+        const outcomes = new Map();
+        (row.triggers || []).forEach(trigger => {
+            if (!outcomes.has(trigger.metric)) {
+                outcomes.set(trigger.metric, labelTrigger(row, trigger));
+            }
+        });
+
+        outcomes.forEach((outcome, detector) => {
+            if (!byDetector.has(detector)) {
+                byDetector.set(detector, {
+                    detector,
+                    triggers: 0,
+                    true_positives: 0,
+                    false_positives: 0,
+                    unreviewed: 0
+                });
+            }
+
+            const stats = byDetector.get(detector);
+            stats.triggers++;
+            if (outcome === 'true_positive') stats.true_positives++;
+            else if (outcome === 'false_positive') stats.false_positives++;
+            else stats.unreviewed++;
+        });
+    });
+
+    return Array.from(byDetector.values())
+        .map(stats => {
+            const reviewed = stats.true_positives + stats.false_positives;
+            return { ...stats, precision: reviewed > 0 ? stats.true_positives / reviewed : null };
+        })
+        .sort((a, b) => b.triggers - a.triggers);
+}
+
+/**
+ * Reviewed trigger values grouped by the threshold that gates their detector
+ * @param {Array} rows - Rows from getTriagedTriggers
+ * @returns {Map} threshold key -> [{ detector, value, outcome }]
+ */
+function collectObservations(rows) {
+    const byThreshold = new Map();
+
+    rows.forEach(row => {
+        (row.triggers || []).forEach(trigger => {
+            const tuning = detectorRegistry.getDetector(trigger.metric)?.tuning;
+            if (!tuning) return;
+
+            const outcome = labelTrigger(row, trigger);
+            if (outcome === 'unreviewed') return;
+
+            const value = tuning.measure(trigger);
+            if (!Number.isFinite(value)) return;
+
+            if (!byThreshold.has(tuning.threshold)) {
+                byThreshold.set(tuning.threshold, []);
+            }
+            byThreshold.get(tuning.threshold).push({ detector: trigger.metric, value, outcome });
+        });
+    });
+
+    return byThreshold;
+}
+
+/**
+ * Highest value a threshold may take: the next tier up, or its hard limit
+ * @param {string} key - Threshold key
+ * @param {object} thresholds - Active thresholds
+ * @returns {number} Upper bound
+ */
+function upperBound(key, thresholds) {
+    const group = ORDERED_GROUPS.find(g => g.includes(key));
+    const next = group ? group[group.indexOf(key) + 1] : undefined;
+    const limit = THRESHOLD_LIMITS[key]?.max ?? Infinity;
+
+    return next !== undefined ? Math.min(thresholds[next], limit) : limit;
+}
+
+/**
+ * Round a proposal to as few significant digits as keep it within (floor, ceiling]
+ * @param {number} value - Unrounded proposal
+ * @param {number} floor - Proposal must stay above this
+ * @param {number} ceiling - Proposal must not exceed this
+ * @returns {number} Rounded proposal
+ */
+function roundProposal(value, floor, ceiling) {
+    for (const digits of [2, 3, 4, 6]) {
+        const rounded = Number(value.toPrecision(digits));
+        if (rounded > floor && rounded <= ceiling) {
+            return rounded;
+        }
+    }
+    return value;
+}
+
+/**
+ * Precision of a set of counts
+ * @param {number} truePositives - True positives
+ * @param {number} falsePositives - False positives
+ * @returns {number|null} Precision or null if nothing was reviewed
+ */
+function precision(truePositives, falsePositives) {
+    const total = truePositives + falsePositives;
+    return total > 0 ? truePositives / total : null;
+}
+
+/**
+ * Propose threshold changes that would have suppressed past false positives
+ * @param {Array} rows - Rows from getTriagedTriggers
+ * @param {object} thresholds - Active thresholds
+ * @returns {object} { proposals, skipped }
+ */
+function suggestThresholds(rows, thresholds) {
+    const proposals = [];
+    const skipped = [];
+
+    collectObservations(rows).forEach((observations, key) => {
+        const detectors = [...new Set(observations.map(o => o.detector))];
+        const fps = observations.filter(o => o.outcome === 'false_positive').map(o => o.value);
+        const tps = observations.filter(o => o.outcome === 'true_positive').map(o => o.value);
+        const current = thresholds[key];
+
+        if (fps.length < MIN_FALSE_POSITIVES) {
+            return;
+        }
+
+        // Detectors fire on value >= threshold, so a proposal at or below the lowest
+        // true positive keeps every true positive
+        const lowestTp = tps.length > 0 ? Math.min(...tps) : Infinity;
+        const bound = upperBound(key, thresholds);
+        const ceiling = Math.min(lowestTp, bound);
+        const suppressible = fps.filter(v => v < ceiling);
+
+        if (suppressible.length === 0) {
+            skipped.push({
+                key,
+                detectors,
+                reason: tps.length > 0 && lowestTp <= bound
+                    ? 'False positives score as high as true positives'
+                    : 'False positives exceed the next severity tier'
+            });
+            return;
+        }
+
+        const highestFp = Math.max(...suppressible);
+        const target = lowestTp <= bound
+            ? (highestFp + lowestTp) / 2
+            : Math.min(highestFp * (1 + SUPPRESSION_MARGIN), bound);
+        const proposed = roundProposal(target, highestFp, ceiling);
+
+        if (proposed <= current) {
+            skipped.push({
+                key,
+                detectors,
+                reason: 'Current threshold already suppresses these false positives'
+            });
+            return;
+        }
+
+        const suppressed = fps.filter(v => v < proposed).length;
+
+        proposals.push({
+            key,
+            current,
+            proposed,
+            detectors,
+            false_positives: fps.length,
+            suppressed_false_positives: suppressed,
+            true_positives: tps.length,
+            true_positives_kept: tps.filter(v => v >= proposed).length,
+            precision_before: precision(tps.length, fps.length),
+            precision_after: precision(tps.length, fps.length - suppressed)
+        });
+    });
+
+    return {
+        proposals: proposals.sort((a, b) => b.suppressed_false_positives - a.suppressed_false_positives),
+        skipped
+    };
+}
+
+/**
+ * Per-detector precision over the last `days` of triaged detections
+ * @param {number} days - Days to look back
+ * @returns {Promise<object>} { days, reviewed, unreviewed, detectors }
+ */
+async function getPrecisionReport(days = 30) {
+    const rows = await queries.getTriagedTriggers(days);
+    const outcomes = rows.flatMap(row => (row.anomalies || []).map(labelOutcome));
+
+    return {
+        days,
+        reviewed: outcomes.filter(o => o !== 'unreviewed').length,
+        unreviewed: outcomes.filter(o => o === 'unreviewed').length,
+        detectors: buildPrecisionReport(rows)
+    };
+}
+
+/**
+ * Threshold proposals based on the last `days` of triaged detections
+ * @param {number} days - Days to look back
+ * @returns {Promise<object>} { days, proposals, skipped }
+ */
+async function getThresholdSuggestions(days = 30) {
+    const [rows, thresholds] = await Promise.all([
+        queries.getTriagedTriggers(days),
+        getActiveThresholds()
+    ]);
+
+    return {
+        days,
+        ...suggestThresholds(rows, thresholds)
+    };
+}
+
+module.exports = {
+    getPrecisionReport,
+    getThresholdSuggestions,
+    buildPrecisionReport,
+    suggestThresholds,
+    labelOutcome,
+    MIN_FALSE_POSITIVES
+};
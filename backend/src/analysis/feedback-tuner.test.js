@@ -0,0 +1,60 @@
+/**
+ * Feedback Tuner tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPrecisionReport, suggestThresholds } = require('./feedback-tuner');
+const { getThresholds } = require('./statistical-prefilter');
+
+const pegTrigger = ratio => ({ metric: 'peg', severity: 'MEDIUM', currentValue: ratio.toFixed(6) });
+const gasTrigger = gwei => ({ metric: 'gas', severity: 'MEDIUM', currentValue: gwei.toFixed(2) });
+const anomaly = (status, acknowledged, metrics = ['eeth_eth_ratio']) => ({
+    status, user_acknowledged: acknowledged, affected_metrics: metrics
+});
+const rows = [
+    // Two shallow discounts marked false positive, one deeper one confirmed
+    { triggers: [pegTrigger(0.9968)], anomalies: [anomaly('false_positive', true)] },
+    { triggers: [pegTrigger(0.9965)], anomalies: [anomaly('false_positive', true)] },
+    { triggers: [pegTrigger(0.9955)], anomalies: [anomaly('resolved', true)] },
+    { triggers: [pegTrigger(0.9960)], anomalies: [anomaly('active', false)] }
+];
+
+test('precision report counts reviewed and unreviewed triggers per detector', () => {
+    const peg = buildPrecisionReport(rows).find(r => r.detector === 'peg');
+
+    assert.equal(peg.triggers, 4);
+    assert.equal(peg.unreviewed, 1);
+    assert.ok(Math.abs(peg.precision - 1 / 3) < 1e-9);
+});
+
+test('suggested threshold separates false positives from true positives', () => {
+    const { proposals } = suggestThresholds(rows, getThresholds());
+    const proposal = proposals.find(p => p.key === 'PEG_MEDIUM');
+
+    assert.ok(proposal, 'expected a PEG_MEDIUM proposal');
+    assert.ok(proposal.proposed > 0.0035 && proposal.proposed <= 0.0045, `proposed ${proposal.proposed}`);
+    assert.equal(proposal.suppressed_false_positives, 2);
+    assert.equal(proposal.true_positives_kept, 1);
+});
+
+test('outcomes are attributed to the detectors whose metrics the anomaly names', () => {
+    const report = buildPrecisionReport([
+        // The analyst confirmed a depeg and dismissed the gas spike seen alongside it
+        {
+            triggers: [pegTrigger(0.9950), gasTrigger(40)],
+            anomalies: [anomaly('resolved', true, ['eeth_eth_ratio']), anomaly('false_positive', true, ['gas_price'])]
+        },
+        // A confirmed depeg says nothing about the gas trigger of the same call
+        {
+            triggers: [pegTrigger(0.9940), gasTrigger(35)],
+            anomalies: [anomaly('active', true, ['peg'])]
+        }
+    ]);
+    const peg = report.find(r => r.detector === 'peg');
+    const gas = report.find(r => r.detector === 'gas');
+
+    assert.equal(peg.true_positives, 2);
+    assert.deepEqual([gas.true_positives, gas.false_positives, gas.unreviewed], [0, 1, 1]);
+});
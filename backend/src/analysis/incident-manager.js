@@ -0,0 +1,190 @@
+/**
+ * Incident Manager
+ * Groups anomaly detections into incidents and auto-resolves them
+ *
+ * A new anomaly joins the open incident with the same type and at least one
+ * shared affected metric, so a persisting depeg becomes one incident with
+ * several detections instead of a new card every rate-limit window
+ *
+ * After every pre-filter cycle, open incidents whose metrics are back in range
+ * count a clear cycle; after INCIDENT_RESOLVE_CYCLES consecutive clear cycles
+ * the incident and its active detections are resolved
+ */
+
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+
+/**
+ * Consecutive in-range cycles before an incident auto-resolves (6 x 5 min = 30 min)
+ */
+const INCIDENT_RESOLVE_CYCLES = parseInt(process.env.INCIDENT_RESOLVE_CYCLES || '6');
+
+const SEVERITY_LEVELS = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+/**
+ * Metric families shared by Claude's affectedMetrics and pre-filter trigger metrics
+ * Checked in order; the first matching pattern wins
+ */
+const METRIC_FAMILIES = [
+    ['peg', /peg|eeth_eth|depeg/],
+    ['tvl', /tvl/],
+    ['gas', /gas/],
+    ['queue', /queue/],
+    ['withdrawals', /withdraw/],
+    ['deposits', /deposit/],
+    ['sentiment', /sentiment|twitter|social/],
+    ['whale', /whale/]
+];
+
+/**
+ * Map a metric name onto its family (tvl_velocity -> tvl, eeth_eth_ratio -> peg, ...)
+ * @param {string} name - Metric name
+ * @returns {string} Family name (the lowercased name if unknown)
+ */
+function metricFamily(name) {
+    const lower = String(name || '').toLowerCase();
+    const match = METRIC_FAMILIES.find(([, pattern]) => pattern.test(lower));
+    return match ? match[0] : lower;
+}
+
+/**
+ * Families the pre-filter can observe; incidents about anything else
+ * (e.g. deposits) count as in range once the pre-filter is quiet
+ */
+const OBSERVED_FAMILIES = new Set(['peg', 'tvl', 'gas', 'queue', 'withdrawals', 'sentiment', 'whale']);
+
+/**
+ * Metric families firing in a pre-filter result
+ * Composite triggers contribute the metrics they are made of
+ * @param {object} prefilterResult - Result of analyzeStatisticalAnomalies
+ * @returns {Set<string>} Firing families
+ */
+function getFiringFamilies(prefilterResult) {
+    const families = new Set();
+
+    (prefilterResult?.triggers || []).forEach(trigger => {
+        if (trigger.metric === 'correlation') {
+            (trigger.correlatedMetrics || []).forEach(m => families.add(metricFamily(m)));
+        } else if (trigger.metric === 'regime_shift') {
+            (trigger.shifts || []).forEach(shift => families.add(metricFamily(shift.metric)));
+        } else if (trigger.metric === 'multivariate') {
+            (trigger.topContributors || []).forEach(c => families.add(metricFamily(c.split(' ')[0])));
+        } else {
+            families.add(metricFamily(trigger.metric));
+        }
+    });
+
+    return families;
+}
+
+/**
+ * Higher of two severities
+ * @param {string} a - Severity
+ * @param {string} b - Severity
+ * @returns {string} Higher severity
+ */
+function maxSeverity(a, b) {
+    return (SEVERITY_LEVELS[b] || 0) > (SEVERITY_LEVELS[a] || 0) ? b : a;
+}
+
+/**
+ * Attach a stored anomaly to an open incident, or open a new one
+ * A detection joining an open incident without raising its peak severity is a
+ * repeat: it is stored and counted but not alerted again
+ * @param {object} anomaly - Inserted anomalies row
+ * @returns {Promise<object>} { incident, isNew, isRepeat }
+ */
+async function attachToIncident(anomaly) {
+    // Incidents store metric families so "peg", "peg_ratio" and "eeth_eth_ratio" overlap
+    const metrics = [...new Set((anomaly.affected_metrics || []).map(metricFamily))];
+    const existing = await queries.findOpenIncident(anomaly.anomaly_type, metrics);
+
+    let incident;
+    let isRepeat = false;
+    if (existing) {
+        const peakSeverity = maxSeverity(existing.peak_severity, anomaly.severity);
+        isRepeat = peakSeverity === existing.peak_severity;
+
+        incident = await queries.recordIncidentDetection(existing.id, {
+            title: anomaly.title,
+            severity: anomaly.severity,
+            peak_severity: peakSeverity,
+            affected_metrics: metrics,
+            seen_at: anomaly.detected_at
+        });
+    } else {
+        incident = await queries.insertIncident({
+            anomaly_type: anomaly.anomaly_type,
+            title: anomaly.title,
+            severity: anomaly.severity,
+            affected_metrics: metrics,
+            seen_at: anomaly.detected_at
+        });
+    }
+
+    await queries.setAnomalyIncident(anomaly.id, incident.id);
+
+    logger.info(existing ? 'Anomaly attached to incident' : 'Incident opened', {
+        incidentId: incident.id,
+        anomalyId: anomaly.id,
+        type: anomaly.anomaly_type,
+        detections: incident.detection_count,
+        repeat: isRepeat
+    });
+
+    return { incident, isNew: !existing, isRepeat };
+}
+
+/**
+ * Update open incidents after a pre-filter cycle
+ * Incidents whose metrics are not firing count a clear cycle; any firing metric resets the count
+ * @param {object} prefilterResult - Result of analyzeStatisticalAnomalies
+ * @returns {Promise<Array>} Incidents resolved in this cycle
+ */
+async function updateIncidentResolution(prefilterResult) {
+    const openIncidents = await queries.getOpenIncidents();
+    if (openIncidents.length === 0) {
+        return [];
+    }
+
+    const firing = getFiringFamilies(prefilterResult);
+    const resolved = [];
+
+    for (const incident of openIncidents) {
+        const families = (incident.affected_metrics || [])
+            .map(metricFamily)
+            .filter(family => OBSERVED_FAMILIES.has(family));
+
+        // Incidents with no observable metric stay open while anything is firing
+        const stillFiring = families.length > 0
+            ? families.some(family => firing.has(family))
+            : firing.size > 0;
+
+        const clearCycles = stillFiring ? 0 : incident.clear_cycles + 1;
+
+        if (clearCycles >= INCIDENT_RESOLVE_CYCLES) {
+            const reason = `Auto-resolved: metrics back in range for ${clearCycles} consecutive cycles`;
+            const result = await queries.resolveIncident(incident.id, reason);
+            if (result) {
+                resolved.push(result);
+                logger.info('Incident auto-resolved', {
+                    incidentId: incident.id,
+                    type: incident.anomaly_type,
+                    detections: incident.detection_count
+                });
+            }
+        } else if (clearCycles !== incident.clear_cycles) {
+            await queries.updateIncidentClearCycles(incident.id, clearCycles);
+        }
+    }
+
+    return resolved;
+}
+
+module.exports = {
+    attachToIncident,
+    updateIncidentResolution,
+    getFiringFamilies,
+    metricFamily,
+    INCIDENT_RESOLVE_CYCLES
+};
@@ -0,0 +1,70 @@
+/**
+ * Incident Manager tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { attachToIncident, updateIncidentResolution, metricFamily, INCIDENT_RESOLVE_CYCLES } = require('./incident-manager');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+test('metrics map to their family', () => {
+    assert.equal(metricFamily('eeth_eth_ratio'), 'peg');
+    assert.equal(metricFamily('tvl_velocity'), 'tvl');
+});
+
+test('only incidents whose family stopped firing auto-resolve', async () => {
+    const incidents = [
+        { id: 1, anomaly_type: 'depeg', affected_metrics: ['peg'], clear_cycles: 0, detection_count: 3 },
+        { id: 2, anomaly_type: 'tvl_drop', affected_metrics: ['tvl'], clear_cycles: 0, detection_count: 1 }
+    ];
+    const resolvedIds = [];
+    const restore = stubQueries(queries, {
+        getOpenIncidents: async () => incidents.filter(i => !resolvedIds.includes(i.id)),
+        updateIncidentClearCycles: async (id, cycles) => {
+            incidents.find(i => i.id === id).clear_cycles = cycles;
+        },
+        resolveIncident: async (id) => {
+            resolvedIds.push(id);
+            return { id };
+        }
+    });
+
+    try {
+        // Peg keeps firing; TVL is back in range
+        const pegFiring = { triggers: [{ metric: 'peg', severity: 'HIGH' }] };
+        for (let cycle = 0; cycle < INCIDENT_RESOLVE_CYCLES; cycle++) {
+            await updateIncidentResolution(pegFiring);
+        }
+
+        assert.deepEqual(resolvedIds, [2]);
+        assert.equal(incidents[0].clear_cycles, 0);
+    } finally {
+        restore();
+    }
+});
+
+test('a detection is a repeat unless it opens an incident or raises its peak severity', async () => {
+    let open = null;
+    const restore = stubQueries(queries, {
+        findOpenIncident: async () => open,
+        insertIncident: async (incident) => ({ id: 9, ...incident, peak_severity: incident.severity, detection_count: 1 }),
+        recordIncidentDetection: async (id, detection) => ({ ...open, ...detection, detection_count: open.detection_count + 1 }),
+        setAnomalyIncident: async () => {}
+    });
+    const detection = severity => ({ id: 1, anomaly_type: 'peg_deviation', severity, affected_metrics: ['peg'], detected_at: new Date() });
+
+    try {
+        const opened = await attachToIncident(detection('HIGH'));
+        open = opened.incident;
+        const repeated = await attachToIncident(detection('MEDIUM'));
+        const raised = await attachToIncident(detection('CRITICAL'));
+
+        assert.deepEqual([opened.isNew, opened.isRepeat], [true, false]);
+        assert.deepEqual([repeated.isNew, repeated.isRepeat], [false, true]);
+        assert.deepEqual([raised.isNew, raised.isRepeat], [false, false]);
+    } finally {
+        restore();
+    }
+});
@@ -0,0 +1,123 @@
+/**
+ * LLM Provider
+ * Selects the backend that answers analysis prompts for claude-analyzer.js
+ *
+ * LLM_PROVIDER (defaults to anthropic):
+ *   anthropic  Claude Messages API
+ *   offline    Deterministic rule-based analyst built from the trigger data; only used
+ *              when chosen explicitly, never as a fallback for a missing ANTHROPIC_API_KEY
+ *   record     Forwards to LLM_RECORD_PROVIDER and saves responses to LLM_FIXTURES_DIR
+ *   replay     Answers only from fixtures in LLM_FIXTURES_DIR
+ *
+ * Provider interface:
+ *   name           {string}   Provider name used in LLM_PROVIDER
+ *   supportsTools  {boolean|Function} Whether complete() accepts messages + tools (tool-use turns);
+ *                             a function is called with the active config
+ *   validate       {Function} (config) => string[] configuration errors
+ *   complete       {Function} async (request, config, providers) => { text, model, usage, stopReason };
+ *                             request is { prompt, model, maxTokens, triggerData, recentData, baselineStats },
+ *                             with { messages, tools } replacing prompt for tool-use turns, in which case the
+ *                             response also carries { content, toolCalls: [{ id, name, input }] };
+ *                             throws with error.retryable = false for permanent failures
+ */
+
+const path = require('path');
+const fixtureProviders = require('./llm-providers/fixture-provider');
+const logger = require('../utils/logger');
+
+const PROVIDERS = {
+    anthropic: require('./llm-providers/anthropic-provider'),
+    offline: require('./llm-providers/offline-provider'),
+    record: fixtureProviders.record,
+    replay: fixtureProviders.replay
+};
+
+/**
+ * Active provider configuration (loaded lazily from the environment)
+ */
+let config = null;
+
+/**
+ * Provider configuration from the environment
+ * @returns {object} { provider, recordProvider, fixturesDir }
+ */
+function configFromEnv() {
+    return {
+        provider: process.env.LLM_PROVIDER || 'anthropic',
+        recordProvider: process.env.LLM_RECORD_PROVIDER || 'anthropic',
+        fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(__dirname, '../../fixtures/llm')
+    };
+}
+
+/**
+ * Replace the provider configuration (defaults to the environment)
+ * @param {object} overrides - Fields to override
+ * @returns {object} Active configuration
+ */
+function configureProvider(overrides = {}) {
+    const next = { ...configFromEnv(), ...overrides };
+
+    if (!Object.hasOwn(PROVIDERS, next.provider)) {
+        throw new Error(`Unknown LLM provider: ${next.provider}. Valid: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (next.provider === 'record' && !Object.hasOwn(PROVIDERS, next.recordProvider)) {
+        const live = Object.keys(PROVIDERS).filter(name => name !== 'record' && name !== 'replay');
+        throw new Error(`Unknown LLM record provider: ${next.recordProvider}. Valid: ${live.join(', ')}`);
+    }
+
+    // A misconfigured provider fails its analyses instead of quietly switching analyst
+    const errors = PROVIDERS[next.provider].validate(next);
+    if (errors.length > 0) {
+        logger.error('LLM provider is misconfigured, analyses will fail', { provider: next.provider, errors });
+    }
+
+    config = next;
+    logger.info('LLM provider configured', { provider: config.provider });
+    return config;
+}
+
+/**
+ * Get the active configuration, loading it on first use
+ * @returns {object} Configuration
+ */
+function getProviderConfig() {
+    if (config === null) {
+        configureProvider();
+    }
+    return config;
+}
+
+/**
+ * Whether the active provider can run tool-use turns
+ * @returns {boolean} True if tools are supported
+ */
+function supportsTools() {
+    const active = getProviderConfig();
+    const provider = active.provider === 'record'
+        ? PROVIDERS[active.recordProvider]
+        : PROVIDERS[active.provider];
+
+    return typeof provider?.supportsTools === 'function'
+        ? provider.supportsTools(active)
+        : !!provider?.supportsTools;
+}
+
+/**
+ * Send a request to the active provider
+ * @param {object} request - { prompt, model, maxTokens, triggerData, recentData, baselineStats }
+ * @returns {Promise<object>} { text, model, usage, stopReason, provider }
+ */
+async function complete(request) {
+    const active = getProviderConfig();
+    const response = await PROVIDERS[active.provider].complete(request, active, PROVIDERS);
+
+    return { ...response, provider: active.provider };
+}
+
+module.exports = {
+    complete,
+    configureProvider,
+    getProviderConfig,
+    supportsTools,
+    PROVIDERS
+};
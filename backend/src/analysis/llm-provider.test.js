@@ -0,0 +1,160 @@
+/**
+ * LLM Provider tests: offline analyst, record and replay (no API key or database required)
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const llmProvider = require('./llm-provider');
+const { constructPrompt, parseClaudeResponse, analyzeWithClaude } = require('./claude-analyzer');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+const toolFixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-tool-fixtures-'));
+
+// Stored anomalies, incidents and usage go nowhere
+const restoreQueries = stubQueries(queries, {
+    insertAnomaly: async anomaly => ({ id: 1, ...anomaly }),
+    findOpenIncident: async () => null,
+    insertIncident: async () => ({ id: 1 }),
+    setAnomalyIncident: async () => {},
+    insertLlmUsage: async () => {}
+});
+
+after(() => {
+    restoreQueries();
+    llmProvider.configureProvider();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    fs.rmSync(toolFixturesDir, { recursive: true, force: true });
+});
+
+const triggerData = {
+    triggers: [
+        { metric: 'peg', severity: 'HIGH', currentValue: '0.987000', reason: 'eETH trading below peg (1.300% discount)' },
+        { metric: 'peg_trend', severity: 'MEDIUM', currentValue: '0.987000', reason: 'Peg falling 0.4%/hour' },
+        { metric: 'queue', severity: 'MEDIUM', currentValue: '950', zScore: '3.20', reason: 'Withdrawal queue 3.2σ above baseline' },
+        { metric: 'correlation', severity: 'HIGH', correlatedMetrics: ['peg', 'queue'], reason: 'Peg and queue moving together' }
+    ],
+    maxSeverity: 'HIGH',
+    timestamp: new Date('2026-03-02T10:00:00Z')
+};
+const baselineStats = {
+    tvl_avg: 1000, tvl_stddev: 10, tvl_min: 980, tvl_max: 1020,
+    peg_avg: 0.9995, peg_stddev: 0.0003, peg_min: 0.998, peg_max: 1.0,
+    gas_avg: 20, gas_stddev: 5, sentiment_avg: 0.1, positive_pct: 0.5,
+    period_days: 30, data_points: 500
+};
+const request = {
+    prompt: constructPrompt(triggerData, [], baselineStats),
+    model: 'test-model',
+    maxTokens: 2000,
+    triggerData,
+    baselineStats
+};
+
+test('offline analyst is deterministic and ranks the leading anomaly first', async () => {
+    llmProvider.configureProvider({ provider: 'offline', fixturesDir });
+    const first = await llmProvider.complete(request);
+    const second = await llmProvider.complete(request);
+    const analysis = parseClaudeResponse(first.text);
+
+    assert.equal(first.text, second.text);
+
+    const peg = analysis.anomalies.find(a => a.type === 'peg_deviation');
+    const queue = analysis.anomalies.find(a => a.type === 'queue_spike');
+    assert.ok(peg && queue);
+    assert.equal(peg.severity, 'HIGH');
+    assert.equal(analysis.anomalies[0], peg);
+    assert.ok(peg.confidence > queue.confidence);
+});
+
+test('replay returns the recorded response and rejects unrecorded prompts', async () => {
+    llmProvider.configureProvider({ provider: 'record', recordProvider: 'offline', fixturesDir });
+    const recorded = await llmProvider.complete(request);
+
+    llmProvider.configureProvider({ provider: 'replay', fixturesDir });
+    const replayed = await llmProvider.complete(request);
+
+    assert.equal(replayed.text, recorded.text);
+    assert.equal(replayed.provider, 'replay');
+
+    // A missing fixture is not retried
+    await assert.rejects(
+        llmProvider.complete({ ...request, prompt: `${request.prompt}\nchanged` }),
+        error => error.retryable === false
+    );
+});
+
+test('unknown and inherited provider names are rejected', () => {
+    assert.throws(() => llmProvider.configureProvider({ provider: 'constructor', fixturesDir }), /Unknown LLM provider/);
+    assert.throws(() => llmProvider.configureProvider({ provider: 'record', recordProvider: 'anthropc', fixturesDir }), /Unknown LLM record provider/);
+    assert.throws(() => llmProvider.configureProvider({ provider: 'record', recordProvider: 'toString', fixturesDir }), /Unknown LLM record provider/);
+});
+
+test('a missing API key does not fall back to the offline analyst', async () => {
+    const { ANTHROPIC_API_KEY: apiKey, LLM_PROVIDER: provider } = process.env;
+    delete process.env.ANTHROPIC_API_KEY;
+    delete process.env.LLM_PROVIDER;
+
+    try {
+        assert.equal(llmProvider.configureProvider().provider, 'anthropic');
+        await assert.rejects(llmProvider.complete(request));
+    } finally {
+        if (apiKey !== undefined) process.env.ANTHROPIC_API_KEY = apiKey;
+        if (provider !== undefined) process.env.LLM_PROVIDER = provider;
+    }
+});
+
+test('an analysis recorded without tools replays through analyzeWithClaude', async () => {
+    const recordDir = path.join(fixturesDir, 'analysis');
+    llmProvider.configureProvider({ provider: 'record', recordProvider: 'offline', fixturesDir: recordDir });
+    const recorded = await analyzeWithClaude(triggerData, [], baselineStats);
+
+    llmProvider.configureProvider({ provider: 'replay', fixturesDir: recordDir });
+    const replayed = await analyzeWithClaude(triggerData, [], baselineStats);
+
+    assert.equal(recorded.success, true);
+    assert.equal(replayed.success, true, replayed.error);
+    assert.deepEqual(replayed.analysis, recorded.analysis);
+    assert.equal(replayed.toolCalls.length, 0);
+});
+
+test('a tool-use recording replays whatever the tools return now', async () => {
+    const final = {
+        anomalies: [{ type: 'peg_deviation', severity: 'HIGH', confidence: 0.7, title: 'eETH below peg', description: 'No similar past event.' }],
+        overallAssessment: 'Peg under pressure', riskLevel: 'HIGH'
+    };
+    const call = { id: 'call_1', name: 'get_past_anomalies', input: { anomaly_type: 'peg_deviation', days: 30 } };
+    llmProvider.PROVIDERS.scripted = {
+        name: 'scripted',
+        supportsTools: true,
+        validate: () => [],
+        complete: async request => (request.messages.length === 1
+            ? { text: '', content: [{ type: 'tool_use', ...call }], toolCalls: [call], stopReason: 'tool_use' }
+            : { text: JSON.stringify(final), content: [{ type: 'text', text: JSON.stringify(final) }], toolCalls: [], stopReason: 'end_turn' })
+    };
+    const pastAnomalies = rows => stubQueries(queries, { getAnomaliesByType: async () => rows });
+
+    let restore = pastAnomalies([]);
+    try {
+        llmProvider.configureProvider({ provider: 'record', recordProvider: 'scripted', fixturesDir: toolFixturesDir });
+        const recorded = await analyzeWithClaude(triggerData, [], baselineStats);
+        restore();
+
+        restore = pastAnomalies([{ id: 7, anomaly_type: 'peg_deviation', severity: 'HIGH', confidence: '0.80', title: 'eETH below peg', status: 'active', detected_at: new Date('2026-02-20T10:00:00Z') }]);
+        llmProvider.configureProvider({ provider: 'replay', fixturesDir: toolFixturesDir });
+        const replayed = await analyzeWithClaude(triggerData, [], baselineStats);
+
+        assert.equal(recorded.toolCalls.length, 1);
+        assert.equal(replayed.success, true, replayed.error);
+        assert.equal(replayed.toolCalls.length, 1);
+        assert.deepEqual(replayed.analysis, recorded.analysis);
+    } finally {
+        restore();
+        delete llmProvider.PROVIDERS.scripted;
+    }
+});
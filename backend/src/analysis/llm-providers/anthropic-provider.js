@@ -0,0 +1,62 @@
+/**
+ * Anthropic Provider
+ * Sends the analysis prompt (or a tool-use conversation) to the Claude Messages API
+ * The SDK client is created on first use so the module loads without an API key
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+let client = null;
+
+/**
+ * Get (or create) the Anthropic client
+ * @returns {Anthropic} Client
+ */
+function getClient() {
+    if (!client) {
+        client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
+    return client;
+}
+
+module.exports = {
+    name: 'anthropic',
+    supportsTools: true,
+
+    validate() {
+        return process.env.ANTHROPIC_API_KEY ? [] : ['ANTHROPIC_API_KEY is not set'];
+    },
+
+    async complete(request) {
+        const response = await getClient().messages.create({
+            model: request.model,
+            max_tokens: request.maxTokens,
+            messages: request.messages || [
+                {
+                    role: 'user',
+                    content: request.prompt
+                }
+            ],
+            ...(request.tools && { tools: request.tools })
+        });
+
+        const toolCalls = response.content
+            .filter(c => c.type === 'tool_use')
+            .map(c => ({ id: c.id, name: c.name, input: c.input }));
+
+        // Extract text content
+        const textContent = response.content.find(c => c.type === 'text');
+        if (!textContent && toolCalls.length === 0) {
+            throw new Error('No text content in Claude response');
+        }
+
+        return {
+            text: textContent ? textContent.text : '',
+            content: response.content,
+            toolCalls,
+            model: response.model,
+            usage: response.usage,
+            stopReason: response.stop_reason
+        };
+    }
+};
@@ -0,0 +1,130 @@
+/**
+ * Record / Replay Providers
+ * record: forwards to another provider and saves every response as a fixture
+ * replay: answers from saved fixtures only (no network), failing on unknown prompts
+ *
+ * Fixtures are JSON files in LLM_FIXTURES_DIR named by the SHA-256 of the
+ * model and prompt (or the message history for tool-use turns), so a replay
+ * only matches the exact request that was recorded:
+ *   { "key", "model", "recordedAt", "provider", "tools", "prompt", "response": { text, model, usage, stopReason } }
+ *
+ * Tool results are left out of the key: they come from the live database, and a
+ * replay should follow the recorded conversation whatever the tools return now.
+ * Replay runs tool-use turns only when the fixtures were recorded with them
+ * ("tools": true), so a recording from a provider without tools replays without them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Message with the content of its tool results dropped
+ * @param {object} message - { role, content }
+ * @returns {object} Message as used in the fixture key
+ */
+function withoutToolResults(message) {
+    if (!Array.isArray(message.content)) {
+        return message;
+    }
+
+    return {
+        ...message,
+        content: message.content.map(block => (block.type === 'tool_result'
+            ? { type: block.type, tool_use_id: block.tool_use_id }
+            : block))
+    };
+}
+
+/**
+ * Fixture key for a request
+ * @param {object} request - { model, prompt } or { model, messages, tools }
+ * @returns {string} Hex SHA-256
+ */
+function fixtureKey(request) {
+    const body = request.messages
+        ? JSON.stringify({ messages: request.messages.map(withoutToolResults), tools: (request.tools || []).map(t => t.name) })
+        : request.prompt;
+    return crypto.createHash('sha256').update(`${request.model}\n${body}`).digest('hex');
+}
+
+/**
+ * Path of the fixture for a request
+ * @param {object} config - Provider config ({ fixturesDir })
+ * @param {object} request - { model, prompt }
+ * @returns {string} File path
+ */
+function fixturePath(config, request) {
+    return path.join(config.fixturesDir, `${fixtureKey(request)}.json`);
+}
+
+/**
+ * Whether the fixtures in a directory were recorded with tool-use turns
+ * @param {object} config - Provider config ({ fixturesDir })
+ * @returns {boolean} True if any fixture is a tool-use turn
+ */
+function hasToolFixtures(config) {
+    if (!fs.existsSync(config.fixturesDir)) {
+        return false;
+    }
+
+    return fs.readdirSync(config.fixturesDir)
+        .filter(file => file.endsWith('.json'))
+        .some(file => JSON.parse(fs.readFileSync(path.join(config.fixturesDir, file), 'utf8')).tools === true);
+}
+
+const replay = {
+    name: 'replay',
+    supportsTools: hasToolFixtures,
+
+    validate(config) {
+        return fs.existsSync(config.fixturesDir) ? [] : [`Fixture directory not found: ${config.fixturesDir}`];
+    },
+
+    async complete(request, config) {
+        const file = fixturePath(config, request);
+
+        if (!fs.existsSync(file)) {
+            const error = new Error(`No recorded fixture for this prompt (${path.basename(file)})`);
+            error.retryable = false;
+            throw error;
+        }
+
+        return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+    }
+};
+
+const record = {
+    name: 'record',
+
+    validate(config) {
+        return config.recordProvider && config.recordProvider !== 'record' && config.recordProvider !== 'replay'
+            ? []
+            : ['LLM_RECORD_PROVIDER must be a live provider (anthropic or offline)'];
+    },
+
+    async complete(request, config, providers) {
+        const inner = providers[config.recordProvider];
+        const response = await inner.complete(request, config, providers);
+        const file = fixturePath(config, request);
+
+        fs.mkdirSync(config.fixturesDir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            key: fixtureKey(request),
+            model: request.model,
+            recordedAt: new Date().toISOString(),
+            provider: inner.name,
+            tools: !!request.messages,
+            prompt: request.prompt,
+            response
+        }, null, 2));
+
+        return response;
+    }
+};
+
+module.exports = {
+    record,
+    replay,
+    fixtureKey
+};
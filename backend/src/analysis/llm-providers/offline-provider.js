@@ -0,0 +1,228 @@
+/**
+ * Offline Analyst Provider
+ * Deterministic rule-based stand-in for Claude: builds the same JSON analysis
+ * from the pre-filter triggers, without any network access
+ *
+ * Triggers are grouped by the anomaly type of their metric family (composite
+ * correlation / regime-shift / multivariate triggers corroborate every family
+ * they cover). Each group becomes one anomaly at the group's highest trigger
+ * severity; confidence grows with corroborating triggers and drops when the
+ * baseline is thin. Identical inputs always produce identical output
+ */
+
+const { getFiringFamilies, metricFamily } = require('../incident-manager');
+
+const SEVERITY_LEVELS = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+const COMPOSITE_METRICS = ['correlation', 'regime_shift', 'multivariate'];
+
+/**
+ * Anomaly type reported for each metric family
+ */
+const FAMILY_TYPES = {
+    peg: 'peg_deviation',
+    tvl: 'tvl_change',
+    deposits: 'tvl_change',
+    gas: 'gas_spike',
+    queue: 'queue_spike',
+    withdrawals: 'queue_spike',
+    sentiment: 'sentiment_shift',
+    whale: 'whale_movement'
+};
+
+/**
+ * Wording per anomaly type
+ */
+const TEMPLATES = {
+    peg_deviation: {
+        title: 'eETH peg deviation',
+        recommendation: 'Avoid selling eETH into thin liquidity; monitor the peg and Curve pool balances for recovery',
+        timeframe: 'Hours, unless liquidity continues to drain',
+        historicalComparison: 'Comparable to short-lived LST discounts during market stress (e.g. stETH, June 2022)'
+    },
+    tvl_change: {
+        title: 'Unusual TVL movement',
+        recommendation: 'Check for large deposits or withdrawals and confirm they match known holder activity',
+        timeframe: '1-2 collection cycles',
+        historicalComparison: 'No clear precedent'
+    },
+    gas_spike: {
+        title: 'Network gas spike',
+        recommendation: 'Delay non-urgent deposits and withdrawals until gas normalizes',
+        timeframe: 'Usually resolves within an hour',
+        historicalComparison: 'Typical of network-wide congestion events'
+    },
+    queue_spike: {
+        title: 'Withdrawal queue pressure',
+        recommendation: 'Expect longer withdrawal times; watch whether the queue keeps growing',
+        timeframe: 'Until the queue is processed (hours to days)',
+        historicalComparison: 'Similar to post-Shapella withdrawal waves'
+    },
+    sentiment_shift: {
+        title: 'Social sentiment shift',
+        recommendation: 'Review recent social posts for protocol news before acting',
+        timeframe: '24 hours',
+        historicalComparison: 'No clear precedent'
+    },
+    whale_movement: {
+        title: 'Large holder movement',
+        recommendation: 'Track the holder\'s follow-up transfers for exits to DEXs',
+        timeframe: '1-2 collection cycles',
+        historicalComparison: 'No clear precedent'
+    },
+    unusual_pattern: {
+        title: 'Unusual protocol pattern',
+        recommendation: 'Review the contributing metrics on the dashboard',
+        timeframe: 'Unknown',
+        historicalComparison: 'No clear precedent'
+    }
+};
+
+const BASE_CONFIDENCE = { LOW: 0.5, MEDIUM: 0.6, HIGH: 0.72, CRITICAL: 0.82 };
+
+/**
+ * Baselines with fewer points than this lower every confidence
+ */
+const THIN_BASELINE_POINTS = 10;
+
+/**
+ * Higher of two severities
+ * @param {string} a - Severity
+ * @param {string} b - Severity
+ * @returns {string} Higher severity
+ */
+function maxSeverity(a, b) {
+    return (SEVERITY_LEVELS[b] || 0) > (SEVERITY_LEVELS[a] || 0) ? b : a;
+}
+
+/**
+ * Group triggers by anomaly type
+ * @param {Array} triggers - Pre-filter triggers
+ * @returns {Map} type -> { triggers, corroborating, families }
+ */
+function groupTriggers(triggers) {
+    const groups = new Map();
+    const groupFor = type => {
+        if (!groups.has(type)) {
+            groups.set(type, { triggers: [], corroborating: [], families: new Set() });
+        }
+        return groups.get(type);
+    };
+
+    triggers.filter(t => !COMPOSITE_METRICS.includes(t.metric)).forEach(trigger => {
+        const family = metricFamily(trigger.metric);
+        const group = groupFor(FAMILY_TYPES[family] || 'unusual_pattern');
+        group.triggers.push(trigger);
+        group.families.add(family);
+    });
+
+    triggers.filter(t => COMPOSITE_METRICS.includes(t.metric)).forEach(trigger => {
+        const types = [...getFiringFamilies({ triggers: [trigger] })]
+            .map(family => FAMILY_TYPES[family] || 'unusual_pattern');
+        const covered = types.filter(type => groups.has(type));
+
+        if (covered.length > 0) {
+            covered.forEach(type => groups.get(type).corroborating.push(trigger));
+        } else {
+            // A joint deviation with no single metric out of range
+            const group = groupFor('unusual_pattern');
+            group.triggers.push(trigger);
+            [...getFiringFamilies({ triggers: [trigger] })].forEach(f => group.families.add(f));
+        }
+    });
+
+    return groups;
+}
+
+/**
+ * Confidence for a group of triggers
+ * @param {string} severity - Group severity
+ * @param {object} group - From groupTriggers
+ * @param {object} baselineStats - Baseline statistics
+ * @returns {number} Confidence (0.3-0.95)
+ */
+function groupConfidence(severity, group, baselineStats) {
+    let confidence = BASE_CONFIDENCE[severity] || 0.5;
+    confidence += 0.05 * (group.triggers.length - 1);
+    confidence += 0.05 * group.corroborating.length;
+
+    if ((baselineStats?.data_points || 0) < THIN_BASELINE_POINTS) {
+        confidence -= 0.15;
+    }
+
+    return Math.round(Math.min(0.95, Math.max(0.3, confidence)) * 100) / 100;
+}
+
+/**
+ * Build the analysis JSON from trigger data
+ * @param {object} triggerData - Pre-filter result
+ * @param {object} baselineStats - Baseline statistics
+ * @returns {object} Analysis in the Claude response schema
+ */
+function analyzeTriggers(triggerData, baselineStats) {
+    const groups = groupTriggers(triggerData?.triggers || []);
+
+    const anomalies = Array.from(groups.entries()).map(([type, group]) => {
+        const template = TEMPLATES[type];
+        const severity = group.triggers.reduce((max, t) => maxSeverity(max, t.severity), 'LOW');
+        const reasons = [...group.triggers, ...group.corroborating].map(t => t.reason).filter(Boolean);
+        const otherTypes = Array.from(groups.keys()).filter(other => other !== type);
+
+        return {
+            type,
+            severity,
+            confidence: groupConfidence(severity, group, baselineStats),
+            title: template.title,
+            description: `${reasons.join('. ')}. Flagged by ${group.triggers.length} statistical trigger(s)` +
+                `${group.corroborating.length > 0 ? ` and corroborated by ${group.corroborating.length} composite signal(s)` : ''}.`,
+            affectedMetrics: [...group.families],
+            recommendation: template.recommendation,
+            historicalComparison: template.historicalComparison,
+            correlations: otherTypes.map(other => `${type} coincides with ${other}`),
+            timeframe: template.timeframe,
+            riskLevel: severity
+        };
+    }).sort((a, b) => SEVERITY_LEVELS[b.severity] - SEVERITY_LEVELS[a.severity] || a.type.localeCompare(b.type));
+
+    const riskLevel = anomalies.reduce((max, a) => maxSeverity(max, a.severity), 'LOW');
+    const topConfidence = anomalies.reduce((max, a) => Math.max(max, a.confidence), 0);
+
+    return {
+        anomalies,
+        overallAssessment: anomalies.length > 0
+            ? `${anomalies.length} signal type(s) outside normal range, highest severity ${riskLevel} (rule-based offline analysis).`
+            : 'No statistical triggers to analyze (rule-based offline analysis).',
+        riskLevel,
+        keyFindings: (triggerData?.triggers || []).map(t => t.reason).filter(Boolean).slice(0, 5),
+        recommendations: [...new Set(anomalies.map(a => a.recommendation))].slice(0, 4),
+        monitoringPriority: anomalies.length > 0
+            ? `Watch ${anomalies[0].affectedMetrics.join(', ') || anomalies[0].type} over the next cycles`
+            : 'Routine monitoring',
+        falseAlarmProbability: Math.round((1 - topConfidence) * 100) / 100
+    };
+}
+
+module.exports = {
+    name: 'offline',
+
+    validate() {
+        return [];
+    },
+
+    async complete(request) {
+        if (!request.triggerData) {
+            const error = new Error('Offline analyst needs trigger data');
+            error.retryable = false;
+            throw error;
+        }
+
+        return {
+            text: JSON.stringify(analyzeTriggers(request.triggerData, request.baselineStats), null, 2),
+            model: 'offline-analyst',
+            usage: { input_tokens: 0, output_tokens: 0 },
+            stopReason: 'end_turn'
+        };
+    },
+
+    analyzeTriggers
+};
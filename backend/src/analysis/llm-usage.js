@@ -0,0 +1,148 @@
+/**
+ * LLM Usage
+ * Token, latency and cost accounting for LLM calls, and the daily spend budget
+ *
+ * Every call made by claude-analyzer.js is stored in llm_usage after its retries
+ * finish. Cost is estimated from MODEL_PRICING (USD per million tokens); the
+ * offline and replay providers never cost anything. LLM_DAILY_BUDGET_USD caps
+ * the spend per UTC day - once reached, checkRateLimit() in anomaly-detector.js
+ * stops analysis calls and detection continues statistical-only until midnight
+ * (CRITICAL results are still analyzed)
+ */
+
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+
+/**
+ * USD per million tokens, matched by model name prefix (longest first)
+ */
+const MODEL_PRICING = {
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-haiku-4': { input: 1, output: 5 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 }
+};
+
+/**
+ * Providers that do not spend money
+ */
+const FREE_PROVIDERS = ['offline', 'replay'];
+
+/**
+ * Pricing for a model, falling back to LLM_PRICE_INPUT_PER_MTOK / LLM_PRICE_OUTPUT_PER_MTOK
+ * (or Sonnet rates) for unknown models
+ * @param {string} model - Model name
+ * @returns {object} { input, output } USD per million tokens
+ */
+function getModelPricing(model) {
+    const prefix = Object.keys(MODEL_PRICING)
+        .sort((a, b) => b.length - a.length)
+        .find(p => String(model || '').startsWith(p));
+
+    if (prefix) {
+        return MODEL_PRICING[prefix];
+    }
+
+    return {
+        input: parseFloat(process.env.LLM_PRICE_INPUT_PER_MTOK || '3'),
+        output: parseFloat(process.env.LLM_PRICE_OUTPUT_PER_MTOK || '15')
+    };
+}
+
+/**
+ * Estimated cost of one call
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {object} usage - { input_tokens, output_tokens }
+ * @returns {number} USD
+ */
+function estimateCost(provider, model, usage = {}) {
+    if (FREE_PROVIDERS.includes(provider)) {
+        return 0;
+    }
+
+    const pricing = getModelPricing(model);
+    const cost = ((usage.input_tokens || 0) * pricing.input + (usage.output_tokens || 0) * pricing.output) / 1e6;
+    return parseFloat(cost.toFixed(6));
+}
+
+/**
+ * Store one call; never throws (accounting must not break analysis)
+ * @param {object} call - { provider, model, purpose, usage, latencyMs, retries, success, error }
+ * @returns {Promise<object|null>} Stored row, or null on failure
+ */
+async function recordUsage(call) {
+    const usage = call.usage || {};
+
+    try {
+        return await queries.insertLlmUsage({
+            provider: call.provider,
+            model: call.model,
+            purpose: call.purpose || 'analysis',
+            input_tokens: usage.input_tokens || 0,
+            output_tokens: usage.output_tokens || 0,
+            latency_ms: call.latencyMs,
+            retries: call.retries || 0,
+            estimated_cost_usd: estimateCost(call.provider, call.model, usage),
+            success: call.success,
+            error: call.error || null
+        });
+    } catch (error) {
+        logger.warn('Failed to record LLM usage', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Configured daily budget
+ * @returns {number|null} USD per UTC day, or null when unlimited
+ */
+function getDailyBudget() {
+    const budget = parseFloat(process.env.LLM_DAILY_BUDGET_USD);
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Start of the current UTC day
+ * @param {Date} now - Reference time
+ * @returns {Date} Midnight UTC
+ */
+function startOfUtcDay(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Today's spend against the daily budget
+ * Fails open: if spend cannot be read, calls stay allowed
+ * @param {Date} now - Reference time
+ * @returns {Promise<object>} { allowed, spentUsd, budgetUsd, remainingUsd, resetsAt }
+ */
+async function checkBudget(now = new Date()) {
+    const budgetUsd = getDailyBudget();
+    const dayStart = startOfUtcDay(now);
+    const resetsAt = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+    let spentUsd;
+    try {
+        spentUsd = await queries.getLlmSpendSince(dayStart);
+    } catch (error) {
+        logger.warn('Failed to read LLM spend, budget not enforced', { error: error.message });
+        return { allowed: true, spentUsd: null, budgetUsd, remainingUsd: null, resetsAt };
+    }
+
+    return {
+        allowed: budgetUsd === null || spentUsd < budgetUsd,
+        spentUsd: parseFloat(spentUsd.toFixed(6)),
+        budgetUsd,
+        remainingUsd: budgetUsd === null ? null : parseFloat(Math.max(0, budgetUsd - spentUsd).toFixed(6)),
+        resetsAt
+    };
+}
+
+module.exports = {
+    recordUsage,
+    estimateCost,
+    checkBudget,
+    getDailyBudget,
+    MODEL_PRICING
+};
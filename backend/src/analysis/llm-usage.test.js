@@ -0,0 +1,107 @@
+/**
+ * LLM Usage tests: cost estimates, call accounting and the daily budget
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const llmProvider = require('./llm-provider');
+const { estimateCost, checkBudget } = require('./llm-usage');
+const { getValidatedAnalysis } = require('./claude-analyzer');
+const { checkRateLimit } = require('./anomaly-detector');
+const queries = require('../database/queries');
+const db = require('../database/db-connection');
+const { stubQueries } = require('../utils/harness');
+
+const originalComplete = llmProvider.complete;
+const originalBudget = process.env.LLM_DAILY_BUDGET_USD;
+
+afterEach(() => {
+    llmProvider.complete = originalComplete;
+    if (originalBudget === undefined) {
+        delete process.env.LLM_DAILY_BUDGET_USD;
+    } else {
+        process.env.LLM_DAILY_BUDGET_USD = originalBudget;
+    }
+});
+
+test('cost estimate uses the model price list', () => {
+    assert.equal(estimateCost('anthropic', 'claude-sonnet-4-5-20250929', { input_tokens: 10000, output_tokens: 2000 }), 0.06);
+    assert.equal(estimateCost('replay', 'claude-sonnet-4-5-20250929', { input_tokens: 10000 }), 0);
+});
+
+test('a successful analysis call is recorded with its tokens and cost', async () => {
+    const recorded = [];
+    const restore = stubQueries(queries, {
+        insertLlmUsage: async (usage) => {
+            recorded.push(usage);
+            return usage;
+        }
+    });
+    llmProvider.complete = async () => ({
+        text: JSON.stringify({ anomalies: [], overallAssessment: 'Healthy', riskLevel: 'LOW' }),
+        model: 'claude-sonnet-4-5-20250929',
+        usage: { input_tokens: 4000, output_tokens: 500 },
+        stopReason: 'end_turn',
+        provider: 'anthropic'
+    });
+
+    try {
+        await getValidatedAnalysis({ prompt: 'test', triggerData: { triggers: [] }, purpose: 'analysis' });
+
+        assert.equal(recorded.length, 1);
+        assert.equal(recorded[0].purpose, 'analysis');
+        assert.equal(recorded[0].input_tokens, 4000);
+        assert.equal(recorded[0].estimated_cost_usd, 0.0195);
+        assert.equal(recorded[0].retries, 0);
+        assert.ok(recorded[0].success);
+    } finally {
+        restore();
+    }
+});
+
+test('the daily budget stops calls once exhausted', async () => {
+    process.env.LLM_DAILY_BUDGET_USD = '5';
+    let spent = 1.25;
+    const restore = stubQueries(queries, { getLlmSpendSince: async () => spent });
+
+    try {
+        const under = await checkBudget();
+        assert.ok(under.allowed);
+        assert.equal(under.remainingUsd, 3.75);
+
+        spent = 5.01;
+        const status = await checkRateLimit();
+        assert.equal(status.allowed, false);
+        assert.ok(status.budgetExhausted);
+    } finally {
+        restore();
+    }
+});
+
+test('CRITICAL results are analyzed over budget', async () => {
+    process.env.LLM_DAILY_BUDGET_USD = '5';
+    const restore = stubQueries(queries, { getLlmSpendSince: async () => 5.01 });
+    // No previous call on record
+    const originalQuery = db.query;
+    db.query = async () => ({ rows: [] });
+
+    try {
+        const critical = await checkRateLimit({ maxSeverity: 'CRITICAL', triggers: [{ metric: 'peg', severity: 'CRITICAL' }] });
+        const high = await checkRateLimit({ maxSeverity: 'HIGH', triggers: [{ metric: 'peg', severity: 'HIGH' }] });
+
+        assert.ok(critical.allowed);
+        assert.equal(critical.rule, 'critical_bypass');
+        assert.equal(high.allowed, false);
+        assert.equal(high.rule, 'budget');
+    } finally {
+        db.query = originalQuery;
+        restore();
+    }
+});
+
+test('no budget configured means unlimited', async () => {
+    delete process.env.LLM_DAILY_BUDGET_USD;
+
+    assert.ok((await checkBudget()).allowed);
+});
@@ -0,0 +1,129 @@
+/**
+ * Multivariate Scorer (Mahalanobis distance)
+ * Scores the current data point against the joint distribution of TVL, peg,
+ * gas, queue and withdrawals from the baseline window
+ *
+ * Unlike per-metric z-scores this accounts for correlations: a point where
+ * each metric is individually unremarkable can still be far from normal if
+ * the metrics move against their usual relationship
+ */
+
+/**
+ * Ridge added to the correlation matrix diagonal so near-collinear metrics
+ * do not make it singular
+ */
+const RIDGE = 1e-6;
+
+/**
+ * Minimum samples per dimension before the covariance matrix is trusted
+ */
+const MIN_SAMPLES_PER_DIMENSION = 10;
+
+/**
+ * Invert a square matrix using Gauss-Jordan elimination with partial pivoting
+ * @param {number[][]} matrix - Square matrix
+ * @returns {number[][]|null} Inverse, or null if the matrix is singular
+ */
+function invertMatrix(matrix) {
+    const n = matrix.length;
+    const augmented = matrix.map((row, i) => [
+        ...row,
+        ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    ]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivot][col])) {
+                pivot = row;
+            }
+        }
+
+        if (Math.abs(augmented[pivot][col]) < 1e-12) {
+            return null;
+        }
+
+        [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+
+        const divisor = augmented[col][col];
+        for (let j = 0; j < 2 * n; j++) {
+            augmented[col][j] /= divisor;
+        }
+
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = augmented[row][col];
+            if (factor === 0) continue;
+            for (let j = 0; j < 2 * n; j++) {
+                augmented[row][j] -= factor * augmented[col][j];
+            }
+        }
+    }
+
+    return augmented.map(row => row.slice(n));
+}
+
+/**
+ * Compute the Mahalanobis distance of the current data point
+ * Metrics missing from the current point or with zero variance are dropped
+ * @param {object} currentData - Latest data point
+ * @param {object} baselineStats - Baseline with a `multivariate` covariance block
+ * @returns {object|null} { distance, distanceSquared, dimensions, metrics, contributions } or null if not enough data
+ */
+function scoreMultivariate(currentData, baselineStats) {
+    const joint = baselineStats?.multivariate;
+    if (!joint || !Array.isArray(joint.covariance)) {
+        return null;
+    }
+
+    // Indices of usable dimensions
+    const indices = joint.columns
+        .map((column, i) => ({ i, value: parseFloat(currentData[column]) }))
+        .filter(({ i, value }) => Number.isFinite(value) && joint.covariance[i][i] > 0);
+
+    if (indices.length < 2 || joint.data_points < indices.length * MIN_SAMPLES_PER_DIMENSION) {
+        return null;
+    }
+
+    // Work in standardized units (correlation matrix) - raw TVL and peg variances
+    // differ by ~18 orders of magnitude, which makes elimination unstable
+    const sigmas = indices.map(({ i }) => Math.sqrt(joint.covariance[i][i]));
+    const deltas = indices.map(({ i, value }, k) => (value - joint.mean[i]) / sigmas[k]);
+    const correlation = indices.map(({ i }, a) => indices.map(({ i: j }, b) =>
+        joint.covariance[i][j] / (sigmas[a] * sigmas[b]) + (a === b ? RIDGE : 0)
+    ));
+
+    const inverse = invertMatrix(correlation);
+    if (!inverse) {
+        return null;
+    }
+
+    // weighted = inverse * deltas; D^2 = deltas . weighted
+    const weighted = inverse.map(row => row.reduce((sum, v, k) => sum + v * deltas[k], 0));
+    const terms = deltas.map((d, k) => d * weighted[k]);
+    const distanceSquared = Math.max(0, terms.reduce((sum, t) => sum + t, 0));
+
+    // Share of D^2 attributable to each metric (can be negative when a metric offsets others)
+    const contributions = indices
+        .map(({ i }, k) => ({
+            metric: joint.metrics[i],
+            value: parseFloat(currentData[joint.columns[i]]),
+            mean: joint.mean[i],
+            share: distanceSquared > 0 ? terms[k] / distanceSquared : 0
+        }))
+        .sort((a, b) => b.share - a.share);
+
+    return {
+        distance: Math.sqrt(distanceSquared),
+        distanceSquared,
+        dimensions: indices.length,
+        metrics: indices.map(({ i }) => joint.metrics[i]),
+        contributions,
+        samples: joint.data_points
+    };
+}
+
+module.exports = {
+    scoreMultivariate,
+    invertMatrix
+};
@@ -0,0 +1,55 @@
+/**
+ * Multivariate (Mahalanobis) scoring tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeStatisticalAnomalies, getThresholds } = require('./statistical-prefilter');
+
+// Queue size and withdrawals normally rise together (correlation 0.95)
+const sd = { tvl: 100000, peg: 0.0005, gas: 5, queue: 20, withdrawals: 40 };
+const baselineStats = {
+    tvl_avg: 10000000, tvl_stddev: sd.tvl,
+    queue_size_avg: 100, queue_size_stddev: sd.queue,
+    withdrawals_avg: 200, withdrawals_stddev: sd.withdrawals,
+    data_points: 8640,
+    multivariate: {
+        metrics: ['tvl', 'peg', 'gas', 'queue_size', 'withdrawals'],
+        columns: ['tvl_eth', 'eeth_eth_ratio', 'avg_gas_price_gwei', 'queue_size', 'withdrawals_24h'],
+        mean: [10000000, 1.0, 10, 100, 200],
+        covariance: [
+            [sd.tvl ** 2, 0, 0, 0, 0],
+            [0, sd.peg ** 2, 0, 0, 0],
+            [0, 0, sd.gas ** 2, 0, 0],
+            [0, 0, 0, sd.queue ** 2, 0.95 * sd.queue * sd.withdrawals],
+            [0, 0, 0, 0.95 * sd.queue * sd.withdrawals, sd.withdrawals ** 2]
+        ],
+        data_points: 8640
+    }
+};
+const normal = { timestamp: new Date(), tvl_eth: 10000000, eeth_eth_ratio: 1.0, avg_gas_price_gwei: 5, queue_size: 130, withdrawals_24h: 260 };
+
+test('co-moving metrics are not anomalous', async () => {
+    const result = await analyzeStatisticalAnomalies(normal, baselineStats, null, { thresholds: getThresholds() });
+
+    assert.equal(result.isAnomalous, false, result.summary);
+});
+
+test('diverging metrics fire only the multivariate detector', async () => {
+    // Queue up 1.5 sigma while withdrawals are down 1.5 sigma - each fine alone, jointly very unusual
+    const result = await analyzeStatisticalAnomalies({ ...normal, withdrawals_24h: 140 }, baselineStats, null, { thresholds: getThresholds() });
+
+    assert.ok(result.triggers.some(t => t.metric === 'multivariate'));
+    assert.ok(!result.triggers.some(t => ['queue', 'withdrawals'].includes(t.metric)));
+});
+
+test('the joint score plus one level trigger is not a correlation', async () => {
+    const result = await analyzeStatisticalAnomalies(
+        { ...normal, tvl_eth: 9600000, withdrawals_24h: 140 }, baselineStats, null, { thresholds: getThresholds() }
+    );
+    const metrics = result.triggers.map(t => t.metric);
+
+    assert.ok(metrics.includes('multivariate') && metrics.includes('tvl'), metrics.join());
+    assert.ok(!metrics.includes('correlation'));
+});
@@ -0,0 +1,102 @@
+/**
+ * Prompt Templates
+ * Versioned analyst prompt templates with {{variable}} placeholders filled from live data
+ *
+ * Templates live in ./prompts/<version>.txt and are never edited once anomalies
+ * were produced with them - a prompt change is a new version, so every stored
+ * anomaly's prompt_version identifies the exact wording it came from.
+ * PROMPT_VERSION selects the active version (default: DEFAULT_PROMPT_VERSION)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+/**
+ * Available versions, oldest first
+ */
+const PROMPT_VERSIONS = {
+    'analyst-v1': 'Original prompt (static TVL figure)',
+    'analyst-v2': 'Live TVL and peg in the protocol context'
+};
+
+const DEFAULT_PROMPT_VERSION = 'analyst-v2';
+
+const templateCache = new Map();
+
+/**
+ * Active prompt version
+ * @returns {string} Version name
+ */
+function getActiveVersion() {
+    return process.env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION;
+}
+
+/**
+ * Load a template by version
+ * @param {string} version - Version name
+ * @returns {string} Template text
+ */
+function loadTemplate(version) {
+    if (!PROMPT_VERSIONS[version]) {
+        throw new Error(`Unknown prompt version: ${version}. Valid: ${Object.keys(PROMPT_VERSIONS).join(', ')}`);
+    }
+
+    if (!templateCache.has(version)) {
+        // Files end with a newline; the prompt itself does not
+        const text = fs.readFileSync(path.join(PROMPTS_DIR, `${version}.txt`), 'utf8').replace(/\n$/, '');
+        templateCache.set(version, text);
+    }
+
+    return templateCache.get(version);
+}
+
+/**
+ * Fill {{variable}} placeholders
+ * @param {string} template - Template text
+ * @param {object} variables - Values by name
+ * @returns {string} Rendered text
+ * @throws {Error} If a placeholder has no value
+ */
+function renderTemplate(template, variables) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`Prompt variable not provided: ${name}`);
+        }
+        return String(variables[name]);
+    });
+}
+
+/**
+ * Placeholders used by a template
+ * @param {string} version - Version name
+ * @returns {string[]} Variable names
+ */
+function getTemplateVariables(version) {
+    const names = [...loadTemplate(version).matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]);
+    return [...new Set(names)];
+}
+
+/**
+ * Version list for display
+ * @returns {Array} [{ version, description, active }]
+ */
+function listVersions() {
+    const active = getActiveVersion();
+    return Object.entries(PROMPT_VERSIONS).map(([version, description]) => ({
+        version,
+        description,
+        active: version === active
+    }));
+}
+
+module.exports = {
+    getActiveVersion,
+    loadTemplate,
+    renderTemplate,
+    getTemplateVariables,
+    listVersions,
+    PROMPT_VERSIONS,
+    DEFAULT_PROMPT_VERSION
+};
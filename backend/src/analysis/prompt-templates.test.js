@@ -0,0 +1,78 @@
+/**
+ * Prompt Template tests and the A/B comparison maths
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderTemplate } = require('./prompt-templates');
+const { constructPrompt } = require('./claude-analyzer');
+const { compareAnalyses, summarizeComparisons } = require('./eval-prompts');
+
+const triggerData = {
+    triggers: [{ metric: 'peg', severity: 'HIGH', currentValue: '0.985000', zScore: 4.2, reason: 'Peg below baseline' }]
+};
+const recentData = [
+    { timestamp: '2026-03-01T10:00:00Z', tvl_eth: '2700000', tvl_usd: '9100000000', eeth_eth_ratio: '0.999' },
+    { timestamp: '2026-03-01T10:05:00Z', tvl_eth: '2650000', tvl_usd: '8900000000', eeth_eth_ratio: '0.985' }
+];
+const baselineStats = {
+    tvl_avg: 2700000, tvl_stddev: 5000, tvl_min: 2680000, tvl_max: 2720000,
+    peg_avg: 0.9995, peg_stddev: 0.0002, peg_min: 0.999, peg_max: 1.0,
+    gas_avg: 3, gas_stddev: 1, sentiment_avg: 0.2, positive_pct: 0.6,
+    period_days: 30, data_points: 8000
+};
+
+test('analyst-v1 keeps the original wording and renders fully', () => {
+    const v1 = constructPrompt(triggerData, recentData, baselineStats, { version: 'analyst-v1' });
+
+    assert.ok(v1.includes('Current TVL: ~$9.4B USD'));
+    assert.doesNotMatch(v1, /\{\{\w+\}\}/);
+});
+
+test('analyst-v2 shows the live TVL and peg from the newest point', () => {
+    const v2 = constructPrompt(triggerData, recentData, baselineStats, { version: 'analyst-v2' });
+
+    assert.doesNotMatch(v2, /\{\{\w+\}\}/);
+    assert.ok(!v2.includes('~$9.4B'));
+    assert.ok(v2.includes('2650000.00 ETH ($8.90B)'));
+    assert.ok(v2.includes('eETH/ETH ratio 0.985000'));
+});
+
+test('the recent data sample keeps the newest points, oldest first', () => {
+    const series = Array.from({ length: 15 }, (_, i) => ({
+        timestamp: new Date(Date.UTC(2026, 2, 1, 10, i * 5)).toISOString(),
+        tvl_eth: String(2700000 - i * 1000),
+        eeth_eth_ratio: '0.999'
+    }));
+    const v2 = constructPrompt(triggerData, series, baselineStats, { version: 'analyst-v2' });
+    const recent = v2.slice(v2.indexOf('RECENT DATA'));
+
+    assert.ok(recent.startsWith('RECENT DATA (10 data points, oldest first)'));
+    assert.ok(!recent.includes(series[4].timestamp));
+    assert.ok(recent.indexOf(series[5].timestamp) < recent.indexOf(series[14].timestamp));
+});
+
+test('a missing template variable throws', () => {
+    assert.throws(() => renderTemplate('Hello {{name}}', {}));
+});
+
+test('comparison summary', () => {
+    const analysis = (severity, confidence) => ({
+        anomalies: [{ type: 'peg_deviation', severity, confidence }],
+        riskLevel: severity
+    });
+    const summary = summarizeComparisons([
+        compareAnalyses(analysis('HIGH', 0.8), analysis('HIGH', 0.85)),
+        compareAnalyses(analysis('MEDIUM', 0.7), analysis('HIGH', 0.9)),
+        compareAnalyses(analysis('HIGH', 0.6), analysis('LOW', 0.4)),
+        compareAnalyses(analysis('LOW', 0.5), null)
+    ]);
+
+    assert.equal(summary.compared, 3);
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.severityAgreement, 0.333);
+    assert.equal(summary.escalated, 1);
+    assert.equal(summary.deescalated, 1);
+    assert.equal(summary.meanConfidenceDelta, 0.017);
+});
@@ -0,0 +1,270 @@
+/**
+ * Analysis Rate Limiter
+ * Decides whether a pre-filter result may spend an LLM call, per severity and per metric family
+ *
+ * Rules, in order:
+ *   1. CRITICAL results always get a call, even with the daily LLM budget spent
+ *   2. A trigger set identical to one analyzed within COALESCE_WINDOW_MS is coalesced
+ *   3. The time since the last call must cover the interval for the result's max severity
+ *      (a MEDIUM call therefore never holds back a HIGH result for longer than HIGH's interval)
+ *   4. Each metric family (peg, tvl, gas, ...) has a token bucket; a call needs a token
+ *      from at least one family firing at the max severity
+ *
+ * Suppressed triggers are queued (aggregated by metric and severity) and summarized
+ * into the next call instead of being dropped. State is in memory and resets on restart
+ */
+
+const { metricFamily, getFiringFamilies } = require('./incident-manager');
+
+const SEVERITY_LEVELS = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+/**
+ * Minimum time since the last call, by max severity (CRITICAL bypasses)
+ */
+const SEVERITY_INTERVALS_MS = {
+    HIGH: 5 * 60 * 1000,
+    MEDIUM: 15 * 60 * 1000,
+    LOW: 30 * 60 * 1000
+};
+
+const COALESCE_WINDOW_MS = 30 * 60 * 1000;
+
+const BUCKET = {
+    capacity: parseInt(process.env.RATE_LIMIT_BUCKET_CAPACITY || '3'),
+    refillMs: parseInt(process.env.RATE_LIMIT_BUCKET_REFILL_MINUTES || '20') * 60 * 1000
+};
+
+const MAX_QUEUED = 50;
+
+/**
+ * family -> { tokens, updatedAt }
+ */
+const buckets = new Map();
+
+/**
+ * fingerprint -> last analyzed time (ms)
+ */
+const analyzedFingerprints = new Map();
+
+/**
+ * `${metric}:${severity}` -> queued trigger summary
+ */
+const queue = new Map();
+
+/**
+ * Identity of a trigger set: its metrics and severities, order-independent
+ * @param {object} prefilterResult - Pre-filter result
+ * @returns {string} Fingerprint
+ */
+function triggerFingerprint(prefilterResult) {
+    return [...new Set((prefilterResult?.triggers || []).map(t => `${t.metric}:${t.severity}`))]
+        .sort()
+        .join('|');
+}
+
+/**
+ * Metric families firing at the result's max severity
+ * @param {object} prefilterResult - Pre-filter result
+ * @returns {string[]} Families
+ */
+function familiesAtMaxSeverity(prefilterResult) {
+    const top = (prefilterResult?.triggers || []).filter(t => t.severity === prefilterResult.maxSeverity);
+    return [...getFiringFamilies({ triggers: top })];
+}
+
+/**
+ * Bucket for a family, refilled up to now
+ * @param {string} family - Metric family
+ * @param {number} now - Time (ms)
+ * @returns {object} { tokens, updatedAt }
+ */
+function refillBucket(family, now) {
+    const bucket = buckets.get(family) || { tokens: BUCKET.capacity, updatedAt: now };
+    const refilled = Math.min(BUCKET.capacity, bucket.tokens + (now - bucket.updatedAt) / BUCKET.refillMs);
+    const next = { tokens: refilled, updatedAt: now };
+    buckets.set(family, next);
+    return next;
+}
+
+/**
+ * Decide whether a result may call the LLM
+ * @param {object} prefilterResult - Pre-filter result
+ * @param {Date|null} lastCall - Time of the last call (any severity)
+ * @param {Date} now - Reference time
+ * @returns {object} { allowed, rule, reason, minutesRemaining, families }
+ */
+function evaluateCall(prefilterResult, lastCall, now = new Date()) {
+    const nowMs = now.getTime();
+    const severity = prefilterResult?.maxSeverity || 'LOW';
+    const families = familiesAtMaxSeverity(prefilterResult);
+
+    if (severity === 'CRITICAL') {
+        return { allowed: true, rule: 'critical_bypass', reason: 'CRITICAL triggers bypass rate limits', families };
+    }
+
+    const fingerprint = triggerFingerprint(prefilterResult);
+    const analyzedAt = analyzedFingerprints.get(fingerprint);
+    if (analyzedAt && nowMs - analyzedAt < COALESCE_WINDOW_MS) {
+        const minutesRemaining = Math.ceil((COALESCE_WINDOW_MS - (nowMs - analyzedAt)) / 60000);
+        return {
+            allowed: false,
+            rule: 'coalesced',
+            reason: `Identical trigger set analyzed ${Math.round((nowMs - analyzedAt) / 60000)} minutes ago`,
+            minutesRemaining,
+            families
+        };
+    }
+
+    const interval = SEVERITY_INTERVALS_MS[severity] ?? SEVERITY_INTERVALS_MS.LOW;
+    const sinceLastCall = lastCall ? nowMs - lastCall.getTime() : Infinity;
+    if (sinceLastCall < interval) {
+        const minutesRemaining = Math.ceil((interval - sinceLastCall) / 60000);
+        return {
+            allowed: false,
+            rule: 'interval',
+            reason: `Rate limited. ${minutesRemaining} minutes until next allowed ${severity} call`,
+            minutesRemaining,
+            families
+        };
+    }
+
+    const available = families.filter(family => refillBucket(family, nowMs).tokens >= 1);
+    if (families.length > 0 && available.length === 0) {
+        const soonest = Math.min(...families.map(family => (1 - buckets.get(family).tokens) * BUCKET.refillMs));
+        const minutesRemaining = Math.ceil(soonest / 60000);
+        return {
+            allowed: false,
+            rule: 'bucket',
+            reason: `Call budget for ${families.join(', ')} used up. Next token in ${minutesRemaining} minutes`,
+            minutesRemaining,
+            families
+        };
+    }
+
+    return { allowed: true, rule: 'allowed', reason: 'Rate limit satisfied', families };
+}
+
+/**
+ * Record a successful call: take a token from each firing family that has one and remember the trigger set
+ * @param {object} prefilterResult - Pre-filter result that was analyzed
+ * @param {Date} now - Call time
+ */
+function recordCall(prefilterResult, now = new Date()) {
+    const nowMs = now.getTime();
+
+    familiesAtMaxSeverity(prefilterResult).forEach(family => {
+        const bucket = refillBucket(family, nowMs);
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+        }
+    });
+
+    analyzedFingerprints.set(triggerFingerprint(prefilterResult), nowMs);
+
+    // Forget fingerprints outside the window
+    for (const [fingerprint, at] of analyzedFingerprints) {
+        if (nowMs - at >= COALESCE_WINDOW_MS) {
+            analyzedFingerprints.delete(fingerprint);
+        }
+    }
+}
+
+/**
+ * Queue the triggers of a suppressed result for the next call
+ * @param {object} prefilterResult - Suppressed pre-filter result
+ * @param {string} rule - Rule that suppressed it
+ * @param {Date} now - Suppression time
+ */
+function enqueueSuppressed(prefilterResult, rule, now = new Date()) {
+    (prefilterResult?.triggers || []).forEach(trigger => {
+        const key = `${trigger.metric}:${trigger.severity}`;
+        const existing = queue.get(key);
+
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = now.toISOString();
+            existing.lastValue = trigger.currentValue ?? existing.lastValue;
+            existing.reason = trigger.reason;
+            existing.suppressedBy = rule;
+            return;
+        }
+
+        if (queue.size >= MAX_QUEUED) {
+            // Drop the least severe, oldest entry to make room
+            const [dropKey] = [...queue.entries()].sort(([, a], [, b]) =>
+                (SEVERITY_LEVELS[a.severity] - SEVERITY_LEVELS[b.severity]) || a.lastSeen.localeCompare(b.lastSeen))[0];
+            queue.delete(dropKey);
+        }
+
+        queue.set(key, {
+            metric: trigger.metric,
+            family: metricFamily(trigger.metric),
+            severity: trigger.severity,
+            count: 1,
+            firstSeen: now.toISOString(),
+            lastSeen: now.toISOString(),
+            lastValue: trigger.currentValue ?? null,
+            reason: trigger.reason,
+            suppressedBy: rule
+        });
+    });
+}
+
+/**
+ * Queued triggers, most severe first
+ * @returns {Array} [{ metric, family, severity, count, firstSeen, lastSeen, lastValue, reason, suppressedBy }]
+ */
+function getQueuedTriggers() {
+    return [...queue.values()].sort((a, b) =>
+        (SEVERITY_LEVELS[b.severity] - SEVERITY_LEVELS[a.severity]) || b.count - a.count);
+}
+
+/**
+ * Empty the queue once its triggers were summarized into a call
+ */
+function clearQueue() {
+    queue.clear();
+}
+
+/**
+ * Limiter state for status endpoints
+ * @param {Date} now - Reference time
+ * @returns {object} { severityIntervalsMinutes, coalesceWindowMinutes, bucket, buckets, queued }
+ */
+function getLimiterState(now = new Date()) {
+    const nowMs = now.getTime();
+
+    return {
+        severityIntervalsMinutes: Object.fromEntries(
+            Object.entries(SEVERITY_INTERVALS_MS).map(([severity, ms]) => [severity, ms / 60000])
+        ),
+        coalesceWindowMinutes: COALESCE_WINDOW_MS / 60000,
+        bucket: { capacity: BUCKET.capacity, refillMinutes: BUCKET.refillMs / 60000 },
+        buckets: Object.fromEntries(
+            [...buckets.keys()].map(family => [family, parseFloat(refillBucket(family, nowMs).tokens.toFixed(2))])
+        ),
+        queued: getQueuedTriggers().length
+    };
+}
+
+/**
+ * Clear all limiter state (tests)
+ */
+function resetLimiter() {
+    buckets.clear();
+    analyzedFingerprints.clear();
+    queue.clear();
+}
+
+module.exports = {
+    evaluateCall,
+    recordCall,
+    enqueueSuppressed,
+    getQueuedTriggers,
+    clearQueue,
+    getLimiterState,
+    resetLimiter,
+    triggerFingerprint,
+    SEVERITY_INTERVALS_MS,
+    COALESCE_WINDOW_MS
+};
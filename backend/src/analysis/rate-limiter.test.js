@@ -0,0 +1,73 @@
+/**
+ * Rate Limiter tests: severity-aware intervals, coalescing, token buckets and the suppressed-trigger queue
+ */
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const rateLimiter = require('./rate-limiter');
+const { constructPrompt } = require('./claude-analyzer');
+
+const t0 = new Date('2026-03-01T12:00:00Z');
+const at = minutes => new Date(t0.getTime() + minutes * 60 * 1000);
+const result = (maxSeverity, ...triggers) => ({
+    maxSeverity,
+    triggers: triggers.map(([metric, severity]) => ({ metric, severity, currentValue: 1, reason: `${metric} moved` }))
+});
+const gas = result('MEDIUM', ['gas', 'MEDIUM']);
+
+beforeEach(() => rateLimiter.resetLimiter());
+after(() => rateLimiter.resetLimiter());
+
+test('CRITICAL bypasses the window used by MEDIUM', () => {
+    assert.ok(rateLimiter.evaluateCall(gas, null, t0).allowed);
+    rateLimiter.recordCall(gas, t0);
+
+    const depeg = rateLimiter.evaluateCall(result('CRITICAL', ['peg', 'CRITICAL']), t0, at(5));
+    assert.ok(depeg.allowed);
+    assert.equal(depeg.rule, 'critical_bypass');
+});
+
+test('a repeated trigger set is coalesced and HIGH waits only its own interval', () => {
+    rateLimiter.recordCall(gas, t0);
+    rateLimiter.recordCall(result('CRITICAL', ['peg', 'CRITICAL']), at(5));
+
+    assert.equal(rateLimiter.evaluateCall(gas, at(5), at(20)).rule, 'coalesced');
+
+    const highEarly = rateLimiter.evaluateCall(result('HIGH', ['tvl', 'HIGH']), at(5), at(8));
+    assert.equal(highEarly.rule, 'interval');
+    assert.equal(highEarly.minutesRemaining, 2);
+});
+
+test('three tvl calls drain the family bucket', () => {
+    const rules = [11, 17, 23, 29].map((minute, i) => {
+        const tvl = result('HIGH', ['tvl', 'HIGH'], [`extra_${i}`, 'LOW']);
+        const decision = rateLimiter.evaluateCall(tvl, at(minute - 6), at(minute));
+        if (decision.allowed) rateLimiter.recordCall(tvl, at(minute));
+        return decision.rule;
+    });
+
+    assert.deepEqual(rules, ['allowed', 'allowed', 'allowed', 'bucket']);
+});
+
+test('suppressed triggers are queued, aggregated and summarized into the next prompt', () => {
+    rateLimiter.enqueueSuppressed(gas, 'coalesced', at(20));
+    rateLimiter.enqueueSuppressed(gas, 'coalesced', at(25));
+    rateLimiter.enqueueSuppressed(result('HIGH', ['tvl', 'HIGH']), 'bucket', at(29));
+    const queued = rateLimiter.getQueuedTriggers();
+
+    // Most severe first
+    assert.deepEqual(queued.map(q => [q.metric, q.count]), [['tvl', 1], ['gas', 2]]);
+
+    const prompt = constructPrompt(
+        { ...result('HIGH', ['peg', 'HIGH']), queuedTriggers: queued },
+        [],
+        {
+            tvl_avg: 1, tvl_min: 1, tvl_max: 1, peg_avg: 1, gas_avg: 1,
+            sentiment_avg: 0, positive_pct: 0, period_days: 30, data_points: 100
+        }
+    );
+
+    assert.ok(prompt.includes('Also seen since the last analysis'));
+    assert.ok(prompt.includes('GAS: MEDIUM x2'));
+});
@@ -0,0 +1,41 @@
+/**
+ * Statistical Pre-Filter tests: multi-signal correlation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeStatisticalAnomalies, getThresholds } = require('./statistical-prefilter');
+
+const now = Date.now();
+// 4% TVL drain over two hours with a steady peg
+const recentData = Array.from({ length: 25 }, (_, i) => ({
+    timestamp: new Date(now - (24 - i) * 5 * 60 * 1000),
+    tvl_eth: 10000000 * (1 - 0.04 * i / 24),
+    eeth_eth_ratio: 1.0
+}));
+const currentData = recentData[recentData.length - 1];
+const baselineStats = {
+    tvl_avg: 10000000, tvl_stddev: 100000,
+    peg_avg: 1.0, peg_stddev: 0.0005,
+    data_points: 8640
+};
+
+test('one TVL move firing tvl and tvl_velocity does not self-correlate', async () => {
+    const result = await analyzeStatisticalAnomalies(currentData, baselineStats, null, { thresholds: getThresholds(), recentData });
+    const metrics = result.triggers.map(t => t.metric);
+
+    assert.ok(metrics.includes('tvl') && metrics.includes('tvl_velocity'), metrics.join());
+    assert.ok(!metrics.includes('correlation'));
+});
+
+test('signals from different families correlate', async () => {
+    const result = await analyzeStatisticalAnomalies(
+        { ...currentData, eeth_eth_ratio: 0.994 }, baselineStats, null, { thresholds: getThresholds(), recentData }
+    );
+    const correlation = result.triggers.find(t => t.metric === 'correlation');
+
+    assert.equal(correlation?.severity, 'HIGH');
+    assert.ok(correlation.correlatedMetrics.includes('peg'));
+    assert.ok(correlation.correlatedMetrics.includes('tvl'));
+});
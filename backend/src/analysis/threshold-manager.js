@@ -0,0 +1,340 @@
+/**
+ * Threshold Manager
+ * Loads the active anomaly threshold version from the database and caches it
+ * Cache expires after 1 minute so edits made through the API (or by another
+ * instance) are picked up by the pre-filter without a redeploy
+ */
+
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+
+/**
+ * Default thresholds, used until a version is stored and whenever the database is unavailable
+ */
+const DEFAULT_THRESHOLDS = Object.freeze({
+    // Z-score thresholds
+    Z_SCORE_HIGH: 2.5,          // High deviation (2.5 standard deviations)
+    Z_SCORE_MEDIUM: 2.0,        // Medium deviation
+    Z_SCORE_LOW: 1.5,           // Low deviation
+
+    // Peg deviation thresholds
+    PEG_CRITICAL: 0.01,         // 1% depeg - CRITICAL
+    PEG_HIGH: 0.005,            // 0.5% depeg - HIGH
+    PEG_MEDIUM: 0.003,          // 0.3% depeg - MEDIUM
+
+    // Gas price thresholds (gwei)
+    GAS_CRITICAL: 50,           // Extreme congestion
+    GAS_HIGH: 20,               // High congestion
+    GAS_MEDIUM: 10,             // Moderate congestion
+
+    // Trend thresholds (slope over the last 2 hours)
+    TVL_VELOCITY_CRITICAL: 5,   // TVL outflow, % per hour
+    TVL_VELOCITY_HIGH: 2,
+    TVL_VELOCITY_MEDIUM: 1,
+    PEG_TREND_CRITICAL: 0.0025, // Peg moving away from 1.0, fraction per hour
+    PEG_TREND_HIGH: 0.001,
+    PEG_TREND_MEDIUM: 0.0005,
+    QUEUE_GROWTH_CRITICAL: 50,  // Withdrawal queue growth, % per hour
+    QUEUE_GROWTH_HIGH: 25,
+    QUEUE_GROWTH_MEDIUM: 10,
+
+    // Withdrawal finalization time (p90 of requests finalized in the last 7 days, hours)
+    QUEUE_WAIT_HOURS_CRITICAL: 168,
+    QUEUE_WAIT_HOURS_HIGH: 120,
+    QUEUE_WAIT_HOURS_MEDIUM: 72,
+
+    // Whale movement (largest 24h balance change of a top holder, % of eETH supply)
+    WHALE_MOVE_PCT_CRITICAL: 2,
+    WHALE_MOVE_PCT_HIGH: 1,
+    WHALE_MOVE_PCT_MEDIUM: 0.5,
+
+    // Multivariate (Mahalanobis distance over TVL, peg, gas, queue, withdrawals)
+    MAHALANOBIS_CRITICAL: 6,    // ~1 in a million for 5 normal metrics
+    MAHALANOBIS_HIGH: 5,
+    MAHALANOBIS_MEDIUM: 4,      // ~1 in 150
+
+    // Sentiment thresholds
+    SENTIMENT_NEGATIVE_PCT: 0.4,  // 40% negative tweets
+    SENTIMENT_SCORE_LOW: -0.3,    // Average sentiment below -0.3
+
+    // Multi-signal correlation
+    MIN_CORRELATED_SIGNALS: 2    // Minimum number of correlated anomalies
+});
+
+/**
+ * Allowed range per threshold key
+ */
+const THRESHOLD_LIMITS = {
+    Z_SCORE_HIGH: { min: 0, max: 10 },
+    Z_SCORE_MEDIUM: { min: 0, max: 10 },
+    Z_SCORE_LOW: { min: 0, max: 10 },
+    PEG_CRITICAL: { min: 0, max: 1 },
+    PEG_HIGH: { min: 0, max: 1 },
+    PEG_MEDIUM: { min: 0, max: 1 },
+    GAS_CRITICAL: { min: 0, max: 10000 },
+    GAS_HIGH: { min: 0, max: 10000 },
+    GAS_MEDIUM: { min: 0, max: 10000 },
+    TVL_VELOCITY_CRITICAL: { min: 0, max: 100 },
+    TVL_VELOCITY_HIGH: { min: 0, max: 100 },
+    TVL_VELOCITY_MEDIUM: { min: 0, max: 100 },
+    PEG_TREND_CRITICAL: { min: 0, max: 1 },
+    PEG_TREND_HIGH: { min: 0, max: 1 },
+    PEG_TREND_MEDIUM: { min: 0, max: 1 },
+    QUEUE_GROWTH_CRITICAL: { min: 0, max: 1000 },
+    QUEUE_GROWTH_HIGH: { min: 0, max: 1000 },
+    QUEUE_GROWTH_MEDIUM: { min: 0, max: 1000 },
+    QUEUE_WAIT_HOURS_CRITICAL: { min: 0, max: 2000 },
+    QUEUE_WAIT_HOURS_HIGH: { min: 0, max: 2000 },
+    QUEUE_WAIT_HOURS_MEDIUM: { min: 0, max: 2000 },
+    WHALE_MOVE_PCT_CRITICAL: { min: 0, max: 100 },
+    WHALE_MOVE_PCT_HIGH: { min: 0, max: 100 },
+    WHALE_MOVE_PCT_MEDIUM: { min: 0, max: 100 },
+    MAHALANOBIS_CRITICAL: { min: 0, max: 100 },
+    MAHALANOBIS_HIGH: { min: 0, max: 100 },
+    MAHALANOBIS_MEDIUM: { min: 0, max: 100 },
+    SENTIMENT_NEGATIVE_PCT: { min: 0, max: 1 },
+    SENTIMENT_SCORE_LOW: { min: -1, max: 1 },
+    MIN_CORRELATED_SIGNALS: { min: 1, max: 10, integer: true }
+};
+
+/**
+ * Tiered thresholds that must stay in ascending order (lowest severity first)
+ */
+const ORDERED_GROUPS = [
+    ['Z_SCORE_LOW', 'Z_SCORE_MEDIUM', 'Z_SCORE_HIGH'],
+    ['PEG_MEDIUM', 'PEG_HIGH', 'PEG_CRITICAL'],
+    ['GAS_MEDIUM', 'GAS_HIGH', 'GAS_CRITICAL'],
+    ['TVL_VELOCITY_MEDIUM', 'TVL_VELOCITY_HIGH', 'TVL_VELOCITY_CRITICAL'],
+    ['PEG_TREND_MEDIUM', 'PEG_TREND_HIGH', 'PEG_TREND_CRITICAL'],
+    ['QUEUE_GROWTH_MEDIUM', 'QUEUE_GROWTH_HIGH', 'QUEUE_GROWTH_CRITICAL'],
+    ['QUEUE_WAIT_HOURS_MEDIUM', 'QUEUE_WAIT_HOURS_HIGH', 'QUEUE_WAIT_HOURS_CRITICAL'],
+    ['WHALE_MOVE_PCT_MEDIUM', 'WHALE_MOVE_PCT_HIGH', 'WHALE_MOVE_PCT_CRITICAL'],
+    ['MAHALANOBIS_MEDIUM', 'MAHALANOBIS_HIGH', 'MAHALANOBIS_CRITICAL']
+];
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+/**
+ * In-memory cache of the active version
+ */
+let thresholdCache = {
+    thresholds: { ...DEFAULT_THRESHOLDS },
+    version: null,
+    loadedAt: null
+};
+
+/**
+ * Check if cached thresholds are still valid
+ * @returns {boolean} True if cache is valid
+ */
+function isCacheValid() {
+    return thresholdCache.loadedAt !== null && (Date.now() - thresholdCache.loadedAt) < CACHE_TTL;
+}
+
+/**
+ * Validate a (partial) set of threshold changes merged over a base set
+ * @param {object} changes - Threshold key/value pairs to change
+ * @param {object} base - Thresholds the changes apply to
+ * @returns {object} { valid, errors, merged }
+ */
+function validateThresholds(changes, base = thresholdCache.thresholds) {
+    const errors = [];
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { valid: false, errors: ['Thresholds must be an object'], merged: null };
+    }
+
+    Object.entries(changes).forEach(([key, value]) => {
+        const limits = THRESHOLD_LIMITS[key];
+        if (!limits) {
+            errors.push(`Unknown threshold: ${key}`);
+            return;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${key} must be a number`);
+            return;
+        }
+        if (value < limits.min || value > limits.max) {
+            errors.push(`${key} must be between ${limits.min} and ${limits.max}`);
+        }
+        if (limits.integer && !Number.isInteger(value)) {
+            errors.push(`${key} must be an integer`);
+        }
+    });
+
+    const merged = { ...DEFAULT_THRESHOLDS, ...base, ...changes };
+
+    if (errors.length === 0) {
+        ORDERED_GROUPS.forEach(group => {
+            for (let i = 1; i < group.length; i++) {
+                if (merged[group[i - 1]] > merged[group[i]]) {
+                    errors.push(`${group[i - 1]} must not exceed ${group[i]}`);
+                }
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors, merged };
+}
+
+/**
+ * Load the active threshold version from the database into the cache
+ * Falls back to the current cache (or defaults) if the database is unavailable
+ * @returns {Promise<object>} Cache entry
+ */
+async function reloadThresholds() {
+    try {
+        const active = await queries.getActiveThresholdVersion();
+
+        thresholdCache = {
+            thresholds: active
+                ? { ...DEFAULT_THRESHOLDS, ...active.thresholds }
+                : { ...DEFAULT_THRESHOLDS },
+            version: active ? active.version : null,
+            loadedAt: Date.now()
+        };
+
+        logger.debug('Thresholds loaded', { version: thresholdCache.version });
+
+    } catch (error) {
+        logger.warn('Failed to load thresholds from database, using cached values', {
+            error: error.message,
+            version: thresholdCache.version
+        });
+        // Back off until the next TTL window instead of hitting the database every cycle
+        thresholdCache.loadedAt = Date.now();
+    }
+
+    return thresholdCache;
+}
+
+/**
+ * Get the active thresholds (hot-reloaded from the database)
+ * @param {boolean} forceRefresh - Bypass cache
+ * @returns {Promise<object>} Threshold values
+ */
+async function getActiveThresholds(forceRefresh = false) {
+    if (forceRefresh || !isCacheValid()) {
+        await reloadThresholds();
+    }
+    return { ...thresholdCache.thresholds };
+}
+
+/**
+ * Get the thresholds currently held in memory (no database access)
+ * @returns {object} Threshold values
+ */
+function getCachedThresholds() {
+    return { ...thresholdCache.thresholds };
+}
+
+/**
+ * Get active version metadata alongside values
+ * @returns {Promise<object>} { version, thresholds, defaults, ... }
+ */
+async function getThresholdConfig() {
+    const active = await queries.getActiveThresholdVersion();
+
+    return {
+        version: active ? active.version : null,
+        thresholds: active ? { ...DEFAULT_THRESHOLDS, ...active.thresholds } : { ...DEFAULT_THRESHOLDS },
+        defaults: { ...DEFAULT_THRESHOLDS },
+        limits: THRESHOLD_LIMITS,
+        created_by: active ? active.created_by : null,
+        created_at: active ? active.created_at : null,
+        change_reason: active ? active.change_reason : null
+    };
+}
+
+/**
+ * Store a new threshold version and make it active
+ * Every changed key is written to the audit log with its old and new value
+ * @param {object} changes - Threshold key/value pairs to change
+ * @param {object} meta - { changedBy, reason }
+ * @returns {Promise<object>} { version, thresholds, changes }
+ */
+async function updateThresholds(changes, meta = {}) {
+    const current = await getActiveThresholds(true);
+    const { valid, errors, merged } = validateThresholds(changes, current);
+
+    if (!valid) {
+        const error = new Error(`Invalid thresholds: ${errors.join(', ')}`);
+        error.status = 400;
+        error.details = errors;
+        throw error;
+    }
+
+    const diff = Object.keys(changes)
+        .filter(key => current[key] !== merged[key])
+        .map(key => ({ key, oldValue: current[key], newValue: merged[key] }));
+
+    if (diff.length === 0) {
+        return { version: thresholdCache.version, thresholds: merged, changes: [] };
+    }
+
+    const saved = await queries.insertThresholdVersion(merged, diff, {
+        changedBy: meta.changedBy || 'unknown',
+        reason: meta.reason || null
+    });
+
+    thresholdCache = {
+        thresholds: { ...DEFAULT_THRESHOLDS, ...saved.thresholds },
+        version: saved.version,
+        loadedAt: Date.now()
+    };
+
+    logger.info('Thresholds updated', {
+        version: saved.version,
+        changedBy: meta.changedBy,
+        changes: diff
+    });
+
+    return { version: saved.version, thresholds: thresholdCache.thresholds, changes: diff };
+}
+
+/**
+ * Re-activate a previously stored version (creates a new version with its values)
+ * @param {number} version - Version to restore
+ * @param {object} meta - { changedBy, reason }
+ * @returns {Promise<object>} Result of updateThresholds
+ */
+async function restoreThresholdVersion(version, meta = {}) {
+    const previous = await queries.getThresholdVersion(version);
+
+    if (!previous) {
+        const error = new Error(`Threshold version ${version} not found`);
+        error.status = 404;
+        throw error;
+    }
+
+    return updateThresholds(
+        { ...DEFAULT_THRESHOLDS, ...previous.thresholds },
+        { changedBy: meta.changedBy, reason: meta.reason || `Restored version ${version}` }
+    );
+}
+
+/**
+ * Get cache status (for debugging)
+ * @returns {object} Cache status
+ */
+function getCacheStatus() {
+    return {
+        version: thresholdCache.version,
+        loadedAt: thresholdCache.loadedAt,
+        isValid: isCacheValid()
+    };
+}
+
+module.exports = {
+    getActiveThresholds,
+    getCachedThresholds,
+    getThresholdConfig,
+    updateThresholds,
+    restoreThresholdVersion,
+    reloadThresholds,
+    validateThresholds,
+    getCacheStatus,
+    DEFAULT_THRESHOLDS,
+    THRESHOLD_LIMITS,
+    ORDERED_GROUPS
+};
@@ -0,0 +1,132 @@
+/**
+ * Trend Calculator
+ * Rate-of-change helpers for the velocity/trend detectors
+ * Works on the recent window of time series points (oldest first, as returned by getTimeSeriesData)
+ */
+
+/**
+ * Hours of recent data the trend detectors look at
+ */
+const TREND_WINDOW_HOURS = 2;
+
+/**
+ * Minimum points needed for a meaningful slope (30 minutes of 5-minute data)
+ */
+const MIN_TREND_POINTS = 6;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Extract (hours, value) samples for one column, skipping missing values
+ * @param {Array} points - Time series rows, oldest first
+ * @param {string} column - Column to read
+ * @returns {Array} [{ t, value }] with t in hours since the first sample
+ */
+function extractSeries(points, column) {
+    const samples = (points || [])
+        .map(point => ({
+            time: new Date(point.timestamp).getTime(),
+            value: parseFloat(point[column])
+        }))
+        .filter(sample => Number.isFinite(sample.time) && Number.isFinite(sample.value))
+        .sort((a, b) => a.time - b.time);
+
+    if (samples.length === 0) {
+        return [];
+    }
+
+    const start = samples[0].time;
+    return samples.map(sample => ({
+        t: (sample.time - start) / MS_PER_HOUR,
+        value: sample.value
+    }));
+}
+
+/**
+ * Least-squares slope of value over time
+ * @param {Array} series - [{ t, value }] from extractSeries
+ * @returns {number|null} Units per hour, or null if the series spans no time
+ */
+function linearSlope(series) {
+    if (series.length < 2) {
+        return null;
+    }
+
+    const n = series.length;
+    const meanT = series.reduce((sum, s) => sum + s.t, 0) / n;
+    const meanV = series.reduce((sum, s) => sum + s.value, 0) / n;
+
+    let covariance = 0;
+    let variance = 0;
+    series.forEach(s => {
+        covariance += (s.t - meanT) * (s.value - meanV);
+        variance += (s.t - meanT) ** 2;
+    });
+
+    return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Describe the trend of one column over the recent window
+ * Velocity is the regression slope; acceleration compares the slope of the
+ * second half of the window against the first half
+ * @param {Array} points - Time series rows, oldest first
+ * @param {string} column - Column to read
+ * @param {Function} transform - Optional value transform (e.g. distance from peg)
+ * @returns {object|null} { slopePerHour, pctPerHour, acceleration, first, last, mean, points, spanHours }
+ */
+function calculateTrend(points, column, transform = null) {
+    let series = extractSeries(points, column);
+    if (transform) {
+        series = series.map(s => ({ t: s.t, value: transform(s.value) }));
+    }
+
+    if (series.length < MIN_TREND_POINTS) {
+        return null;
+    }
+
+    const slopePerHour = linearSlope(series);
+    if (slopePerHour === null) {
+        return null;
+    }
+
+    const mid = Math.floor(series.length / 2);
+    const firstHalfSlope = linearSlope(series.slice(0, mid));
+    const secondHalfSlope = linearSlope(series.slice(mid));
+    const spanHours = series[series.length - 1].t;
+    const mean = series.reduce((sum, s) => sum + s.value, 0) / series.length;
+
+    return {
+        slopePerHour,
+        pctPerHour: mean !== 0 ? (slopePerHour / Math.abs(mean)) * 100 : null,
+        // Change in slope (units/hour per hour) between the two halves of the window
+        acceleration: firstHalfSlope !== null && secondHalfSlope !== null && spanHours > 0
+            ? (secondHalfSlope - firstHalfSlope) / (spanHours / 2)
+            : null,
+        firstHalfSlope,
+        secondHalfSlope,
+        first: series[0].value,
+        last: series[series.length - 1].value,
+        mean,
+        points: series.length,
+        spanHours
+    };
+}
+
+/**
+ * Check whether the recent window has enough points with a given column
+ * @param {Array} recentData - Time series rows
+ * @param {string} column - Column to read
+ * @returns {boolean} True if a trend can be calculated
+ */
+function hasTrendData(recentData, column) {
+    return extractSeries(recentData, column).length >= MIN_TREND_POINTS;
+}
+
+module.exports = {
+    calculateTrend,
+    hasTrendData,
+    linearSlope,
+    TREND_WINDOW_HOURS,
+    MIN_TREND_POINTS
+};
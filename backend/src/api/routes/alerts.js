@@ -0,0 +1,268 @@
+/**
+ * Alert Routes
+ * Outbound alert channels, their delivery log and routing rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const queries = require('../../database/queries');
+const { listChannels, sendTestAlert } = require('../../alerts/alert-dispatcher');
+const { validateRule, invalidateRuleCache } = require('../../alerts/alert-rules');
+const logger = require('../../utils/logger');
+
+const VALID_STATUSES = ['delivered', 'failed', 'suppressed'];
+
+/**
+ * Validate a rule body, including that every referenced channel is configured
+ * @param {object} body - Rule fields
+ * @returns {object} { valid, errors, rule }
+ */
+function checkRule(body) {
+    const result = validateRule(body);
+    if (!result.rule) return result;
+
+    const known = new Set(listChannels().map(channel => channel.name));
+    const unknown = [...(result.rule.channels || []), ...(result.rule.escalation_channels || [])]
+        .filter(name => !known.has(name));
+
+    if (unknown.length > 0) {
+        result.errors.push(`Unknown channels: ${[...new Set(unknown)].join(', ')}`);
+        result.valid = false;
+    }
+
+    return result;
+}
+
+/**
+ * Respond to a failed rule write (duplicate names are a 409)
+ * @param {object} res - Express response
+ * @param {Error} error - Database error
+ * @param {string} action - Action for the log and message
+ */
+function ruleWriteError(res, error, action) {
+    if (error.code === '23505') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'An alert rule with this name already exists'
+        });
+    }
+
+    logger.error(`Failed to ${action} alert rule`, { error: error.message });
+    res.status(500).json({
+        error: 'Internal Server Error',
+        message: `Failed to ${action} alert rule`
+    });
+}
+
+/**
+ * GET /api/alerts/channels
+ * List configured channels (secrets omitted)
+ */
+router.get('/channels', (req, res) => {
+    try {
+        res.json({ channels: listChannels() });
+    } catch (error) {
+        logger.error('Failed to list alert channels', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to list alert channels'
+        });
+    }
+});
+
+/**
+ * POST /api/alerts/channels/:name/test
+ * Send a test alert to one channel (single attempt, logged like any delivery)
+ */
+router.post('/channels/:name/test', async (req, res) => {
+    try {
+        const result = await sendTestAlert(req.params.name);
+        res.status(result.status === 'delivered' ? 200 : 502).json(result);
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: error.message
+            });
+        }
+
+        logger.error('Failed to send test alert', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to send test alert'
+        });
+    }
+});
+
+/**
+ * GET /api/alerts/deliveries?limit=50&status=failed
+ * Recent delivery log
+ */
+router.get('/deliveries', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const status = req.query.status || null;
+
+        if (status && !VALID_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid status. Valid: ${VALID_STATUSES.join(', ')}`
+            });
+        }
+
+        const deliveries = await queries.getAlertDeliveries(limit, status);
+
+        res.json({
+            deliveries: deliveries.map(d => ({
+                id: d.id,
+                anomaly_id: d.anomaly_id,
+                anomaly_title: d.anomaly_title,
+                channel: d.channel_name,
+                type: d.channel_type,
+                status: d.status,
+                attempts: d.attempts,
+                response_status: d.response_status,
+                error: d.error_message,
+                severity: d.severity,
+                created_at: d.created_at,
+                delivered_at: d.delivered_at
+            })),
+            total: deliveries.length
+        });
+    } catch (error) {
+        logger.error('Failed to get alert deliveries', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve alert deliveries'
+        });
+    }
+});
+
+/**
+ * GET /api/alerts/rules
+ * All routing rules in evaluation order
+ */
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await queries.getAlertRules();
+        res.json({ rules, total: rules.length });
+    } catch (error) {
+        logger.error('Failed to get alert rules', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve alert rules'
+        });
+    }
+});
+
+/**
+ * GET /api/alerts/rules/:id
+ * Single routing rule
+ */
+router.get('/rules/:id', async (req, res) => {
+    try {
+        const rule = await queries.getAlertRule(parseInt(req.params.id));
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Alert rule ${req.params.id} not found`
+            });
+        }
+
+        res.json(rule);
+    } catch (error) {
+        logger.error('Failed to get alert rule', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve alert rule'
+        });
+    }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create a routing rule
+ */
+router.post('/rules', async (req, res) => {
+    const { valid, errors, rule } = checkRule(req.body);
+
+    if (!valid) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Invalid alert rule',
+            details: errors
+        });
+    }
+
+    try {
+        const created = await queries.insertAlertRule(rule);
+        invalidateRuleCache();
+
+        logger.info('Alert rule created', { id: created.id, name: created.name, action: created.action });
+        res.status(201).json(created);
+    } catch (error) {
+        ruleWriteError(res, error, 'create');
+    }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Update a routing rule (fields not in the body keep their current values)
+ */
+router.put('/rules/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await queries.getAlertRule(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Alert rule ${req.params.id} not found`
+            });
+        }
+
+        const { valid, errors, rule } = checkRule({ ...existing, ...req.body });
+
+        if (!valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid alert rule',
+                details: errors
+            });
+        }
+
+        const updated = await queries.updateAlertRule(id, rule);
+        invalidateRuleCache();
+
+        logger.info('Alert rule updated', { id, name: updated.name });
+        res.json(updated);
+    } catch (error) {
+        ruleWriteError(res, error, 'update');
+    }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete a routing rule and its pending escalations
+ */
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        const deleted = await queries.deleteAlertRule(parseInt(req.params.id));
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Alert rule ${req.params.id} not found`
+            });
+        }
+
+        invalidateRuleCache();
+        logger.info('Alert rule deleted', { id: req.params.id });
+        res.status(204).end();
+    } catch (error) {
+        ruleWriteError(res, error, 'delete');
+    }
+});
+
+module.exports = router;
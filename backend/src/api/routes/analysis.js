@@ -1,5 +1,5 @@
 /**
- * Analysis Routes - Manual Claude-powered analysis
+ * Analysis Routes - Manual Claude-powered analysis, stored reports and their exports, response validation log and LLM usage
  */
 
 const express = require('express');
@@ -7,8 +7,46 @@ const router = express.Router();
 const queries = require('../../database/queries');
 const { analyzeWithClaude } = require('../../analysis/claude-analyzer');
 const { getBaselineStatistics } = require('../../analysis/baseline-calculator');
+const { checkBudget } = require('../../analysis/llm-usage');
+const { buildReportDocument, chartWindow } = require('../../exports/export-document');
+const { exportDocument, EXPORT_FORMATS } = require('../../exports/report-exporter');
 const logger = require('../../utils/logger');
 
+const VALIDATION_OUTCOMES = ['repaired', 'salvaged', 'failed'];
+
+/**
+ * Baseline fields kept in a report's inputs snapshot
+ */
+const SNAPSHOT_BASELINE_FIELDS = [
+    'tvl_avg', 'tvl_stddev', 'tvl_min', 'tvl_max',
+    'peg_avg', 'peg_stddev', 'peg_min', 'peg_max',
+    'gas_avg', 'gas_stddev', 'sentiment_avg', 'positive_pct',
+    'period_days', 'data_points'
+];
+
+/**
+ * Shape a stored report like the /generate response
+ * @param {object} row - analysis_reports row
+ * @param {boolean} includeInputs - Include the inputs snapshot
+ * @returns {object} Report
+ */
+function transformReport(row, includeInputs = false) {
+    return {
+        id: row.id,
+        generated_at: row.generated_at,
+        provider: row.provider,
+        model: row.model,
+        prompt_version: row.prompt_version,
+        risk_level: row.risk_level,
+        overall_assessment: row.overall_assessment,
+        current_state: row.current_state,
+        baseline_comparison: row.baseline_comparison,
+        anomaly_ids: row.anomaly_ids || [],
+        ...(row.analysis !== undefined && { analysis: row.analysis }),
+        ...(includeInputs && { inputs: row.inputs })
+    };
+}
+
 /**
  * POST /api/analysis/generate
  * Generate a comprehensive anomaly analysis report using Claude
@@ -27,6 +65,17 @@ router.post('/generate', async (req, res) => {
             });
         }
 
+        // Manual reports spend from the same daily budget as automatic detection
+        const budget = await checkBudget();
+        if (!budget.allowed) {
+            return res.status(429).json({
+                success: false,
+                error: 'Daily LLM budget exhausted',
+                message: `Spent $${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd.toFixed(2)} today. Resets at ${budget.resetsAt.toISOString()}`,
+                budget
+            });
+        }
+
         // 2. Get baseline statistics (force refresh for manual analysis)
         const baselineStats = await getBaselineStatistics(30, true); // Force refresh
 
@@ -116,10 +165,12 @@ router.post('/generate', async (req, res) => {
 
         // 6. Call Claude for analysis
         logger.info('Calling Claude for analysis report');
+        const recentSample = recentData.slice(0, 20); // Last 20 data points
         const claudeResult = await analyzeWithClaude(
             triggerData,
-            recentData.slice(0, 20), // Last 20 data points
-            baselineStats
+            recentSample,
+            baselineStats,
+            { currentData }
         );
 
         if (!claudeResult.success) {
@@ -130,9 +181,8 @@ router.post('/generate', async (req, res) => {
             });
         }
 
-        // 7. Return comprehensive report
-        res.json({
-            success: true,
+        // 7. Build, store and return the report
+        const report = {
             generated_at: new Date().toISOString(),
             current_state: {
                 timestamp: currentData.timestamp,
@@ -152,6 +202,32 @@ router.post('/generate', async (req, res) => {
             },
             analysis: claudeResult.analysis,
             anomalies: claudeResult.anomalies || []
+        };
+
+        // A storage failure is logged but does not cost the caller the report
+        let reportId = null;
+        try {
+            const stored = await queries.insertAnalysisReport({
+                ...report,
+                provider: claudeResult.provider,
+                model: claudeResult.model,
+                prompt_version: claudeResult.promptVersion,
+                anomaly_ids: report.anomalies.map(a => a.id).filter(Boolean),
+                inputs: {
+                    trigger_data: triggerData,
+                    baseline_stats: Object.fromEntries(SNAPSHOT_BASELINE_FIELDS.map(field => [field, baselineStats[field] ?? null])),
+                    recent_data: recentSample
+                }
+            });
+            reportId = stored.id;
+        } catch (storeError) {
+            logger.error('Failed to store analysis report', { error: storeError.message });
+        }
+
+        res.json({
+            success: true,
+            report_id: reportId,
+            ...report
         });
 
     } catch (error) {
@@ -168,4 +244,208 @@ router.post('/generate', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/analysis/reports?limit=20&offset=0
+ * Stored analysis reports, newest first (without inputs)
+ */
+router.get('/reports', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const { reports, total } = await queries.getAnalysisReports(limit, offset);
+
+        res.json({
+            reports: reports.map(row => transformReport(row)),
+            total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        logger.error('Failed to get analysis reports', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve analysis reports'
+        });
+    }
+});
+
+/**
+ * GET /api/analysis/reports/:id
+ * One stored report with its anomalies and inputs snapshot
+ */
+router.get('/reports/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid report ID'
+            });
+        }
+
+        const row = await queries.getAnalysisReport(id);
+
+        if (!row) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Analysis report ${id} not found`
+            });
+        }
+
+        const anomalies = await Promise.all((row.anomaly_ids || []).map(anomalyId => queries.getAnomalyById(anomalyId)));
+
+        res.json({
+            ...transformReport(row, true),
+            anomalies: anomalies.filter(Boolean)
+        });
+    } catch (error) {
+        logger.error('Failed to get analysis report', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve analysis report'
+        });
+    }
+});
+
+/**
+ * GET /api/analysis/reports/:id/export?format=markdown|html|pdf
+ * Download a stored report with its triggers, baseline, assessment and charts
+ */
+router.get('/reports/:id/export', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const format = req.query.format || 'pdf';
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid report ID'
+            });
+        }
+
+        if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid format. Valid: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        const row = await queries.getAnalysisReport(id);
+
+        if (!row) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Analysis report ${id} not found`
+            });
+        }
+
+        const anomalies = await Promise.all((row.anomaly_ids || []).map(anomalyId => queries.getAnomalyById(anomalyId)));
+        const { start, end } = chartWindow(row.current_state?.timestamp || row.generated_at);
+        const series = await queries.getTimeSeriesDataRange(start, end);
+
+        const file = await exportDocument(buildReportDocument(row, anomalies, series), format, `etherfi-report-${id}`);
+
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    } catch (error) {
+        logger.error('Failed to export analysis report', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to export analysis report'
+        });
+    }
+});
+
+/**
+ * GET /api/analysis/validation-failures?limit=50&outcome=failed
+ * LLM responses that failed schema validation, with their repair attempt
+ */
+router.get('/validation-failures', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const outcome = req.query.outcome || null;
+
+        if (outcome && !VALIDATION_OUTCOMES.includes(outcome)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid outcome. Valid: ${VALIDATION_OUTCOMES.join(', ')}`
+            });
+        }
+
+        const failures = await queries.getValidationFailures(limit, outcome);
+
+        res.json({
+            failures,
+            total: failures.length
+        });
+    } catch (error) {
+        logger.error('Failed to get validation failures', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve validation failures'
+        });
+    }
+});
+
+/**
+ * Shape an llm_usage aggregate row
+ * @param {object} row - Aggregate row
+ * @returns {object} Numeric aggregate
+ */
+function transformUsage(row) {
+    return {
+        calls: parseInt(row.calls) || 0,
+        failed_calls: parseInt(row.failed_calls) || 0,
+        retries: parseInt(row.retries) || 0,
+        input_tokens: parseInt(row.input_tokens) || 0,
+        output_tokens: parseInt(row.output_tokens) || 0,
+        avg_latency_ms: row.avg_latency_ms !== null && row.avg_latency_ms !== undefined ? parseInt(row.avg_latency_ms) : null,
+        cost_usd: parseFloat(row.cost_usd) || 0
+    };
+}
+
+/**
+ * GET /api/analysis/usage?days=30&months=6
+ * LLM token usage and estimated cost by day, month and model, with today's budget
+ */
+router.get('/usage', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 24);
+
+        const [daily, monthly, byModel, budget] = await Promise.all([
+            queries.getLlmUsageAggregates('day', days),
+            queries.getLlmUsageAggregates('month', months),
+            queries.getLlmUsageByModel(days),
+            checkBudget()
+        ]);
+
+        res.json({
+            budget: {
+                daily_budget_usd: budget.budgetUsd,
+                spent_today_usd: budget.spentUsd,
+                remaining_usd: budget.remainingUsd,
+                exhausted: !budget.allowed,
+                resets_at: budget.resetsAt
+            },
+            daily: daily.map(row => ({ date: row.period, ...transformUsage(row) })),
+            monthly: monthly.map(row => ({ month: row.period, ...transformUsage(row) })),
+            by_model: byModel.map(row => ({
+                provider: row.provider,
+                model: row.model,
+                ...transformUsage(row)
+            }))
+        });
+    } catch (error) {
+        logger.error('Failed to get LLM usage', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve LLM usage'
+        });
+    }
+});
+
 module.exports = router;
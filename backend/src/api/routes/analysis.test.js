@@ -0,0 +1,90 @@
+/**
+ * Analysis route tests: stored reports and report exports
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const analysisRoutes = require('./analysis');
+const queries = require('../../database/queries');
+const { callRoute, stubQueries } = require('../../utils/harness');
+
+let restore = () => {};
+afterEach(() => restore());
+
+const stored = {
+    id: 7,
+    generated_at: '2026-03-01T12:00:00.000Z',
+    provider: 'anthropic',
+    model: 'claude-sonnet-4-5-20250929',
+    prompt_version: 'analyst-v2',
+    risk_level: 'MEDIUM',
+    overall_assessment: 'Peg drifting',
+    current_state: { timestamp: '2026-03-01T12:00:00.000Z', tvl_eth: 2500000, eeth_eth_ratio: 0.996 },
+    baseline_comparison: { tvl_deviation_pct: '0.40', peg_deviation_pct: '0.400' },
+    analysis: { riskLevel: 'MEDIUM', overallAssessment: 'Peg drifting', anomalies: [] },
+    anomaly_ids: [41, 42],
+    inputs: { trigger_data: { triggers: [] }, baseline_stats: { tvl_avg: 2490000 }, recent_data: [] }
+};
+
+test('report listing clamps the page size and leaves the inputs out', async () => {
+    let listArgs = null;
+    restore = stubQueries(queries, {
+        getAnalysisReports: async (limit, offset) => {
+            listArgs = { limit, offset };
+            return { reports: [stored], total: 12 };
+        }
+    });
+
+    const list = await callRoute(analysisRoutes, '/reports', { query: { limit: '500', offset: '10' } });
+
+    assert.equal(list.status, 200);
+    assert.deepEqual(listArgs, { limit: 100, offset: 10 });
+    assert.equal(list.body.total, 12);
+    assert.ok(!('inputs' in list.body.reports[0]));
+});
+
+test('a single report carries its inputs and the anomalies that still exist', async () => {
+    restore = stubQueries(queries, {
+        getAnalysisReport: async id => (id === 7 ? stored : null),
+        getAnomalyById: async id => (id === 41 ? { id: 41, severity: 'MEDIUM' } : null)
+    });
+
+    const one = await callRoute(analysisRoutes, '/reports/:id', { params: { id: '7' } });
+    const missing = await callRoute(analysisRoutes, '/reports/:id', { params: { id: '99' } });
+    const invalid = await callRoute(analysisRoutes, '/reports/:id', { params: { id: 'abc' } });
+
+    assert.equal(one.status, 200);
+    assert.equal(one.body.anomalies.length, 1);
+    assert.equal(one.body.inputs.baseline_stats.tvl_avg, 2490000);
+    assert.equal(one.body.model, stored.model);
+    assert.equal(missing.status, 404);
+    assert.equal(invalid.status, 400);
+});
+
+test('report export renders the stored report with a 24h chart window', async () => {
+    let window = null;
+    restore = stubQueries(queries, {
+        getAnalysisReport: async id => (id === 7 ? stored : null),
+        getAnomalyById: async () => null,
+        getTimeSeriesDataRange: async (start, end) => {
+            window = { start, end };
+            return [];
+        }
+    });
+
+    const exported = await callRoute(analysisRoutes, '/reports/:id/export', { params: { id: '7' }, query: { format: 'html' } });
+    const badFormat = await callRoute(analysisRoutes, '/reports/:id/export', { params: { id: '7' }, query: { format: 'docx' } });
+
+    assert.equal(exported.status, 200);
+    assert.equal(exported.headers['Content-Disposition'], 'attachment; filename="etherfi-report-7.html"');
+    assert.ok(exported.body.includes('Peg drifting'));
+    assert.equal((window.end - window.start) / 3600000, 24);
+    assert.equal(badFormat.status, 400);
+
+    // Inherited object keys are not formats
+    for (const format of ['constructor', 'toString', '__proto__']) {
+        const inherited = await callRoute(analysisRoutes, '/reports/:id/export', { params: { id: '7' }, query: { format } });
+        assert.equal(inherited.status, 400, format);
+    }
+});
@@ -7,50 +7,79 @@ const router = express.Router();
 const queries = require('../../database/queries');
 const logger = require('../../utils/logger');
 const { detectAnomalies } = require('../../analysis/anomaly-detector');
+const { broadcastAnomalyUpdated } = require('../websocket');
+const { buildAnomalyDocument, chartWindow } = require('../../exports/export-document');
+const { exportDocument, EXPORT_FORMATS } = require('../../exports/report-exporter');
+
+const VALID_STATUSES = ['active', 'resolved', 'false_positive'];
+const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Shape an anomaly row for the API
+ * @param {object} a - Anomaly row
+ * @returns {object} Anomaly response
+ */
+function transformAnomaly(a) {
+    return {
+        id: a.id,
+        detected_at: a.detected_at,
+        type: a.anomaly_type,
+        severity: a.severity,
+        confidence: parseFloat(a.confidence),
+        title: a.title,
+        description: a.description,
+        affected_metrics: a.affected_metrics || [],
+        recommendation: a.recommendation,
+        historical_comparison: a.historical_comparison,
+        correlations: a.claude_analysis?.correlations || [],
+        timeframe: a.claude_analysis?.timeframe,
+        risk_level: a.claude_analysis?.riskLevel,
+        prompt_version: a.prompt_version || null,
+        status: a.status,
+        resolved_at: a.resolved_at,
+        resolution_notes: a.resolution_notes,
+        user_acknowledged: a.user_acknowledged,
+        acknowledged_at: a.acknowledged_at,
+        user_notes: a.user_notes,
+        incident_id: a.incident_id
+    };
+}
 
 /**
- * GET /api/anomalies?limit=10&severity=all
+ * GET /api/anomalies?limit=10&severity=all&status=active
  * Get recent anomalies
  */
 router.get('/', async (req, res) => {
     try {
         const limit = Math.min(parseInt(req.query.limit) || 10, 50);
         const severity = req.query.severity || 'all';
+        const status = req.query.status || 'all';
         const hours = parseInt(req.query.hours) || 168; // Default 7 days
 
-        let anomalies;
-        if (severity === 'all') {
-            anomalies = await queries.getRecentAnomalies(hours);
-        } else {
-            anomalies = await queries.getRecentAnomalies(hours, severity.toUpperCase());
+        if (status !== 'all' && !VALID_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid status. Valid: all, ${VALID_STATUSES.join(', ')}`
+            });
         }
 
+        let anomalies = await queries.getRecentAnomalies(
+            hours,
+            status === 'all' ? null : status,
+            severity === 'all' ? null : severity.toUpperCase()
+        );
+
         // Apply limit
         anomalies = anomalies.slice(0, limit);
 
-        // Transform response
-        const transformed = anomalies.map(a => ({
-            id: a.id,
-            detected_at: a.detected_at,
-            type: a.anomaly_type,
-            severity: a.severity,
-            confidence: parseFloat(a.confidence),
-            title: a.title,
-            description: a.description,
-            affected_metrics: a.affected_metrics || [],
-            recommendation: a.recommendation,
-            historical_comparison: a.historical_comparison,
-            correlations: a.claude_analysis?.correlations || [],
-            timeframe: a.claude_analysis?.timeframe,
-            risk_level: a.claude_analysis?.riskLevel,
-            status: a.status
-        }));
+        const transformed = anomalies.map(transformAnomaly);
 
         res.json({
             anomalies: transformed,
             total: transformed.length,
             filter: {
                 severity,
+                status,
                 hours,
                 limit
             }
@@ -79,9 +108,7 @@ router.get('/:id', async (req, res) => {
             });
         }
 
-        // Get anomaly
-        const anomalies = await queries.getRecentAnomalies(720); // 30 days
-        const anomaly = anomalies.find(a => a.id === id);
+        const anomaly = await queries.getAnomalyById(id);
 
         if (!anomaly) {
             return res.status(404).json({
@@ -99,19 +126,9 @@ router.get('/:id', async (req, res) => {
 
         res.json({
             anomaly: {
-                id: anomaly.id,
-                detected_at: anomaly.detected_at,
-                type: anomaly.anomaly_type,
-                severity: anomaly.severity,
-                confidence: parseFloat(anomaly.confidence),
-                title: anomaly.title,
-                description: anomaly.description,
-                affected_metrics: anomaly.affected_metrics,
-                recommendation: anomaly.recommendation,
-                historical_comparison: anomaly.historical_comparison,
+                ...transformAnomaly(anomaly),
                 claude_analysis: anomaly.claude_analysis,
-                raw_data: anomaly.raw_data,
-                status: anomaly.status
+                raw_data: anomaly.raw_data
             },
             related_data: relatedData.map(d => ({
                 timestamp: d.timestamp,
@@ -129,6 +146,144 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/anomalies/:id/export?format=markdown|html|pdf
+ * Download an anomaly with its triggers, baseline, assessment, incident and charts
+ */
+router.get('/:id/export', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const format = req.query.format || 'pdf';
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid anomaly ID'
+            });
+        }
+
+        if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid format. Valid: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        const anomaly = await queries.getAnomalyById(id);
+
+        if (!anomaly) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Anomaly with ID ${id} not found`
+            });
+        }
+
+        const trigger = await queries.getTriggerForAnomaly(id);
+        const incident = anomaly.incident_id ? await queries.getIncidentById(anomaly.incident_id) : null;
+        const { start, end } = chartWindow(anomaly.detected_at, 1);
+        const series = await queries.getTimeSeriesDataRange(start, end);
+
+        const file = await exportDocument(buildAnomalyDocument(anomaly, trigger, incident, series), format, `etherfi-anomaly-${id}`);
+
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    } catch (error) {
+        logger.error('Failed to export anomaly', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to export anomaly'
+        });
+    }
+});
+
+/**
+ * PATCH /api/anomalies/:id
+ * Triage an anomaly
+ * Body: { status?: 'active'|'resolved'|'false_positive', acknowledged?: boolean,
+ *         notes?: string, resolution_notes?: string }
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid anomaly ID'
+            });
+        }
+
+        const { status, acknowledged, notes, resolution_notes: resolutionNotes } = req.body || {};
+
+        if (status === undefined && acknowledged === undefined && notes === undefined && resolutionNotes === undefined) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Provide at least one of: status, acknowledged, notes, resolution_notes'
+            });
+        }
+
+        if (status !== undefined && !VALID_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid status. Valid: ${VALID_STATUSES.join(', ')}`
+            });
+        }
+
+        if (acknowledged !== undefined && typeof acknowledged !== 'boolean') {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'acknowledged must be a boolean'
+            });
+        }
+
+        for (const [field, value] of [['notes', notes], ['resolution_notes', resolutionNotes]]) {
+            if (value !== undefined && (typeof value !== 'string' || value.length > MAX_NOTES_LENGTH)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `${field} must be a string of at most ${MAX_NOTES_LENGTH} characters`
+                });
+            }
+        }
+
+        // Closing an anomaly by hand counts as reviewing it (feeds the precision report);
+        // reopening takes the review back unless the request acknowledges it again
+        const reviewed = status === 'resolved' || status === 'false_positive';
+        const reopened = status === 'active';
+
+        const updated = await queries.triageAnomaly(id, {
+            status,
+            acknowledged: acknowledged ?? (reviewed ? true : reopened ? false : undefined),
+            userNotes: notes,
+            resolutionNotes
+        });
+
+        if (!updated) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `Anomaly with ID ${id} not found`
+            });
+        }
+
+        logger.info('Anomaly triaged', {
+            anomalyId: id,
+            status: updated.status,
+            acknowledged: updated.user_acknowledged
+        });
+
+        const anomaly = transformAnomaly(updated);
+        broadcastAnomalyUpdated(anomaly);
+
+        res.json({ anomaly });
+    } catch (error) {
+        logger.error('Failed to update anomaly', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update anomaly'
+        });
+    }
+});
+
 /**
  * POST /api/anomalies/trigger
  * Manually trigger anomaly detection with Claude analysis
@@ -0,0 +1,43 @@
+/**
+ * Anomaly route tests
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const anomaliesRoutes = require('./anomalies');
+const queries = require('../../database/queries');
+const { callRoute, stubQueries } = require('../../utils/harness');
+
+let lastChanges = null;
+const restore = stubQueries(queries, {
+    triageAnomaly: async (id, changes) => {
+        lastChanges = changes;
+        return { id, anomaly_type: 'peg_deviation', severity: 'HIGH', confidence: '0.9', status: changes.status, user_acknowledged: changes.acknowledged };
+    }
+});
+
+after(restore);
+
+const triage = body => callRoute(anomaliesRoutes, '/:id', { method: 'PATCH', params: { id: '7' }, body });
+
+test('resolving an anomaly acknowledges it', async () => {
+    const res = await triage({ status: 'resolved' });
+
+    assert.equal(res.status, 200);
+    assert.equal(lastChanges.acknowledged, true);
+});
+
+test('reopening an anomaly clears its acknowledgement unless given', async () => {
+    await triage({ status: 'active' });
+    assert.equal(lastChanges.acknowledged, false);
+
+    await triage({ status: 'active', acknowledged: true });
+    assert.equal(lastChanges.acknowledged, true);
+});
+
+test('export rejects inherited object keys as formats', async () => {
+    const res = await callRoute(anomaliesRoutes, '/:id/export', { params: { id: '7' }, query: { format: 'constructor' } });
+
+    assert.equal(res.status, 400);
+});
@@ -30,6 +30,8 @@ router.get('/', async (req, res) => {
             gas_stddev: baseline.gas_stddev,
             sentiment_avg: baseline.sentiment_avg,
             sentiment_stddev: baseline.sentiment_stddev,
+            seasonal_bucket: baseline.seasonalBucket,
+            ewma: baseline.ewma,
             period_days: baseline.period_days,
             data_points: baseline.data_points,
             calculated_at: baseline.calculated_at
@@ -0,0 +1,77 @@
+/**
+ * Incident Routes
+ * Incidents group repeated anomaly detections of the same problem
+ */
+
+const express = require('express');
+const router = express.Router();
+const queries = require('../../database/queries');
+const logger = require('../../utils/logger');
+
+const VALID_STATUSES = ['open', 'resolved'];
+
+/**
+ * Shape an incident row for the API
+ * @param {object} incident - Incident row with aggregated detections
+ * @returns {object} Incident response
+ */
+function transformIncident(incident) {
+    return {
+        id: incident.id,
+        type: incident.anomaly_type,
+        title: incident.title,
+        status: incident.status,
+        peak_severity: incident.peak_severity,
+        latest_severity: incident.latest_severity,
+        affected_metrics: incident.affected_metrics || [],
+        first_seen_at: incident.first_seen_at,
+        last_seen_at: incident.last_seen_at,
+        detection_count: incident.detection_count,
+        clear_cycles: incident.clear_cycles,
+        resolved_at: incident.resolved_at,
+        resolution_reason: incident.resolution_reason,
+        detections: (incident.detections || []).map(d => ({
+            ...d,
+            confidence: parseFloat(d.confidence)
+        }))
+    };
+}
+
+/**
+ * GET /api/incidents?limit=20&status=open&hours=168
+ * Get recent incidents with their child detections
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const hours = parseInt(req.query.hours) || 168; // Default 7 days
+        const status = req.query.status || null;
+
+        if (status && !VALID_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid status. Valid: ${VALID_STATUSES.join(', ')}`
+            });
+        }
+
+        const incidents = await queries.getRecentIncidents(hours, status, limit);
+
+        res.json({
+            incidents: incidents.map(transformIncident),
+            total: incidents.length,
+            filter: {
+                status: status || 'all',
+                hours,
+                limit
+            }
+        });
+    } catch (error) {
+        logger.error('Failed to get incidents', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve incidents'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+/**
+ * Address Label Routes
+ * CRUD for the address label registry
+ */
+
+const express = require('express');
+const router = express.Router();
+const queries = require('../../database/queries');
+const { validateLabel, invalidateLabelCache, LABEL_CATEGORIES } = require('../../labels/address-labels');
+const contracts = require('../../../config/contracts');
+const logger = require('../../utils/logger');
+
+/**
+ * Respond to a failed label write (duplicate addresses are a 409)
+ * @param {object} res - Express response
+ * @param {Error} error - Database error
+ * @param {string} action - Action for the log and message
+ */
+function labelWriteError(res, error, action) {
+    if (error.code === '23505') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'This address already has a label; use PUT to change it'
+        });
+    }
+
+    logger.error(`Failed to ${action} address label`, { error: error.message });
+    res.status(500).json({
+        error: 'Internal Server Error',
+        message: `Failed to ${action} address label`
+    });
+}
+
+/**
+ * Reject malformed :address parameters
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {string|null} Lowercase address, or null after responding 400
+ */
+function addressParam(req, res) {
+    const address = req.params.address.toLowerCase();
+    if (!contracts.isValidAddress(address)) {
+        res.status(400).json({
+            error: 'Bad Request',
+            message: 'Invalid address'
+        });
+        return null;
+    }
+    return address;
+}
+
+/**
+ * GET /api/labels?category=exchange
+ * All labels (optionally one category) and the valid categories
+ */
+router.get('/', async (req, res) => {
+    try {
+        const category = req.query.category || null;
+
+        if (category && !Object.prototype.hasOwnProperty.call(LABEL_CATEGORIES, category)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid category. Valid: ${Object.keys(LABEL_CATEGORIES).join(', ')}`
+            });
+        }
+
+        const labels = await queries.getAddressLabels(category);
+        res.json({ labels, total: labels.length, categories: LABEL_CATEGORIES });
+    } catch (error) {
+        logger.error('Failed to get address labels', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve address labels'
+        });
+    }
+});
+
+/**
+ * GET /api/labels/:address
+ * Label of one address
+ */
+router.get('/:address', async (req, res) => {
+    const address = addressParam(req, res);
+    if (!address) return;
+
+    try {
+        const label = await queries.getAddressLabel(address);
+
+        if (!label) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No label for ${address}`
+            });
+        }
+
+        res.json(label);
+    } catch (error) {
+        logger.error('Failed to get address label', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve address label'
+        });
+    }
+});
+
+/**
+ * POST /api/labels
+ * Label an address
+ */
+router.post('/', async (req, res) => {
+    const { valid, errors, label } = validateLabel(req.body);
+
+    if (!valid) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Invalid address label',
+            details: errors
+        });
+    }
+
+    try {
+        const created = await queries.insertAddressLabel({ ...label, source: 'api' });
+        invalidateLabelCache();
+
+        logger.info('Address label created', { address: created.address, name: created.name, category: created.category });
+        res.status(201).json(created);
+    } catch (error) {
+        labelWriteError(res, error, 'create');
+    }
+});
+
+/**
+ * PUT /api/labels/:address
+ * Change a label (fields not in the body keep their current values)
+ */
+router.put('/:address', async (req, res) => {
+    const address = addressParam(req, res);
+    if (!address) return;
+
+    try {
+        const existing = await queries.getAddressLabel(address);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No label for ${address}`
+            });
+        }
+
+        const { valid, errors, label } = validateLabel({ ...existing, ...req.body, address }, { requireAddress: false });
+
+        if (!valid) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid address label',
+                details: errors
+            });
+        }
+
+        const updated = await queries.updateAddressLabel(address, label);
+        invalidateLabelCache();
+
+        logger.info('Address label updated', { address, name: updated.name });
+        res.json(updated);
+    } catch (error) {
+        labelWriteError(res, error, 'update');
+    }
+});
+
+/**
+ * DELETE /api/labels/:address
+ * Remove a label
+ */
+router.delete('/:address', async (req, res) => {
+    const address = addressParam(req, res);
+    if (!address) return;
+
+    try {
+        const deleted = await queries.deleteAddressLabel(address);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No label for ${address}`
+            });
+        }
+
+        invalidateLabelCache();
+        logger.info('Address label deleted', { address });
+        res.status(204).end();
+    } catch (error) {
+        labelWriteError(res, error, 'delete');
+    }
+});
+
+module.exports = router;
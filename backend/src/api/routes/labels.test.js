@@ -0,0 +1,82 @@
+/**
+ * Address label route tests
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const labelsRoutes = require('./labels');
+const addressLabels = require('../../labels/address-labels');
+const queries = require('../../database/queries');
+const { callRoute, stubQueries } = require('../../utils/harness');
+
+const fund = '0x' + 'f'.repeat(40);
+
+// In-memory address_labels table
+const table = new Map([
+    ['0x28c6c06298d514db089934071355e5743bf21d60', { address: '0x28c6c06298d514db089934071355e5743bf21d60', name: 'Binance 14', category: 'exchange', source: 'seed' }]
+]);
+const restore = stubQueries(queries, {
+    getAddressLabels: async (category = null) =>
+        [...table.values()].filter(label => !category || label.category === category),
+    getAddressLabel: async address => table.get(address) || null,
+    insertAddressLabel: async label => {
+        if (table.has(label.address)) {
+            throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+        }
+        table.set(label.address, { ...label });
+        return table.get(label.address);
+    },
+    updateAddressLabel: async (address, label) => {
+        table.set(address, { ...table.get(address), ...label, source: 'api' });
+        return table.get(address);
+    },
+    deleteAddressLabel: async address => table.delete(address)
+});
+
+after(() => {
+    restore();
+    addressLabels.invalidateLabelCache();
+});
+
+// The steps below share the in-memory table and run in order
+test('create normalizes the address and rejects duplicates and bad categories', async () => {
+    const created = await callRoute(labelsRoutes, '/', { method: 'POST', body: { address: fund.toUpperCase().replace('0X', '0x'), name: 'Some Fund', category: 'fund' } });
+    const duplicate = await callRoute(labelsRoutes, '/', { method: 'POST', body: { address: fund, name: 'Again', category: 'fund' } });
+    const invalid = await callRoute(labelsRoutes, '/', { method: 'POST', body: { address: fund, name: 'Bad', category: 'casino' } });
+
+    assert.equal(created.status, 201);
+    assert.equal(created.body.address, fund);
+    assert.equal(duplicate.status, 409);
+    assert.equal(invalid.status, 400);
+});
+
+test('update merges the changed fields', async () => {
+    const updated = await callRoute(labelsRoutes, '/:address', { method: 'PUT', params: { address: fund }, body: { category: 'multisig' } });
+
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.category, 'multisig');
+    assert.equal(updated.body.name, 'Some Fund');
+});
+
+test('list filters by category', async () => {
+    const list = await callRoute(labelsRoutes, '/', { query: { category: 'exchange' } });
+    const badCategory = await callRoute(labelsRoutes, '/', { query: { category: 'casino' } });
+    const inherited = await callRoute(labelsRoutes, '/', { query: { category: 'toString' } });
+
+    assert.equal(list.status, 200);
+    assert.ok(list.body.labels.every(label => label.category === 'exchange'));
+    assert.ok(list.body.categories.exchange);
+    assert.equal(badCategory.status, 400);
+    assert.equal(inherited.status, 400);
+});
+
+test('get and delete by address', async () => {
+    const one = await callRoute(labelsRoutes, '/:address', { params: { address: fund } });
+    const removed = await callRoute(labelsRoutes, '/:address', { method: 'DELETE', params: { address: fund } });
+    const missing = await callRoute(labelsRoutes, '/:address', { params: { address: fund } });
+
+    assert.equal(one.body.category, 'multisig');
+    assert.equal(removed.status, 204);
+    assert.equal(missing.status, 404);
+});
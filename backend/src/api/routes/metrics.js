@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const queries = require('../../database/queries');
+const { CHANGE_POINT_METRICS } = require('../../analysis/change-point-detector');
 const logger = require('../../utils/logger');
 
 /**
@@ -114,4 +115,48 @@ router.get('/historical', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/metrics/change-points?days=30&metric=tvl_eth
+ * Get regime shifts recorded by the change-point detector
+ */
+router.get('/change-points', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 30, 90);
+        const metric = req.query.metric || null;
+
+        if (metric && !CHANGE_POINT_METRICS[metric]) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Unknown metric. Valid: ${Object.keys(CHANGE_POINT_METRICS).join(', ')}`
+            });
+        }
+
+        const changePoints = await queries.getChangePoints(days * 24, metric);
+
+        res.json({
+            period_days: days,
+            count: changePoints.length,
+            change_points: changePoints.map(cp => ({
+                id: cp.id,
+                metric: cp.metric,
+                label: CHANGE_POINT_METRICS[cp.metric]?.label || cp.metric,
+                direction: cp.direction,
+                change_at: cp.change_at,
+                detected_at: cp.detected_at,
+                before_mean: cp.before_mean,
+                after_mean: cp.after_mean,
+                magnitude_pct: cp.magnitude_pct,
+                sigma_shift: cp.sigma_shift,
+                method: cp.method
+            }))
+        });
+    } catch (error) {
+        logger.error('Failed to get change points', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve change points'
+        });
+    }
+});
+
 module.exports = router;
@@ -8,6 +8,8 @@ const db = require('../../database/db-connection');
 const queries = require('../../database/queries');
 const { getConnectedClientsCount } = require('../websocket');
 const { getDetectionStats } = require('../../analysis/anomaly-detector');
+const { getConfig: getAnalyzerConfig } = require('../../analysis/claude-analyzer');
+const { checkBudget } = require('../../analysis/llm-usage');
 const logger = require('../../utils/logger');
 
 /**
@@ -70,6 +72,26 @@ router.get('/status', async (req, res) => {
         const twitterStats = await db.query(twitterStatsQuery);
         const twitterCount = parseInt(twitterStats.rows[0].count) || 0;
 
+        // LLM spend against the daily budget (month to date for context)
+        let llmUsage = null;
+        try {
+            const nowDate = new Date();
+            const [budget, monthSpend] = await Promise.all([
+                checkBudget(nowDate),
+                queries.getLlmSpendSince(new Date(Date.UTC(nowDate.getUTCFullYear(), nowDate.getUTCMonth(), 1)))
+            ]);
+            llmUsage = {
+                provider: getAnalyzerConfig().provider,
+                spent_today_usd: budget.spentUsd,
+                spent_month_usd: monthSpend,
+                daily_budget_usd: budget.budgetUsd,
+                remaining_usd: budget.remainingUsd,
+                budget_exhausted: !budget.allowed
+            };
+        } catch (error) {
+            logger.warn('LLM usage check failed', { error: error.message });
+        }
+
         // Format collectors as array for frontend
         const collectors = [
             {
@@ -92,13 +114,15 @@ router.get('/status', async (req, res) => {
             },
             {
                 name: 'Anomaly Detector',
-                status: totalChecks > 0 ? 'healthy' : 'warning',
+                status: totalChecks > 0 && !llmUsage?.budget_exhausted ? 'healthy' : 'warning',
                 lastRun: detectionStats?.last24Hours?.lastCheck || detectionStats?.last24Hours?.lastClaudeCall,
                 successRate: anomalySuccessRate,
                 uptime: process.uptime(),
                 checks24h: totalChecks,
                 claudeCalls24h: detectionStats?.last24Hours?.claudeCalls || 0,
-                errorMessage: totalChecks === 0 ? 'No anomaly detection runs yet' : null
+                errorMessage: llmUsage?.budget_exhausted
+                    ? 'Daily LLM budget exhausted - statistical-only mode'
+                    : totalChecks === 0 ? 'No anomaly detection runs yet' : null
             }
         ];
 
@@ -115,6 +139,7 @@ router.get('/status', async (req, res) => {
                 memory_usage: process.memoryUsage().heapUsed / 1024 / 1024, // MB
                 connected_websocket_clients: getConnectedClientsCount()
             },
+            llm_usage: llmUsage,
             anomalies: {
                 active_count: latestAnomaly.filter(a => a.status === 'active').length,
                 total_24h: latestAnomaly.length,
@@ -212,8 +237,10 @@ router.get('/debug', async (req, res) => {
             claude: {
                 api_key_configured: hasClaudeKey,
                 api_key_prefix: claudeKeyPrefix,
-                model: 'claude-3-5-sonnet-20241022',
-                rate_limit_minutes: 5,
+                provider: getAnalyzerConfig().provider,
+                model: getAnalyzerConfig().model,
+                prompt_version: getAnalyzerConfig().promptVersion,
+                rate_limit_minutes_by_severity: detectionStats?.rateLimit?.severityIntervalsMinutes || null,
                 detection_stats: detectionStats,
                 triggers_24h: {
                     total: parseInt(triggersResult.rows[0].total),
@@ -0,0 +1,207 @@
+/**
+ * Anomaly Threshold Routes
+ * Runtime-editable pre-filter thresholds with versioning and audit log
+ */
+
+const express = require('express');
+const router = express.Router();
+const queries = require('../../database/queries');
+const {
+    getThresholdConfig,
+    updateThresholds,
+    restoreThresholdVersion
+} = require('../../analysis/threshold-manager');
+const { getPrecisionReport, getThresholdSuggestions } = require('../../analysis/feedback-tuner');
+const logger = require('../../utils/logger');
+
+/**
+ * Resolve who made a change (body field or X-User header)
+ * @param {object} req - Express request
+ * @returns {string} Operator name
+ */
+function getChangedBy(req) {
+    return (req.body?.changed_by || req.get('X-User') || 'anonymous').toString().substring(0, 100);
+}
+
+/**
+ * GET /api/thresholds
+ * Get the active threshold version
+ */
+router.get('/', async (req, res) => {
+    try {
+        const config = await getThresholdConfig();
+        res.json(config);
+    } catch (error) {
+        logger.error('Failed to get thresholds', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve thresholds'
+        });
+    }
+});
+
+/**
+ * PUT /api/thresholds
+ * Update one or more thresholds, creating a new active version
+ * Body: { thresholds: { PEG_HIGH: 0.004, ... }, changed_by: "alice", reason: "..." }
+ */
+router.put('/', async (req, res) => {
+    try {
+        const { thresholds, reason } = req.body || {};
+
+        if (!thresholds || typeof thresholds !== 'object' || Object.keys(thresholds).length === 0) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Request body must include a non-empty thresholds object'
+            });
+        }
+
+        const result = await updateThresholds(thresholds, {
+            changedBy: getChangedBy(req),
+            reason: reason || null
+        });
+
+        res.json({
+            success: true,
+            version: result.version,
+            thresholds: result.thresholds,
+            changes: result.changes
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: error.message,
+                details: error.details
+            });
+        }
+
+        logger.error('Failed to update thresholds', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to update thresholds'
+        });
+    }
+});
+
+/**
+ * GET /api/thresholds/history?limit=20
+ * Get stored versions and the audit log of individual changes
+ */
+router.get('/history', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const [versions, audit] = await Promise.all([
+            queries.getThresholdVersions(limit),
+            queries.getThresholdAuditLog(limit * 5)
+        ]);
+
+        res.json({
+            versions: versions.map(v => ({
+                version: v.version,
+                is_active: v.is_active,
+                thresholds: v.thresholds,
+                created_by: v.created_by,
+                change_reason: v.change_reason,
+                created_at: v.created_at
+            })),
+            audit: audit.map(a => ({
+                version: a.version,
+                key: a.threshold_key,
+                old_value: a.old_value,
+                new_value: a.new_value,
+                changed_by: a.changed_by,
+                change_reason: a.change_reason,
+                changed_at: a.changed_at
+            }))
+        });
+    } catch (error) {
+        logger.error('Failed to get threshold history', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve threshold history'
+        });
+    }
+});
+
+/**
+ * GET /api/thresholds/precision?days=30
+ * Per-detector precision from triaged anomalies (false_positive vs acknowledged)
+ */
+router.get('/precision', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 30, 365);
+        const report = await getPrecisionReport(days);
+        res.json(report);
+    } catch (error) {
+        logger.error('Failed to build precision report', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to build precision report'
+        });
+    }
+});
+
+/**
+ * GET /api/thresholds/suggestions?days=30
+ * Proposed threshold changes that would have suppressed past false positives
+ * Proposals are not applied; review them and submit through PUT /api/thresholds
+ */
+router.get('/suggestions', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 30, 365);
+        const suggestions = await getThresholdSuggestions(days);
+        res.json(suggestions);
+    } catch (error) {
+        logger.error('Failed to build threshold suggestions', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to build threshold suggestions'
+        });
+    }
+});
+
+/**
+ * POST /api/thresholds/versions/:version/restore
+ * Roll back to a previous version (stored as a new version)
+ */
+router.post('/versions/:version/restore', async (req, res) => {
+    try {
+        const version = parseInt(req.params.version);
+
+        if (isNaN(version)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid version'
+            });
+        }
+
+        const result = await restoreThresholdVersion(version, {
+            changedBy: getChangedBy(req),
+            reason: req.body?.reason
+        });
+
+        res.json({
+            success: true,
+            version: result.version,
+            thresholds: result.thresholds,
+            changes: result.changes
+        });
+    } catch (error) {
+        if (error.status === 404 || error.status === 400) {
+            return res.status(error.status).json({
+                error: error.status === 404 ? 'Not Found' : 'Bad Request',
+                message: error.message
+            });
+        }
+
+        logger.error('Failed to restore thresholds', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to restore threshold version'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Whale Routes
+ * Top eETH holders tracked each collection cycle (whale_wallets)
+ */
+
+const express = require('express');
+const router = express.Router();
+const queries = require('../../database/queries');
+const contracts = require('../../../config/contracts');
+const { getLabelMap } = require('../../labels/address-labels');
+const logger = require('../../utils/logger');
+
+/**
+ * Format a whale_wallets row
+ * Current registry labels win over the label stored with the snapshot, so edits show up at once
+ * @param {object} row - whale_wallets row
+ * @param {Map} labels - address -> address_labels row
+ * @returns {object} Whale record
+ */
+function formatWhale(row, labels) {
+    const label = labels.get(row.wallet_address);
+    const number = value => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+        address: row.wallet_address,
+        timestamp: row.timestamp,
+        rank: row.rank_position,
+        balance_eth: number(row.eeth_balance),
+        balance_usd: number(row.eeth_balance_usd),
+        pct_of_supply: number(row.percentage_of_total),
+        change_24h_eth: number(row.balance_change_24h),
+        change_24h_pct: number(row.balance_change_pct_24h),
+        first_seen: row.first_seen,
+        last_activity: row.last_activity,
+        is_contract: row.is_contract,
+        label: label ? label.name : row.label,
+        label_category: label ? label.category : row.label_category
+    };
+}
+
+/**
+ * GET /api/whales?limit=20
+ * Get the latest whale snapshot, ranked
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const [rows, labels] = await Promise.all([queries.getCurrentTopWhales(limit), getLabelMap()]);
+        const whales = rows
+            .filter(row => row.rank_position !== null)
+            .map(row => formatWhale(row, labels));
+
+        res.json({
+            timestamp: whales.length > 0 ? whales[0].timestamp : null,
+            count: whales.length,
+            whales
+        });
+    } catch (error) {
+        logger.error('Failed to get whales', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve whale data'
+        });
+    }
+});
+
+/**
+ * GET /api/whales/:address/history?hours=168
+ * Get one wallet's snapshots, newest first
+ */
+router.get('/:address/history', async (req, res) => {
+    try {
+        const address = req.params.address.toLowerCase();
+        if (!contracts.isValidAddress(address)) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid wallet address'
+            });
+        }
+
+        const hours = Math.min(Math.max(parseInt(req.query.hours) || 168, 1), 720);
+        const [rows, labels] = await Promise.all([queries.getWhaleWalletHistory(address, hours), getLabelMap()]);
+
+        if (rows.length === 0) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No whale history for ${address} in the last ${hours} hours`
+            });
+        }
+
+        res.json({
+            address,
+            period_hours: hours,
+            count: rows.length,
+            history: rows.map(row => formatWhale(row, labels))
+        });
+    } catch (error) {
+        logger.error('Failed to get whale history', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve whale history'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Whale route tests
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const whalesRoutes = require('./whales');
+const addressLabels = require('../../labels/address-labels');
+const queries = require('../../database/queries');
+const { callRoute, stubQueries } = require('../../utils/harness');
+
+const fund = '0x' + 'f'.padEnd(40, '0');
+const pool = '0x' + 'b'.padEnd(40, '0');
+const whale = (address, rank, balance, change) => ({
+    wallet_address: address,
+    timestamp: new Date('2026-03-01T12:00:00Z'),
+    rank_position: rank,
+    eeth_balance: String(balance),
+    percentage_of_total: '1.5',
+    balance_change_24h: String(change),
+    is_contract: false
+});
+
+let restore = () => {};
+afterEach(() => {
+    restore();
+    addressLabels.invalidateLabelCache();
+});
+
+test('lists ranked whales with 24h changes', async () => {
+    restore = stubQueries(queries, {
+        getCurrentTopWhales: async limit => [whale(pool, 1, 40000, 10), whale(fund, 2, 15000, -15000)].slice(0, limit),
+        getAddressLabels: async () => []
+    });
+
+    const list = await callRoute(whalesRoutes, '/', { query: { limit: '10' } });
+
+    assert.equal(list.status, 200);
+    assert.equal(list.body.count, 2);
+    assert.equal(list.body.whales[1].change_24h_eth, -15000);
+});
+
+test('history is looked up by checksummed or lower-case address', async () => {
+    restore = stubQueries(queries, {
+        getWhaleWalletHistory: async (address, hours) => (address === fund && hours === 48 ? [whale(fund, 2, 15000, -15000)] : [])
+    });
+
+    const history = await callRoute(whalesRoutes, '/:address/history', { params: { address: fund.toUpperCase().replace('0X', '0x') }, query: { hours: '48' } });
+    const invalid = await callRoute(whalesRoutes, '/:address/history', { params: { address: 'vitalik.eth' } });
+    const unknown = await callRoute(whalesRoutes, '/:address/history', { params: { address: pool } });
+
+    assert.equal(history.status, 200);
+    assert.equal(history.body.count, 1);
+    assert.equal(history.body.history[0].rank, 2);
+    assert.equal(invalid.status, 400);
+    assert.equal(unknown.status, 404);
+});
@@ -17,6 +17,7 @@ const server = http.createServer(app);
 
 // Initialize WebSocket
 const { initializeWebSocket } = require('./websocket');
+const { startEscalationMonitor, stopEscalationMonitor } = require('../alerts/escalation-monitor');
 const io = initializeWebSocket(server);
 
 // ==================== MIDDLEWARE ====================
@@ -53,19 +54,29 @@ app.use((req, res, next) => {
 const healthRoutes = require('./routes/health');
 const metricsRoutes = require('./routes/metrics');
 const anomaliesRoutes = require('./routes/anomalies');
+const incidentsRoutes = require('./routes/incidents');
 const baselineRoutes = require('./routes/baseline');
 const sentimentRoutes = require('./routes/sentiment');
 const systemRoutes = require('./routes/system');
 const analysisRoutes = require('./routes/analysis');
+const thresholdsRoutes = require('./routes/thresholds');
+const alertsRoutes = require('./routes/alerts');
+const whalesRoutes = require('./routes/whales');
+const labelsRoutes = require('./routes/labels');
 
 // Mount routes
 app.use('/api/health', healthRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/anomalies', anomaliesRoutes);
+app.use('/api/incidents', incidentsRoutes);
 app.use('/api/baseline', baselineRoutes);
 app.use('/api/sentiment', sentimentRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/analysis', analysisRoutes);
+app.use('/api/thresholds', thresholdsRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/whales', whalesRoutes);
+app.use('/api/labels', labelsRoutes);
 
 // Root endpoint
 app.get('/api', (req, res) => {
@@ -77,11 +88,24 @@ app.get('/api', (req, res) => {
             '/api/health',
             '/api/metrics/current',
             '/api/metrics/historical',
+            '/api/metrics/change-points',
             '/api/anomalies',
+            '/api/incidents',
             '/api/baseline',
             '/api/sentiment',
             '/api/system/status',
-            '/api/analysis/generate'
+            '/api/analysis/generate',
+            '/api/analysis/validation-failures',
+            '/api/analysis/usage',
+            '/api/analysis/reports',
+            '/api/thresholds',
+            '/api/thresholds/precision',
+            '/api/thresholds/suggestions',
+            '/api/alerts/channels',
+            '/api/alerts/deliveries',
+            '/api/alerts/rules',
+            '/api/whales',
+            '/api/labels'
         ]
     });
 });
@@ -145,6 +169,17 @@ server.listen(PORT, async () => {
     logger.info(`API Base URL: ${baseUrl}`);
     logger.info('========================================');
 
+    // Add seed address labels not in the registry yet
+    try {
+        const { seedLabels } = require('../labels/address-labels');
+        await seedLabels();
+    } catch (error) {
+        logger.warn('Could not seed address labels', { error: error.message });
+    }
+
+    // Load the analysis provider now so a missing API key is reported at startup
+    require('../analysis/llm-provider').getProviderConfig();
+
     // Check if historical baseline data needs to be loaded
     if (process.env.NODE_ENV === 'production') {
         try {
@@ -229,6 +264,11 @@ server.listen(PORT, async () => {
         logger.info('Development mode: Data collectors not auto-started');
         logger.info('Run collectors manually if needed');
     }
+
+    // Escalations only go out through configured alert channels
+    if (process.env.ALERT_CHANNELS) {
+        startEscalationMonitor();
+    }
 });
 
 // ==================== GRACEFUL SHUTDOWN ====================
@@ -236,6 +276,8 @@ server.listen(PORT, async () => {
 process.on('SIGINT', async () => {
     logger.info('\nReceived SIGINT, shutting down gracefully...');
 
+    stopEscalationMonitor();
+
     server.close(() => {
         logger.info('HTTP server closed');
     });
@@ -249,6 +291,8 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     logger.info('\nReceived SIGTERM, shutting down gracefully...');
 
+    stopEscalationMonitor();
+
     server.close(() => {
         logger.info('HTTP server closed');
     });
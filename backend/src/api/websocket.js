@@ -120,7 +120,8 @@ function broadcastAnomalyDetected(anomaly) {
             title: anomaly.title,
             description: anomaly.description,
             affected_metrics: anomaly.affected_metrics,
-            recommendation: anomaly.recommendation
+            recommendation: anomaly.recommendation,
+            incident_id: anomaly.incident_id || null
         }
     });
 
@@ -130,6 +131,51 @@ function broadcastAnomalyDetected(anomaly) {
     });
 }
 
+/**
+ * Broadcast an anomaly triage change (acknowledged, resolved, notes, ...)
+ * @param {object} anomaly - Anomaly in API shape
+ */
+function broadcastAnomalyUpdated(anomaly) {
+    if (!io) return;
+
+    io.emit('anomaly:updated', {
+        type: 'anomaly_updated',
+        anomaly
+    });
+
+    logger.debug('Broadcasted anomaly update', {
+        anomalyId: anomaly.id,
+        status: anomaly.status
+    });
+}
+
+/**
+ * Broadcast an incident change (new detection attached, auto-resolved, ...)
+ * @param {object} incident - Incident row
+ */
+function broadcastIncidentUpdated(incident) {
+    if (!io) return;
+
+    io.emit('incident:updated', {
+        type: 'incident_updated',
+        incident: {
+            id: incident.id,
+            type: incident.anomaly_type,
+            title: incident.title,
+            status: incident.status,
+            peak_severity: incident.peak_severity,
+            last_seen_at: incident.last_seen_at,
+            detection_count: incident.detection_count,
+            resolved_at: incident.resolved_at
+        }
+    });
+
+    logger.debug('Broadcasted incident update', {
+        incidentId: incident.id,
+        status: incident.status
+    });
+}
+
 /**
  * Broadcast system status update
  * @param {object} status - System status data
@@ -156,6 +202,8 @@ module.exports = {
     initializeWebSocket,
     broadcastMetricsUpdate,
     broadcastAnomalyDetected,
+    broadcastAnomalyUpdated,
+    broadcastIncidentUpdated,
     broadcastSystemStatus,
     getConnectedClientsCount
 };
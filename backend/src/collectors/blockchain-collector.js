@@ -13,6 +13,10 @@ const queries = require('../database/queries');
 const logger = require('../utils/logger');
 const contracts = require('../../config/contracts');
 const { detectAnomalies } = require('../analysis/anomaly-detector');
+const eventIndexer = require('./event-indexer');
+const holderIndexer = require('./holder-indexer');
+const whaleTracker = require('./whale-tracker');
+const queueIndexer = require('./withdrawal-queue-indexer');
 
 /**
  * Initialize Alchemy provider
@@ -29,6 +33,11 @@ let liquidityPool;
 let ethUsdOracle;
 let isInitialized = false;
 
+/**
+ * Whether a scheduled collection cycle is still running
+ */
+let collecting = false;
+
 /**
  * Collection statistics
  */
@@ -87,20 +96,22 @@ async function getTVL() {
 
 /**
  * DATA SOURCE 2: Get number of unique stakers
- * Estimated based on total supply and average stake
+ * Advances the holder index, then reads its exact non-zero eETH holder count
+ * Null while the index is still backfilling from the eETH deployment
  */
 async function getUniqueStakers() {
     try {
-        const totalSupply = await eethToken.totalSupply();
-        const totalSupplyEth = parseFloat(ethers.formatEther(totalSupply));
+        await holderIndexer.runHolderIndexer(provider);
+    } catch (error) {
+        logger.warn('Holder indexer run failed', { error: error.message });
+    }
 
-        // Estimate: Assume average stake is ~10 ETH
-        // This is a rough estimate; actual count would require event indexing
-        const estimatedStakers = Math.floor(totalSupplyEth / 10);
+    try {
+        const count = await holderIndexer.getHolderCount();
 
-        logger.debug('Unique stakers estimated', { count: estimatedStakers });
+        logger.debug('Unique stakers counted', { count, note: count === null ? 'holder index still backfilling' : undefined });
 
-        return estimatedStakers;
+        return count;
     } catch (error) {
         logger.warn('Failed to get unique stakers', { error: error.message });
         return null;
@@ -108,23 +119,14 @@ async function getUniqueStakers() {
 }
 
 /**
- * DATA SOURCE 3: Get top 20 whale wallets and their holdings
- * NOTE: Disabled on Alchemy free tier (requires > 10 block event queries)
- * For whale tracking, upgrade to Alchemy paid tier or use Etherscan Pro
+ * DATA SOURCE 3: Get top whale wallets and their 24h balance changes
+ * Ranked from the holder index; skipped while the index is still backfilling
+ * @param {Date} timestamp - Collection timestamp
+ * @returns {Promise<Array>} whale_wallets rows
  */
-async function getTopWhales() {
+async function getTopWhales(timestamp) {
     try {
-        // Alchemy free tier limitation: can't query 10k+ blocks of events
-        // Would need: fromBlock = currentBlock - 10000 for meaningful data
-        // Free tier allows: only 10 blocks
-        // Result: Skip whale tracking on free tier to avoid errors
-
-        logger.debug('Whale tracking skipped', {
-            reason: 'Alchemy free tier limitation (10 block max)',
-            note: 'Upgrade to Alchemy PAYG for whale tracking'
-        });
-
-        return [];
+        return await whaleTracker.trackWhales(provider, { timestamp, ethPrice: await getEthUsdPrice() });
     } catch (error) {
         logger.warn('Failed to get top whales', { error: error.message });
         return [];
@@ -133,47 +135,38 @@ async function getTopWhales() {
 
 /**
  * DATA SOURCE 4: Get withdrawal queue size and wait time
- * Note: This requires specific withdrawal queue contract which may vary
+ * Advances the withdrawal request index, then reads pending requests and measured
+ * request-to-finalization times from it
+ * Values are null until the index has caught up with the chain
  */
 async function getWithdrawalQueue() {
     try {
-        // Try to get withdrawal queue data
-        // This is a simplified version - actual implementation depends on EtherFi's queue contract
-        const withdrawalSafeAddress = contracts.ADDRESSES.WITHDRAWAL_SAFE;
-        const withdrawalSafe = new ethers.Contract(
-            withdrawalSafeAddress,
-            contracts.VAULT_ABI,
-            provider
-        );
-
-        // Get total assets in withdrawal safe as proxy for queue
-        const totalAssets = await withdrawalSafe.totalAssets();
-        const queueEthAmount = parseFloat(ethers.formatEther(totalAssets));
-
-        // Estimate queue size (number of withdrawals)
-        // Assuming average withdrawal is 10 ETH
-        const estimatedQueueSize = Math.floor(queueEthAmount / 10);
-
-        // Estimate wait time based on queue size
-        // Simple heuristic: 1 day per 1000 ETH in queue
-        const estimatedWaitHours = (queueEthAmount / 1000) * 24;
+        await queueIndexer.runQueueIndexer(provider);
+    } catch (error) {
+        // Whatever was indexed before the failure is kept; the next cycle resumes from there
+        logger.warn('Withdrawal queue indexer run failed', { error: error.message });
+    }
+
+    try {
+        const queue = await queueIndexer.getQueueMetrics();
 
         logger.debug('Withdrawal queue checked', {
-            queueSize: estimatedQueueSize,
-            queueAmount: queueEthAmount.toFixed(2)
+            queueSize: queue.queue_size,
+            queueAmount: queue.queue_eth_amount,
+            waitP90Hours: queue.queue_wait_p90_hours,
+            note: queue.queue_size === null ? 'withdrawal request index still backfilling' : undefined
         });
 
-        return {
-            queue_size: estimatedQueueSize,
-            queue_eth_amount: queueEthAmount,
-            avg_queue_wait_hours: estimatedWaitHours
-        };
+        return queue;
     } catch (error) {
         logger.warn('Failed to get withdrawal queue', { error: error.message });
         return {
-            queue_size: 0,
-            queue_eth_amount: 0,
-            avg_queue_wait_hours: 0
+            queue_size: null,
+            queue_eth_amount: null,
+            avg_queue_wait_hours: null,
+            queue_wait_p50_hours: null,
+            queue_wait_p90_hours: null,
+            queue_wait_p99_hours: null
         };
     }
 }
@@ -213,60 +206,36 @@ async function getPegHealth() {
 
 /**
  * DATA SOURCE 6: Get transaction volume (deposits/withdrawals)
- * Uses Alchemy with free tier-compatible block range (10 blocks)
- * For full 24h data, upgrade to Alchemy paid tier
+ * Advances the event index, then reads rolling 24h counts and volumes from it
+ * Values are null until the index covers a full 24h (the first runs backfill it)
  */
 async function getTransactionVolume() {
     try {
-        const currentBlock = await provider.getBlockNumber();
-        // Alchemy free tier allows only 10 block range for eth_getLogs
-        const fromBlock = currentBlock - 10; // Last ~2 minutes (limited by free tier)
-
-        const filter = eethToken.filters.Transfer();
-        const events = await eethToken.queryFilter(filter, fromBlock, currentBlock);
-
-        let deposits = 0;
-        let withdrawals = 0;
-        let depositVolume = 0;
-        let withdrawalVolume = 0;
-
-        const liquidityPoolAddress = contracts.ADDRESSES.LIQUIDITY_POOL.toLowerCase();
-
-        events.forEach(event => {
-            const value = parseFloat(ethers.formatEther(event.args.value));
-
-            // Deposits: transfers TO liquidity pool
-            if (event.args.to.toLowerCase() === liquidityPoolAddress) {
-                deposits++;
-                depositVolume += value;
-            }
-            // Withdrawals: transfers FROM liquidity pool
-            else if (event.args.from.toLowerCase() === liquidityPoolAddress) {
-                withdrawals++;
-                withdrawalVolume += value;
-            }
-        });
+        await eventIndexer.runIndexer(provider);
+    } catch (error) {
+        // Whatever was indexed before the failure is kept; the next cycle resumes from there
+        logger.warn('Event indexer run failed', { error: error.message });
+    }
 
-        logger.debug('Transaction volume analyzed (last 10 blocks)', {
-            deposits,
-            withdrawals,
-            depositVolume: depositVolume.toFixed(2),
-            note: 'Alchemy free tier - upgrade for 24h data'
+    try {
+        const { coverage, ...volume } = await eventIndexer.getRollingVolume();
+
+        logger.debug('Transaction volume analyzed (rolling 24h)', {
+            deposits: volume.deposits_24h,
+            withdrawals: volume.withdrawals_24h,
+            complete: coverage.complete,
+            indexedFrom: coverage.indexedFrom,
+            indexedTo: coverage.indexedTo
         });
 
-        return {
-            deposits_24h: deposits, // Note: only ~2 minutes of data on free tier
-            withdrawals_24h: withdrawals,
-            deposit_volume_eth: depositVolume,
-            withdrawal_volume_eth: withdrawalVolume
-        };
+        return volume;
     } catch (error) {
         logger.warn('Failed to get transaction volume', { error: error.message });
         return {
-            deposits_24h: 0,
-            withdrawals_24h: 0,
-            deposit_volume_eth: 0,
-            withdrawal_volume_eth: 0
+            deposits_24h: null,
+            withdrawals_24h: null,
+            deposit_volume_eth: null,
+            withdrawal_volume_eth: null
         };
     }
 }
@@ -428,13 +397,13 @@ async function collectCurrentData() {
 
         // Whale tracking (sequential due to rate limiting)
         logger.info('Identifying top whale wallets...');
-        const whales = await getTopWhales(); // Source 3
+        const timestamp = new Date();
+        const whales = await getTopWhales(timestamp); // Source 3
 
         // Twitter sentiment (Phase 4)
         await collectTwitterSentiment(); // Source 9
 
         // Combine all data
-        const timestamp = new Date();
         const dataPoint = {
             timestamp,
             ...tvlData,
@@ -455,25 +424,8 @@ async function collectCurrentData() {
         // Store whale wallet data
         if (whales.length > 0) {
             logger.info(`Storing ${whales.length} whale wallet records...`);
-            const totalSupply = parseFloat(ethers.formatEther(await eethToken.totalSupply()));
-            const ethPrice = await getEthUsdPrice();
-
-            for (let i = 0; i < whales.length; i++) {
-                const whale = whales[i];
-                const whaleData = {
-                    wallet_address: whale.address,
-                    timestamp,
-                    eeth_balance: whale.balance,
-                    eeth_balance_usd: whale.balance * ethPrice,
-                    percentage_of_total: (whale.balance / totalSupply) * 100,
-                    rank_position: i + 1,
-                    balance_change_24h: 0, // Will be calculated on next collection
-                    balance_change_pct_24h: 0,
-                    is_contract: false,
-                    label: null
-                };
-
-                await queries.insertWhaleWalletData(whaleData);
+            for (const whale of whales) {
+                await queries.insertWhaleWalletData(whale);
             }
         }
 
@@ -493,7 +445,7 @@ async function collectCurrentData() {
         logger.info(`  Deposits (24h): ${dataPoint.deposits_24h} (${dataPoint.deposit_volume_eth?.toFixed(2)} ETH)`);
         logger.info(`  Withdrawals (24h): ${dataPoint.withdrawals_24h} (${dataPoint.withdrawal_volume_eth?.toFixed(2)} ETH)`);
         logger.info(`  Gas Price: ${dataPoint.avg_gas_price_gwei?.toFixed(4)} gwei`);
-        logger.info(`  Top Whales Tracked: ${whales.length}`);
+        logger.info(`  Top Whales Tracked: ${whales.filter(whale => whale.rank_position !== null).length}`);
         logger.info('========================================');
 
         // ====== PHASE 5 INTEGRATION: RUN ANOMALY DETECTION ======
@@ -608,7 +560,19 @@ async function startContinuousCollection() {
     logger.info(`Setting up ${intervalMinutes}-minute collection interval...`);
 
     setInterval(async () => {
-        await collectCurrentData();
+        // Overlapping cycles would plan their indexer block ranges from the same
+        // indexer_state and could move last_block backwards, so a slow cycle skips the next
+        if (collecting) {
+            logger.warn('Previous collection still running, skipping this interval');
+            return;
+        }
+        collecting = true;
+
+        try {
+            await collectCurrentData();
+        } finally {
+            collecting = false;
+        }
     }, intervalMs);
 
     // Log statistics every 30 minutes
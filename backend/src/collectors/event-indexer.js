@@ -0,0 +1,394 @@
+/**
+ * Contract Event Indexer
+ * Incrementally indexes eETH Transfer and liquidity pool Deposit/Withdraw logs into chain_events
+ *
+ * Each run continues from the last processed block in indexer_state (the first run
+ * starts ~24h back) and fetches logs in chunks the RPC provider accepts: the chunk
+ * starts at LOG_CHUNK_BLOCKS (10 fits the Alchemy free tier) and is halved whenever
+ * the provider rejects a range. Runs are capped at INDEXER_MAX_BLOCKS_PER_CYCLE so a
+ * long backfill spreads over several collection cycles
+ *
+ * Deposits and withdrawals are counted from eETH mints and burns: every deposit mints
+ * and every withdrawal burns eETH, so each is counted exactly once whichever pool
+ * events the deployment emits. Rolling 24h figures are only reported once the index
+ * covers the whole window
+ *
+ * The provider is passed in, so the indexer runs the same against mainnet, a local
+ * Anvil/Hardhat fork (ALCHEMY_RPC_URL=http://127.0.0.1:8545) or a mocked provider
+ *
+ * Usage: node src/collectors/event-indexer.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../../../.env') });
+
+const { ethers } = require('ethers');
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+const contracts = require('../../config/contracts');
+
+const INDEXER_NAME = 'etherfi-events';
+
+const ROLLING_WINDOW_HOURS = 24;
+
+/**
+ * Indexed data older than this (behind the chain head) does not count as covering "now"
+ */
+const MAX_LAG_MINUTES = 30;
+
+const INDEXER_CONFIG = {
+    chunkBlocks: parseInt(process.env.LOG_CHUNK_BLOCKS || '10'),
+    maxBlocksPerCycle: parseInt(process.env.INDEXER_MAX_BLOCKS_PER_CYCLE || '2400'),
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || String(contracts.NETWORK_CONFIG.confirmations)),
+    // A day of blocks plus an hour of margin
+    backfillBlocks: Math.ceil(((ROLLING_WINDOW_HOURS + 1) * 3600) / contracts.NETWORK_CONFIG.blockTime)
+};
+
+/**
+ * Contracts and events to index
+ */
+const EVENT_SOURCES = [
+    { address: contracts.ADDRESSES.EETH_TOKEN, abi: contracts.ERC20_ABI, events: ['Transfer'] },
+    { address: contracts.ADDRESSES.LIQUIDITY_POOL, abi: contracts.LIQUIDITY_POOL_ABI, events: ['Deposit', 'Withdraw'] }
+];
+
+/**
+ * Current chunk size; shrinks when the provider rejects a range and stays shrunk
+ */
+let chunkBlocks = INDEXER_CONFIG.chunkBlocks;
+
+/**
+ * Block number -> timestamp (seconds), bounded
+ */
+const blockTimestamps = new Map();
+const MAX_CACHED_BLOCKS = 200;
+
+/**
+ * Provider errors that mean "ask for fewer blocks"
+ */
+const RANGE_ERROR_PATTERN = /block range|range (is )?too (large|wide)|too many (results|logs)|limit exceeded|query returned more than|exceed/i;
+
+/**
+ * Decoders keyed by `${address}:${topic0}`
+ * @param {Array} sources - EVENT_SOURCES entries
+ * @returns {Map} key -> { iface, event }
+ */
+function buildDecoders(sources) {
+    const decoders = new Map();
+
+    sources.forEach(source => {
+        const iface = new ethers.Interface(source.abi);
+        source.events.forEach(name => {
+            const event = iface.getEvent(name);
+            decoders.set(`${source.address.toLowerCase()}:${event.topicHash}`, { iface, event });
+        });
+    });
+
+    return decoders;
+}
+
+/**
+ * Classify a decoded event and pull out its counterparties and amount
+ * @param {string} name - Event name
+ * @param {object} args - Decoded arguments
+ * @returns {object} { kind, from, to, amount }
+ */
+function classifyEvent(name, args) {
+    if (name === 'Transfer') {
+        const kind = args.from === ethers.ZeroAddress ? 'mint' : args.to === ethers.ZeroAddress ? 'burn' : 'transfer';
+        return { kind, from: args.from, to: args.to, amount: args.value };
+    }
+    if (name === 'Deposit') {
+        return { kind: 'deposit', from: args.sender, to: args.owner, amount: args.assets };
+    }
+    if (name === 'Withdraw') {
+        return { kind: 'withdraw', from: args.owner, to: args.receiver, amount: args.assets };
+    }
+    if (name === 'WithdrawRequestCreated') {
+        return { kind: 'request', from: args.owner, to: null, amount: args.amountOfEEth };
+    }
+    if (name === 'WithdrawRequestClaimed') {
+        return { kind: 'claim', from: null, to: args.owner, amount: args.amountOfEEth };
+    }
+    if (name === 'UpdateFinalizedRequestId') {
+        return { kind: 'finalize', from: null, to: null, amount: args.finalizedAmount };
+    }
+    return { kind: name.toLowerCase(), from: null, to: null, amount: null };
+}
+
+/**
+ * Decode a raw log into a chain_events row
+ * @param {object} log - Log from eth_getLogs
+ * @param {Map} decoders - buildDecoders() result
+ * @param {Date} timestamp - Block time
+ * @returns {object|null} Event row, or null for logs no source declares
+ */
+function decodeLog(log, decoders, timestamp) {
+    const decoder = decoders.get(`${log.address.toLowerCase()}:${log.topics[0]}`);
+    if (!decoder) return null;
+
+    const parsed = decoder.iface.parseLog({ topics: log.topics, data: log.data });
+    const args = Object.fromEntries(decoder.event.inputs.map((input, i) => [input.name, parsed.args[i]]));
+    const { kind, from, to, amount } = classifyEvent(decoder.event.name, args);
+
+    return {
+        block_number: Number(log.blockNumber),
+        block_timestamp: timestamp,
+        tx_hash: log.transactionHash,
+        log_index: Number(log.index ?? log.logIndex),
+        contract_address: log.address.toLowerCase(),
+        event_name: decoder.event.name,
+        kind,
+        from_address: from ? from.toLowerCase() : null,
+        to_address: to ? to.toLowerCase() : null,
+        amount_wei: amount !== null ? amount.toString() : null,
+        amount_eth: amount !== null ? ethers.formatEther(amount) : null,
+        args: Object.fromEntries(Object.entries(args).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value]))
+    };
+}
+
+/**
+ * Timestamp of a block (seconds), cached
+ * @param {object} provider - ethers provider
+ * @param {number} blockNumber - Block number
+ * @returns {Promise<number>} Unix timestamp
+ */
+async function getBlockTimestamp(provider, blockNumber) {
+    if (blockTimestamps.has(blockNumber)) {
+        return blockTimestamps.get(blockNumber);
+    }
+
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+        throw new Error(`Block ${blockNumber} not found`);
+    }
+
+    if (blockTimestamps.size >= MAX_CACHED_BLOCKS) {
+        blockTimestamps.delete(blockTimestamps.keys().next().value);
+    }
+    blockTimestamps.set(blockNumber, block.timestamp);
+    return block.timestamp;
+}
+
+/**
+ * Fetch the logs of one range, halving the range while the provider rejects it
+ * @param {object} provider - ethers provider
+ * @param {Array} sources - EVENT_SOURCES entries
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block (the range actually fetched may end earlier)
+ * @returns {Promise<object>} { logs, toBlock }
+ */
+async function fetchLogs(provider, sources, fromBlock, toBlock) {
+    const topics = [...new Set(sources.flatMap(source => {
+        const iface = new ethers.Interface(source.abi);
+        return source.events.map(name => iface.getEvent(name).topicHash);
+    }))];
+
+    for (;;) {
+        const end = Math.min(toBlock, fromBlock + chunkBlocks - 1);
+
+        try {
+            const logs = await provider.getLogs({
+                address: sources.map(source => source.address),
+                topics: [topics],
+                fromBlock,
+                toBlock: end
+            });
+            return { logs, toBlock: end };
+        } catch (error) {
+            if (!RANGE_ERROR_PATTERN.test(error.message) || chunkBlocks === 1) {
+                throw error;
+            }
+
+            chunkBlocks = Math.max(1, Math.floor(chunkBlocks / 2));
+            logger.warn('Provider rejected log range, shrinking chunk', { fromBlock, toBlock: end, chunkBlocks });
+        }
+    }
+}
+
+/**
+ * Work out the block range of an indexer's next run
+ * @param {object} provider - ethers provider
+ * @param {string} name - Indexer name (indexer_state key)
+ * @param {Function} initialBlock - (head) => first block to index when there is no saved state
+ * @param {number} maxBlocks - Most blocks to cover in one run
+ * @returns {Promise<object>} { head, startBlock, endBlock, progress } (progress holds first_block/first_block_timestamp)
+ */
+async function planRun(provider, name, initialBlock, maxBlocks) {
+    const head = (await provider.getBlockNumber()) - INDEXER_CONFIG.confirmations;
+    const state = await queries.getIndexerState(name);
+
+    const startBlock = state ? Number(state.last_block) + 1 : Math.max(0, initialBlock(head));
+    const endBlock = Math.min(head, startBlock + maxBlocks - 1);
+
+    const progress = state
+        ? { first_block: Number(state.first_block), first_block_timestamp: state.first_block_timestamp }
+        : { first_block: startBlock, first_block_timestamp: new Date((await getBlockTimestamp(provider, Math.min(startBlock, head))) * 1000) };
+
+    return { head, startBlock, endBlock, progress };
+}
+
+/**
+ * Fetch and decode the logs of a block range chunk by chunk
+ * @param {object} provider - ethers provider
+ * @param {Array} sources - EVENT_SOURCES entries
+ * @param {number} startBlock - First block
+ * @param {number} endBlock - Last block
+ * @param {Function} onChunk - async (events, { fromBlock, toBlock, toTimestamp }) called in block order
+ * @returns {Promise<number>} Chunks processed
+ */
+async function scanRange(provider, sources, startBlock, endBlock, onChunk) {
+    const decoders = buildDecoders(sources);
+    let chunks = 0;
+
+    let from = startBlock;
+    while (from <= endBlock) {
+        const { logs, toBlock } = await fetchLogs(provider, sources, from, endBlock);
+        const toTimestamp = await getBlockTimestamp(provider, toBlock);
+
+        // Block times inside the range are interpolated from its ends (12s slots, so
+        // missed slots shift an event by at most a few seconds per missed slot)
+        const fromTimestamp = logs.length > 0 ? await getBlockTimestamp(provider, from) : toTimestamp;
+        const timeOf = blockNumber => new Date(1000 * (toBlock === from
+            ? toTimestamp
+            : Math.round(fromTimestamp + ((toTimestamp - fromTimestamp) * (blockNumber - from)) / (toBlock - from))));
+
+        const events = logs
+            .map(log => decodeLog(log, decoders, timeOf(Number(log.blockNumber))))
+            .filter(Boolean)
+            .sort((a, b) => a.block_number - b.block_number || a.log_index - b.log_index);
+
+        await onChunk(events, { fromBlock: from, toBlock, toTimestamp });
+
+        chunks++;
+        from = toBlock + 1;
+    }
+
+    return chunks;
+}
+
+/**
+ * Index new blocks up to the confirmed head
+ * @param {object} provider - ethers provider (JsonRpcProvider, Anvil fork or mock)
+ * @param {object} options - { sources, maxBlocks }
+ * @returns {Promise<object>} { fromBlock, toBlock, head, chunks, events, inserted, caughtUp }
+ */
+async function runIndexer(provider, options = {}) {
+    const sources = options.sources || EVENT_SOURCES;
+    const maxBlocks = options.maxBlocks || INDEXER_CONFIG.maxBlocksPerCycle;
+
+    const { head, startBlock, endBlock, progress } = await planRun(
+        provider, INDEXER_NAME, h => h - INDEXER_CONFIG.backfillBlocks, maxBlocks
+    );
+
+    const summary = { fromBlock: startBlock, toBlock: startBlock - 1, head, chunks: 0, events: 0, inserted: 0, caughtUp: startBlock > head };
+
+    summary.chunks = await scanRange(provider, sources, startBlock, endBlock, async (events, range) => {
+        summary.inserted += await queries.storeIndexedRange(INDEXER_NAME, events, {
+            ...progress,
+            last_block: range.toBlock,
+            last_block_timestamp: new Date(range.toTimestamp * 1000)
+        });
+
+        summary.events += events.length;
+        summary.toBlock = range.toBlock;
+    });
+
+    summary.caughtUp = summary.toBlock >= head;
+
+    logger.debug('Event indexer run complete', summary);
+    return summary;
+}
+
+/**
+ * Whether an indexer's saved progress reaches (nearly) up to a point in time
+ * @param {object|null} state - indexer_state row
+ * @param {Date} now - Reference time
+ * @returns {boolean} True when indexed to within MAX_LAG_MINUTES of now
+ */
+function isCaughtUp(state, now = new Date()) {
+    return Boolean(state) && now.getTime() - new Date(state.last_block_timestamp).getTime() <= MAX_LAG_MINUTES * 60 * 1000;
+}
+
+/**
+ * Rolling deposit and withdrawal counts and volumes from the index
+ * Values are null until the index covers the whole window up to (nearly) now
+ * @param {Date} now - End of the window
+ * @returns {Promise<object>} { deposits_24h, withdrawals_24h, deposit_volume_eth, withdrawal_volume_eth, coverage }
+ */
+async function getRollingVolume(now = new Date()) {
+    const windowStart = new Date(now.getTime() - ROLLING_WINDOW_HOURS * 60 * 60 * 1000);
+    const state = await queries.getIndexerState(INDEXER_NAME);
+
+    const coverage = {
+        complete: isCaughtUp(state, now) && new Date(state.first_block_timestamp) <= windowStart,
+        indexedFrom: state ? new Date(state.first_block_timestamp).toISOString() : null,
+        indexedTo: state ? new Date(state.last_block_timestamp).toISOString() : null,
+        lastBlock: state ? Number(state.last_block) : null
+    };
+
+    if (!coverage.complete) {
+        return {
+            deposits_24h: null,
+            withdrawals_24h: null,
+            deposit_volume_eth: null,
+            withdrawal_volume_eth: null,
+            coverage
+        };
+    }
+
+    const totals = await queries.getChainEventTotalsSince(windowStart);
+    const mints = totals.mint || { count: 0, volume_eth: 0 };
+    const burns = totals.burn || { count: 0, volume_eth: 0 };
+
+    return {
+        deposits_24h: mints.count,
+        withdrawals_24h: burns.count,
+        deposit_volume_eth: mints.volume_eth,
+        withdrawal_volume_eth: burns.volume_eth,
+        coverage
+    };
+}
+
+/**
+ * Reset in-memory state (tests)
+ */
+function resetIndexer() {
+    chunkBlocks = INDEXER_CONFIG.chunkBlocks;
+    blockTimestamps.clear();
+}
+
+if (require.main === module) {
+    const db = require('../database/db-connection');
+    const provider = new ethers.JsonRpcProvider(contracts.NETWORK_CONFIG.rpcUrl);
+
+    db.initializePool();
+
+    (async () => {
+        let result;
+        do {
+            result = await runIndexer(provider);
+            console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock} of ${result.head}: ${result.events} events (${result.inserted} new)`);
+        } while (!result.caughtUp);
+
+        console.log(JSON.stringify(await getRollingVolume(), null, 2));
+    })()
+        .catch(error => {
+            console.error(`Event indexing failed: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => db.closePool());
+}
+
+module.exports = {
+    runIndexer,
+    getRollingVolume,
+    planRun,
+    scanRange,
+    isCaughtUp,
+    decodeLog,
+    buildDecoders,
+    resetIndexer,
+    EVENT_SOURCES,
+    INDEXER_CONFIG,
+    INDEXER_NAME
+};
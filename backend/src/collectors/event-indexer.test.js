@@ -0,0 +1,135 @@
+/**
+ * Event Indexer tests against a mocked provider and in-memory chain_events / indexer_state
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const eventIndexer = require('./event-indexer');
+const contracts = require('../../config/contracts');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+const eeth = new ethers.Interface(contracts.ERC20_ABI);
+const pool = new ethers.Interface(contracts.LIQUIDITY_POOL_ABI);
+const user = '0x1111111111111111111111111111111111111111';
+const other = '0x2222222222222222222222222222222222222222';
+const head = 20000;
+const genesis = 1767225600; // 2026-01-01, 12s blocks
+const now = new Date((genesis + head * 12) * 1000);
+
+const makeLog = (iface, address, name, values, blockNumber, index) => ({
+    ...iface.encodeEventLog(name, values),
+    address,
+    blockNumber,
+    index,
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber * 100 + index), 32)
+});
+const chainLogs = [
+    makeLog(eeth, contracts.ADDRESSES.EETH_TOKEN, 'Transfer', [ethers.ZeroAddress, user, ethers.parseEther('32')], head - 500, 0),
+    makeLog(pool, contracts.ADDRESSES.LIQUIDITY_POOL, 'Deposit', [user, user, ethers.parseEther('32'), ethers.parseEther('31')], head - 500, 1),
+    makeLog(eeth, contracts.ADDRESSES.EETH_TOKEN, 'Transfer', [user, other, ethers.parseEther('5')], head - 300, 0),
+    makeLog(eeth, contracts.ADDRESSES.EETH_TOKEN, 'Transfer', [other, ethers.ZeroAddress, ethers.parseEther('2.5')], head - 100, 3)
+];
+
+// The provider rejects ranges over 4 blocks
+const calls = [];
+const provider = {
+    getBlockNumber: async () => head + eventIndexer.INDEXER_CONFIG.confirmations,
+    getBlock: async n => ({ number: n, timestamp: genesis + n * 12 }),
+    getLogs: async filter => {
+        calls.push(filter.toBlock - filter.fromBlock + 1);
+        if (filter.toBlock - filter.fromBlock + 1 > 4) {
+            throw new Error('eth_getLogs is limited to a 4 block range');
+        }
+        return chainLogs.filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock);
+    }
+};
+
+let state = null;
+const stored = new Map();
+const restore = stubQueries(queries, {
+    getIndexerState: async () => state,
+    storeIndexedRange: async (name, events, progress) => {
+        let inserted = 0;
+        events.forEach(event => {
+            const key = `${event.tx_hash}:${event.log_index}`;
+            if (!stored.has(key)) {
+                stored.set(key, event);
+                inserted++;
+            }
+        });
+        state = { name, ...progress };
+        return inserted;
+    },
+    getChainEventTotalsSince: async since => {
+        const totals = {};
+        stored.forEach(event => {
+            if (event.block_timestamp < since) return;
+            totals[event.kind] = totals[event.kind] || { count: 0, volume_eth: 0 };
+            totals[event.kind].count++;
+            totals[event.kind].volume_eth += parseFloat(event.amount_eth);
+        });
+        return totals;
+    }
+});
+
+after(() => {
+    restore();
+    eventIndexer.resetIndexer();
+});
+
+// The steps below share the in-memory index and run in order
+test('first run backfills from ~25h back up to the per-cycle cap', async () => {
+    eventIndexer.resetIndexer();
+    const first = await eventIndexer.runIndexer(provider, { maxBlocks: 1000 });
+    const partial = await eventIndexer.getRollingVolume(now);
+
+    assert.equal(first.fromBlock, head - eventIndexer.INDEXER_CONFIG.backfillBlocks);
+    assert.equal(first.toBlock, first.fromBlock + 999);
+    assert.equal(first.caughtUp, false);
+    assert.equal(partial.deposits_24h, null);
+
+    // The chunk size shrinks after the provider rejects a range
+    assert.equal(calls[0], eventIndexer.INDEXER_CONFIG.chunkBlocks);
+    assert.ok(calls.slice(2).every(size => size <= 4));
+});
+
+test('catching up and re-indexing a range does not double count', async () => {
+    let result;
+    do {
+        result = await eventIndexer.runIndexer(provider, { maxBlocks: 5000 });
+    } while (!result.caughtUp);
+
+    // State lost after the insert: the same range is scanned again
+    state = { ...state, last_block: head - 600 };
+    await eventIndexer.runIndexer(provider);
+
+    const events = [...stored.values()];
+    const deposit = events.find(e => e.event_name === 'Deposit');
+    const burn = events.find(e => e.kind === 'burn');
+
+    assert.equal(stored.size, 4);
+    assert.equal(state.last_block, head);
+    assert.equal(deposit.to_address, user);
+    assert.equal(deposit.amount_eth, '32.0');
+    assert.equal(burn.from_address, other);
+    assert.equal(burn.block_timestamp.getTime(), (genesis + (head - 100) * 12) * 1000);
+});
+
+test('rolling 24h volume counts mints as deposits and burns as withdrawals', async () => {
+    const volume = await eventIndexer.getRollingVolume(now);
+
+    assert.equal(volume.deposits_24h, 1);
+    assert.equal(volume.withdrawals_24h, 1);
+    assert.equal(volume.deposit_volume_eth, 32);
+    assert.equal(volume.withdrawal_volume_eth, 2.5);
+    assert.ok(volume.coverage.complete);
+});
+
+test('an index that stopped advancing reports no rolling volume', async () => {
+    const stale = await eventIndexer.getRollingVolume(new Date(now.getTime() + 2 * 60 * 60 * 1000));
+
+    assert.equal(stale.withdrawals_24h, null);
+});
@@ -12,6 +12,7 @@ const db = require('../database/db-connection');
 const queries = require('../database/queries');
 const logger = require('../utils/logger');
 const contracts = require('../../config/contracts');
+const { getQueueMetrics } = require('./withdrawal-queue-indexer');
 
 /**
  * Initialize Alchemy provider
@@ -263,9 +264,15 @@ async function fetchHistoricalDataPoint(date, blockNumber, topHolders) {
         const ethPrice = await getEthUsdPrice(blockNumber);
         const tvlUsd = parseFloat(tvlEth) * ethPrice;
 
-        // Get total supply for unique stakers estimation
+        // Get total supply for the eETH/ETH ratio
         const totalSupply = await getEethTotalSupply(blockNumber);
 
+        // Holder count recorded by the holder index (null until its backfill reaches this date)
+        const holderSnapshot = await queries.getHolderCountAt(date);
+
+        // Withdrawal queue from the withdrawal request index (null until its backfill reaches this date)
+        const queueMetrics = await getQueueMetrics(date);
+
         // Get transaction stats for the previous day (approximate)
         const previousBlock = blockNumber - 7200; // ~24 hours of blocks
         const txStats = await getTransactionStats(
@@ -294,7 +301,7 @@ async function fetchHistoricalDataPoint(date, blockNumber, topHolders) {
             timestamp: date,
             tvl_usd: tvlUsd,
             tvl_eth: tvlEthFloat,
-            unique_stakers: Math.floor(totalSupplyFloat * 0.1), // Rough estimate
+            unique_stakers: holderSnapshot ? holderSnapshot.holder_count : null,
             total_validators: Math.floor(tvlEthFloat / 32), // 32 ETH per validator
             deposits_24h: txStats.deposits,
             withdrawals_24h: txStats.withdrawals,
@@ -302,9 +309,7 @@ async function fetchHistoricalDataPoint(date, blockNumber, topHolders) {
             withdrawal_volume_eth: txStats.withdrawalVolume,
             eeth_eth_ratio: eethEthRatio,
             eeth_price_usd: ethPrice * eethEthRatio,
-            queue_size: 0, // Will be populated in real-time collection
-            queue_eth_amount: 0,
-            avg_queue_wait_hours: 0,
+            ...queueMetrics,
             validator_apr: 0.0384, // Conservative ETH staking APR (match real-time collector)
             total_rewards_eth: tvlEthFloat * 0.0384 / 365, // Daily rewards based on conservative APR
             avg_gas_price_gwei: gasPrice, // REAL historical gas price from block
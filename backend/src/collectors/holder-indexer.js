@@ -0,0 +1,189 @@
+/**
+ * eETH Holder Indexer
+ * Maintains per-address eETH balances and the exact non-zero holder count from Transfer events
+ *
+ * Scans eETH Transfer logs from HOLDER_INDEX_START_BLOCK (at or before the eETH
+ * deployment) with the event indexer's chunked log fetching. eETH rebases, so summing
+ * transfer amounts drifts from real balances; instead every address a run touches gets
+ * its balanceOf read at the run's last block. An address only becomes zero or non-zero
+ * through a transfer, so the count of non-zero balances is exact at that block
+ *
+ * Each run records the count in holder_count_history, which gives the historical loader
+ * counts for past dates once the backfill has passed them
+ *
+ * Usage: node src/collectors/holder-indexer.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../../../.env') });
+
+const { ethers } = require('ethers');
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+const contracts = require('../../config/contracts');
+const { planRun, scanRange, isCaughtUp } = require('./event-indexer');
+
+const HOLDER_INDEXER_NAME = 'eeth-holders';
+
+const HOLDER_CONFIG = {
+    startBlock: parseInt(process.env.HOLDER_INDEX_START_BLOCK || '17000000'),
+    maxBlocksPerCycle: parseInt(process.env.HOLDER_INDEX_MAX_BLOCKS_PER_CYCLE || '2400'),
+    // Concurrent balanceOf calls
+    balanceConcurrency: 10
+};
+
+const HOLDER_SOURCES = [
+    { address: contracts.ADDRESSES.EETH_TOKEN, abi: contracts.ERC20_ABI, events: ['Transfer'] }
+];
+
+/**
+ * Record a Transfer against the addresses it touches
+ * @param {Map} touched - address -> activity
+ * @param {object} event - Decoded chain event
+ */
+function touch(touched, event) {
+    [event.from_address, event.to_address]
+        .filter(address => address && address !== ethers.ZeroAddress)
+        .forEach(address => {
+            const activity = touched.get(address) || {
+                first_seen_block: event.block_number,
+                first_seen_at: event.block_timestamp,
+                transfer_count: 0
+            };
+
+            activity.last_activity_block = event.block_number;
+            activity.last_activity_at = event.block_timestamp;
+            activity.transfer_count++;
+            touched.set(address, activity);
+        });
+}
+
+/**
+ * Read eETH balances at a block
+ * @param {object} provider - ethers provider
+ * @param {Array} addresses - Holder addresses
+ * @param {number} blockTag - Block to read at
+ * @returns {Promise<Map>} address -> balance (wei, bigint)
+ */
+async function readBalances(provider, addresses, blockTag) {
+    const eethToken = new ethers.Contract(contracts.ADDRESSES.EETH_TOKEN, contracts.ERC20_ABI, provider);
+    const balances = new Map();
+
+    for (let i = 0; i < addresses.length; i += HOLDER_CONFIG.balanceConcurrency) {
+        const batch = addresses.slice(i, i + HOLDER_CONFIG.balanceConcurrency);
+        const results = await Promise.all(batch.map(address => eethToken.balanceOf(address, { blockTag })));
+        batch.forEach((address, j) => balances.set(address, results[j]));
+    }
+
+    return balances;
+}
+
+/**
+ * Index new Transfer events and refresh the balances of the addresses they touch
+ * A run that fails part way stores what it scanned before rethrowing
+ * @param {object} provider - ethers provider (JsonRpcProvider, Anvil fork or mock)
+ * @param {object} options - { maxBlocks }
+ * @returns {Promise<object>} { fromBlock, toBlock, head, chunks, transfers, holdersUpdated, holderCount, caughtUp }
+ */
+async function runHolderIndexer(provider, options = {}) {
+    const maxBlocks = options.maxBlocks || HOLDER_CONFIG.maxBlocksPerCycle;
+
+    const { head, startBlock, endBlock, progress } = await planRun(
+        provider, HOLDER_INDEXER_NAME, () => HOLDER_CONFIG.startBlock, maxBlocks
+    );
+
+    const summary = {
+        fromBlock: startBlock, toBlock: startBlock - 1, head, chunks: 0,
+        transfers: 0, holdersUpdated: 0, holderCount: null, caughtUp: startBlock > head
+    };
+    const touched = new Map();
+    let scannedTimestamp = null;
+    let failure = null;
+
+    try {
+        await scanRange(provider, HOLDER_SOURCES, startBlock, endBlock, async (events, range) => {
+            events.filter(event => event.event_name === 'Transfer').forEach(event => touch(touched, event));
+
+            summary.chunks++;
+            summary.transfers += events.length;
+            summary.toBlock = range.toBlock;
+            scannedTimestamp = range.toTimestamp;
+        });
+    } catch (error) {
+        if (summary.toBlock < startBlock) {
+            throw error;
+        }
+        failure = error;
+        logger.warn('Holder index scan failed part way, storing scanned blocks', { toBlock: summary.toBlock, error: error.message });
+    }
+
+    if (summary.toBlock >= startBlock) {
+        const addresses = [...touched.keys()];
+        const balances = await readBalances(provider, addresses, summary.toBlock);
+
+        const holders = addresses.map(address => ({
+            address,
+            balance_wei: balances.get(address).toString(),
+            balance_eth: ethers.formatEther(balances.get(address)),
+            balance_block: summary.toBlock,
+            ...touched.get(address)
+        }));
+
+        summary.holderCount = await queries.storeHolderBalances(HOLDER_INDEXER_NAME, holders, {
+            ...progress,
+            last_block: summary.toBlock,
+            last_block_timestamp: new Date(scannedTimestamp * 1000)
+        });
+        summary.holdersUpdated = holders.length;
+    }
+
+    if (failure) {
+        throw failure;
+    }
+
+    summary.caughtUp = summary.toBlock >= head;
+
+    logger.debug('Holder indexer run complete', summary);
+    return summary;
+}
+
+/**
+ * Current non-zero eETH holder count
+ * @param {Date} now - Reference time
+ * @returns {Promise<number|null>} Holder count, or null while the index is still backfilling
+ */
+async function getHolderCount(now = new Date()) {
+    const state = await queries.getIndexerState(HOLDER_INDEXER_NAME);
+    if (!isCaughtUp(state, now)) {
+        return null;
+    }
+
+    const snapshot = await queries.getHolderCountAt(now);
+    return snapshot ? snapshot.holder_count : null;
+}
+
+if (require.main === module) {
+    const db = require('../database/db-connection');
+    const provider = new ethers.JsonRpcProvider(contracts.NETWORK_CONFIG.rpcUrl);
+
+    db.initializePool();
+
+    (async () => {
+        let result;
+        do {
+            result = await runHolderIndexer(provider);
+            console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock} of ${result.head}: ${result.transfers} transfers, ${result.holderCount} holders`);
+        } while (!result.caughtUp);
+    })()
+        .catch(error => {
+            console.error(`Holder indexing failed: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => db.closePool());
+}
+
+module.exports = {
+    runHolderIndexer,
+    getHolderCount,
+    HOLDER_CONFIG,
+    HOLDER_INDEXER_NAME
+};
@@ -0,0 +1,148 @@
+/**
+ * Holder Indexer tests against a mocked provider and in-memory eeth_holders / holder_count_history
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const holderIndexer = require('./holder-indexer');
+const eventIndexer = require('./event-indexer');
+const contracts = require('../../config/contracts');
+const queries = require('../database/queries');
+const db = require('../database/db-connection');
+const { stubQueries } = require('../utils/harness');
+
+// The real query, before the in-memory stub below replaces it
+const { storeHolderBalances } = queries;
+
+const eeth = new ethers.Interface(contracts.ERC20_ABI);
+const [alice, bob, carol] = ['0xa', '0xb', '0xc'].map(prefix => ethers.getAddress(prefix.padEnd(42, '0')));
+const start = holderIndexer.HOLDER_CONFIG.startBlock;
+const genesis = 1767225600;
+const blockTime = block => new Date((genesis + block * 12) * 1000);
+
+// Shares per holder change only on transfers; balances grow with the rebase rate
+const transfers = [
+    { block: start + 10, from: ethers.ZeroAddress, to: alice, shares: 100n },
+    { block: start + 20, from: ethers.ZeroAddress, to: carol, shares: 50n },
+    { block: start + 30, from: alice, to: bob, shares: 100n },
+    { block: start + 45, from: carol, to: bob, shares: 20n },
+    { block: start + 60, from: carol, to: ethers.ZeroAddress, shares: 30n }
+];
+const rate = block => ethers.parseEther('1') + BigInt(block - start) * 10n ** 12n;
+const sharesAt = (address, block) => transfers
+    .filter(t => t.block <= block)
+    .reduce((sum, t) => sum + (t.to === address ? t.shares : 0n) - (t.from === address ? t.shares : 0n), 0n);
+
+let failAt = null;
+const provider = {
+    getBlockNumber: async () => start + 400 + eventIndexer.INDEXER_CONFIG.confirmations,
+    getBlock: async n => ({ number: n, timestamp: genesis + n * 12 }),
+    getLogs: async filter => {
+        if (failAt !== null && filter.toBlock >= failAt) {
+            throw new Error('upstream timeout');
+        }
+        return transfers
+            .filter(t => t.block >= filter.fromBlock && t.block <= filter.toBlock)
+            .map((t, index) => ({
+                ...eeth.encodeEventLog('Transfer', [t.from, t.to, t.shares * rate(t.block)]),
+                address: contracts.ADDRESSES.EETH_TOKEN,
+                blockNumber: t.block,
+                index,
+                transactionHash: ethers.zeroPadValue(ethers.toBeHex(t.block), 32)
+            }));
+    },
+    call: async tx => {
+        const [address] = eeth.decodeFunctionData('balanceOf', tx.data);
+        return eeth.encodeFunctionResult('balanceOf', [sharesAt(address, tx.blockTag) * rate(tx.blockTag)]);
+    }
+};
+
+let state = null;
+const holders = new Map();
+const history = [];
+const restore = stubQueries(queries, {
+    getIndexerState: async () => state,
+    storeHolderBalances: async (name, rows, progress) => {
+        rows.forEach(row => {
+            const existing = holders.get(row.address);
+            holders.set(row.address, existing
+                ? { ...existing, ...row, first_seen_block: existing.first_seen_block, transfer_count: existing.transfer_count + row.transfer_count }
+                : row);
+        });
+        const holderCount = [...holders.values()].filter(h => BigInt(h.balance_wei) > 0n).length;
+        history.push({ block_number: progress.last_block, block_timestamp: progress.last_block_timestamp, holder_count: holderCount });
+        state = { name, ...progress };
+        return holderCount;
+    },
+    getHolderCountAt: async timestamp => [...history].reverse().find(h => h.block_timestamp <= timestamp) || null
+});
+
+after(() => {
+    restore();
+    eventIndexer.resetIndexer();
+});
+
+// The steps below share the in-memory index and run in order
+test('a failed run stores the blocks it scanned and reports no count while backfilling', async () => {
+    eventIndexer.resetIndexer();
+    failAt = start + 40;
+
+    await assert.rejects(holderIndexer.runHolderIndexer(provider, { maxBlocks: 1000 }));
+
+    assert.equal(state.last_block, start + 39);
+    assert.equal(history[history.length - 1].holder_count, 2);
+    assert.equal(await holderIndexer.getHolderCount(blockTime(start + 400)), null);
+});
+
+test('balances are read at the last indexed block, not summed from transfer amounts', async () => {
+    failAt = null;
+    await holderIndexer.runHolderIndexer(provider, { maxBlocks: 1000 });
+
+    // alice sent everything to bob; carol burned the rest after sending 20 shares
+    assert.equal(await holderIndexer.getHolderCount(blockTime(start + 400)), 1);
+    assert.equal(holders.get(alice.toLowerCase()).balance_wei, '0');
+    assert.equal(holders.get(carol.toLowerCase()).balance_wei, '0');
+
+    const bobRow = holders.get(bob.toLowerCase());
+    assert.equal(bobRow.balance_wei, (120n * rate(start + 400)).toString());
+    assert.equal(bobRow.first_seen_block, start + 30);
+    assert.equal(bobRow.last_activity_block, start + 45);
+    assert.equal(bobRow.transfer_count, 2);
+});
+
+test('a past date reads the count recorded by the earlier run', async () => {
+    const pastCount = await queries.getHolderCountAt(blockTime(start + 50));
+
+    assert.equal(pastCount?.holder_count, 2);
+});
+
+test('a large backfill stores holders in batches under the bind parameter limit', async () => {
+    const statements = [];
+    const client = {
+        query: async (text, values = []) => {
+            statements.push({ text, values });
+            return { rows: [{ holders: '2500' }] };
+        },
+        release: () => {}
+    };
+    const getClient = db.getClient;
+    db.getClient = async () => client;
+
+    try {
+        const touched = Array.from({ length: 2500 }, (_, i) => ({
+            address: `0x${i.toString(16).padStart(40, '0')}`,
+            balance_wei: '1', balance_eth: 1e-18, balance_block: start, first_seen_block: start,
+            first_seen_at: blockTime(start), last_activity_block: start, last_activity_at: blockTime(start), transfer_count: 1
+        }));
+        await storeHolderBalances('test', touched, { last_block: start, last_block_timestamp: blockTime(start) });
+    } finally {
+        db.getClient = getClient;
+    }
+
+    const inserts = statements.filter(s => s.text.includes('INSERT INTO eeth_holders'));
+    assert.deepEqual(inserts.map(s => s.values.length), [9000, 9000, 4500]);
+    assert.equal(statements[0].text, 'BEGIN');
+    assert.equal(statements[statements.length - 1].text, 'COMMIT');
+});
@@ -0,0 +1,142 @@
+/**
+ * Whale Tracker
+ * Builds the top eETH holder snapshot stored in whale_wallets each collection cycle
+ *
+ * Holders are ranked from the holder index (holder-indexer.js), so no wide log queries
+ * are needed. For each whale the current balance and the balance one day of blocks ago
+ * are read with balanceOf, which gives real 24h changes including rebase growth
+ *
+ * Whales that left the top list since the previous snapshot are included without a
+ * rank, so the cycle in which they moved out is recorded and checked by the
+ * whale_movement detector
+ *
+ * A whale whose last transfer differs from the one recorded in the previous snapshot
+ * (or that was not in it) is marked moved_since_previous. The 24h change stays large
+ * for a day after one transfer; the detector only reports it in the cycle it happened
+ *
+ * Known addresses carry their name and category from the label registry
+ */
+
+const { ethers } = require('ethers');
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+const contracts = require('../../config/contracts');
+const { isCaughtUp } = require('./event-indexer');
+const { HOLDER_INDEXER_NAME } = require('./holder-indexer');
+const { getLabelMap } = require('../labels/address-labels');
+
+const WHALE_CONFIG = {
+    topCount: contracts.COLLECTION_CONFIG.TOP_WHALES_COUNT,
+    blocksPerDay: Math.round((24 * 60 * 60) / contracts.NETWORK_CONFIG.blockTime)
+};
+
+/**
+ * Address -> is contract (code at an address rarely changes, so it is looked up once)
+ */
+const contractCache = new Map();
+
+/**
+ * Whether an address has contract code
+ * @param {object} provider - ethers provider
+ * @param {string} address - Address
+ * @returns {Promise<boolean>} True for contracts (including smart wallets)
+ */
+async function isContract(provider, address) {
+    if (!contractCache.has(address)) {
+        const code = await provider.getCode(address);
+        contractCache.set(address, code !== '0x');
+    }
+    return contractCache.get(address);
+}
+
+/**
+ * Build the whale snapshot for this cycle
+ * @param {object} provider - ethers provider
+ * @param {object} options - { timestamp, ethPrice }
+ * @returns {Promise<Array>} whale_wallets rows (ranked whales first, then unranked ones that dropped out)
+ */
+async function trackWhales(provider, options = {}) {
+    const state = await queries.getIndexerState(HOLDER_INDEXER_NAME);
+    if (!isCaughtUp(state)) {
+        logger.debug('Whale tracking skipped', { reason: 'holder index still backfilling', indexedTo: state?.last_block_timestamp });
+        return [];
+    }
+
+    const eethToken = new ethers.Contract(contracts.ADDRESSES.EETH_TOKEN, contracts.ERC20_ABI, provider);
+    const blockNumber = await provider.getBlockNumber();
+    const dayAgoBlock = blockNumber - WHALE_CONFIG.blocksPerDay;
+
+    const [ranked, previous] = await Promise.all([
+        queries.getTopHolders(WHALE_CONFIG.topCount),
+        queries.getCurrentTopWhales(WHALE_CONFIG.topCount)
+    ]);
+
+    const rankedAddresses = new Set(ranked.map(holder => holder.address));
+    const dropped = await queries.getHoldersByAddress(
+        previous
+            .filter(whale => whale.rank_position !== null && !rankedAddresses.has(whale.wallet_address))
+            .map(whale => whale.wallet_address)
+    );
+
+    const previousActivity = new Map(previous.map(whale => [whale.wallet_address, whale.last_activity]));
+    const labels = await getLabelMap();
+    const totalSupply = parseFloat(ethers.formatEther(await eethToken.totalSupply({ blockTag: blockNumber })));
+    const whales = [];
+
+    // Sequential to stay within free tier request rates (3 calls per whale)
+    for (const holder of [...ranked, ...dropped]) {
+        const balance = parseFloat(ethers.formatEther(await eethToken.balanceOf(holder.address, { blockTag: blockNumber })));
+        const dayAgo = Number(holder.first_seen_block) > dayAgoBlock
+            ? 0
+            : parseFloat(ethers.formatEther(await eethToken.balanceOf(holder.address, { blockTag: dayAgoBlock })));
+
+        const label = labels.get(holder.address);
+        const lastSeen = previousActivity.get(holder.address);
+
+        whales.push({
+            wallet_address: holder.address,
+            timestamp: options.timestamp || new Date(),
+            eeth_balance: balance,
+            eeth_balance_usd: options.ethPrice ? balance * options.ethPrice : null,
+            percentage_of_total: totalSupply > 0 ? (balance / totalSupply) * 100 : null,
+            rank_position: null,
+            balance_change_24h: balance - dayAgo,
+            balance_change_pct_24h: dayAgo > 0 ? ((balance - dayAgo) / dayAgo) * 100 : null,
+            first_seen: holder.first_seen_at,
+            last_activity: holder.last_activity_at,
+            moved_since_previous: !lastSeen || new Date(lastSeen).getTime() !== new Date(holder.last_activity_at).getTime(),
+            is_contract: await isContract(provider, holder.address),
+            label: label ? label.name : null,
+            label_category: label ? label.category : null
+        });
+    }
+
+    // Rank on fresh balances; the index holds balances as of each holder's last transfer
+    const current = whales
+        .filter(whale => rankedAddresses.has(whale.wallet_address))
+        .sort((a, b) => b.eeth_balance - a.eeth_balance);
+    current.forEach((whale, i) => {
+        whale.rank_position = i + 1;
+    });
+
+    logger.debug('Whales tracked', {
+        ranked: current.length,
+        droppedOut: whales.length - current.length,
+        largestMove: Math.max(0, ...whales.map(whale => Math.abs(whale.balance_change_24h)))
+    });
+
+    return [...current, ...whales.filter(whale => whale.rank_position === null)];
+}
+
+/**
+ * Reset in-memory state (tests)
+ */
+function resetWhaleTracker() {
+    contractCache.clear();
+}
+
+module.exports = {
+    trackWhales,
+    resetWhaleTracker,
+    WHALE_CONFIG
+};
@@ -0,0 +1,131 @@
+/**
+ * Whale Tracker tests: snapshots and the whale_movement detector
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const whaleTracker = require('./whale-tracker');
+const addressLabels = require('../labels/address-labels');
+const contracts = require('../../config/contracts');
+const { analyzeStatisticalAnomalies, getThresholds } = require('../analysis/statistical-prefilter');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+const eeth = new ethers.Interface(contracts.ERC20_ABI);
+const [fund, pool, exited] = ['0xf', '0xb', '0xe'].map(prefix => prefix.padEnd(42, '0'));
+const head = 21000000;
+const supply = 1000000;
+
+// balance (eETH) now and a day ago; the pool is a contract
+const balances = {
+    [fund]: { now: 15000, dayAgo: 30000 },
+    [pool]: { now: 40000, dayAgo: 39990 },
+    [exited]: { now: 10, dayAgo: 12000 }
+};
+const holder = (address, balance, firstSeen) => ({
+    address,
+    balance_wei: ethers.parseEther(String(balance)).toString(),
+    first_seen_block: firstSeen,
+    first_seen_at: new Date('2024-01-01T00:00:00Z'),
+    last_activity_at: new Date('2026-03-01T00:00:00Z')
+});
+
+let codeLookups = 0;
+const provider = {
+    getBlockNumber: async () => head,
+    getCode: async address => {
+        codeLookups++;
+        return address === pool ? '0x6080' : '0x';
+    },
+    call: async tx => {
+        const parsed = eeth.parseTransaction({ data: tx.data });
+        if (parsed.name === 'totalSupply') {
+            return eeth.encodeFunctionResult('totalSupply', [ethers.parseEther(String(supply))]);
+        }
+        const entry = balances[parsed.args[0].toLowerCase()];
+        const value = tx.blockTag === head ? entry.now : entry.dayAgo;
+        return eeth.encodeFunctionResult('balanceOf', [ethers.parseEther(String(value))]);
+    }
+};
+
+const restore = stubQueries(queries, {
+    getIndexerState: async () => ({ last_block: head, last_block_timestamp: new Date() }),
+    // Index order is by balance at last transfer; the fund is stale there (30k), so ranking must use fresh balances
+    getTopHolders: async () => [holder(fund, 30000, 100), holder(pool, 39990, 100)],
+    getCurrentTopWhales: async () => [
+        { wallet_address: fund, rank_position: 1 },
+        { wallet_address: exited, rank_position: 2 }
+    ],
+    getHoldersByAddress: async addresses => addresses.map(address => holder(address, 12000, 100)),
+    getAddressLabels: async () => []
+});
+
+after(() => {
+    restore();
+    whaleTracker.resetWhaleTracker();
+    addressLabels.invalidateLabelCache();
+});
+
+const timestamp = new Date();
+let whales;
+
+test('whales are ranked by current balance, followed by the whale that left the top list', async () => {
+    whaleTracker.resetWhaleTracker();
+    addressLabels.invalidateLabelCache();
+    whales = await whaleTracker.trackWhales(provider, { timestamp, ethPrice: 3000 });
+    await whaleTracker.trackWhales(provider, { timestamp, ethPrice: 3000 });
+
+    assert.deepEqual(whales.map(w => [w.wallet_address, w.rank_position]), [[pool, 1], [fund, 2], [exited, null]]);
+});
+
+test('snapshots carry 24h changes, supply share and cached contract detection', () => {
+    const [first, second] = whales;
+
+    assert.equal(second.balance_change_24h, -15000);
+    assert.equal(second.balance_change_pct_24h, -50);
+    assert.equal(second.percentage_of_total, 1.5);
+    assert.equal(second.eeth_balance_usd, 45000000);
+    assert.equal(first.is_contract, true);
+    assert.equal(second.is_contract, false);
+    // One lookup per address across both runs
+    assert.equal(codeLookups, 3);
+});
+
+test('the largest move above the supply threshold fires whale_movement', async () => {
+    // The exited whale moved 1.199% of supply, the fund 1.5%
+    const whaleData = whales.map(w => ({ ...w, eeth_balance: String(w.eeth_balance), percentage_of_total: String(w.percentage_of_total) }));
+    const result = await analyzeStatisticalAnomalies({ timestamp }, { data_points: 0 }, null, { thresholds: getThresholds(), whaleData });
+    const trigger = result.triggers.find(t => t.metric === 'whale_movement');
+
+    assert.equal(trigger?.severity, 'HIGH');
+    assert.equal(trigger.wallet, fund);
+    assert.equal(trigger.currentValue, '1.500%');
+
+    const quiet = await analyzeStatisticalAnomalies({ timestamp }, { data_points: 0 }, null, {
+        thresholds: getThresholds(),
+        whaleData: whaleData.map(w => ({ ...w, balance_change_24h: '100' }))
+    });
+    assert.ok(!quiet.triggers.some(t => t.metric === 'whale_movement'));
+});
+
+test('a move is reported once, not again while it stays in the 24h change', async () => {
+    // Next cycle: the previous snapshot already recorded each whale's last transfer
+    const previousSnapshot = whales.map(w => ({ wallet_address: w.wallet_address, rank_position: w.rank_position, last_activity: w.last_activity }));
+    const restoreSnapshot = stubQueries(queries, { getCurrentTopWhales: async () => previousSnapshot });
+    let next;
+    try {
+        next = await whaleTracker.trackWhales(provider, { timestamp, ethPrice: 3000 });
+    } finally {
+        restoreSnapshot();
+    }
+
+    assert.ok(whales.filter(w => w.rank_position !== null).every(w => w.moved_since_previous));
+    assert.ok(next.every(w => w.moved_since_previous === false));
+
+    const whaleData = next.map(w => ({ ...w, eeth_balance: String(w.eeth_balance), percentage_of_total: String(w.percentage_of_total) }));
+    const result = await analyzeStatisticalAnomalies({ timestamp }, { data_points: 0 }, null, { thresholds: getThresholds(), whaleData });
+    assert.equal(next[1].balance_change_24h, -15000);
+    assert.ok(!result.triggers.some(t => t.metric === 'whale_movement'));
+});
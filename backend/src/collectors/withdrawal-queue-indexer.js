@@ -0,0 +1,193 @@
+/**
+ * Withdrawal Queue Indexer
+ * Tracks EtherFi's withdrawal queue from WithdrawRequestNFT events
+ *
+ * Every withdrawal request mints an NFT (WithdrawRequestCreated). The protocol
+ * finalizes requests in id order (UpdateFinalizedRequestId finalizes every request up
+ * to the id), after which owners claim their ETH (WithdrawRequestClaimed). The
+ * indexer scans these events from WITHDRAWAL_INDEX_START_BLOCK (at or before the NFT
+ * deployment) with the event indexer's chunked log fetching and keeps one
+ * withdrawal_requests row per request
+ *
+ * After each run lastFinalizedRequestId() is read at the last scanned block, so
+ * finalizations the events missed still close requests (timed at that block)
+ *
+ * Queue metrics for a point in time: pending requests (created, not finalized, not
+ * invalidated), the ETH they hold, and percentiles of request-to-finalization time
+ * over the requests finalized in the trailing week
+ *
+ * Usage: node src/collectors/withdrawal-queue-indexer.js
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../../../.env') });
+
+const { ethers } = require('ethers');
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+const contracts = require('../../config/contracts');
+const { planRun, scanRange, isCaughtUp } = require('./event-indexer');
+
+const QUEUE_INDEXER_NAME = 'withdrawal-requests';
+
+const QUEUE_CONFIG = {
+    startBlock: parseInt(process.env.WITHDRAWAL_INDEX_START_BLOCK || '17000000'),
+    maxBlocksPerCycle: parseInt(process.env.WITHDRAWAL_INDEX_MAX_BLOCKS_PER_CYCLE || '2400'),
+    // Finalizations measured for the wait percentiles
+    waitWindowHours: 7 * 24
+};
+
+const QUEUE_SOURCES = [
+    {
+        address: contracts.ADDRESSES.WITHDRAW_REQUEST_NFT,
+        abi: contracts.WITHDRAW_REQUEST_NFT_ABI,
+        events: [
+            'WithdrawRequestCreated',
+            'UpdateFinalizedRequestId',
+            'WithdrawRequestClaimed',
+            'WithdrawRequestInvalidated',
+            'WithdrawRequestValidated'
+        ]
+    }
+];
+
+const CHANGE_TYPES = {
+    WithdrawRequestCreated: 'created',
+    UpdateFinalizedRequestId: 'finalized',
+    WithdrawRequestClaimed: 'claimed',
+    WithdrawRequestInvalidated: 'invalidated',
+    WithdrawRequestValidated: 'validated'
+};
+
+/**
+ * Turn a decoded NFT event into a withdrawal_requests change
+ * @param {object} event - Decoded chain event
+ * @returns {object} { type, request_id, block_number, block_timestamp, owner_address, amount_eth, fee_eth }
+ */
+function toChange(event) {
+    const fee = event.args.fee;
+
+    return {
+        type: CHANGE_TYPES[event.event_name],
+        request_id: Number(event.args.requestId),
+        block_number: event.block_number,
+        block_timestamp: event.block_timestamp,
+        owner_address: event.from_address || event.to_address,
+        amount_eth: event.amount_eth,
+        fee_eth: fee !== undefined ? ethers.formatEther(fee) : null
+    };
+}
+
+/**
+ * Index new withdrawal request events up to the confirmed head
+ * @param {object} provider - ethers provider (JsonRpcProvider, Anvil fork or mock)
+ * @param {object} options - { maxBlocks }
+ * @returns {Promise<object>} { fromBlock, toBlock, head, chunks, events, changed, lastFinalizedRequestId, caughtUp }
+ */
+async function runQueueIndexer(provider, options = {}) {
+    const maxBlocks = options.maxBlocks || QUEUE_CONFIG.maxBlocksPerCycle;
+
+    const { head, startBlock, endBlock, progress } = await planRun(
+        provider, QUEUE_INDEXER_NAME, () => QUEUE_CONFIG.startBlock, maxBlocks
+    );
+
+    const summary = {
+        fromBlock: startBlock, toBlock: startBlock - 1, head, chunks: 0,
+        events: 0, changed: 0, lastFinalizedRequestId: null, caughtUp: startBlock > head
+    };
+    let lastProgress = null;
+
+    summary.chunks = await scanRange(provider, QUEUE_SOURCES, startBlock, endBlock, async (events, range) => {
+        lastProgress = {
+            ...progress,
+            last_block: range.toBlock,
+            last_block_timestamp: new Date(range.toTimestamp * 1000)
+        };
+        summary.changed += await queries.storeWithdrawalRequestChanges(QUEUE_INDEXER_NAME, events.map(toChange), lastProgress);
+
+        summary.events += events.length;
+        summary.toBlock = range.toBlock;
+    });
+
+    if (lastProgress) {
+        try {
+            const nft = new ethers.Contract(contracts.ADDRESSES.WITHDRAW_REQUEST_NFT, contracts.WITHDRAW_REQUEST_NFT_ABI, provider);
+            summary.lastFinalizedRequestId = Number(await nft.lastFinalizedRequestId({ blockTag: summary.toBlock }));
+
+            summary.changed += await queries.storeWithdrawalRequestChanges(QUEUE_INDEXER_NAME, [{
+                type: 'finalized',
+                request_id: summary.lastFinalizedRequestId,
+                block_number: summary.toBlock,
+                block_timestamp: lastProgress.last_block_timestamp
+            }], lastProgress);
+        } catch (error) {
+            logger.warn('Could not read last finalized withdrawal request', { block: summary.toBlock, error: error.message });
+        }
+    }
+
+    summary.caughtUp = summary.toBlock >= head;
+
+    logger.debug('Withdrawal queue indexer run complete', summary);
+    return summary;
+}
+
+/**
+ * Withdrawal queue metrics as time_series_data fields
+ * Values are null until the index reaches the requested time
+ * @param {Date} now - Point in time
+ * @returns {Promise<object>} { queue_size, queue_eth_amount, avg_queue_wait_hours,
+ *                              queue_wait_p50_hours, queue_wait_p90_hours, queue_wait_p99_hours }
+ */
+async function getQueueMetrics(now = new Date()) {
+    const state = await queries.getIndexerState(QUEUE_INDEXER_NAME);
+
+    if (!isCaughtUp(state, now)) {
+        return {
+            queue_size: null,
+            queue_eth_amount: null,
+            avg_queue_wait_hours: null,
+            queue_wait_p50_hours: null,
+            queue_wait_p90_hours: null,
+            queue_wait_p99_hours: null
+        };
+    }
+
+    const stats = await queries.getWithdrawalQueueStats(now, QUEUE_CONFIG.waitWindowHours);
+
+    return {
+        queue_size: stats.pending_count,
+        queue_eth_amount: stats.pending_eth,
+        avg_queue_wait_hours: stats.wait_avg_hours,
+        queue_wait_p50_hours: stats.wait_p50_hours,
+        queue_wait_p90_hours: stats.wait_p90_hours,
+        queue_wait_p99_hours: stats.wait_p99_hours
+    };
+}
+
+if (require.main === module) {
+    const db = require('../database/db-connection');
+    const provider = new ethers.JsonRpcProvider(contracts.NETWORK_CONFIG.rpcUrl);
+
+    db.initializePool();
+
+    (async () => {
+        let result;
+        do {
+            result = await runQueueIndexer(provider);
+            console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock} of ${result.head}: ${result.events} events (${result.changed} request changes)`);
+        } while (!result.caughtUp);
+
+        console.log(JSON.stringify(await getQueueMetrics(), null, 2));
+    })()
+        .catch(error => {
+            console.error(`Withdrawal queue indexing failed: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => db.closePool());
+}
+
+module.exports = {
+    runQueueIndexer,
+    getQueueMetrics,
+    QUEUE_CONFIG,
+    QUEUE_INDEXER_NAME
+};
@@ -0,0 +1,131 @@
+/**
+ * Withdrawal Queue Indexer tests against a mocked provider and in-memory withdrawal_requests
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const queueIndexer = require('./withdrawal-queue-indexer');
+const eventIndexer = require('./event-indexer');
+const contracts = require('../../config/contracts');
+const queries = require('../database/queries');
+const { stubQueries } = require('../utils/harness');
+
+const nft = new ethers.Interface(contracts.WITHDRAW_REQUEST_NFT_ABI);
+const user = '0x1111111111111111111111111111111111111111';
+const head = 30000;
+const genesis = 1767225600; // 2026-01-01, 12s blocks (300 blocks per hour)
+const now = new Date((genesis + head * 12) * 1000);
+const eth = value => ethers.parseEther(String(value));
+
+const makeLog = (name, values, blockNumber, index = 0) => ({
+    ...nft.encodeEventLog(name, values),
+    address: contracts.ADDRESSES.WITHDRAW_REQUEST_NFT,
+    blockNumber,
+    index,
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber * 100 + index), 32)
+});
+// Requests 1-3 are finalized (3 only via lastFinalizedRequestId), 1 is claimed, 4 is pending
+const chainLogs = [
+    makeLog('WithdrawRequestCreated', [1, eth(10), eth(9.9), user, 0], head - 900),
+    makeLog('WithdrawRequestCreated', [2, eth(5), eth(4.95), user, 0], head - 800),
+    makeLog('WithdrawRequestCreated', [3, eth(20), eth(19.8), user, 0], head - 600),
+    makeLog('UpdateFinalizedRequestId', [2, eth(15)], head - 500),
+    makeLog('WithdrawRequestClaimed', [1, eth(10), eth(9.9), user, 0], head - 400),
+    makeLog('WithdrawRequestCreated', [4, eth(8), eth(7.92), user, 0], head - 300)
+];
+
+const provider = {
+    getBlockNumber: async () => head + eventIndexer.INDEXER_CONFIG.confirmations,
+    getBlock: async n => ({ number: n, timestamp: genesis + n * 12 }),
+    getLogs: async filter => chainLogs.filter(log => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock),
+    call: async tx => nft.encodeFunctionResult('lastFinalizedRequestId', [tx.blockTag >= head - 100 ? 3 : 2])
+};
+
+let state = {
+    name: queueIndexer.QUEUE_INDEXER_NAME,
+    first_block: 0,
+    first_block_timestamp: new Date(genesis * 1000),
+    last_block: head - 1000,
+    last_block_timestamp: new Date((genesis + (head - 1000) * 12) * 1000)
+};
+const requests = new Map();
+const changeTypes = [];
+let statsCall = null;
+const restore = stubQueries(queries, {
+    getIndexerState: async () => state,
+    storeWithdrawalRequestChanges: async (name, changes, progress) => {
+        changes.forEach(c => {
+            changeTypes.push(c.type);
+            const request = requests.get(c.request_id);
+            if (c.type === 'created') {
+                requests.set(c.request_id, { created_at: c.block_timestamp, amount_eth: parseFloat(c.amount_eth), owner: c.owner_address });
+            } else if (c.type === 'finalized') {
+                requests.forEach((r, id) => {
+                    if (id <= c.request_id && !r.finalized_at) r.finalized_at = c.block_timestamp;
+                });
+            } else if (c.type === 'claimed') {
+                request.claimed_at = c.block_timestamp;
+            }
+        });
+        state = { name, ...progress };
+        return changes.length;
+    },
+    getWithdrawalQueueStats: async (at, windowHours) => {
+        statsCall = { at, windowHours };
+        const all = [...requests.values()];
+        const pending = all.filter(r => !r.finalized_at);
+        const waits = all.filter(r => r.finalized_at).map(r => (r.finalized_at - r.created_at) / 3600000).sort((a, b) => a - b);
+        const percentile = q => {
+            const position = q * (waits.length - 1);
+            const low = Math.floor(position);
+            return waits[low] + (waits[Math.ceil(position)] - waits[low]) * (position - low);
+        };
+        return {
+            pending_count: pending.length,
+            pending_eth: pending.reduce((sum, r) => sum + r.amount_eth, 0),
+            finalized_count: waits.length,
+            wait_avg_hours: waits.reduce((sum, w) => sum + w, 0) / waits.length,
+            wait_p50_hours: percentile(0.5),
+            wait_p90_hours: percentile(0.9),
+            wait_p99_hours: percentile(0.99)
+        };
+    }
+});
+
+after(() => {
+    restore();
+    eventIndexer.resetIndexer();
+});
+
+// The steps below share the in-memory requests and run in order
+test('request, finalization and claim changes are stored in block order, then the on-chain finalized id', async () => {
+    eventIndexer.resetIndexer();
+    const run = await queueIndexer.runQueueIndexer(provider);
+
+    assert.ok(run.caughtUp);
+    assert.equal(run.events, 6);
+    assert.equal(run.lastFinalizedRequestId, 3);
+    assert.equal(requests.get(1).owner, user);
+    assert.deepEqual(changeTypes, ['created', 'created', 'created', 'finalized', 'claimed', 'created', 'finalized']);
+});
+
+test('queue metrics hold the pending requests and measured finalization times', async () => {
+    const metrics = await queueIndexer.getQueueMetrics(now);
+
+    assert.equal(metrics.queue_size, 1);
+    assert.equal(metrics.queue_eth_amount, 8);
+    assert.equal(statsCall.windowHours, queueIndexer.QUEUE_CONFIG.waitWindowHours);
+    // Waits: #1 400 blocks (1.33h), #2 300 blocks (1h), #3 600 blocks up to the run's last block (2h)
+    assert.ok(Math.abs(metrics.queue_wait_p50_hours - 4 / 3) < 1e-9);
+    assert.ok(Math.abs(metrics.queue_wait_p90_hours - (4 / 3 + 0.8 * (2 / 3))) < 1e-9);
+    assert.ok(Math.abs(metrics.avg_queue_wait_hours - 13 / 9) < 1e-9);
+});
+
+test('no queue metrics while the index lags behind', async () => {
+    const later = await queueIndexer.getQueueMetrics(new Date(now.getTime() + 2 * 60 * 60 * 1000));
+
+    assert.equal(later.queue_size, null);
+    assert.equal(later.queue_wait_p90_hours, null);
+});
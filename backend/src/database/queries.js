@@ -20,10 +20,12 @@ async function insertTimeSeriesData(data) {
             timestamp, tvl_usd, tvl_eth, unique_stakers, total_validators,
             deposits_24h, withdrawals_24h, deposit_volume_eth, withdrawal_volume_eth,
             eeth_eth_ratio, eeth_price_usd, queue_size, queue_eth_amount,
-            avg_queue_wait_hours, validator_apr, total_rewards_eth,
+            avg_queue_wait_hours, queue_wait_p50_hours, queue_wait_p90_hours, queue_wait_p99_hours,
+            validator_apr, total_rewards_eth,
             avg_gas_price_gwei, avg_tx_cost_usd, data_source, collection_status, error_message
         ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+            $22, $23, $24
         )
         RETURNING *
     `;
@@ -43,6 +45,9 @@ async function insertTimeSeriesData(data) {
         data.queue_size,
         data.queue_eth_amount,
         data.avg_queue_wait_hours,
+        data.queue_wait_p50_hours ?? null,
+        data.queue_wait_p90_hours ?? null,
+        data.queue_wait_p99_hours ?? null,
         data.validator_apr,
         data.total_rewards_eth,
         data.avg_gas_price_gwei,
@@ -139,9 +144,10 @@ async function insertWhaleWalletData(walletData) {
         INSERT INTO whale_wallets (
             wallet_address, timestamp, eeth_balance, eeth_balance_usd,
             percentage_of_total, rank_position, balance_change_24h,
-            balance_change_pct_24h, first_seen, last_activity, is_contract, label
+            balance_change_pct_24h, first_seen, last_activity, is_contract, label, label_category,
+            moved_since_previous
         ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
         )
         ON CONFLICT (wallet_address, timestamp)
         DO UPDATE SET
@@ -151,7 +157,8 @@ async function insertWhaleWalletData(walletData) {
             rank_position = EXCLUDED.rank_position,
             balance_change_24h = EXCLUDED.balance_change_24h,
             balance_change_pct_24h = EXCLUDED.balance_change_pct_24h,
-            last_activity = EXCLUDED.last_activity
+            last_activity = EXCLUDED.last_activity,
+            moved_since_previous = EXCLUDED.moved_since_previous
         RETURNING *
     `;
 
@@ -162,12 +169,14 @@ async function insertWhaleWalletData(walletData) {
         walletData.eeth_balance_usd,
         walletData.percentage_of_total,
         walletData.rank_position,
-        walletData.balance_change_24h || 0,
-        walletData.balance_change_pct_24h || 0,
+        walletData.balance_change_24h ?? null,
+        walletData.balance_change_pct_24h ?? null,
         walletData.first_seen || new Date(),
         walletData.last_activity || new Date(),
         walletData.is_contract || false,
-        walletData.label || null
+        walletData.label || null,
+        walletData.label_category || null,
+        walletData.moved_since_previous || false
     ];
 
     const result = await db.query(query, values);
@@ -227,9 +236,9 @@ async function insertAnomaly(anomaly) {
         INSERT INTO anomalies (
             detected_at, anomaly_type, severity, confidence, title, description,
             affected_metrics, recommendation, historical_comparison,
-            claude_analysis, raw_data, status
+            claude_analysis, raw_data, status, prompt_version
         ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
         )
         RETURNING *
     `;
@@ -246,7 +255,8 @@ async function insertAnomaly(anomaly) {
         anomaly.historical_comparison || null,
         anomaly.claude_analysis || null,
         anomaly.raw_data || null,
-        anomaly.status || 'active'
+        anomaly.status || 'active',
+        anomaly.prompt_version || null
     ];
 
     const result = await db.query(query, values);
@@ -257,21 +267,58 @@ async function insertAnomaly(anomaly) {
  * Get recent anomalies
  * @param {number} hours Hours to look back
  * @param {string} status Filter by status
+ * @param {string} severity Filter by severity
  * @returns {Promise<Array>} Array of anomalies
  */
-async function getRecentAnomalies(hours = 24, status = null) {
+async function getRecentAnomalies(hours = 24, status = null, severity = null) {
+    const params = [hours];
     let query = `
         SELECT * FROM anomalies
-        WHERE detected_at > NOW() - INTERVAL '${hours} hours'
+        WHERE detected_at > NOW() - INTERVAL '1 hour' * $1
     `;
 
     if (status) {
-        query += ` AND status = '${status}'`;
+        params.push(status);
+        query += ` AND status = $${params.length}`;
+    }
+
+    if (severity) {
+        params.push(severity);
+        query += ` AND severity = $${params.length}`;
     }
 
     query += ` ORDER BY severity DESC, detected_at DESC`;
 
-    const result = await db.query(query);
+    const result = await db.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Get a single anomaly
+ * @param {number} id Anomaly ID
+ * @returns {Promise<object|null>} Anomaly row
+ */
+async function getAnomalyById(id) {
+    const result = await db.query('SELECT * FROM anomalies WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Get recent anomalies of one type (newest first)
+ * @param {string} anomalyType Anomaly type
+ * @param {number} days Days to look back
+ * @param {number} limit Maximum rows
+ * @returns {Promise<Array>} Anomalies
+ */
+async function getAnomaliesByType(anomalyType, days = 30, limit = 10) {
+    const query = `
+        SELECT * FROM anomalies
+        WHERE anomaly_type = $1
+        AND detected_at > NOW() - INTERVAL '1 day' * $2
+        ORDER BY detected_at DESC
+        LIMIT $3
+    `;
+    const result = await db.query(query, [anomalyType, days, limit]);
     return result.rows;
 }
 
@@ -307,6 +354,114 @@ async function updateAnomalyStatus(id, status, notes = null) {
     return result.rows[0];
 }
 
+/**
+ * Apply a triage change to an anomaly
+ * Fields left undefined are unchanged; reopening (status 'active') clears resolved_at
+ * @param {number} id Anomaly ID
+ * @param {object} changes { status, acknowledged, userNotes, resolutionNotes }
+ * @returns {Promise<object|undefined>} Updated row (undefined if not found)
+ */
+async function triageAnomaly(id, changes) {
+    const query = `
+        UPDATE anomalies
+        SET status = COALESCE($2::varchar, status),
+            resolved_at = CASE
+                WHEN $2::varchar IN ('resolved', 'false_positive') THEN COALESCE(resolved_at, NOW())
+                WHEN $2::varchar = 'active' THEN NULL
+                ELSE resolved_at
+            END,
+            resolution_notes = COALESCE($3, resolution_notes),
+            user_acknowledged = COALESCE($4::boolean, user_acknowledged),
+            acknowledged_at = CASE
+                WHEN $4::boolean AND NOT COALESCE(user_acknowledged, FALSE) THEN NOW()
+                WHEN $4::boolean = FALSE THEN NULL
+                ELSE acknowledged_at
+            END,
+            user_notes = COALESCE($5, user_notes)
+        WHERE id = $1
+        RETURNING *
+    `;
+    const result = await db.query(query, [
+        id,
+        changes.status ?? null,
+        changes.resolutionNotes ?? null,
+        changes.acknowledged ?? null,
+        changes.userNotes ?? null
+    ]);
+    return result.rows[0];
+}
+
+/**
+ * Get pre-filter trigger records that led to stored anomalies, with their triage outcomes
+ * Records written before anomaly_ids existed fall back to their single anomaly_id
+ * @param {number} days Days to look back
+ * @returns {Promise<Array>} Rows of { id, timestamp, triggers, anomalies: [{ id, status, user_acknowledged, affected_metrics }] }
+ */
+async function getTriagedTriggers(days = 30) {
+    const query = `
+        SELECT
+            t.id,
+            t.timestamp,
+            t.triggers,
+            json_agg(json_build_object(
+                'id', a.id,
+                'status', a.status,
+                'user_acknowledged', a.user_acknowledged,
+                'affected_metrics', a.affected_metrics
+            ) ORDER BY a.id) AS anomalies
+        FROM anomaly_triggers t
+        JOIN anomalies a ON a.id = ANY(COALESCE(t.anomaly_ids, ARRAY[t.anomaly_id]))
+        WHERE t.timestamp > NOW() - INTERVAL '1 day' * $1
+        GROUP BY t.id
+        ORDER BY t.timestamp DESC
+    `;
+    const result = await db.query(query, [days]);
+    return result.rows;
+}
+
+/**
+ * Get stored triggers that were sent to the analyst, for replaying through prompt versions
+ * @param {number} days Days to look back
+ * @param {number} limit Maximum triggers
+ * @returns {Promise<Array>} Triggers with the severity, confidence and prompt version of their first anomaly
+ */
+async function getTriggersForEvaluation(days = 7, limit = 20) {
+    const query = `
+        SELECT
+            t.id,
+            t.timestamp,
+            t.triggers,
+            t.current_data,
+            t.baseline_stats,
+            t.multivariate_score,
+            a.id AS anomaly_id,
+            a.severity AS stored_severity,
+            a.confidence AS stored_confidence,
+            a.prompt_version AS stored_prompt_version
+        FROM anomaly_triggers t
+        LEFT JOIN anomalies a ON a.id = t.anomaly_id
+        WHERE t.should_call_claude = TRUE
+          AND t.timestamp > NOW() - INTERVAL '1 day' * $1
+        ORDER BY t.timestamp DESC
+        LIMIT $2
+    `;
+    const result = await db.query(query, [days, limit]);
+    return result.rows;
+}
+
+/**
+ * Get the pre-filter trigger record that led to an anomaly
+ * @param {number} anomalyId Anomaly ID
+ * @returns {Promise<object|null>} anomaly_triggers row
+ */
+async function getTriggerForAnomaly(anomalyId) {
+    const result = await db.query(
+        'SELECT * FROM anomaly_triggers WHERE anomaly_id = $1 ORDER BY timestamp DESC LIMIT 1',
+        [anomalyId]
+    );
+    return result.rows[0] || null;
+}
+
 /**
  * TWITTER SENTIMENT QUERIES
  */
@@ -387,27 +542,1380 @@ async function getSentimentSummary(hours = 24) {
     return result.rows[0];
 }
 
-module.exports = {
-    // Time series queries
-    insertTimeSeriesData,
-    getLatestTimeSeriesData,
-    getTimeSeriesData,
-    getTimeSeriesDataRange,
-    getBaselineStatistics,
+/**
+ * THRESHOLD QUERIES
+ */
 
-    // Whale wallet queries
-    insertWhaleWalletData,
-    getCurrentTopWhales,
-    getWhaleWalletHistory,
+/**
+ * Get active threshold version
+ * @returns {Promise<object|null>} Active version row
+ */
+async function getActiveThresholdVersion() {
+    const query = `
+        SELECT * FROM threshold_versions
+        WHERE is_active = true
+        ORDER BY version DESC
+        LIMIT 1
+    `;
+    const result = await db.query(query);
+    return result.rows[0] || null;
+}
 
-    // Anomaly queries
-    insertAnomaly,
-    getRecentAnomalies,
-    getActiveAnomalies,
-    updateAnomalyStatus,
+/**
+ * Get a specific threshold version
+ * @param {number} version Version number
+ * @returns {Promise<object|null>} Version row
+ */
+async function getThresholdVersion(version) {
+    const query = `SELECT * FROM threshold_versions WHERE version = $1`;
+    const result = await db.query(query, [version]);
+    return result.rows[0] || null;
+}
 
-    // Twitter sentiment queries
-    insertTwitterSentiment,
-    getRecentSentiment,
-    getSentimentSummary
+/**
+ * Get threshold version history
+ * @param {number} limit Number of versions to return
+ * @returns {Promise<Array>} Versions, newest first
+ */
+async function getThresholdVersions(limit = 20) {
+    const query = `
+        SELECT * FROM threshold_versions
+        ORDER BY version DESC
+        LIMIT $1
+    `;
+    const result = await db.query(query, [limit]);
+    return result.rows;
+}
+
+/**
+ * Get threshold audit log
+ * @param {number} limit Number of entries to return
+ * @returns {Promise<Array>} Audit entries, newest first
+ */
+async function getThresholdAuditLog(limit = 50) {
+    const query = `
+        SELECT a.*, v.version
+        FROM threshold_audit_log a
+        JOIN threshold_versions v ON v.id = a.version_id
+        ORDER BY a.changed_at DESC, a.id DESC
+        LIMIT $1
+    `;
+    const result = await db.query(query, [limit]);
+    return result.rows;
+}
+
+/**
+ * Insert a new threshold version, make it active and audit each change
+ * Runs in a single transaction
+ * @param {object} thresholds Full threshold set for the new version
+ * @param {Array} changes Array of { key, oldValue, newValue }
+ * @param {object} meta { changedBy, reason }
+ * @returns {Promise<object>} Inserted version row
+ */
+async function insertThresholdVersion(thresholds, changes, meta = {}) {
+    const client = await db.getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        // Serialize concurrent edits so version numbers stay unique
+        await client.query('LOCK TABLE threshold_versions IN EXCLUSIVE MODE');
+
+        await client.query('UPDATE threshold_versions SET is_active = false WHERE is_active = true');
+
+        const versionResult = await client.query(`
+            INSERT INTO threshold_versions (version, thresholds, is_active, created_by, change_reason)
+            VALUES (
+                (SELECT COALESCE(MAX(version), 0) + 1 FROM threshold_versions),
+                $1, true, $2, $3
+            )
+            RETURNING *
+        `, [JSON.stringify(thresholds), meta.changedBy || null, meta.reason || null]);
+
+        const versionRow = versionResult.rows[0];
+
+        for (const change of changes) {
+            await client.query(`
+                INSERT INTO threshold_audit_log (version_id, threshold_key, old_value, new_value, changed_by, change_reason)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [versionRow.id, change.key, change.oldValue, change.newValue, meta.changedBy || null, meta.reason || null]);
+        }
+
+        await client.query('COMMIT');
+        return versionRow;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * INCIDENT QUERIES
+ */
+
+/**
+ * Find the open incident a new anomaly belongs to
+ * Matches on anomaly type and at least one shared affected metric
+ * (anomalies without metrics match on type alone)
+ * @param {string} anomalyType Anomaly type
+ * @param {Array} metrics Affected metric names
+ * @returns {Promise<object|null>} Open incident
+ */
+async function findOpenIncident(anomalyType, metrics = []) {
+    const query = `
+        SELECT * FROM incidents
+        WHERE status = 'open'
+            AND anomaly_type = $1
+            AND (
+                cardinality($2::text[]) = 0
+                OR cardinality(affected_metrics) = 0
+                OR affected_metrics && $2::text[]
+            )
+        ORDER BY last_seen_at DESC
+        LIMIT 1
+    `;
+    const result = await db.query(query, [anomalyType, metrics]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Insert a new incident
+ * @param {object} incident Incident data
+ * @returns {Promise<object>} Inserted row
+ */
+async function insertIncident(incident) {
+    const query = `
+        INSERT INTO incidents (
+            anomaly_type, title, status, peak_severity, latest_severity,
+            affected_metrics, first_seen_at, last_seen_at, detection_count
+        ) VALUES ($1, $2, 'open', $3, $3, $4, $5, $5, 1)
+        RETURNING *
+    `;
+    const values = [
+        incident.anomaly_type,
+        incident.title,
+        incident.severity,
+        incident.affected_metrics || [],
+        incident.seen_at || new Date()
+    ];
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Record a new detection on an existing incident
+ * @param {number} id Incident ID
+ * @param {object} detection { title, severity, peak_severity, affected_metrics, seen_at }
+ * @returns {Promise<object>} Updated incident
+ */
+async function recordIncidentDetection(id, detection) {
+    const query = `
+        UPDATE incidents
+        SET title = $2,
+            latest_severity = $3,
+            peak_severity = $4,
+            affected_metrics = ARRAY(SELECT DISTINCT unnest(affected_metrics || $5::text[])),
+            last_seen_at = GREATEST(last_seen_at, $6),
+            detection_count = detection_count + 1,
+            clear_cycles = 0,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+    `;
+    const values = [
+        id,
+        detection.title,
+        detection.severity,
+        detection.peak_severity,
+        detection.affected_metrics || [],
+        detection.seen_at || new Date()
+    ];
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Link an anomaly to its incident
+ * @param {number} anomalyId Anomaly ID
+ * @param {number} incidentId Incident ID
+ * @returns {Promise<void>}
+ */
+async function setAnomalyIncident(anomalyId, incidentId) {
+    await db.query('UPDATE anomalies SET incident_id = $1 WHERE id = $2', [incidentId, anomalyId]);
+}
+
+/**
+ * Get all open incidents
+ * @returns {Promise<Array>} Open incidents
+ */
+async function getOpenIncidents() {
+    const query = `SELECT * FROM incidents WHERE status = 'open' ORDER BY last_seen_at DESC`;
+    const result = await db.query(query);
+    return result.rows;
+}
+
+/**
+ * Update the consecutive in-range cycle counter of an incident
+ * @param {number} id Incident ID
+ * @param {number} clearCycles New counter value
+ * @returns {Promise<void>}
+ */
+async function updateIncidentClearCycles(id, clearCycles) {
+    await db.query(
+        'UPDATE incidents SET clear_cycles = $1, updated_at = NOW() WHERE id = $2',
+        [clearCycles, id]
+    );
+}
+
+/**
+ * Resolve an incident and its still-active detections
+ * @param {number} id Incident ID
+ * @param {string} reason Resolution reason
+ * @returns {Promise<object>} Resolved incident
+ */
+async function resolveIncident(id, reason) {
+    const client = await db.getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            UPDATE incidents
+            SET status = 'resolved',
+                resolved_at = NOW(),
+                resolution_reason = $2,
+                updated_at = NOW()
+            WHERE id = $1 AND status = 'open'
+            RETURNING *
+        `, [id, reason]);
+
+        await client.query(`
+            UPDATE anomalies
+            SET status = 'resolved',
+                resolved_at = NOW(),
+                resolution_notes = COALESCE(resolution_notes, $2)
+            WHERE incident_id = $1 AND status = 'active'
+        `, [id, reason]);
+
+        await client.query('COMMIT');
+        return result.rows[0] || null;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Incidents joined with their child detections (append WHERE / GROUP BY i.id)
+ */
+const INCIDENTS_WITH_DETECTIONS = `
+    SELECT
+        i.*,
+        COALESCE(
+            json_agg(
+                json_build_object(
+                    'id', a.id,
+                    'detected_at', a.detected_at,
+                    'type', a.anomaly_type,
+                    'severity', a.severity,
+                    'confidence', a.confidence,
+                    'title', a.title,
+                    'description', a.description,
+                    'affected_metrics', a.affected_metrics,
+                    'recommendation', a.recommendation,
+                    'status', a.status,
+                    'resolved_at', a.resolved_at,
+                    'user_acknowledged', a.user_acknowledged,
+                    'acknowledged_at', a.acknowledged_at,
+                    'user_notes', a.user_notes
+                ) ORDER BY a.detected_at DESC
+            ) FILTER (WHERE a.id IS NOT NULL),
+            '[]'
+        ) AS detections
+    FROM incidents i
+    LEFT JOIN anomalies a ON a.incident_id = i.id
+`;
+
+/**
+ * Get recent incidents with their child detections
+ * @param {number} hours Hours to look back (by last detection)
+ * @param {string} status Optional status filter (open, resolved)
+ * @param {number} limit Maximum incidents
+ * @returns {Promise<Array>} Incidents, open first, most recently seen first
+ */
+async function getRecentIncidents(hours = 168, status = null, limit = 20) {
+    const params = [hours, limit];
+    let statusFilter = '';
+
+    if (status) {
+        params.push(status);
+        statusFilter = `AND i.status = $${params.length}`;
+    }
+
+    const query = `
+        ${INCIDENTS_WITH_DETECTIONS}
+        WHERE i.last_seen_at > NOW() - INTERVAL '1 hour' * $1
+            ${statusFilter}
+        GROUP BY i.id
+        ORDER BY (i.status = 'open') DESC, i.last_seen_at DESC
+        LIMIT $2
+    `;
+
+    const result = await db.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Get one incident with its child detections
+ * @param {number} id Incident ID
+ * @returns {Promise<object|null>} Incident
+ */
+async function getIncidentById(id) {
+    const query = `
+        ${INCIDENTS_WITH_DETECTIONS}
+        WHERE i.id = $1
+        GROUP BY i.id
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+}
+
+/**
+ * CHANGE POINT QUERIES
+ */
+
+/**
+ * Insert a detected change point (ignored if the same shift is already stored)
+ * @param {object} data Change point data
+ * @returns {Promise<object|null>} Inserted row, or null if it already existed
+ */
+async function insertChangePoint(data) {
+    const query = `
+        INSERT INTO change_points (
+            metric, direction, change_at, detected_at,
+            before_mean, after_mean, magnitude_pct, sigma_shift,
+            cusum_value, threshold, method
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (metric, direction, change_at) DO NOTHING
+        RETURNING *
+    `;
+
+    const values = [
+        data.metric,
+        data.direction,
+        data.change_at,
+        data.detected_at,
+        data.before_mean,
+        data.after_mean,
+        data.magnitude_pct,
+        data.sigma_shift,
+        data.cusum_value,
+        data.threshold,
+        data.method || 'cusum'
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0] || null;
+}
+
+/**
+ * Get change points whose regime started within the given period
+ * @param {number} hours Number of hours to look back
+ * @param {string} metric Optional metric filter
+ * @returns {Promise<Array>} Change points, oldest first
+ */
+async function getChangePoints(hours = 24, metric = null) {
+    let query = `
+        SELECT * FROM change_points
+        WHERE change_at > NOW() - INTERVAL '1 hour' * $1
+    `;
+    const params = [hours];
+
+    if (metric) {
+        params.push(metric);
+        query += ` AND metric = $${params.length}`;
+    }
+
+    query += ' ORDER BY change_at ASC';
+
+    const result = await db.query(query, params);
+    return result.rows;
+}
+
+/**
+ * ALERT DELIVERY QUERIES
+ */
+
+/**
+ * Record the outcome of an alert delivery
+ * @param {object} delivery Delivery data
+ * @returns {Promise<object>} Inserted row
+ */
+async function insertAlertDelivery(delivery) {
+    const query = `
+        INSERT INTO alert_deliveries (
+            anomaly_id, channel_name, channel_type, status, attempts,
+            response_status, error_message, severity, delivered_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `;
+
+    const values = [
+        delivery.anomaly_id || null,
+        delivery.channel_name,
+        delivery.channel_type,
+        delivery.status,
+        delivery.attempts,
+        delivery.response_status || null,
+        delivery.error_message || null,
+        delivery.severity || null,
+        delivery.status === 'delivered' ? new Date() : null
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Get recent alert deliveries
+ * @param {number} limit Maximum rows
+ * @param {string} status Optional status filter (delivered, failed)
+ * @returns {Promise<Array>} Deliveries, newest first
+ */
+async function getAlertDeliveries(limit = 50, status = null) {
+    const params = [limit];
+    let query = `
+        SELECT d.*, a.title AS anomaly_title
+        FROM alert_deliveries d
+        LEFT JOIN anomalies a ON a.id = d.anomaly_id
+    `;
+
+    if (status) {
+        params.push(status);
+        query += ` WHERE d.status = $2`;
+    }
+
+    query += ` ORDER BY d.created_at DESC LIMIT $1`;
+
+    const result = await db.query(query, params);
+    return result.rows;
+}
+
+/**
+ * ALERT RULE QUERIES
+ */
+
+/**
+ * Editable alert rule columns, in insert order
+ */
+const ALERT_RULE_COLUMNS = [
+    'name', 'description', 'enabled', 'priority', 'action',
+    'anomaly_types', 'min_severity', 'max_severity', 'affected_metrics',
+    'starts_at', 'ends_at', 'days_of_week', 'window_start', 'window_end',
+    'channels', 'recipients',
+    'escalate_after_minutes', 'escalation_channels', 'escalation_recipients'
+];
+
+/**
+ * Get alert rules in evaluation order
+ * @param {boolean} enabledOnly Only return enabled rules
+ * @returns {Promise<Array>} Rules
+ */
+async function getAlertRules(enabledOnly = false) {
+    const query = `
+        SELECT * FROM alert_rules
+        ${enabledOnly ? 'WHERE enabled = TRUE' : ''}
+        ORDER BY priority ASC, id ASC
+    `;
+    const result = await db.query(query);
+    return result.rows;
+}
+
+/**
+ * Get a single alert rule
+ * @param {number} id Rule ID
+ * @returns {Promise<object|null>} Rule
+ */
+async function getAlertRule(id) {
+    const result = await db.query('SELECT * FROM alert_rules WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Insert an alert rule
+ * @param {object} rule Rule with ALERT_RULE_COLUMNS fields
+ * @returns {Promise<object>} Inserted rule
+ */
+async function insertAlertRule(rule) {
+    const placeholders = ALERT_RULE_COLUMNS.map((_, i) => `$${i + 1}`).join(', ');
+    const query = `
+        INSERT INTO alert_rules (${ALERT_RULE_COLUMNS.join(', ')})
+        VALUES (${placeholders})
+        RETURNING *
+    `;
+    const result = await db.query(query, ALERT_RULE_COLUMNS.map(column => rule[column] ?? null));
+    return result.rows[0];
+}
+
+/**
+ * Replace an alert rule's editable fields
+ * @param {number} id Rule ID
+ * @param {object} rule Rule with ALERT_RULE_COLUMNS fields
+ * @returns {Promise<object|undefined>} Updated rule
+ */
+async function updateAlertRule(id, rule) {
+    const assignments = ALERT_RULE_COLUMNS.map((column, i) => `${column} = $${i + 2}`).join(', ');
+    const query = `
+        UPDATE alert_rules
+        SET ${assignments}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+    `;
+    const result = await db.query(query, [id, ...ALERT_RULE_COLUMNS.map(column => rule[column] ?? null)]);
+    return result.rows[0];
+}
+
+/**
+ * Delete an alert rule (its pending escalations go with it)
+ * @param {number} id Rule ID
+ * @returns {Promise<boolean>} True if a rule was deleted
+ */
+async function deleteAlertRule(id) {
+    const result = await db.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Schedule an escalation (ignored if one already exists for the anomaly and rule)
+ * @param {number} anomalyId Anomaly ID
+ * @param {number} ruleId Rule ID
+ * @param {Date} dueAt When to escalate
+ * @returns {Promise<object|null>} Inserted escalation
+ */
+async function insertAlertEscalation(anomalyId, ruleId, dueAt) {
+    const query = `
+        INSERT INTO alert_escalations (anomaly_id, rule_id, due_at)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (anomaly_id, rule_id) DO NOTHING
+        RETURNING *
+    `;
+    const result = await db.query(query, [anomalyId, ruleId, dueAt]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Get pending escalations that are due, with their anomaly and rule
+ * @returns {Promise<Array>} Escalations ({ escalation_id, attempts, anomaly: {...}, rule: {...} })
+ */
+async function getDueEscalations() {
+    const query = `
+        SELECT
+            e.id AS escalation_id,
+            e.attempts,
+            row_to_json(a) AS anomaly,
+            row_to_json(r) AS rule
+        FROM alert_escalations e
+        JOIN anomalies a ON a.id = e.anomaly_id
+        JOIN alert_rules r ON r.id = e.rule_id
+        WHERE e.status = 'pending' AND e.due_at <= NOW()
+        ORDER BY e.due_at ASC
+    `;
+    const result = await db.query(query);
+    return result.rows;
+}
+
+/**
+ * Mark an escalation as escalated, cancelled or failed
+ * @param {number} id Escalation ID
+ * @param {string} status escalated, cancelled, failed
+ * @returns {Promise<void>}
+ */
+async function updateEscalationStatus(id, status) {
+    await db.query(`
+        UPDATE alert_escalations
+        SET status = $2, resolved_at = NOW()
+        WHERE id = $1
+    `, [id, status]);
+}
+
+/**
+ * Count a failed escalation attempt and keep the escalation pending until dueAt
+ * @param {number} id Escalation ID
+ * @param {Date} dueAt When to retry
+ * @returns {Promise<void>}
+ */
+async function rescheduleEscalation(id, dueAt) {
+    await db.query(`
+        UPDATE alert_escalations
+        SET attempts = attempts + 1, due_at = $2
+        WHERE id = $1
+    `, [id, dueAt]);
+}
+
+/**
+ * ANALYSIS VALIDATION QUERIES
+ */
+
+/**
+ * Record an LLM response that failed schema validation
+ * @param {object} failure Failure details
+ * @returns {Promise<object>} Inserted row
+ */
+async function insertValidationFailure(failure) {
+    const query = `
+        INSERT INTO analysis_validation_failures (
+            provider, model, response_text, errors,
+            repair_response, repair_errors, outcome, trigger_summary
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+    `;
+
+    const values = [
+        failure.provider || null,
+        failure.model || null,
+        failure.response_text || null,
+        JSON.stringify(failure.errors || []),
+        failure.repair_response || null,
+        failure.repair_errors ? JSON.stringify(failure.repair_errors) : null,
+        failure.outcome,
+        failure.trigger_summary ? JSON.stringify(failure.trigger_summary) : null
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Get recent validation failures
+ * @param {number} limit Number of rows
+ * @param {string} outcome Optional outcome filter (repaired, salvaged, failed)
+ * @returns {Promise<Array>} Failures
+ */
+async function getValidationFailures(limit = 50, outcome = null) {
+    const params = [limit];
+    let query = 'SELECT * FROM analysis_validation_failures';
+
+    if (outcome) {
+        params.push(outcome);
+        query += ' WHERE outcome = $2';
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT $1';
+
+    const result = await db.query(query, params);
+    return result.rows;
+}
+
+/**
+ * ANALYSIS REPORT QUERIES
+ */
+
+/**
+ * Store a generated analysis report
+ * @param {object} report { generated_at, provider, model, prompt_version, current_state, baseline_comparison, analysis, anomaly_ids, inputs }
+ * @returns {Promise<object>} Inserted row
+ */
+async function insertAnalysisReport(report) {
+    const query = `
+        INSERT INTO analysis_reports (
+            generated_at, provider, model, prompt_version, risk_level, overall_assessment,
+            current_state, baseline_comparison, analysis, anomaly_ids, inputs
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+    `;
+
+    const values = [
+        report.generated_at || new Date(),
+        report.provider || null,
+        report.model || null,
+        report.prompt_version || null,
+        report.analysis?.riskLevel || null,
+        report.analysis?.overallAssessment || null,
+        JSON.stringify(report.current_state),
+        JSON.stringify(report.baseline_comparison),
+        report.analysis ? JSON.stringify(report.analysis) : null,
+        report.anomaly_ids || [],
+        JSON.stringify(report.inputs)
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * List analysis reports, newest first (without the inputs snapshot)
+ * @param {number} limit Number of rows
+ * @param {number} offset Rows to skip
+ * @returns {Promise<object>} { reports, total }
+ */
+async function getAnalysisReports(limit = 20, offset = 0) {
+    const query = `
+        SELECT
+            id, generated_at, provider, model, prompt_version, risk_level,
+            overall_assessment, current_state, baseline_comparison, anomaly_ids,
+            COUNT(*) OVER () AS total
+        FROM analysis_reports
+        ORDER BY generated_at DESC
+        LIMIT $1 OFFSET $2
+    `;
+    const result = await db.query(query, [limit, offset]);
+
+    return {
+        reports: result.rows,
+        total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0
+    };
+}
+
+/**
+ * Get one analysis report with its inputs snapshot
+ * @param {number} id Report ID
+ * @returns {Promise<object|null>} Report or null
+ */
+async function getAnalysisReport(id) {
+    const result = await db.query('SELECT * FROM analysis_reports WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+/**
+ * LLM USAGE QUERIES
+ */
+
+/**
+ * Record one LLM call
+ * @param {object} usage { provider, model, purpose, input_tokens, output_tokens, latency_ms, retries, estimated_cost_usd, success, error }
+ * @returns {Promise<object>} Inserted row
+ */
+async function insertLlmUsage(usage) {
+    const query = `
+        INSERT INTO llm_usage (
+            provider, model, purpose, input_tokens, output_tokens,
+            latency_ms, retries, estimated_cost_usd, success, error
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+    `;
+
+    const values = [
+        usage.provider || null,
+        usage.model || null,
+        usage.purpose,
+        usage.input_tokens || 0,
+        usage.output_tokens || 0,
+        usage.latency_ms ?? null,
+        usage.retries || 0,
+        usage.estimated_cost_usd || 0,
+        usage.success,
+        usage.error || null
+    ];
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+}
+
+/**
+ * Estimated LLM spend since a point in time
+ * @param {Date} since Start of the window
+ * @returns {Promise<number>} Spend in USD
+ */
+async function getLlmSpendSince(since) {
+    const query = `
+        SELECT COALESCE(SUM(estimated_cost_usd), 0) AS spend
+        FROM llm_usage
+        WHERE called_at >= $1
+    `;
+    const result = await db.query(query, [since]);
+    return parseFloat(result.rows[0].spend);
+}
+
+/**
+ * LLM usage aggregated by UTC day or month
+ * @param {string} period 'day' or 'month'
+ * @param {number} count Number of periods to look back (including the current one)
+ * @returns {Promise<Array>} Rows { period, calls, failed_calls, retries, input_tokens, output_tokens, avg_latency_ms, cost_usd }
+ */
+async function getLlmUsageAggregates(period = 'day', count = 30) {
+    const unit = period === 'month' ? 'month' : 'day';
+    const query = `
+        SELECT
+            DATE_TRUNC('${unit}', called_at) AS period,
+            COUNT(*) AS calls,
+            COUNT(*) FILTER (WHERE success = false) AS failed_calls,
+            SUM(retries) AS retries,
+            SUM(input_tokens) AS input_tokens,
+            SUM(output_tokens) AS output_tokens,
+            ROUND(AVG(latency_ms)) AS avg_latency_ms,
+            SUM(estimated_cost_usd) AS cost_usd
+        FROM llm_usage
+        WHERE called_at >= DATE_TRUNC('${unit}', NOW()) - INTERVAL '1 ${unit}' * ($1 - 1)
+        GROUP BY 1
+        ORDER BY 1 DESC
+    `;
+    const result = await db.query(query, [count]);
+    return result.rows;
+}
+
+/**
+ * LLM usage by model over a window
+ * @param {number} days Days to look back
+ * @returns {Promise<Array>} Rows { provider, model, calls, input_tokens, output_tokens, cost_usd }
+ */
+async function getLlmUsageByModel(days = 30) {
+    const query = `
+        SELECT
+            provider,
+            model,
+            COUNT(*) AS calls,
+            SUM(input_tokens) AS input_tokens,
+            SUM(output_tokens) AS output_tokens,
+            SUM(estimated_cost_usd) AS cost_usd
+        FROM llm_usage
+        WHERE called_at > NOW() - INTERVAL '1 day' * $1
+        GROUP BY provider, model
+        ORDER BY cost_usd DESC
+    `;
+    const result = await db.query(query, [days]);
+    return result.rows;
+}
+
+/**
+ * CHAIN EVENT QUERIES
+ */
+
+/**
+ * Get the progress of a log indexer
+ * @param {string} name Indexer name
+ * @returns {Promise<object|null>} indexer_state row
+ */
+async function getIndexerState(name) {
+    const result = await db.query('SELECT * FROM indexer_state WHERE name = $1', [name]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Store the events of an indexed block range and advance the indexer
+ * Runs in a single transaction, so progress never gets ahead of the stored events
+ * @param {string} name Indexer name
+ * @param {Array} events Decoded events { block_number, block_timestamp, tx_hash, log_index, contract_address,
+ *                       event_name, kind, from_address, to_address, amount_wei, amount_eth, args }
+ * @param {object} progress { first_block, first_block_timestamp, last_block, last_block_timestamp }
+ * @returns {Promise<number>} Newly inserted events (duplicates are skipped)
+ */
+async function storeIndexedRange(name, events, progress) {
+    const client = await db.getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        let inserted = 0;
+        if (events.length > 0) {
+            const columns = 12;
+            const values = [];
+            const rows = events.map((e, i) => {
+                values.push(
+                    e.block_number, e.block_timestamp, e.tx_hash, e.log_index, e.contract_address,
+                    e.event_name, e.kind, e.from_address, e.to_address, e.amount_wei, e.amount_eth,
+                    JSON.stringify(e.args || {})
+                );
+                return `(${Array.from({ length: columns }, (_, j) => `$${i * columns + j + 1}`).join(', ')})`;
+            });
+
+            const result = await client.query(`
+                INSERT INTO chain_events (
+                    block_number, block_timestamp, tx_hash, log_index, contract_address,
+                    event_name, kind, from_address, to_address, amount_wei, amount_eth, args
+                ) VALUES ${rows.join(', ')}
+                ON CONFLICT (tx_hash, log_index) DO NOTHING
+            `, values);
+            inserted = result.rowCount;
+        }
+
+        await client.query(`
+            INSERT INTO indexer_state (name, first_block, first_block_timestamp, last_block, last_block_timestamp)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (name) DO UPDATE SET
+                last_block = EXCLUDED.last_block,
+                last_block_timestamp = EXCLUDED.last_block_timestamp,
+                updated_at = NOW()
+        `, [name, progress.first_block, progress.first_block_timestamp, progress.last_block, progress.last_block_timestamp]);
+
+        await client.query('COMMIT');
+        return inserted;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Count and sum indexed events by kind since a point in time
+ * @param {Date} since Start of the window
+ * @returns {Promise<object>} { kind: { count, volume_eth } }
+ */
+async function getChainEventTotalsSince(since) {
+    const query = `
+        SELECT kind, COUNT(*) AS count, COALESCE(SUM(amount_eth), 0) AS volume_eth
+        FROM chain_events
+        WHERE block_timestamp >= $1
+        GROUP BY kind
+    `;
+    const result = await db.query(query, [since]);
+
+    return Object.fromEntries(result.rows.map(row => [
+        row.kind,
+        { count: parseInt(row.count), volume_eth: parseFloat(row.volume_eth) }
+    ]));
+}
+
+/**
+ * Holders per INSERT in storeHolderBalances (9 parameters each)
+ */
+const HOLDER_BATCH_ROWS = 1000;
+
+/**
+ * Update holder balances from a holder index run and advance the indexer
+ * Runs in a single transaction and records the resulting non-zero holder count
+ * @param {string} name Indexer name
+ * @param {Array} holders Touched holders { address, balance_wei, balance_eth, balance_block, first_seen_block,
+ *                        first_seen_at, last_activity_block, last_activity_at, transfer_count }
+ * @param {object} progress { first_block, first_block_timestamp, last_block, last_block_timestamp }
+ * @returns {Promise<number>} Non-zero holder count at progress.last_block
+ */
+async function storeHolderBalances(name, holders, progress) {
+    const client = await db.getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        // Batched so a large backfill stays under Postgres's 65,535 bind parameter limit
+        for (let start = 0; start < holders.length; start += HOLDER_BATCH_ROWS) {
+            const columns = 9;
+            const values = [];
+            const rows = holders.slice(start, start + HOLDER_BATCH_ROWS).map((h, i) => {
+                values.push(
+                    h.address, h.balance_wei, h.balance_eth, h.balance_block, h.first_seen_block,
+                    h.first_seen_at, h.last_activity_block, h.last_activity_at, h.transfer_count
+                );
+                return `(${Array.from({ length: columns }, (_, j) => `$${i * columns + j + 1}`).join(', ')})`;
+            });
+
+            await client.query(`
+                INSERT INTO eeth_holders (
+                    address, balance_wei, balance_eth, balance_block, first_seen_block,
+                    first_seen_at, last_activity_block, last_activity_at, transfer_count
+                ) VALUES ${rows.join(', ')}
+                ON CONFLICT (address) DO UPDATE SET
+                    balance_wei = EXCLUDED.balance_wei,
+                    balance_eth = EXCLUDED.balance_eth,
+                    balance_block = EXCLUDED.balance_block,
+                    last_activity_block = EXCLUDED.last_activity_block,
+                    last_activity_at = EXCLUDED.last_activity_at,
+                    transfer_count = eeth_holders.transfer_count + EXCLUDED.transfer_count,
+                    updated_at = NOW()
+            `, values);
+        }
+
+        const count = await client.query('SELECT COUNT(*) AS holders FROM eeth_holders WHERE balance_wei > 0');
+        const holderCount = parseInt(count.rows[0].holders);
+
+        await client.query(`
+            INSERT INTO holder_count_history (block_number, block_timestamp, holder_count)
+            VALUES ($1, $2, $3)
+        `, [progress.last_block, progress.last_block_timestamp, holderCount]);
+
+        await client.query(`
+            INSERT INTO indexer_state (name, first_block, first_block_timestamp, last_block, last_block_timestamp)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (name) DO UPDATE SET
+                last_block = EXCLUDED.last_block,
+                last_block_timestamp = EXCLUDED.last_block_timestamp,
+                updated_at = NOW()
+        `, [name, progress.first_block, progress.first_block_timestamp, progress.last_block, progress.last_block_timestamp]);
+
+        await client.query('COMMIT');
+        return holderCount;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Get the non-zero eETH holder count at a point in time
+ * @param {Date} timestamp Point in time
+ * @param {number} maxAgeHours Ignore counts recorded longer than this before the timestamp
+ * @returns {Promise<object|null>} holder_count_history row
+ */
+async function getHolderCountAt(timestamp, maxAgeHours = 24) {
+    const query = `
+        SELECT *
+        FROM holder_count_history
+        WHERE block_timestamp <= $1
+          AND block_timestamp >= $1::timestamp - INTERVAL '1 hour' * $2
+        ORDER BY block_timestamp DESC
+        LIMIT 1
+    `;
+    const result = await db.query(query, [timestamp, maxAgeHours]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Get the largest eETH holders by last known balance
+ * @param {number} limit Number of holders
+ * @returns {Promise<Array>} eeth_holders rows
+ */
+async function getTopHolders(limit = 20) {
+    const query = `
+        SELECT *
+        FROM eeth_holders
+        WHERE balance_wei > 0
+        ORDER BY balance_wei DESC
+        LIMIT $1
+    `;
+    const result = await db.query(query, [limit]);
+    return result.rows;
+}
+
+/**
+ * Get holder index rows for a set of addresses
+ * @param {Array} addresses Lowercase addresses
+ * @returns {Promise<Array>} eeth_holders rows
+ */
+async function getHoldersByAddress(addresses) {
+    if (addresses.length === 0) return [];
+
+    const result = await db.query('SELECT * FROM eeth_holders WHERE address = ANY($1)', [addresses]);
+    return result.rows;
+}
+
+/**
+ * ADDRESS LABEL QUERIES
+ */
+
+/**
+ * Get address labels
+ * @param {string|null} category Only this category
+ * @returns {Promise<Array>} address_labels rows, by name
+ */
+async function getAddressLabels(category = null) {
+    const query = `
+        SELECT * FROM address_labels
+        ${category ? 'WHERE category = $1' : ''}
+        ORDER BY name ASC
+    `;
+    const result = await db.query(query, category ? [category] : []);
+    return result.rows;
+}
+
+/**
+ * Get the label of one address
+ * @param {string} address Lowercase address
+ * @returns {Promise<object|null>} address_labels row
+ */
+async function getAddressLabel(address) {
+    const result = await db.query('SELECT * FROM address_labels WHERE address = $1', [address]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Insert an address label
+ * @param {object} label { address, name, category, source, notes }
+ * @returns {Promise<object>} Inserted row
+ */
+async function insertAddressLabel(label) {
+    const query = `
+        INSERT INTO address_labels (address, name, category, source, notes)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `;
+    const result = await db.query(query, [label.address, label.name, label.category, label.source || 'api', label.notes ?? null]);
+    return result.rows[0];
+}
+
+/**
+ * Insert labels for addresses that have none yet (existing labels, e.g. edited through the API, are kept)
+ * @param {Array} labels [{ address, name, category, notes }]
+ * @returns {Promise<number>} Labels inserted
+ */
+async function insertMissingAddressLabels(labels) {
+    if (labels.length === 0) return 0;
+
+    const values = [];
+    const rows = labels.map((label, i) => {
+        values.push(label.address, label.name, label.category, label.notes ?? null);
+        return `($${i * 4 + 1}, $${i * 4 + 2}, $${i * 4 + 3}, 'seed', $${i * 4 + 4})`;
+    });
+
+    const result = await db.query(`
+        INSERT INTO address_labels (address, name, category, source, notes)
+        VALUES ${rows.join(', ')}
+        ON CONFLICT (address) DO NOTHING
+    `, values);
+    return result.rowCount;
+}
+
+/**
+ * Replace an address label's name, category and notes
+ * @param {string} address Lowercase address
+ * @param {object} label { name, category, notes }
+ * @returns {Promise<object|undefined>} Updated row
+ */
+async function updateAddressLabel(address, label) {
+    const query = `
+        UPDATE address_labels
+        SET name = $2, category = $3, notes = $4, source = 'api', updated_at = NOW()
+        WHERE address = $1
+        RETURNING *
+    `;
+    const result = await db.query(query, [address, label.name, label.category, label.notes ?? null]);
+    return result.rows[0];
+}
+
+/**
+ * Delete an address label
+ * @param {string} address Lowercase address
+ * @returns {Promise<boolean>} True if a label was deleted
+ */
+async function deleteAddressLabel(address) {
+    const result = await db.query('DELETE FROM address_labels WHERE address = $1', [address]);
+    return result.rowCount > 0;
+}
+
+/**
+ * WITHDRAWAL REQUEST QUERIES
+ */
+
+/**
+ * Apply withdrawal request changes from an indexed block range and advance the indexer
+ * Changes are applied in order in a single transaction
+ * @param {string} name Indexer name
+ * @param {Array} changes [{ type: created|finalized|claimed|invalidated|validated, request_id, block_number,
+ *                        block_timestamp, owner_address, amount_eth, fee_eth }]
+ * @param {object} progress { first_block, first_block_timestamp, last_block, last_block_timestamp }
+ * @returns {Promise<number>} Request rows changed
+ */
+async function storeWithdrawalRequestChanges(name, changes, progress) {
+    const client = await db.getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        let changed = 0;
+        for (const c of changes) {
+            let result;
+
+            if (c.type === 'created') {
+                result = await client.query(`
+                    INSERT INTO withdrawal_requests (request_id, owner_address, amount_eth, fee_eth, created_block, created_at)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                    ON CONFLICT (request_id) DO NOTHING
+                `, [c.request_id, c.owner_address, c.amount_eth, c.fee_eth, c.block_number, c.block_timestamp]);
+            } else if (c.type === 'finalized') {
+                // Finalizing an id finalizes every earlier request
+                result = await client.query(`
+                    UPDATE withdrawal_requests
+                    SET finalized_block = $2, finalized_at = $3, updated_at = NOW()
+                    WHERE request_id <= $1 AND finalized_at IS NULL
+                `, [c.request_id, c.block_number, c.block_timestamp]);
+            } else if (c.type === 'claimed') {
+                // Only finalized requests can be claimed, so a claim also fills in a missed finalization
+                result = await client.query(`
+                    UPDATE withdrawal_requests
+                    SET claimed_block = $2, claimed_at = $3, claimed_amount_eth = $4,
+                        finalized_block = COALESCE(finalized_block, $2), finalized_at = COALESCE(finalized_at, $3),
+                        updated_at = NOW()
+                    WHERE request_id = $1
+                `, [c.request_id, c.block_number, c.block_timestamp, c.amount_eth]);
+            } else {
+                result = await client.query(`
+                    UPDATE withdrawal_requests
+                    SET invalidated = $2, updated_at = NOW()
+                    WHERE request_id = $1
+                `, [c.request_id, c.type === 'invalidated']);
+            }
+
+            changed += result.rowCount;
+        }
+
+        await client.query(`
+            INSERT INTO indexer_state (name, first_block, first_block_timestamp, last_block, last_block_timestamp)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (name) DO UPDATE SET
+                last_block = EXCLUDED.last_block,
+                last_block_timestamp = EXCLUDED.last_block_timestamp,
+                updated_at = NOW()
+        `, [name, progress.first_block, progress.first_block_timestamp, progress.last_block, progress.last_block_timestamp]);
+
+        await client.query('COMMIT');
+        return changed;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Withdrawal queue at a point in time: pending requests and how long recent requests took to finalize
+ * @param {Date} timestamp Point in time
+ * @param {number} windowHours Finalizations in this many hours before the timestamp are measured
+ * @returns {Promise<object>} { pending_count, pending_eth, oldest_pending_at, finalized_count,
+ *                              wait_avg_hours, wait_p50_hours, wait_p90_hours, wait_p99_hours }
+ */
+async function getWithdrawalQueueStats(timestamp, windowHours = 168) {
+    const query = `
+        WITH waits AS (
+            SELECT EXTRACT(EPOCH FROM (finalized_at - created_at)) / 3600 AS hours
+            FROM withdrawal_requests
+            WHERE finalized_at <= $1
+              AND finalized_at > $1::timestamp - INTERVAL '1 hour' * $2
+        )
+        SELECT
+            pending.pending_count,
+            pending.pending_eth,
+            pending.oldest_pending_at,
+            (SELECT COUNT(*) FROM waits) AS finalized_count,
+            (SELECT AVG(hours) FROM waits) AS wait_avg_hours,
+            (SELECT PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY hours) FROM waits) AS wait_p50_hours,
+            (SELECT PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY hours) FROM waits) AS wait_p90_hours,
+            (SELECT PERCENTILE_CONT(0.99) WITHIN GROUP (ORDER BY hours) FROM waits) AS wait_p99_hours
+        FROM (
+            SELECT COUNT(*) AS pending_count, COALESCE(SUM(amount_eth), 0) AS pending_eth, MIN(created_at) AS oldest_pending_at
+            FROM withdrawal_requests
+            WHERE created_at <= $1
+              AND (finalized_at IS NULL OR finalized_at > $1)
+              AND NOT invalidated
+        ) pending
+    `;
+    const result = await db.query(query, [timestamp, windowHours]);
+    const row = result.rows[0];
+    const number = value => (value === null ? null : parseFloat(value));
+
+    return {
+        pending_count: parseInt(row.pending_count),
+        pending_eth: parseFloat(row.pending_eth),
+        oldest_pending_at: row.oldest_pending_at,
+        finalized_count: parseInt(row.finalized_count),
+        wait_avg_hours: number(row.wait_avg_hours),
+        wait_p50_hours: number(row.wait_p50_hours),
+        wait_p90_hours: number(row.wait_p90_hours),
+        wait_p99_hours: number(row.wait_p99_hours)
+    };
+}
+
+module.exports = {
+    // Time series queries
+    insertTimeSeriesData,
+    getLatestTimeSeriesData,
+    getTimeSeriesData,
+    getTimeSeriesDataRange,
+    getBaselineStatistics,
+
+    // Whale wallet queries
+    insertWhaleWalletData,
+    getCurrentTopWhales,
+    getWhaleWalletHistory,
+
+    // Anomaly queries
+    insertAnomaly,
+    getRecentAnomalies,
+    getActiveAnomalies,
+    updateAnomalyStatus,
+    getAnomalyById,
+    getAnomaliesByType,
+    triageAnomaly,
+    getTriagedTriggers,
+    getTriggersForEvaluation,
+    getTriggerForAnomaly,
+
+    // Twitter sentiment queries
+    insertTwitterSentiment,
+    getRecentSentiment,
+    getSentimentSummary,
+
+    // Threshold queries
+    getActiveThresholdVersion,
+    getThresholdVersion,
+    getThresholdVersions,
+    getThresholdAuditLog,
+    insertThresholdVersion,
+
+    // Incident queries
+    findOpenIncident,
+    insertIncident,
+    recordIncidentDetection,
+    setAnomalyIncident,
+    getOpenIncidents,
+    updateIncidentClearCycles,
+    resolveIncident,
+    getRecentIncidents,
+    getIncidentById,
+
+    // Change point queries
+    insertChangePoint,
+    getChangePoints,
+
+    // Alert delivery queries
+    insertAlertDelivery,
+    getAlertDeliveries,
+
+    // Alert rule queries
+    getAlertRules,
+    getAlertRule,
+    insertAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    insertAlertEscalation,
+    getDueEscalations,
+    updateEscalationStatus,
+    rescheduleEscalation,
+
+    // Analysis validation queries
+    insertValidationFailure,
+    getValidationFailures,
+
+    // Analysis report queries
+    insertAnalysisReport,
+    getAnalysisReports,
+    getAnalysisReport,
+
+    // LLM usage queries
+    insertLlmUsage,
+    getLlmSpendSince,
+    getLlmUsageAggregates,
+    getLlmUsageByModel,
+
+    // Chain event queries
+    getIndexerState,
+    storeIndexedRange,
+    getChainEventTotalsSince,
+    storeHolderBalances,
+    getHolderCountAt,
+    getTopHolders,
+    getHoldersByAddress,
+
+    // Address label queries
+    getAddressLabels,
+    getAddressLabel,
+    insertAddressLabel,
+    insertMissingAddressLabels,
+    updateAddressLabel,
+    deleteAddressLabel,
+
+    // Withdrawal request queries
+    storeWithdrawalRequestChanges,
+    getWithdrawalQueueStats
 };
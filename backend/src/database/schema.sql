@@ -2,9 +2,25 @@
 -- PostgreSQL Schema for storing blockchain data, anomalies, and sentiment analysis
 
 -- Drop existing tables if they exist (for clean setup)
+DROP TABLE IF EXISTS withdrawal_requests CASCADE;
+DROP TABLE IF EXISTS address_labels CASCADE;
+DROP TABLE IF EXISTS holder_count_history CASCADE;
+DROP TABLE IF EXISTS eeth_holders CASCADE;
+DROP TABLE IF EXISTS indexer_state CASCADE;
+DROP TABLE IF EXISTS chain_events CASCADE;
+DROP TABLE IF EXISTS analysis_reports CASCADE;
+DROP TABLE IF EXISTS llm_usage CASCADE;
+DROP TABLE IF EXISTS analysis_validation_failures CASCADE;
+DROP TABLE IF EXISTS alert_escalations CASCADE;
+DROP TABLE IF EXISTS alert_rules CASCADE;
+DROP TABLE IF EXISTS alert_deliveries CASCADE;
+DROP TABLE IF EXISTS change_points CASCADE;
+DROP TABLE IF EXISTS threshold_audit_log CASCADE;
+DROP TABLE IF EXISTS threshold_versions CASCADE;
 DROP TABLE IF EXISTS twitter_sentiment CASCADE;
 DROP TABLE IF EXISTS anomaly_triggers CASCADE;
 DROP TABLE IF EXISTS anomalies CASCADE;
+DROP TABLE IF EXISTS incidents CASCADE;
 DROP TABLE IF EXISTS whale_wallets CASCADE;
 DROP TABLE IF EXISTS time_series_data CASCADE;
 
@@ -29,10 +45,14 @@ CREATE TABLE time_series_data (
     eeth_eth_ratio DECIMAL(10, 8),
     eeth_price_usd DECIMAL(10, 2),
 
-    -- Withdrawal queue metrics
+    -- Withdrawal queue metrics (pending withdrawal request NFTs; waits are
+    -- request-to-finalization times of requests finalized in the last 7 days)
     queue_size INTEGER,
     queue_eth_amount DECIMAL(20, 8),
     avg_queue_wait_hours DECIMAL(10, 2),
+    queue_wait_p50_hours DECIMAL(10, 2),
+    queue_wait_p90_hours DECIMAL(10, 2),
+    queue_wait_p99_hours DECIMAL(10, 2),
 
     -- Validator performance
     validator_apr DECIMAL(6, 4),
@@ -74,8 +94,10 @@ CREATE TABLE whale_wallets (
     -- Metadata
     first_seen TIMESTAMP,
     last_activity TIMESTAMP,
+    moved_since_previous BOOLEAN DEFAULT FALSE, -- Transferred eETH since the previous snapshot
     is_contract BOOLEAN DEFAULT FALSE,
     label VARCHAR(100),
+    label_category VARCHAR(30), -- address_labels category at snapshot time
 
     -- Indexes
     CONSTRAINT unique_wallet_timestamp UNIQUE(wallet_address, timestamp)
@@ -86,6 +108,35 @@ CREATE INDEX idx_whale_address ON whale_wallets(wallet_address);
 CREATE INDEX idx_whale_timestamp ON whale_wallets(timestamp DESC);
 CREATE INDEX idx_whale_rank ON whale_wallets(rank_position, timestamp);
 
+-- Incidents group repeated anomaly detections of the same problem
+CREATE TABLE incidents (
+    id SERIAL PRIMARY KEY,
+
+    -- Classification (from the detections grouped into this incident)
+    anomaly_type VARCHAR(50) NOT NULL,
+    title VARCHAR(200) NOT NULL, -- Title of the latest detection
+    affected_metrics TEXT[],
+
+    -- Lifecycle
+    status VARCHAR(20) NOT NULL DEFAULT 'open', -- open, resolved
+    peak_severity VARCHAR(20) NOT NULL,
+    latest_severity VARCHAR(20) NOT NULL,
+    first_seen_at TIMESTAMP NOT NULL,
+    last_seen_at TIMESTAMP NOT NULL,
+    detection_count INTEGER NOT NULL DEFAULT 1,
+
+    -- Auto-resolution: consecutive pre-filter cycles with the metrics back in range
+    clear_cycles INTEGER NOT NULL DEFAULT 0,
+    resolved_at TIMESTAMP,
+    resolution_reason TEXT,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_incidents_last_seen ON incidents(last_seen_at DESC);
+CREATE INDEX idx_incidents_open ON incidents(anomaly_type) WHERE status = 'open';
+
 -- Anomalies table for storing detected anomalies
 CREATE TABLE anomalies (
     id SERIAL PRIMARY KEY,
@@ -107,6 +158,7 @@ CREATE TABLE anomalies (
 
     -- Claude AI analysis
     claude_analysis JSONB, -- Full Claude response
+    prompt_version VARCHAR(30), -- Prompt template that produced the analysis (analyst-v1, analyst-v2, ...)
     raw_data JSONB, -- Raw data that triggered the anomaly
 
     -- Status tracking
@@ -117,7 +169,10 @@ CREATE TABLE anomalies (
     -- User interaction
     user_acknowledged BOOLEAN DEFAULT FALSE,
     acknowledged_at TIMESTAMP,
-    user_notes TEXT
+    user_notes TEXT,
+
+    -- Incident this detection belongs to
+    incident_id INTEGER REFERENCES incidents(id)
 );
 
 -- Create indexes for anomaly queries
@@ -126,6 +181,7 @@ CREATE INDEX idx_anomalies_severity ON anomalies(severity);
 CREATE INDEX idx_anomalies_type ON anomalies(anomaly_type);
 CREATE INDEX idx_anomalies_status ON anomalies(status);
 CREATE INDEX idx_anomalies_active ON anomalies(detected_at DESC) WHERE status = 'active';
+CREATE INDEX idx_anomalies_incident ON anomalies(incident_id);
 
 -- Anomaly triggers table for storing pre-filter results
 CREATE TABLE anomaly_triggers (
@@ -143,10 +199,15 @@ CREATE TABLE anomaly_triggers (
     current_data JSONB, -- Current data point that was analyzed
     baseline_stats JSONB, -- Baseline statistics used for comparison
 
+    -- Multivariate (Mahalanobis) score of the current data point
+    mahalanobis_distance DOUBLE PRECISION,
+    multivariate_score JSONB, -- Distance, dimensions and per-metric contributions
+
     -- Claude call tracking
     claude_called BOOLEAN DEFAULT FALSE,
     claude_call_timestamp TIMESTAMP,
     anomaly_id INTEGER REFERENCES anomalies(id),
+    anomaly_ids INTEGER[], -- Every anomaly stored from this call (anomaly_id is the first)
 
     -- Metadata
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -192,6 +253,313 @@ CREATE INDEX idx_sentiment_timestamp ON twitter_sentiment(collected_at DESC);
 CREATE INDEX idx_sentiment_score ON twitter_sentiment(sentiment_score);
 CREATE INDEX idx_sentiment_type ON twitter_sentiment(sentiment);
 
+-- Anomaly threshold versions (runtime-editable pre-filter thresholds)
+CREATE TABLE threshold_versions (
+    id SERIAL PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE,
+
+    -- Full threshold set for this version (Z_SCORE_HIGH, PEG_CRITICAL, GAS_HIGH, ...)
+    thresholds JSONB NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+
+    -- Metadata
+    created_by VARCHAR(100),
+    change_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one active version at a time
+CREATE UNIQUE INDEX idx_threshold_versions_active ON threshold_versions(is_active) WHERE is_active = true;
+
+-- Audit log of individual threshold changes
+CREATE TABLE threshold_audit_log (
+    id SERIAL PRIMARY KEY,
+    version_id INTEGER NOT NULL REFERENCES threshold_versions(id),
+    threshold_key VARCHAR(50) NOT NULL,
+    old_value DOUBLE PRECISION,
+    new_value DOUBLE PRECISION,
+    changed_by VARCHAR(100),
+    change_reason TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_threshold_audit_changed_at ON threshold_audit_log(changed_at DESC);
+CREATE INDEX idx_threshold_audit_key ON threshold_audit_log(threshold_key);
+
+-- Regime shifts detected by the CUSUM change-point detector
+CREATE TABLE change_points (
+    id SERIAL PRIMARY KEY,
+    metric VARCHAR(50) NOT NULL, -- time_series_data column (tvl_eth, eeth_eth_ratio, ...)
+    direction VARCHAR(10) NOT NULL, -- up, down
+
+    -- When the new regime started and when it was confirmed
+    change_at TIMESTAMP NOT NULL,
+    detected_at TIMESTAMP NOT NULL,
+
+    -- Level before/after the shift
+    before_mean DOUBLE PRECISION,
+    after_mean DOUBLE PRECISION,
+    magnitude_pct DOUBLE PRECISION,
+    sigma_shift DOUBLE PRECISION, -- Shift size in reference standard deviations
+
+    -- Detector state at detection
+    cusum_value DOUBLE PRECISION,
+    threshold DOUBLE PRECISION,
+    method VARCHAR(20) DEFAULT 'cusum',
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_change_point UNIQUE(metric, direction, change_at)
+);
+
+CREATE INDEX idx_change_points_change_at ON change_points(change_at DESC);
+CREATE INDEX idx_change_points_metric ON change_points(metric, change_at DESC);
+
+-- Outbound alert delivery log (one row per anomaly per channel, after retries)
+CREATE TABLE alert_deliveries (
+    id SERIAL PRIMARY KEY,
+    anomaly_id INTEGER REFERENCES anomalies(id) ON DELETE SET NULL,
+
+    -- Channel the alert was sent to
+    channel_name VARCHAR(100) NOT NULL,
+    channel_type VARCHAR(20) NOT NULL, -- webhook, slack, discord, email (rule or incident for suppressed alerts)
+
+    -- Outcome
+    status VARCHAR(20) NOT NULL, -- delivered, failed, suppressed
+    attempts INTEGER NOT NULL DEFAULT 1,
+    response_status INTEGER, -- HTTP status or SMTP response code
+    error_message TEXT,
+    severity VARCHAR(20),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP
+);
+
+CREATE INDEX idx_alert_deliveries_created_at ON alert_deliveries(created_at DESC);
+CREATE INDEX idx_alert_deliveries_anomaly ON alert_deliveries(anomaly_id);
+
+-- Alert routing rules: match anomalies, then route, suppress or escalate
+-- NULL match columns match anything; times are UTC
+CREATE TABLE alert_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    priority INTEGER NOT NULL DEFAULT 100, -- Lower runs first
+    action VARCHAR(20) NOT NULL DEFAULT 'route', -- route, suppress
+
+    -- Match conditions
+    anomaly_types TEXT[],
+    min_severity VARCHAR(20),
+    max_severity VARCHAR(20),
+    affected_metrics TEXT[], -- Matches when any metric family overlaps
+
+    -- Time window: one-off (maintenance) and/or recurring (quiet hours)
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    days_of_week INTEGER[], -- 0 = Sunday
+    window_start TIME,
+    window_end TIME, -- Earlier than window_start wraps past midnight
+
+    -- Routing (channel names from ALERT_CHANNELS; recipients override email "to")
+    channels TEXT[],
+    recipients TEXT[],
+
+    -- Escalation when the anomaly is still unacknowledged after N minutes
+    escalate_after_minutes INTEGER,
+    escalation_channels TEXT[],
+    escalation_recipients TEXT[],
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alert_rules_enabled ON alert_rules(priority) WHERE enabled = TRUE;
+
+-- Pending and completed escalations (one per anomaly per rule)
+CREATE TABLE alert_escalations (
+    id SERIAL PRIMARY KEY,
+    anomaly_id INTEGER NOT NULL REFERENCES anomalies(id) ON DELETE CASCADE,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+    due_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, escalated, cancelled, failed
+    attempts INTEGER NOT NULL DEFAULT 0, -- Sends where no channel accepted the escalation
+    resolved_at TIMESTAMP, -- When it was escalated, cancelled or given up on
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_alert_escalation UNIQUE(anomaly_id, rule_id)
+);
+
+CREATE INDEX idx_alert_escalations_due ON alert_escalations(due_at) WHERE status = 'pending';
+
+-- LLM analysis responses that failed schema validation (kept for inspection)
+CREATE TABLE analysis_validation_failures (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(20),
+    model VARCHAR(100),
+
+    -- First response and why it was rejected
+    response_text TEXT,
+    errors JSONB NOT NULL, -- [{ path, message }]
+
+    -- Repair round-trip (NULL if the repair call itself failed)
+    repair_response TEXT,
+    repair_errors JSONB,
+
+    outcome VARCHAR(20) NOT NULL, -- repaired, salvaged (valid anomalies kept), failed
+    trigger_summary JSONB, -- { maxSeverity, metrics }
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_validation_failures_created_at ON analysis_validation_failures(created_at DESC);
+
+-- One row per LLM call (after retries) for token and cost accounting
+CREATE TABLE llm_usage (
+    id SERIAL PRIMARY KEY,
+    called_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    provider VARCHAR(20),
+    model VARCHAR(100),
+    purpose VARCHAR(20) NOT NULL, -- analysis, tool_turn, repair, evaluation
+
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER, -- Final attempt only
+    retries INTEGER NOT NULL DEFAULT 0,
+    estimated_cost_usd DECIMAL(12, 6) NOT NULL DEFAULT 0,
+
+    success BOOLEAN NOT NULL,
+    error TEXT
+);
+
+CREATE INDEX idx_llm_usage_called_at ON llm_usage(called_at DESC);
+
+-- Manually generated analysis reports (POST /api/analysis/generate)
+CREATE TABLE analysis_reports (
+    id SERIAL PRIMARY KEY,
+    generated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    -- Who answered and with which prompt
+    provider VARCHAR(20),
+    model VARCHAR(100),
+    prompt_version VARCHAR(30),
+
+    -- Headline (duplicated from analysis for listing)
+    risk_level VARCHAR(20),
+    overall_assessment TEXT,
+
+    -- Report sections as returned to the client
+    current_state JSONB NOT NULL,
+    baseline_comparison JSONB NOT NULL,
+    analysis JSONB,
+    anomaly_ids INTEGER[],
+
+    -- Inputs snapshot: trigger data, baseline statistics and the recent data window
+    inputs JSONB NOT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_analysis_reports_generated_at ON analysis_reports(generated_at DESC);
+
+-- Raw contract events indexed from eth_getLogs (eETH Transfer, pool Deposit/Withdraw)
+CREATE TABLE chain_events (
+    id SERIAL PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    block_timestamp TIMESTAMP NOT NULL, -- Interpolated within the fetched block range
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+
+    contract_address VARCHAR(42) NOT NULL,
+    event_name VARCHAR(40) NOT NULL, -- Transfer, Deposit, Withdraw
+    kind VARCHAR(20) NOT NULL, -- mint, burn, transfer, deposit, withdraw
+    from_address VARCHAR(42),
+    to_address VARCHAR(42),
+    amount_wei NUMERIC(78, 0),
+    amount_eth DECIMAL(38, 18),
+    args JSONB, -- All decoded event arguments
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX idx_chain_events_kind_time ON chain_events(kind, block_timestamp DESC);
+CREATE INDEX idx_chain_events_block ON chain_events(block_number);
+
+-- Progress of each log indexer (last fully processed block)
+CREATE TABLE indexer_state (
+    name VARCHAR(50) PRIMARY KEY,
+    first_block BIGINT NOT NULL, -- Block the index starts at
+    first_block_timestamp TIMESTAMP NOT NULL,
+    last_block BIGINT NOT NULL, -- Last block whose logs are stored
+    last_block_timestamp TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- eETH holders seen in Transfer events, with their balance at the last block they were checked
+CREATE TABLE eeth_holders (
+    address VARCHAR(42) PRIMARY KEY,
+    balance_wei NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    balance_eth DECIMAL(38, 18) NOT NULL DEFAULT 0,
+    balance_block BIGINT NOT NULL, -- Block balanceOf was read at
+
+    first_seen_block BIGINT NOT NULL,
+    first_seen_at TIMESTAMP NOT NULL,
+    last_activity_block BIGINT NOT NULL,
+    last_activity_at TIMESTAMP NOT NULL,
+    transfer_count INTEGER NOT NULL DEFAULT 0,
+
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_eeth_holders_balance ON eeth_holders(balance_wei DESC) WHERE balance_wei > 0;
+
+-- Non-zero holder count after each holder index run
+CREATE TABLE holder_count_history (
+    id SERIAL PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    block_timestamp TIMESTAMP NOT NULL,
+    holder_count INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_holder_count_history_time ON holder_count_history(block_timestamp DESC);
+
+-- Known addresses (exchanges, protocols, bridges, ...) shown in place of hex addresses
+CREATE TABLE address_labels (
+    address VARCHAR(42) PRIMARY KEY, -- Lowercase
+    name VARCHAR(100) NOT NULL,
+    category VARCHAR(30) NOT NULL, -- exchange, defi, bridge, multisig, etherfi, fund, other
+    source VARCHAR(20) NOT NULL DEFAULT 'api', -- seed (config/address-labels.json) or api
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_address_labels_category ON address_labels(category);
+
+-- EtherFi withdrawal requests (one WithdrawRequestNFT each) from the NFT contract's events
+CREATE TABLE withdrawal_requests (
+    request_id BIGINT PRIMARY KEY,
+    owner_address VARCHAR(42),
+    amount_eth DECIMAL(38, 18) NOT NULL, -- eETH value locked by the request
+    fee_eth DECIMAL(38, 18),
+
+    created_block BIGINT NOT NULL,
+    created_at TIMESTAMP NOT NULL,
+    finalized_block BIGINT, -- Finalization covering this request id (requests finalize in id order)
+    finalized_at TIMESTAMP,
+    claimed_block BIGINT,
+    claimed_at TIMESTAMP,
+    claimed_amount_eth DECIMAL(38, 18),
+    invalidated BOOLEAN NOT NULL DEFAULT FALSE,
+
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_withdrawal_requests_pending ON withdrawal_requests(created_at) WHERE finalized_at IS NULL;
+CREATE INDEX idx_withdrawal_requests_finalized ON withdrawal_requests(finalized_at DESC);
+
 -- Create a view for latest metrics (convenience)
 CREATE VIEW latest_metrics AS
 SELECT *
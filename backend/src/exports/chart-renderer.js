@@ -0,0 +1,209 @@
+/**
+ * Chart Renderer
+ * Draws time_series_data line charts for exported reports, as SVG (Markdown, HTML) or into a PDFKit document
+ *
+ * Both outputs share chartLayout(), so a chart looks the same in every format
+ */
+
+/**
+ * Metrics charted in exports
+ */
+const CHART_METRICS = [
+    { column: 'tvl_eth', title: 'TVL (ETH)', digits: 0 },
+    { column: 'eeth_eth_ratio', title: 'eETH/ETH Ratio', digits: 5 },
+    { column: 'avg_gas_price_gwei', title: 'Gas Price (GWEI)', digits: 2 }
+];
+
+const COLORS = {
+    line: '#0088aa',
+    axis: '#888888',
+    grid: '#e5e5e5',
+    marker: '#ff003c',
+    text: '#333333'
+};
+
+const PADDING = { top: 24, right: 12, bottom: 22, left: 64 };
+
+const Y_TICKS = 4;
+const X_TICKS = 4;
+
+/**
+ * Build the charts for a window of time series rows
+ * @param {Array} rows - time_series_data rows, oldest first
+ * @param {Date|string|null} markerAt - Time to mark (detection or report time)
+ * @returns {Array} [{ title, digits, points: [{ t, v }], markerAt }] (metrics without data are skipped)
+ */
+function buildCharts(rows, markerAt = null) {
+    const marker = markerAt ? new Date(markerAt).getTime() : null;
+
+    return CHART_METRICS
+        .map(metric => ({
+            title: metric.title,
+            digits: metric.digits,
+            points: (rows || [])
+                .map(row => ({ t: new Date(row.timestamp).getTime(), v: parseFloat(row[metric.column]) }))
+                .filter(p => Number.isFinite(p.t) && Number.isFinite(p.v))
+                .sort((a, b) => a.t - b.t),
+            markerAt: marker
+        }))
+        .filter(chart => chart.points.length >= 2);
+}
+
+/**
+ * Format an axis time label (UTC, HH:MM or MM-DD HH:MM for windows over a day)
+ * @param {number} t - Time (ms)
+ * @param {boolean} withDate - Include the date
+ * @returns {string} Label
+ */
+function timeLabel(t, withDate) {
+    const iso = new Date(t).toISOString();
+    return withDate ? `${iso.slice(5, 10)} ${iso.slice(11, 16)}` : iso.slice(11, 16);
+}
+
+/**
+ * Scale a chart into a width x height box
+ * @param {object} chart - buildCharts() entry
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {object} { plot, line, yTicks, xTicks, marker } in box coordinates
+ */
+function chartLayout(chart, width, height) {
+    const plot = {
+        x: PADDING.left,
+        y: PADDING.top,
+        w: width - PADDING.left - PADDING.right,
+        h: height - PADDING.top - PADDING.bottom
+    };
+
+    const times = chart.points.map(p => p.t);
+    const values = chart.points.map(p => p.v);
+    const tMin = Math.min(...times);
+    const tMax = Math.max(...times);
+    let vMin = Math.min(...values);
+    let vMax = Math.max(...values);
+
+    // Flat series still get a visible band
+    if (vMax === vMin) {
+        const pad = Math.abs(vMin) * 0.001 || 1;
+        vMin -= pad;
+        vMax += pad;
+    }
+
+    const scaleX = t => plot.x + (tMax === tMin ? plot.w / 2 : ((t - tMin) / (tMax - tMin)) * plot.w);
+    const scaleY = v => plot.y + plot.h - ((v - vMin) / (vMax - vMin)) * plot.h;
+    const withDate = tMax - tMin > 24 * 60 * 60 * 1000;
+
+    return {
+        plot,
+        line: chart.points.map(p => ({ x: scaleX(p.t), y: scaleY(p.v) })),
+        yTicks: Array.from({ length: Y_TICKS + 1 }, (_, i) => {
+            const v = vMin + ((vMax - vMin) * i) / Y_TICKS;
+            return {
+                y: scaleY(v),
+                label: v.toLocaleString('en-US', { minimumFractionDigits: chart.digits, maximumFractionDigits: chart.digits })
+            };
+        }),
+        xTicks: Array.from({ length: X_TICKS + 1 }, (_, i) => {
+            const t = tMin + ((tMax - tMin) * i) / X_TICKS;
+            return { x: scaleX(t), label: timeLabel(t, withDate) };
+        }),
+        marker: chart.markerAt !== null && chart.markerAt >= tMin && chart.markerAt <= tMax
+            ? scaleX(chart.markerAt)
+            : null
+    };
+}
+
+/**
+ * Render a chart as a standalone SVG document
+ * @param {object} chart - buildCharts() entry
+ * @param {number} width - Width (px)
+ * @param {number} height - Height (px)
+ * @returns {string} SVG markup
+ */
+function renderSvg(chart, width = 640, height = 200) {
+    const layout = chartLayout(chart, width, height);
+    const { plot } = layout;
+    const n = x => x.toFixed(1);
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="10">`,
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+        `<text x="${plot.x}" y="14" font-size="12" font-weight="bold" fill="${COLORS.text}">${escape(chart.title)}</text>`
+    ];
+
+    layout.yTicks.forEach(tick => {
+        parts.push(`<line x1="${plot.x}" y1="${n(tick.y)}" x2="${plot.x + plot.w}" y2="${n(tick.y)}" stroke="${COLORS.grid}"/>`);
+        parts.push(`<text x="${plot.x - 4}" y="${n(tick.y + 3)}" text-anchor="end" fill="${COLORS.axis}">${tick.label}</text>`);
+    });
+
+    layout.xTicks.forEach(tick => {
+        parts.push(`<text x="${n(tick.x)}" y="${plot.y + plot.h + 14}" text-anchor="middle" fill="${COLORS.axis}">${tick.label}</text>`);
+    });
+
+    parts.push(`<rect x="${plot.x}" y="${plot.y}" width="${plot.w}" height="${plot.h}" fill="none" stroke="${COLORS.axis}"/>`);
+
+    if (layout.marker !== null) {
+        parts.push(`<line x1="${n(layout.marker)}" y1="${plot.y}" x2="${n(layout.marker)}" y2="${plot.y + plot.h}" stroke="${COLORS.marker}" stroke-dasharray="4 3"/>`);
+    }
+
+    parts.push(`<polyline fill="none" stroke="${COLORS.line}" stroke-width="1.5" points="${layout.line.map(p => `${n(p.x)},${n(p.y)}`).join(' ')}"/>`);
+    parts.push('</svg>');
+
+    return parts.join('');
+}
+
+/**
+ * Draw a chart into a PDFKit document, leaving the cursor below it
+ * @param {object} doc - PDFKit document
+ * @param {object} chart - buildCharts() entry
+ * @param {number} x - Left edge (pt)
+ * @param {number} y - Top edge (pt)
+ * @param {number} width - Width (pt)
+ * @param {number} height - Height (pt)
+ */
+function drawPdfChart(doc, chart, x, y, width, height) {
+    const layout = chartLayout(chart, width, height);
+    const { plot } = layout;
+
+    doc.save();
+    doc.translate(x, y);
+
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text).text(chart.title, plot.x, 6, { lineBreak: false });
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.axis);
+
+    layout.yTicks.forEach(tick => {
+        doc.moveTo(plot.x, tick.y).lineTo(plot.x + plot.w, tick.y).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+        doc.text(tick.label, 0, tick.y - 3, { width: plot.x - 4, align: 'right', lineBreak: false });
+    });
+
+    layout.xTicks.forEach(tick => {
+        doc.text(tick.label, tick.x - 30, plot.y + plot.h + 5, { width: 60, align: 'center', lineBreak: false });
+    });
+
+    doc.rect(plot.x, plot.y, plot.w, plot.h).lineWidth(0.5).strokeColor(COLORS.axis).stroke();
+
+    if (layout.marker !== null) {
+        doc.moveTo(layout.marker, plot.y).lineTo(layout.marker, plot.y + plot.h)
+            .dash(3, { space: 2 }).strokeColor(COLORS.marker).stroke().undash();
+    }
+
+    const [first, ...rest] = layout.line;
+    doc.moveTo(first.x, first.y);
+    rest.forEach(p => doc.lineTo(p.x, p.y));
+    doc.lineWidth(1).strokeColor(COLORS.line).stroke();
+
+    doc.restore();
+
+    // Axis labels moved the text cursor inside the translated frame
+    doc.x = x;
+    doc.y = y + height;
+}
+
+module.exports = {
+    buildCharts,
+    chartLayout,
+    renderSvg,
+    drawPdfChart,
+    CHART_METRICS
+};
@@ -0,0 +1,241 @@
+/**
+ * Export Documents
+ * Turns a stored analysis report or anomaly into a format-neutral document that
+ * the Markdown, HTML and PDF formats render
+ *
+ * Document:
+ *   title, subtitle, exportedAt
+ *   meta        [{ label, value }]  provenance (time, provider, model, prompt version, status, ...)
+ *   assessment  { riskLevel, text, monitoringPriority, falseAlarmProbability } | null
+ *   triggers    [{ metric, severity, currentValue, baselineAvg, deviation, reason }]
+ *   baseline    [{ label, value }]
+ *   anomalies   [{ id, severity, confidence, title, description, recommendation, historicalComparison, affectedMetrics }]
+ *   incident    { id, title, status, peakSeverity, firstSeenAt, lastSeenAt, detectionCount, detections } | null
+ *   charts      chart-renderer buildCharts() entries
+ */
+
+const { buildCharts } = require('./chart-renderer');
+
+/**
+ * Hours of time series charted before the report or detection time
+ */
+const CHART_WINDOW_HOURS = 24;
+
+/**
+ * Baseline figures listed in exports: label, baseline_stats field, decimals
+ */
+const BASELINE_ROWS = [
+    ['TVL average (ETH)', 'tvl_avg', 2],
+    ['TVL std dev (ETH)', 'tvl_stddev', 2],
+    ['Peg average', 'peg_avg', 6],
+    ['Peg std dev', 'peg_stddev', 6],
+    ['Gas average (GWEI)', 'gas_avg', 4],
+    ['Gas std dev (GWEI)', 'gas_stddev', 4],
+    ['Baseline period (days)', 'period_days', 0],
+    ['Baseline data points', 'data_points', 0]
+];
+
+/**
+ * Format a number for display, or '-' when missing
+ * @param {*} value - Value
+ * @param {number} digits - Decimals
+ * @returns {string} Formatted value
+ */
+function formatValue(value, digits) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return '-';
+    return number.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * @param {Date|string|null} value - Timestamp
+ * @returns {string} ISO time, or '-'
+ */
+function formatTime(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : '-';
+}
+
+/**
+ * Baseline rows present in a stats snapshot
+ * @param {object|null} stats - baseline_stats snapshot
+ * @returns {Array} [{ label, value }]
+ */
+function baselineRows(stats) {
+    if (!stats) return [];
+
+    return BASELINE_ROWS
+        .filter(([, field]) => stats[field] !== undefined && stats[field] !== null)
+        .map(([label, field, digits]) => ({ label, value: formatValue(stats[field], digits) }));
+}
+
+/**
+ * @param {Array} triggers - Pre-filter triggers
+ * @returns {Array} Trigger rows
+ */
+function triggerRows(triggers) {
+    return (triggers || []).map(t => ({
+        metric: t.metric,
+        severity: t.severity,
+        currentValue: t.currentValue ?? '-',
+        baselineAvg: t.baselineAvg ?? '-',
+        deviation: t.deviation ?? (t.zScore !== undefined ? `z=${t.zScore}` : '-'),
+        reason: t.reason || ''
+    }));
+}
+
+/**
+ * @param {object} row - anomalies row
+ * @returns {object} Anomaly entry
+ */
+function anomalyEntry(row) {
+    return {
+        id: row.id,
+        severity: row.severity,
+        confidence: parseFloat(row.confidence),
+        title: row.title,
+        description: row.description,
+        recommendation: row.recommendation || null,
+        historicalComparison: row.historical_comparison || null,
+        affectedMetrics: row.affected_metrics || []
+    };
+}
+
+/**
+ * @param {object} analysis - Validated analysis
+ * @returns {object|null} Assessment
+ */
+function assessmentOf(analysis) {
+    if (!analysis) return null;
+
+    return {
+        riskLevel: analysis.riskLevel || null,
+        text: analysis.overallAssessment || '',
+        monitoringPriority: analysis.monitoringPriority || null,
+        falseAlarmProbability: analysis.falseAlarmProbability ?? null
+    };
+}
+
+/**
+ * Build the export document for a stored analysis report
+ * @param {object} report - analysis_reports row (with inputs)
+ * @param {Array} anomalies - anomalies rows linked to the report
+ * @param {Array} series - time_series_data rows for the chart window
+ * @returns {object} Document
+ */
+function buildReportDocument(report, anomalies = [], series = []) {
+    const inputs = report.inputs || {};
+    const comparison = report.baseline_comparison || {};
+    const state = report.current_state || {};
+
+    const deviations = [
+        ['TVL deviation', comparison.tvl_deviation_pct, '%'],
+        ['Peg deviation', comparison.peg_deviation_pct, '%'],
+        ['Gas deviation', comparison.gas_deviation_pct, '%']
+    ].filter(([, value]) => value !== undefined && value !== null)
+        .map(([label, value, unit]) => ({ label, value: `${value}${unit}` }));
+
+    return {
+        title: `EtherFi Analysis Report #${report.id}`,
+        subtitle: `Protocol state at ${formatTime(state.timestamp || report.generated_at)}`,
+        exportedAt: new Date().toISOString(),
+        meta: [
+            { label: 'Generated', value: formatTime(report.generated_at) },
+            { label: 'Risk level', value: report.risk_level || '-' },
+            { label: 'Provider', value: report.provider || '-' },
+            { label: 'Model', value: report.model || '-' },
+            { label: 'Prompt version', value: report.prompt_version || '-' },
+            { label: 'TVL', value: `${formatValue(state.tvl_eth, 2)} ETH ($${formatValue(state.tvl_usd, 0)})` },
+            { label: 'eETH/ETH ratio', value: formatValue(state.eeth_eth_ratio, 6) },
+            { label: 'Gas price', value: `${formatValue(state.avg_gas_price_gwei, 4)} GWEI` }
+        ],
+        assessment: assessmentOf(report.analysis) || (report.overall_assessment
+            ? { riskLevel: report.risk_level, text: report.overall_assessment, monitoringPriority: null, falseAlarmProbability: null }
+            : null),
+        triggers: triggerRows(inputs.trigger_data?.triggers),
+        baseline: [...deviations, ...baselineRows(inputs.baseline_stats)],
+        anomalies: anomalies.filter(Boolean).map(anomalyEntry),
+        incident: null,
+        charts: buildCharts(series, state.timestamp || report.generated_at)
+    };
+}
+
+/**
+ * Build the export document for an anomaly and the incident it belongs to
+ * @param {object} anomaly - anomalies row
+ * @param {object|null} trigger - anomaly_triggers row that led to it
+ * @param {object|null} incident - incidents row with detections
+ * @param {Array} series - time_series_data rows for the chart window
+ * @returns {object} Document
+ */
+function buildAnomalyDocument(anomaly, trigger = null, incident = null, series = []) {
+    const claude = anomaly.claude_analysis || {};
+
+    return {
+        title: `EtherFi Anomaly #${anomaly.id}: ${anomaly.title}`,
+        subtitle: `${anomaly.severity} ${anomaly.anomaly_type} detected at ${formatTime(anomaly.detected_at)}`,
+        exportedAt: new Date().toISOString(),
+        meta: [
+            { label: 'Detected', value: formatTime(anomaly.detected_at) },
+            { label: 'Severity', value: anomaly.severity },
+            { label: 'Confidence', value: `${Math.round(parseFloat(anomaly.confidence) * 100)}%` },
+            { label: 'Status', value: anomaly.status },
+            { label: 'Provider', value: claude.provider || '-' },
+            { label: 'Model', value: claude.model || '-' },
+            { label: 'Prompt version', value: anomaly.prompt_version || '-' },
+            ...(anomaly.user_notes ? [{ label: 'Notes', value: anomaly.user_notes }] : [])
+        ],
+        assessment: claude.overallAssessment
+            ? {
+                riskLevel: claude.riskLevel || null,
+                text: claude.overallAssessment,
+                monitoringPriority: claude.monitoringPriority || null,
+                falseAlarmProbability: claude.falseAlarmProbability ?? null
+            }
+            : null,
+        triggers: triggerRows(trigger?.triggers || anomaly.raw_data?.triggers),
+        baseline: baselineRows(trigger?.baseline_stats),
+        anomalies: [anomalyEntry(anomaly)],
+        incident: incident
+            ? {
+                id: incident.id,
+                title: incident.title,
+                status: incident.status,
+                peakSeverity: incident.peak_severity,
+                firstSeenAt: formatTime(incident.first_seen_at),
+                lastSeenAt: formatTime(incident.last_seen_at),
+                detectionCount: incident.detection_count,
+                detections: (incident.detections || []).map(d => ({
+                    id: d.id,
+                    detectedAt: formatTime(d.detected_at),
+                    severity: d.severity,
+                    title: d.title,
+                    status: d.status
+                }))
+            }
+            : null,
+        charts: buildCharts(series, anomaly.detected_at)
+    };
+}
+
+/**
+ * Time window to chart around a reference time
+ * @param {Date|string} at - Report or detection time
+ * @param {number} hoursAfter - Hours to include after it
+ * @returns {object} { start, end }
+ */
+function chartWindow(at, hoursAfter = 0) {
+    const time = new Date(at).getTime();
+    return {
+        start: new Date(time - CHART_WINDOW_HOURS * 60 * 60 * 1000),
+        end: new Date(time + hoursAfter * 60 * 60 * 1000)
+    };
+}
+
+module.exports = {
+    buildReportDocument,
+    buildAnomalyDocument,
+    chartWindow,
+    formatValue,
+    formatTime,
+    CHART_WINDOW_HOURS
+};
@@ -0,0 +1,142 @@
+/**
+ * HTML Export
+ * Standalone page (inline styles, inline SVG charts) that opens offline and prints cleanly
+ */
+
+const { renderSvg } = require('../chart-renderer');
+
+const SEVERITY_COLORS = {
+    CRITICAL: '#ff003c',
+    HIGH: '#ffaa00',
+    MEDIUM: '#0088aa',
+    LOW: '#00aa55'
+};
+
+const STYLES = `
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 900px; margin: 32px auto; padding: 0 16px; line-height: 1.45; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 16px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+    h3 { font-size: 14px; margin-bottom: 4px; }
+    .subtitle { color: #666; margin-top: 0; }
+    table { border-collapse: collapse; width: 100%; font-size: 12px; margin: 8px 0; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    .severity { font-weight: bold; }
+    .chart { margin: 12px 0; }
+    footer { margin-top: 32px; color: #888; font-size: 11px; }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '-')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} severity - Severity
+ * @returns {string} Colored severity label
+ */
+function severityLabel(severity) {
+    return `<span class="severity" style="color: ${SEVERITY_COLORS[severity] || '#222'}">${escapeHtml(severity)}</span>`;
+}
+
+/**
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Rows of pre-escaped cell HTML
+ * @returns {string} Table HTML
+ */
+function table(headers, rows) {
+    return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${rows.map(row => `<tr>${row.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * Render a document as a standalone HTML page
+ * @param {object} document - export-document result
+ * @returns {string} HTML
+ */
+function render(document) {
+    const body = [
+        `<h1>${escapeHtml(document.title)}</h1>`,
+        `<p class="subtitle">${escapeHtml(document.subtitle)}</p>`,
+        table(['Field', 'Value'], document.meta.map(m => [escapeHtml(m.label), escapeHtml(m.value)]))
+    ];
+
+    if (document.assessment) {
+        const a = document.assessment;
+        body.push('<h2>Assessment</h2>');
+        if (a.riskLevel) body.push(`<p><strong>Risk level:</strong> ${severityLabel(a.riskLevel)}</p>`);
+        body.push(`<p>${escapeHtml(a.text)}</p>`);
+        if (a.monitoringPriority) body.push(`<p><strong>Monitoring priority:</strong> ${escapeHtml(a.monitoringPriority)}</p>`);
+        if (a.falseAlarmProbability !== null) body.push(`<p><strong>False alarm probability:</strong> ${escapeHtml(a.falseAlarmProbability)}</p>`);
+    }
+
+    if (document.triggers.length > 0) {
+        body.push('<h2>Triggers</h2>', table(
+            ['Metric', 'Severity', 'Current', 'Baseline', 'Deviation', 'Reason'],
+            document.triggers.map(t => [
+                escapeHtml(t.metric), severityLabel(t.severity), escapeHtml(t.currentValue),
+                escapeHtml(t.baselineAvg), escapeHtml(t.deviation), escapeHtml(t.reason)
+            ])
+        ));
+    }
+
+    if (document.baseline.length > 0) {
+        body.push('<h2>Baseline</h2>', table(['Figure', 'Value'], document.baseline.map(b => [escapeHtml(b.label), escapeHtml(b.value)])));
+    }
+
+    if (document.anomalies.length > 0) {
+        body.push('<h2>Anomalies</h2>');
+        document.anomalies.forEach(a => {
+            body.push(`<h3>${severityLabel(a.severity)} ${escapeHtml(a.title)} <small>(#${a.id}, ${Math.round(a.confidence * 100)}% confidence)</small></h3>`);
+            body.push(`<p>${escapeHtml(a.description)}</p>`);
+            if (a.affectedMetrics.length > 0) body.push(`<p><strong>Affected metrics:</strong> ${escapeHtml(a.affectedMetrics.join(', '))}</p>`);
+            if (a.historicalComparison) body.push(`<p><strong>Historical comparison:</strong> ${escapeHtml(a.historicalComparison)}</p>`);
+            if (a.recommendation) body.push(`<p><strong>Recommendation:</strong> ${escapeHtml(a.recommendation)}</p>`);
+        });
+    }
+
+    if (document.incident) {
+        const i = document.incident;
+        body.push(`<h2>Incident #${i.id}: ${escapeHtml(i.title)}</h2>`);
+        body.push(`<p>${escapeHtml(i.status)}, peak ${severityLabel(i.peakSeverity)}, ${i.detectionCount} detection(s) from ${escapeHtml(i.firstSeenAt)} to ${escapeHtml(i.lastSeenAt)}</p>`);
+        body.push(table(
+            ['Anomaly', 'Detected', 'Severity', 'Status', 'Title'],
+            i.detections.map(d => [`#${d.id}`, escapeHtml(d.detectedAt), severityLabel(d.severity), escapeHtml(d.status), escapeHtml(d.title)])
+        ));
+    }
+
+    if (document.charts.length > 0) {
+        body.push('<h2>Charts</h2>');
+        document.charts.forEach(chart => body.push(`<div class="chart">${renderSvg(chart, 860, 220)}</div>`));
+    }
+
+    body.push(`<footer>Exported ${escapeHtml(document.exportedAt)} by EtherFi Anomaly Detection</footer>`);
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(document.title)}</title>`,
+        `<style>${STYLES}</style>`,
+        '</head>',
+        `<body>${body.join('\n')}</body>`,
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    format: 'html',
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    render
+};
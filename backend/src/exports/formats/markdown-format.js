@@ -0,0 +1,101 @@
+/**
+ * Markdown Export
+ * GitHub-flavored Markdown; charts are embedded as SVG data URIs
+ */
+
+const { renderSvg } = require('../chart-renderer');
+
+/**
+ * Escape table cell content
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function cell(value) {
+    return String(value ?? '-').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Rows of cell values
+ * @returns {string[]} Table lines
+ */
+function table(headers, rows) {
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ];
+}
+
+/**
+ * Render a document as Markdown
+ * @param {object} document - export-document result
+ * @returns {string} Markdown
+ */
+function render(document) {
+    const lines = [`# ${document.title}`, '', `_${document.subtitle}_`, ''];
+
+    lines.push(...table(['Field', 'Value'], document.meta.map(m => [m.label, m.value])), '');
+
+    if (document.assessment) {
+        const a = document.assessment;
+        lines.push('## Assessment', '');
+        if (a.riskLevel) lines.push(`**Risk level:** ${a.riskLevel}`, '');
+        lines.push(a.text, '');
+        if (a.monitoringPriority) lines.push(`**Monitoring priority:** ${a.monitoringPriority}`, '');
+        if (a.falseAlarmProbability !== null) lines.push(`**False alarm probability:** ${a.falseAlarmProbability}`, '');
+    }
+
+    if (document.triggers.length > 0) {
+        lines.push('## Triggers', '');
+        lines.push(...table(
+            ['Metric', 'Severity', 'Current', 'Baseline', 'Deviation', 'Reason'],
+            document.triggers.map(t => [t.metric, t.severity, t.currentValue, t.baselineAvg, t.deviation, t.reason])
+        ), '');
+    }
+
+    if (document.baseline.length > 0) {
+        lines.push('## Baseline', '');
+        lines.push(...table(['Figure', 'Value'], document.baseline.map(b => [b.label, b.value])), '');
+    }
+
+    if (document.anomalies.length > 0) {
+        lines.push('## Anomalies', '');
+        document.anomalies.forEach(a => {
+            lines.push(`### [${a.severity}] ${a.title} (#${a.id}, ${Math.round(a.confidence * 100)}% confidence)`, '');
+            lines.push(a.description, '');
+            if (a.affectedMetrics.length > 0) lines.push(`**Affected metrics:** ${a.affectedMetrics.join(', ')}`, '');
+            if (a.historicalComparison) lines.push(`**Historical comparison:** ${a.historicalComparison}`, '');
+            if (a.recommendation) lines.push(`**Recommendation:** ${a.recommendation}`, '');
+        });
+    }
+
+    if (document.incident) {
+        const i = document.incident;
+        lines.push(`## Incident #${i.id}: ${i.title}`, '');
+        lines.push(`${i.status}, peak ${i.peakSeverity}, ${i.detectionCount} detection(s) from ${i.firstSeenAt} to ${i.lastSeenAt}`, '');
+        lines.push(...table(
+            ['Anomaly', 'Detected', 'Severity', 'Status', 'Title'],
+            i.detections.map(d => [`#${d.id}`, d.detectedAt, d.severity, d.status, d.title])
+        ), '');
+    }
+
+    if (document.charts.length > 0) {
+        lines.push('## Charts', '');
+        document.charts.forEach(chart => {
+            const svg = Buffer.from(renderSvg(chart)).toString('base64');
+            lines.push(`![${chart.title}](data:image/svg+xml;base64,${svg})`, '');
+        });
+    }
+
+    lines.push('---', `_Exported ${document.exportedAt} by EtherFi Anomaly Detection_`, '');
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    format: 'markdown',
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    render
+};
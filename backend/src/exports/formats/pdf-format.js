@@ -0,0 +1,221 @@
+/**
+ * PDF Export
+ * A4 document drawn with PDFKit; charts are vector graphics from chart-renderer
+ */
+
+const PDFDocument = require('pdfkit');
+const { drawPdfChart } = require('../chart-renderer');
+
+const MARGIN = 50;
+const CHART_HEIGHT = 150;
+
+const SEVERITY_COLORS = {
+    CRITICAL: '#ff003c',
+    HIGH: '#cc8800',
+    MEDIUM: '#0088aa',
+    LOW: '#00aa55'
+};
+
+/**
+ * Symbols outside the standard fonts' WinAnsi encoding and their ASCII stand-ins
+ */
+const SYMBOL_REPLACEMENTS = {
+    '→': '->', '←': '<-', '≥': '>=', '≤': '<=', '≈': '~', 'σ': 'sd', 'Δ': 'delta', '✓': 'OK', '✗': 'X'
+};
+
+/**
+ * Make text printable with the standard PDF fonts
+ * @param {*} value - Text
+ * @returns {string} Text limited to WinAnsi characters
+ */
+function pdfText(value) {
+    return String(value ?? '-')
+        .replace(/[→←≥≤≈σΔ✓✗]/g, symbol => SYMBOL_REPLACEMENTS[symbol])
+        .replace(/[^\u0000-\u00ff‘’“”–—•…€]/g, '?');
+}
+
+/**
+ * Start a new page if the next block does not fit
+ * @param {object} doc - PDFKit document
+ * @param {number} height - Height of the next block (pt)
+ */
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - MARGIN) {
+        doc.addPage();
+    }
+}
+
+/**
+ * @param {object} doc - PDFKit document
+ * @param {string} text - Heading
+ */
+function heading(doc, text) {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#222222').text(pdfText(text), MARGIN);
+    const y = doc.y + 2;
+    doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).strokeColor('#dddddd').stroke();
+    doc.y = y + 6;
+}
+
+/**
+ * @param {object} doc - PDFKit document
+ * @param {string} label - Bold label
+ * @param {string} text - Paragraph text
+ */
+function paragraph(doc, label, text) {
+    ensureSpace(doc, 30);
+    doc.fontSize(10).fillColor('#222222');
+    if (label) {
+        doc.font('Helvetica-Bold').text(`${pdfText(label)}: `, MARGIN, doc.y, { continued: true });
+    }
+    doc.font('Helvetica').text(pdfText(text), label ? undefined : MARGIN);
+    doc.moveDown(0.4);
+}
+
+/**
+ * Draw a table, breaking across pages between rows
+ * @param {object} doc - PDFKit document
+ * @param {Array} headers - Column headers
+ * @param {Array} widths - Column widths as fractions of the text width
+ * @param {Array} rows - Rows of cell values
+ * @param {number} severityColumn - Index of a column to color by severity (-1 for none)
+ */
+function table(doc, headers, widths, rows, severityColumn = -1) {
+    const totalWidth = doc.page.width - 2 * MARGIN;
+    const columns = widths.map(w => w * totalWidth);
+    const padding = 3;
+
+    const drawRow = (cells, header) => {
+        doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        const texts = cells.map(pdfText);
+        const height = Math.max(...texts.map((text, i) => doc.heightOfString(text, { width: columns[i] - 2 * padding }))) + 2 * padding;
+
+        ensureSpace(doc, height);
+        const top = doc.y;
+        let x = MARGIN;
+
+        if (header) {
+            doc.rect(MARGIN, top, totalWidth, height).fill('#f2f2f2');
+        }
+
+        texts.forEach((text, i) => {
+            const color = !header && i === severityColumn ? (SEVERITY_COLORS[cells[i]] || '#222222') : '#222222';
+            doc.fillColor(color).text(text, x + padding, top + padding, { width: columns[i] - 2 * padding });
+            x += columns[i];
+        });
+
+        doc.moveTo(MARGIN, top + height).lineTo(MARGIN + totalWidth, top + height).lineWidth(0.5).strokeColor('#dddddd').stroke();
+        doc.y = top + height;
+    };
+
+    drawRow(headers, true);
+    rows.forEach(row => drawRow(row, false));
+    doc.x = MARGIN;
+    doc.moveDown(0.4);
+}
+
+/**
+ * Render a document as a PDF
+ * @param {object} document - export-document result
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function render(document) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: MARGIN,
+            info: { Title: pdfText(document.title), Author: 'EtherFi Anomaly Detection' }
+        });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.font('Helvetica-Bold').fontSize(18).fillColor('#222222').text(pdfText(document.title));
+        doc.font('Helvetica').fontSize(10).fillColor('#666666').text(pdfText(document.subtitle));
+        doc.moveDown(0.6);
+
+        table(doc, ['Field', 'Value'], [0.3, 0.7], document.meta.map(m => [m.label, m.value]));
+
+        if (document.assessment) {
+            const a = document.assessment;
+            heading(doc, 'Assessment');
+            if (a.riskLevel) paragraph(doc, 'Risk level', a.riskLevel);
+            paragraph(doc, null, a.text);
+            if (a.monitoringPriority) paragraph(doc, 'Monitoring priority', a.monitoringPriority);
+            if (a.falseAlarmProbability !== null) paragraph(doc, 'False alarm probability', a.falseAlarmProbability);
+        }
+
+        if (document.triggers.length > 0) {
+            heading(doc, 'Triggers');
+            table(
+                doc,
+                ['Metric', 'Severity', 'Current', 'Baseline', 'Deviation', 'Reason'],
+                [0.14, 0.11, 0.13, 0.13, 0.12, 0.37],
+                document.triggers.map(t => [t.metric, t.severity, t.currentValue, t.baselineAvg, t.deviation, t.reason]),
+                1
+            );
+        }
+
+        if (document.baseline.length > 0) {
+            heading(doc, 'Baseline');
+            table(doc, ['Figure', 'Value'], [0.5, 0.5], document.baseline.map(b => [b.label, b.value]));
+        }
+
+        if (document.anomalies.length > 0) {
+            heading(doc, 'Anomalies');
+            document.anomalies.forEach(a => {
+                ensureSpace(doc, 60);
+                doc.font('Helvetica-Bold').fontSize(11).fillColor(SEVERITY_COLORS[a.severity] || '#222222')
+                    .text(pdfText(`[${a.severity}] ${a.title}`), MARGIN);
+                doc.font('Helvetica').fontSize(8).fillColor('#666666')
+                    .text(`#${a.id}, ${Math.round(a.confidence * 100)}% confidence`);
+                doc.moveDown(0.3);
+                paragraph(doc, null, a.description);
+                if (a.affectedMetrics.length > 0) paragraph(doc, 'Affected metrics', a.affectedMetrics.join(', '));
+                if (a.historicalComparison) paragraph(doc, 'Historical comparison', a.historicalComparison);
+                if (a.recommendation) paragraph(doc, 'Recommendation', a.recommendation);
+            });
+        }
+
+        if (document.incident) {
+            const i = document.incident;
+            heading(doc, `Incident #${i.id}: ${i.title}`);
+            paragraph(doc, null, `${i.status}, peak ${i.peakSeverity}, ${i.detectionCount} detection(s) from ${i.firstSeenAt} to ${i.lastSeenAt}`);
+            table(
+                doc,
+                ['Anomaly', 'Detected', 'Severity', 'Status', 'Title'],
+                [0.1, 0.22, 0.12, 0.14, 0.42],
+                i.detections.map(d => [`#${d.id}`, d.detectedAt, d.severity, d.status, d.title]),
+                2
+            );
+        }
+
+        if (document.charts.length > 0) {
+            // Keep the heading with the first chart
+            ensureSpace(doc, CHART_HEIGHT + 50);
+            heading(doc, 'Charts');
+            const width = doc.page.width - 2 * MARGIN;
+            document.charts.forEach(chart => {
+                ensureSpace(doc, CHART_HEIGHT);
+                drawPdfChart(doc, chart, MARGIN, doc.y, width, CHART_HEIGHT);
+                doc.moveDown(0.8);
+            });
+        }
+
+        doc.moveDown(1);
+        doc.font('Helvetica').fontSize(8).fillColor('#888888')
+            .text(`Exported ${document.exportedAt} by EtherFi Anomaly Detection`, MARGIN);
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    format: 'pdf',
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    render
+};
@@ -0,0 +1,43 @@
+/**
+ * Report Exporter
+ * Renders export documents (export-document.js) as Markdown, standalone HTML or PDF
+ *
+ * Format interface:
+ *   format       {string}   Name used in ?format=
+ *   contentType  {string}   Response Content-Type
+ *   extension    {string}   File extension
+ *   render       {Function} (document) => string | Buffer | Promise<Buffer>
+ */
+
+const EXPORT_FORMATS = {
+    markdown: require('./formats/markdown-format'),
+    html: require('./formats/html-format'),
+    pdf: require('./formats/pdf-format')
+};
+
+/**
+ * Render a document in one format
+ * @param {object} document - export-document result
+ * @param {string} format - markdown, html or pdf
+ * @param {string} basename - File name without extension
+ * @returns {Promise<object>} { body, contentType, filename }
+ */
+async function exportDocument(document, format, basename) {
+    // Own keys only, so names like "constructor" are rejected rather than inherited
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        throw new Error(`Unknown export format: ${format}. Valid: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const exporter = EXPORT_FORMATS[format];
+
+    return {
+        body: await exporter.render(document),
+        contentType: exporter.contentType,
+        filename: `${basename}.${exporter.extension}`
+    };
+}
+
+module.exports = {
+    exportDocument,
+    EXPORT_FORMATS
+};
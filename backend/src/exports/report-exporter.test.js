@@ -0,0 +1,86 @@
+/**
+ * Report Exporter tests: Markdown, HTML and PDF documents
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildAnomalyDocument, buildReportDocument } = require('./export-document');
+const { exportDocument } = require('./report-exporter');
+
+const t0 = new Date('2026-03-01T00:00:00Z').getTime();
+const series = Array.from({ length: 48 }, (_, i) => ({
+    timestamp: new Date(t0 + i * 30 * 60 * 1000),
+    tvl_eth: 2500000 + i * 100,
+    eeth_eth_ratio: i < 40 ? 0.999 : 0.995,
+    avg_gas_price_gwei: 1 + (i % 5) / 10
+}));
+const detectedAt = new Date(t0 + 40 * 30 * 60 * 1000);
+
+const anomaly = {
+    id: 41,
+    detected_at: detectedAt,
+    anomaly_type: 'peg_deviation',
+    severity: 'HIGH',
+    confidence: '0.820',
+    title: 'Peg <script>alert(1)</script> drift',
+    description: 'eETH/ETH moved 0.4% below parity → watch liquidity',
+    affected_metrics: ['eeth_eth_ratio'],
+    recommendation: 'Check Curve pool depth',
+    status: 'active',
+    prompt_version: 'analyst-v2',
+    claude_analysis: { provider: 'offline', model: 'offline-rules', overallAssessment: 'Peg under moderate stress', riskLevel: 'HIGH' },
+    raw_data: { triggers: [] }
+};
+const trigger = {
+    triggers: [{ metric: 'peg', severity: 'HIGH', currentValue: '0.995000', baselineAvg: '0.999000', deviation: '0.400%', reason: 'Peg | below parity' }],
+    baseline_stats: { tvl_avg: 2490000, peg_avg: 0.999, gas_avg: 1.2, period_days: 30, data_points: 8640 }
+};
+const incident = {
+    id: 3, title: 'Peg stress', status: 'open', peak_severity: 'HIGH',
+    first_seen_at: detectedAt, last_seen_at: detectedAt, detection_count: 1,
+    detections: [{ id: 41, detected_at: detectedAt, severity: 'HIGH', title: 'Peg drift', status: 'active' }]
+};
+const document = buildAnomalyDocument(anomaly, trigger, incident, series);
+
+test('anomaly document has one chart per metric', () => {
+    assert.equal(document.charts.length, 3);
+});
+
+test('Markdown export has triggers, incident and embedded charts', async () => {
+    const markdown = (await exportDocument(document, 'markdown', 'anomaly')).body;
+
+    assert.ok(markdown.includes('| peg | HIGH | 0.995000 | 0.999000 | 0.400% | Peg \\| below parity |'));
+    assert.ok(markdown.includes('data:image/svg+xml;base64,'));
+    assert.ok(markdown.includes('## Incident #3'));
+});
+
+test('HTML export escapes text and inlines the charts', async () => {
+    const html = (await exportDocument(document, 'html', 'anomaly')).body;
+
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('&lt;script&gt;'));
+    assert.equal((html.match(/<svg /g) || []).length, 3);
+});
+
+test('PDF export', async () => {
+    const pdf = await exportDocument(document, 'pdf', 'anomaly');
+
+    assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(pdf.contentType, 'application/pdf');
+    assert.equal(pdf.filename, 'anomaly.pdf');
+});
+
+test('unknown and inherited format names are rejected', async () => {
+    for (const format of ['docx', 'constructor', 'toString']) {
+        await assert.rejects(exportDocument(document, format, 'anomaly'), /Unknown export format/);
+    }
+});
+
+test('a report without inputs or data still exports', () => {
+    const reportDocument = buildReportDocument({ id: 8, generated_at: detectedAt, overall_assessment: 'Quiet' });
+
+    assert.equal(reportDocument.assessment.text, 'Quiet');
+    assert.equal(reportDocument.charts.length, 0);
+    assert.equal(reportDocument.triggers.length, 0);
+});
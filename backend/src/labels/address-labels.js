@@ -0,0 +1,137 @@
+/**
+ * Address Labels
+ * Registry of known addresses (exchanges, DeFi protocols, bridges, multisigs, EtherFi contracts)
+ *
+ * Labels live in address_labels. config/address-labels.json seeds it on startup; seeding
+ * only adds addresses that have no label yet, so edits made through /api/labels stick.
+ * Whale snapshots, detector triggers (and so the analyst prompt) and the dashboard show
+ * labels instead of hex addresses
+ */
+
+const path = require('path');
+const queries = require('../database/queries');
+const logger = require('../utils/logger');
+
+const SEED_FILE = path.join(__dirname, '../../config/address-labels.json');
+
+const LABEL_CATEGORIES = {
+    exchange: 'Centralized exchange wallet',
+    defi: 'DeFi protocol contract',
+    bridge: 'Cross-chain bridge',
+    multisig: 'Multisig or DAO wallet',
+    etherfi: 'EtherFi treasury or protocol contract',
+    fund: 'Fund, market maker or known individual',
+    other: 'Anything else worth naming'
+};
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+/**
+ * In-memory cache of all labels by address (cleared whenever labels change through the API)
+ */
+let labelCache = {
+    labels: new Map(),
+    loadedAt: null
+};
+
+/**
+ * Validate and normalize a label
+ * @param {object} input - { address, name, category, notes }
+ * @param {object} options - { requireAddress = true }
+ * @returns {object} { valid, errors, label }
+ */
+function validateLabel(input, options = {}) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+        return { valid: false, errors: ['Label must be an object'], label: null };
+    }
+
+    const requireAddress = options.requireAddress !== false;
+    if (requireAddress && (typeof input.address !== 'string' || !ADDRESS_PATTERN.test(input.address))) {
+        errors.push('address must be a 0x-prefixed 20-byte hex address');
+    }
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.trim().length > 100) {
+        errors.push('name is required (max 100 characters)');
+    }
+    if (!Object.prototype.hasOwnProperty.call(LABEL_CATEGORIES, input.category)) {
+        errors.push(`category must be one of: ${Object.keys(LABEL_CATEGORIES).join(', ')}`);
+    }
+    if (input.notes !== undefined && input.notes !== null && typeof input.notes !== 'string') {
+        errors.push('notes must be a string');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        label: {
+            address: typeof input.address === 'string' ? input.address.toLowerCase() : null,
+            name: typeof input.name === 'string' ? input.name.trim() : input.name,
+            category: input.category,
+            notes: input.notes ?? null
+        }
+    };
+}
+
+/**
+ * Add labels from the seed file for addresses without one
+ * @returns {Promise<number>} Labels added
+ */
+async function seedLabels() {
+    const seeds = require(SEED_FILE);
+    const labels = [];
+
+    seeds.forEach(seed => {
+        const { valid, errors, label } = validateLabel(seed);
+        if (valid) {
+            labels.push(label);
+        } else {
+            logger.warn('Skipping invalid seed label', { address: seed.address, errors });
+        }
+    });
+
+    const added = await queries.insertMissingAddressLabels(labels);
+    if (added > 0) {
+        invalidateLabelCache();
+    }
+
+    logger.info('Address labels seeded', { seeds: labels.length, added });
+    return added;
+}
+
+/**
+ * All labels by lowercase address, cached for a minute
+ * @returns {Promise<Map>} address -> address_labels row
+ */
+async function getLabelMap() {
+    if (labelCache.loadedAt !== null && Date.now() - labelCache.loadedAt < CACHE_TTL) {
+        return labelCache.labels;
+    }
+
+    try {
+        const rows = await queries.getAddressLabels();
+        labelCache = { labels: new Map(rows.map(row => [row.address, row])), loadedAt: Date.now() };
+    } catch (error) {
+        // Unlabeled output is better than failing the caller
+        logger.warn('Failed to load address labels', { error: error.message });
+    }
+
+    return labelCache.labels;
+}
+
+/**
+ * Clear the label cache
+ */
+function invalidateLabelCache() {
+    labelCache.loadedAt = null;
+}
+
+module.exports = {
+    validateLabel,
+    seedLabels,
+    getLabelMap,
+    invalidateLabelCache,
+    LABEL_CATEGORIES
+};
@@ -0,0 +1,96 @@
+/**
+ * Address Label registry tests: validation, seeding and labels on whale records and triggers
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const addressLabels = require('./address-labels');
+const whalesRoutes = require('../api/routes/whales');
+const { analyzeStatisticalAnomalies, getThresholds } = require('../analysis/statistical-prefilter');
+const queries = require('../database/queries');
+const { callRoute, stubQueries } = require('../utils/harness');
+
+const binance = '0x28c6c06298d514db089934071355e5743bf21d60';
+
+// In-memory address_labels table
+const table = new Map();
+const restore = stubQueries(queries, {
+    getAddressLabels: async (category = null) =>
+        [...table.values()].filter(label => !category || label.category === category),
+    insertMissingAddressLabels: async labels => {
+        const missing = labels.filter(label => !table.has(label.address));
+        missing.forEach(label => table.set(label.address, { ...label, source: 'seed' }));
+        return missing.length;
+    },
+    updateAddressLabel: async (address, label) => {
+        table.set(address, { ...table.get(address), ...label, source: 'api' });
+        return table.get(address);
+    }
+});
+
+after(() => {
+    restore();
+    addressLabels.invalidateLabelCache();
+});
+
+test('validation normalizes addresses and names and rejects bad fields', () => {
+    const good = addressLabels.validateLabel({ address: '0x28C6c06298d514Db089934071355E5743bf21d60', name: '  Binance 14 ', category: 'exchange' });
+    const bad = addressLabels.validateLabel({ address: '0x123', name: '', category: 'casino' });
+
+    assert.ok(good.valid);
+    assert.equal(good.label.address, binance);
+    assert.equal(good.label.name, 'Binance 14');
+    assert.equal(bad.valid, false);
+    assert.equal(bad.errors.length, 3);
+});
+
+test('seeding fills an empty registry without overwriting edits', async () => {
+    const seeded = await addressLabels.seedLabels();
+    await queries.updateAddressLabel(binance, { name: 'Binance Hot Wallet 14' });
+    const reseeded = await addressLabels.seedLabels();
+
+    assert.ok(seeded > 0);
+    assert.equal(seeded, table.size);
+    assert.equal(reseeded, 0);
+    assert.equal(table.get(binance).name, 'Binance Hot Wallet 14');
+});
+
+const whale = {
+    wallet_address: binance,
+    timestamp: new Date(),
+    rank_position: 2,
+    eeth_balance: '20000',
+    percentage_of_total: '2',
+    balance_change_24h: '-12000',
+    moved_since_previous: true,
+    is_contract: false,
+    label: 'Binance Hot Wallet 14',
+    label_category: 'exchange'
+};
+
+test('a labelled whale is named in the detector reason', async () => {
+    const result = await analyzeStatisticalAnomalies({ timestamp: whale.timestamp }, { data_points: 0 }, null, {
+        thresholds: getThresholds(),
+        whaleData: [whale]
+    });
+    const trigger = result.triggers.find(t => t.metric === 'whale_movement');
+
+    assert.equal(trigger?.label, 'Binance Hot Wallet 14');
+    assert.equal(trigger.labelCategory, 'exchange');
+    assert.ok(trigger.reason.startsWith('Binance Hot Wallet 14 (exchange, #2 holder) moved out 12000.00 eETH'), trigger.reason);
+});
+
+test('whale records show the current registry label over the stored one', async () => {
+    const restoreWhales = stubQueries(queries, { getCurrentTopWhales: async () => [{ ...whale, label: 'Old name' }] });
+
+    try {
+        addressLabels.invalidateLabelCache();
+        const whales = await callRoute(whalesRoutes, '/', { query: {} });
+
+        assert.equal(whales.body.whales[0].label, 'Binance Hot Wallet 14');
+        assert.equal(whales.body.whales[0].label_category, 'exchange');
+    } finally {
+        restoreWhales();
+    }
+});
@@ -0,0 +1,52 @@
+/**
+ * Test Harness
+ * Helpers for the unit tests: direct route calls and stubbed queries (no server or database required)
+ */
+
+/**
+ * Call a handler of an Express router with a fake response
+ * @param {object} router - Express router
+ * @param {string} path - Route path as declared (e.g. '/reports/:id')
+ * @param {object} req - { params, query, body, method } (method defaults to GET)
+ * @returns {Promise<object>} { status, body, headers }
+ */
+async function callRoute(router, path, req = {}) {
+    const method = (req.method || 'GET').toLowerCase();
+    const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+    if (!layer) {
+        throw new Error(`No ${method.toUpperCase()} ${path} route`);
+    }
+
+    const response = { status: 200, body: null, headers: {} };
+    const res = {
+        status(code) { response.status = code; return res; },
+        json(body) { response.body = body; return res; },
+        set(name, value) { response.headers[name] = value; return res; },
+        send(body) { response.body = body; return res; },
+        end() { return res; }
+    };
+
+    await layer.route.stack[0].handle({ params: {}, query: {}, ...req }, res);
+    return response;
+}
+
+/**
+ * Replace query functions for a test and get a function restoring the originals
+ * @param {object} queries - Queries module
+ * @param {object} stubs - Replacement functions keyed by query name
+ * @returns {Function} Restore function
+ */
+function stubQueries(queries, stubs) {
+    const originals = {};
+    Object.keys(stubs).forEach(name => {
+        originals[name] = queries[name];
+    });
+    Object.assign(queries, stubs);
+
+    return () => Object.assign(queries, originals);
+}
+
+module.exports = {
+    callRoute,
+    stubQueries
+};
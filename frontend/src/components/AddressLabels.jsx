@@ -0,0 +1,272 @@
+/**
+ * Address Labels Panel
+ * Lists the address label registry and lets operators add, rename, recategorize and delete labels
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { labelsApi } from '../services/api';
+import { CATEGORY_BADGES, shortAddress } from './WhalePanel';
+
+const EMPTY_FORM = { address: '', name: '', category: 'exchange', notes: '' };
+
+const inputClass = 'px-2 py-1 bg-terminal-bg border border-terminal-border text-terminal-text text-xs font-mono outline-none focus:border-terminal-accent';
+
+const errorMessage = (err, fallback) => {
+  const data = err.response?.data;
+  if (data?.details?.length) return `${data.message}: ${data.details.join('; ')}`;
+  return data?.message || fallback;
+};
+
+export default function AddressLabels({ onChange }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [labels, setLabels] = useState([]);
+  const [categories, setCategories] = useState({});
+  const [filter, setFilter] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadLabels = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await labelsApi.getAll(filter || null);
+      setLabels(response.data.labels);
+      setCategories(response.data.categories);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load address labels'));
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    if (isExpanded) {
+      loadLabels();
+    }
+  }, [isExpanded, loadLabels]);
+
+  const handleField = (field, value) => {
+    setMessage(null);
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const startEdit = (label) => {
+    setEditing(label.address);
+    setForm({ address: label.address, name: label.name, category: label.category, notes: label.notes || '' });
+    setMessage(null);
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const saveLabel = async () => {
+    const label = {
+      name: form.name,
+      category: form.category,
+      notes: form.notes.trim() || null
+    };
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      if (editing) {
+        await labelsApi.update(editing, label);
+        setMessage(`Updated ${form.name}`);
+      } else {
+        await labelsApi.create({ ...label, address: form.address.trim() });
+        setMessage(`Added ${form.name}`);
+      }
+      resetForm();
+      await loadLabels();
+      onChange?.();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save address label'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteLabel = async (label) => {
+    if (!window.confirm(`Delete the label "${label.name}"?`)) return;
+
+    setError(null);
+
+    try {
+      await labelsApi.remove(label.address);
+      setMessage(`Deleted ${label.name}`);
+      if (editing === label.address) resetForm();
+      await loadLabels();
+      onChange?.();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete address label'));
+    }
+  };
+
+  const canSave = form.name.trim() && (editing || form.address.trim()) && !saving;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mb-6"
+    >
+      <div className="terminal-card chrome-effect p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="font-display font-bold text-terminal-text mb-1">
+              ADDRESS LABELS
+            </h3>
+            <p className="text-xs text-terminal-muted font-mono">
+              Names shown for known exchanges, protocols and bridges
+            </p>
+          </div>
+
+          <button
+            onClick={() => setIsExpanded(!isExpanded)}
+            className="text-terminal-accent hover:text-terminal-accent/70 transition-colors"
+          >
+            <span className="text-lg font-mono">
+              {isExpanded ? '[-]' : '[+]'}
+            </span>
+          </button>
+        </div>
+
+        <AnimatePresence>
+          {isExpanded && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+              className="mt-4 pt-4 border-t border-terminal-border/30"
+            >
+              {/* Add / edit form */}
+              <div className="flex flex-wrap items-center gap-3">
+                <input
+                  type="text"
+                  placeholder="0x address"
+                  value={form.address}
+                  disabled={!!editing}
+                  onChange={(e) => handleField('address', e.target.value)}
+                  className={`${inputClass} w-[360px] ${editing ? 'opacity-50' : ''}`}
+                />
+                <input
+                  type="text"
+                  placeholder="Name"
+                  value={form.name}
+                  maxLength={100}
+                  onChange={(e) => handleField('name', e.target.value)}
+                  className={inputClass}
+                />
+                <select
+                  value={form.category}
+                  onChange={(e) => handleField('category', e.target.value)}
+                  className={inputClass}
+                >
+                  {Object.entries(categories).map(([category, description]) => (
+                    <option key={category} value={category} title={description}>{category}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  placeholder="Notes (optional)"
+                  value={form.notes}
+                  onChange={(e) => handleField('notes', e.target.value)}
+                  className={`${inputClass} flex-1 min-w-[160px]`}
+                />
+                {editing && (
+                  <button onClick={resetForm} disabled={saving} className="btn-terminal text-xs">
+                    CANCEL
+                  </button>
+                )}
+                <button
+                  onClick={saveLabel}
+                  disabled={!canSave}
+                  className={`btn-terminal text-xs ${canSave ? '' : 'opacity-50 cursor-not-allowed'}`}
+                >
+                  {saving ? 'SAVING...' : editing ? 'UPDATE' : 'ADD'}
+                </button>
+              </div>
+
+              {message && (
+                <div className="mt-3 text-xs text-terminal-success font-mono">✓ {message}</div>
+              )}
+
+              {error && (
+                <div className="mt-3 p-3 bg-terminal-critical/10 border border-terminal-critical/30 rounded">
+                  <div className="text-xs text-terminal-critical font-mono">✗ {error}</div>
+                </div>
+              )}
+
+              {/* Registry */}
+              <div className="mt-4 flex items-center justify-between">
+                <div className="text-xs font-bold text-terminal-accent font-mono">
+                  {labels.length} LABEL{labels.length === 1 ? '' : 'S'}
+                </div>
+                <select
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">all categories</option>
+                  {Object.keys(categories).map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+              </div>
+
+              {labels.length > 0 && (
+                <div className="mt-2 max-h-80 overflow-y-auto pr-2">
+                  <table className="w-full text-xs font-mono">
+                    <thead>
+                      <tr className="text-terminal-muted text-left">
+                        <th className="py-1">NAME</th>
+                        <th className="py-1">ADDRESS</th>
+                        <th className="py-1">SOURCE</th>
+                        <th className="py-1 text-right"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {labels.map(label => (
+                        <tr
+                          key={label.address}
+                          className={`border-t border-terminal-border/20 ${editing === label.address ? 'bg-terminal-accent/10' : ''}`}
+                        >
+                          <td className="py-1 text-terminal-text" title={label.notes || undefined}>
+                            <span>{label.name}</span>
+                            <span className={`ml-2 px-1.5 py-0.5 rounded border text-[10px] uppercase ${CATEGORY_BADGES[label.category] || CATEGORY_BADGES.multisig}`}>
+                              {label.category}
+                            </span>
+                          </td>
+                          <td className="py-1 text-terminal-muted" title={label.address}>{shortAddress(label.address)}</td>
+                          <td className="py-1 text-terminal-muted">{label.source}</td>
+                          <td className="py-1 text-right whitespace-nowrap">
+                            <button
+                              onClick={() => startEdit(label)}
+                              className="text-terminal-accent hover:text-terminal-accent/70 mr-3"
+                            >
+                              EDIT
+                            </button>
+                            <button
+                              onClick={() => deleteLabel(label)}
+                              className="text-terminal-critical hover:text-terminal-critical/70"
+                            >
+                              DELETE
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </motion.div>
+  );
+}
@@ -1,7 +1,57 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import { anomaliesApi } from '../services/api';
+import ExportButtons from './ExportButtons';
+
+const statusLabels = {
+  active: { label: 'ACTIVE', textColor: 'text-terminal-warning' },
+  resolved: { label: 'RESOLVED', textColor: 'text-terminal-success' },
+  false_positive: { label: 'FALSE POSITIVE', textColor: 'text-terminal-muted' }
+};
 
 function AnomalyCard({ anomaly, index }) {
+  // Local copy of the triage fields so the card updates before the WebSocket refetch lands
+  const [triage, setTriage] = useState({
+    status: anomaly.status || 'active',
+    user_acknowledged: !!anomaly.user_acknowledged,
+    user_notes: anomaly.user_notes || ''
+  });
+  const [notesDraft, setNotesDraft] = useState(anomaly.user_notes || '');
+  const [showNotes, setShowNotes] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [triageError, setTriageError] = useState(null);
+
+  useEffect(() => {
+    setTriage({
+      status: anomaly.status || 'active',
+      user_acknowledged: !!anomaly.user_acknowledged,
+      user_notes: anomaly.user_notes || ''
+    });
+  }, [anomaly.status, anomaly.user_acknowledged, anomaly.user_notes]);
+
+  const updateTriage = async (changes) => {
+    if (!anomaly.id || saving) return;
+
+    setSaving(true);
+    setTriageError(null);
+    try {
+      const res = await anomaliesApi.update(anomaly.id, changes);
+      const updated = res.data.anomaly;
+      setTriage({
+        status: updated.status,
+        user_acknowledged: !!updated.user_acknowledged,
+        user_notes: updated.user_notes || ''
+      });
+      if (changes.notes !== undefined) {
+        setShowNotes(false);
+      }
+    } catch (err) {
+      setTriageError(err.response?.data?.message || 'Failed to update anomaly');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const severityConfig = {
     CRITICAL: {
       class: 'anomaly-critical',
@@ -34,6 +84,8 @@ function AnomalyCard({ anomaly, index }) {
   };
 
   const config = severityConfig[anomaly.severity] || severityConfig.MEDIUM;
+  const statusConfig = statusLabels[triage.status] || statusLabels.active;
+  const isActive = triage.status === 'active';
 
   const formatTimestamp = (timestamp) => {
     const date = new Date(timestamp);
@@ -68,6 +120,10 @@ function AnomalyCard({ anomaly, index }) {
             </div>
             <div className="text-xs text-terminal-muted font-mono">
               {formatTimestamp(anomaly.detected_at)}
+              <span className={`ml-2 ${statusConfig.textColor}`}>· {statusConfig.label}</span>
+              {triage.user_acknowledged && (
+                <span className="ml-2 text-terminal-accent">· ACK</span>
+              )}
             </div>
           </div>
         </div>
@@ -140,6 +196,94 @@ function AnomalyCard({ anomaly, index }) {
         </details>
       )}
 
+      {/* Triage */}
+      {anomaly.id && (
+        <div className="mt-3 pt-3 border-t border-terminal-border/30">
+          <div className="flex flex-wrap gap-2">
+            {!triage.user_acknowledged && (
+              <button
+                onClick={() => updateTriage({ acknowledged: true })}
+                disabled={saving}
+                className="px-2 py-1 text-[10px] font-mono font-bold tracking-wider border border-terminal-accent text-terminal-accent hover:bg-terminal-accent hover:text-terminal-bg transition-colors disabled:opacity-50"
+              >
+                ACKNOWLEDGE
+              </button>
+            )}
+            {isActive ? (
+              <>
+                <button
+                  onClick={() => updateTriage({ status: 'resolved' })}
+                  disabled={saving}
+                  className="px-2 py-1 text-[10px] font-mono font-bold tracking-wider border border-terminal-success text-terminal-success hover:bg-terminal-success hover:text-terminal-bg transition-colors disabled:opacity-50"
+                >
+                  RESOLVE
+                </button>
+                <button
+                  onClick={() => updateTriage({ status: 'false_positive' })}
+                  disabled={saving}
+                  className="px-2 py-1 text-[10px] font-mono font-bold tracking-wider border border-terminal-muted text-terminal-muted hover:bg-terminal-muted hover:text-terminal-bg transition-colors disabled:opacity-50"
+                >
+                  FALSE POSITIVE
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => updateTriage({ status: 'active' })}
+                disabled={saving}
+                className="px-2 py-1 text-[10px] font-mono font-bold tracking-wider border border-terminal-warning text-terminal-warning hover:bg-terminal-warning hover:text-terminal-bg transition-colors disabled:opacity-50"
+              >
+                REOPEN
+              </button>
+            )}
+            <button
+              onClick={() => {
+                setNotesDraft(triage.user_notes);
+                setShowNotes(!showNotes);
+              }}
+              className="px-2 py-1 text-[10px] font-mono font-bold tracking-wider text-terminal-accent hover:text-terminal-accent/80"
+            >
+              {showNotes ? '[-]' : '[+]'} NOTES
+            </button>
+          </div>
+
+          <div className="mt-2">
+            <ExportButtons getUrl={format => anomaliesApi.exportUrl(anomaly.id, format)} />
+          </div>
+
+          {triage.user_notes && !showNotes && (
+            <p className="mt-2 text-xs text-terminal-muted font-mono whitespace-pre-wrap">
+              {triage.user_notes}
+            </p>
+          )}
+
+          {showNotes && (
+            <div className="mt-2 flex flex-col gap-2">
+              <textarea
+                value={notesDraft}
+                onChange={(e) => setNotesDraft(e.target.value)}
+                rows={3}
+                maxLength={2000}
+                placeholder="Add triage notes"
+                className="w-full px-2 py-1 bg-terminal-bg border border-terminal-border text-terminal-text text-xs font-mono outline-none focus:border-terminal-accent"
+              />
+              <button
+                onClick={() => updateTriage({ notes: notesDraft })}
+                disabled={saving}
+                className={`btn-terminal text-xs self-start ${saving ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                {saving ? 'SAVING...' : 'SAVE NOTES'}
+              </button>
+            </div>
+          )}
+
+          {triageError && (
+            <div className="mt-2 text-xs text-terminal-critical font-mono">
+              ✗ {triageError}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Animated Corner Accent */}
       <div className={`absolute bottom-0 left-0 w-16 h-16 border-b-2 border-l-2 ${config.borderColor}/30 transition-all duration-300 group-hover:w-20 group-hover:h-20`}></div>
     </motion.div>
@@ -1,28 +1,31 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import AnomalyCard from './AnomalyCard';
+import IncidentCard from './IncidentCard';
 
-function AnomalyFeed({ anomalies = [] }) {
+function AnomalyFeed({ incidents = [] }) {
   const [filterSeverity, setFilterSeverity] = useState('all');
   const [isExpanded, setIsExpanded] = useState(true);
 
   const severityOrder = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
 
-  // Filter and sort anomalies
-  const filteredAnomalies = anomalies
-    .filter(a => filterSeverity === 'all' || a.severity === filterSeverity)
+  // Filter and sort incidents
+  const filteredIncidents = incidents
+    .filter(i => filterSeverity === 'all' || i.peak_severity === filterSeverity)
     .sort((a, b) => {
-      // Sort by severity first, then by timestamp
-      const severityDiff = severityOrder[a.severity] - severityOrder[b.severity];
+      // Open incidents first, then by peak severity, then by latest detection
+      if (a.status !== b.status) return a.status === 'open' ? -1 : 1;
+      const severityDiff = severityOrder[a.peak_severity] - severityOrder[b.peak_severity];
       if (severityDiff !== 0) return severityDiff;
-      return new Date(b.detected_at) - new Date(a.detected_at);
+      return new Date(b.last_seen_at) - new Date(a.last_seen_at);
     });
 
-  const severityCounts = anomalies.reduce((acc, a) => {
-    acc[a.severity] = (acc[a.severity] || 0) + 1;
+  const severityCounts = incidents.reduce((acc, i) => {
+    acc[i.peak_severity] = (acc[i.peak_severity] || 0) + 1;
     return acc;
   }, {});
 
+  const openCount = incidents.filter(i => i.status === 'open').length;
+
   const filterButtons = [
     { value: 'all', label: 'ALL', color: 'terminal-accent' },
     { value: 'CRITICAL', label: 'CRITICAL', color: 'terminal-critical' },
@@ -31,7 +34,7 @@ function AnomalyFeed({ anomalies = [] }) {
     { value: 'LOW', label: 'LOW', color: 'terminal-success' }
   ];
 
-  if (anomalies.length === 0) {
+  if (incidents.length === 0) {
     return (
       <div className="terminal-card chrome-effect">
         <div className="flex items-center justify-between mb-4">
@@ -66,7 +69,7 @@ function AnomalyFeed({ anomalies = [] }) {
             className="w-2 h-2 rounded-full bg-terminal-critical"
           />
           <span className="text-sm text-terminal-muted font-mono">
-            {filteredAnomalies.length} {filteredAnomalies.length === 1 ? 'ALERT' : 'ALERTS'}
+            {openCount} OPEN / {incidents.length} {incidents.length === 1 ? 'INCIDENT' : 'INCIDENTS'}
           </span>
         </div>
 
@@ -84,7 +87,7 @@ function AnomalyFeed({ anomalies = [] }) {
       <div className="flex flex-wrap gap-2 mb-4 pb-4 border-b border-terminal-border/30">
         {filterButtons.map(btn => {
           const count = btn.value === 'all'
-            ? anomalies.length
+            ? incidents.length
             : (severityCounts[btn.value] || 0);
           const isActive = filterSeverity === btn.value;
 
@@ -116,7 +119,7 @@ function AnomalyFeed({ anomalies = [] }) {
         })}
       </div>
 
-      {/* Anomaly List */}
+      {/* Incident List */}
       <AnimatePresence mode="popLayout">
         {isExpanded && (
           <motion.div
@@ -125,17 +128,17 @@ function AnomalyFeed({ anomalies = [] }) {
             exit={{ opacity: 0, height: 0 }}
             className="space-y-4 max-h-[600px] overflow-y-auto pr-2"
           >
-            {filteredAnomalies.length === 0 ? (
+            {filteredIncidents.length === 0 ? (
               <div className="text-center py-8">
                 <div className="text-terminal-muted mb-2">
-                  No {filterSeverity.toLowerCase()} anomalies found
+                  No {filterSeverity.toLowerCase()} incidents found
                 </div>
               </div>
             ) : (
-              filteredAnomalies.map((anomaly, index) => (
-                <AnomalyCard
-                  key={anomaly.id || index}
-                  anomaly={anomaly}
+              filteredIncidents.map((incident, index) => (
+                <IncidentCard
+                  key={incident.id || index}
+                  incident={incident}
                   index={index}
                 />
               ))
@@ -145,7 +148,7 @@ function AnomalyFeed({ anomalies = [] }) {
       </AnimatePresence>
 
       {/* Stats Footer */}
-      {isExpanded && filteredAnomalies.length > 0 && (
+      {isExpanded && filteredIncidents.length > 0 && (
         <div className="mt-4 pt-4 border-t border-terminal-border/30">
           <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
             <div className="text-center">
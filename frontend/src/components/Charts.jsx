@@ -10,10 +10,11 @@ import {
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
+  ReferenceLine,
   Legend
 } from 'recharts';
 
-function Charts({ historicalData = [] }) {
+function Charts({ historicalData = [], changePoints = [] }) {
   const [selectedMetric, setSelectedMetric] = useState('tvl_eth');
   const [timeRange, setTimeRange] = useState('24h');
 
@@ -80,6 +81,14 @@ function Charts({ historicalData = [] }) {
     }))
     .sort((a, b) => a.timestamp - b.timestamp); // Ascending order: oldest to newest
 
+  // Regime shifts for the selected metric inside the visible range
+  const visibleChangePoints = chartData.length > 0
+    ? changePoints
+      .filter(cp => cp.metric === selectedMetric)
+      .map(cp => ({ ...cp, time: new Date(cp.change_at).getTime() }))
+      .filter(cp => cp.time >= chartData[0].timestamp && cp.time <= chartData[chartData.length - 1].timestamp)
+    : [];
+
   function formatTime(timestamp, range) {
     const date = new Date(timestamp);
     if (range === '1h' || range === '6h') {
@@ -142,6 +151,7 @@ function Charts({ historicalData = [] }) {
           <div className="w-2 h-2 bg-terminal-accent rounded-full animate-pulse-glow" />
           <span className="text-xs text-terminal-muted font-mono">
             {chartData.length} DATA POINTS
+            {visibleChangePoints.length > 0 && ` · ${visibleChangePoints.length} REGIME SHIFT${visibleChangePoints.length > 1 ? 'S' : ''}`}
           </span>
         </div>
       </div>
@@ -211,7 +221,11 @@ function Charts({ historicalData = [] }) {
                 vertical={false}
               />
               <XAxis
-                dataKey="formattedTime"
+                dataKey="timestamp"
+                type="number"
+                scale="time"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={(value) => formatTime(value, timeRange)}
                 stroke="#00ffff"
                 style={{ fontSize: '11px', fontFamily: 'JetBrains Mono' }}
                 tick={{ fill: '#4a5568' }}
@@ -231,6 +245,21 @@ function Charts({ historicalData = [] }) {
                 fill="url(#colorMetric)"
                 animationDuration={1000}
               />
+              {visibleChangePoints.map(cp => (
+                <ReferenceLine
+                  key={cp.id}
+                  x={cp.time}
+                  stroke={cp.direction === 'down' ? '#ff003c' : '#ffaa00'}
+                  strokeDasharray="4 4"
+                  label={{
+                    value: cp.direction === 'down' ? '▼ SHIFT' : '▲ SHIFT',
+                    position: 'insideTopRight',
+                    fill: cp.direction === 'down' ? '#ff003c' : '#ffaa00',
+                    fontSize: 10,
+                    fontFamily: 'JetBrains Mono'
+                  }}
+                />
+              ))}
             </AreaChart>
           </ResponsiveContainer>
         </motion.div>
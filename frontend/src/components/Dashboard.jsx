@@ -6,18 +6,45 @@ import AnomalyFeed from './AnomalyFeed';
 import Charts from './Charts';
 import SystemStatus from './SystemStatus';
 import AnalysisButton from './AnalysisButton';
-import api from '../services/api';
+import ReportHistory from './ReportHistory';
+import ThresholdSettings from './ThresholdSettings';
+import WhalePanel from './WhalePanel';
+import AddressLabels from './AddressLabels';
+import api, { metricsApi, incidentsApi } from '../services/api';
 import websocketService from '../services/websocket';
 
 function Dashboard() {
   const [connected, setConnected] = useState(false);
   const [metrics, setMetrics] = useState(null);
-  const [anomalies, setAnomalies] = useState([]);
+  const [incidents, setIncidents] = useState([]);
   const [historicalData, setHistoricalData] = useState([]);
+  const [changePoints, setChangePoints] = useState([]);
   const [systemHealth, setSystemHealth] = useState(null);
+  const [reportsVersion, setReportsVersion] = useState(0);
+  const [labelsVersion, setLabelsVersion] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // Regime shift markers are optional - a failure only hides them from the chart
+  const fetchChangePoints = useCallback(async () => {
+    try {
+      const res = await metricsApi.getChangePoints(30);
+      setChangePoints(res.data.change_points || []);
+    } catch (err) {
+      console.error('Error fetching change points:', err);
+    }
+  }, []);
+
+  // Incidents are grouped server-side, so new detections trigger a refetch
+  const fetchIncidents = useCallback(async () => {
+    try {
+      const res = await incidentsApi.getRecent(20);
+      setIncidents(res.data.incidents || []);
+    } catch (err) {
+      console.error('Error fetching incidents:', err);
+    }
+  }, []);
+
   // Fetch initial data
   const fetchInitialData = useCallback(async () => {
     try {
@@ -25,17 +52,18 @@ function Dashboard() {
       setError(null);
 
       // Fetch all data in parallel
-      const [metricsRes, anomaliesRes, historicalRes, systemRes] = await Promise.all([
+      const [metricsRes, incidentsRes, historicalRes, systemRes] = await Promise.all([
         api.get('/metrics/current'),
-        api.get('/anomalies?limit=20'),
+        api.get('/incidents?limit=20'),
         api.get('/metrics/historical?days=30&metric=all'),
         api.get('/system/status')
       ]);
 
       setMetrics(metricsRes.data);
-      setAnomalies(anomaliesRes.data.anomalies || []);
+      setIncidents(incidentsRes.data.incidents || []);
       setHistoricalData(historicalRes.data.data || []);
       setSystemHealth(systemRes.data);
+      fetchChangePoints();
 
       setLoading(false);
     } catch (err) {
@@ -43,7 +71,7 @@ function Dashboard() {
       setError(err.message || 'Failed to load data');
       setLoading(false);
     }
-  }, []);
+  }, [fetchChangePoints]);
 
   // Set up WebSocket listeners
   useEffect(() => {
@@ -79,9 +107,19 @@ function Dashboard() {
     const handleAnomalyDetected = (payload) => {
       console.log('Anomaly detected:', payload);
       // WebSocket sends { type: 'anomaly_detected', severity: ..., anomaly: {...} }
-      // We need just the anomaly object
-      const anomaly = payload.anomaly || payload;
-      setAnomalies(prev => [anomaly, ...prev].slice(0, 50)); // Keep last 50
+      // The detection may have joined an existing incident, so reload the grouped list
+      fetchIncidents();
+    };
+
+    const handleAnomalyUpdated = (payload) => {
+      console.log('Anomaly updated:', payload);
+      // Triage changes from any dashboard show up in the incident detections
+      fetchIncidents();
+    };
+
+    const handleIncidentUpdated = (payload) => {
+      console.log('Incident updated:', payload);
+      fetchIncidents();
     };
 
     const handleSystemUpdate = (data) => {
@@ -95,6 +133,8 @@ function Dashboard() {
     websocketService.on('error', handleError);
     websocketService.on('metrics:update', handleMetricsUpdate);
     websocketService.on('anomaly:detected', handleAnomalyDetected);
+    websocketService.on('anomaly:updated', handleAnomalyUpdated);
+    websocketService.on('incident:updated', handleIncidentUpdated);
     websocketService.on('system:status', handleSystemUpdate);
 
     // Initial data fetch
@@ -107,10 +147,12 @@ function Dashboard() {
       websocketService.off('error', handleError);
       websocketService.off('metrics:update', handleMetricsUpdate);
       websocketService.off('anomaly:detected', handleAnomalyDetected);
+      websocketService.off('anomaly:updated', handleAnomalyUpdated);
+      websocketService.off('incident:updated', handleIncidentUpdated);
       websocketService.off('system:status', handleSystemUpdate);
       websocketService.disconnect();
     };
-  }, [fetchInitialData]);
+  }, [fetchInitialData, fetchIncidents]);
 
   // Refresh historical data periodically
   useEffect(() => {
@@ -118,13 +160,14 @@ function Dashboard() {
       try {
         const res = await api.get('/metrics/historical?days=30&metric=all');
         setHistoricalData(res.data.data || []);
+        fetchChangePoints();
       } catch (err) {
         console.error('Error refreshing historical data:', err);
       }
     }, 2 * 60 * 1000); // Every 2 minutes (faster refresh while historical data loads)
 
     return () => clearInterval(interval);
-  }, []);
+  }, [fetchChangePoints]);
 
   // Loading state
   if (loading) {
@@ -225,7 +268,19 @@ function Dashboard() {
         </motion.section>
 
         {/* Manual Analysis Button */}
-        <AnalysisButton />
+        <AnalysisButton onReportGenerated={() => setReportsVersion(v => v + 1)} />
+
+        {/* Stored Analysis Reports */}
+        <ReportHistory refreshKey={reportsVersion} />
+
+        {/* Top eETH Holders */}
+        <WhalePanel refreshKey={`${metrics?.timestamp}-${labelsVersion}`} />
+
+        {/* Address Label Registry */}
+        <AddressLabels onChange={() => setLabelsVersion(v => v + 1)} />
+
+        {/* Detection Threshold Settings */}
+        <ThresholdSettings />
 
         {/* Charts and Anomalies Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
@@ -236,7 +291,7 @@ function Dashboard() {
             transition={{ delay: 0.2 }}
             className="lg:col-span-2"
           >
-            <Charts historicalData={historicalData} />
+            <Charts historicalData={historicalData} changePoints={changePoints} />
           </motion.section>
 
           {/* Anomaly Feed - 1/3 width */}
@@ -246,7 +301,7 @@ function Dashboard() {
             transition={{ delay: 0.3 }}
             className="lg:col-span-1"
           >
-            <AnomalyFeed anomalies={anomalies} />
+            <AnomalyFeed incidents={incidents} />
           </motion.section>
         </div>
 
@@ -0,0 +1,28 @@
+/**
+ * Export Buttons
+ * Download links for the Markdown, HTML and PDF exports of a report or anomaly
+ */
+
+const EXPORT_FORMATS = [
+  { format: 'markdown', label: 'MD' },
+  { format: 'html', label: 'HTML' },
+  { format: 'pdf', label: 'PDF' }
+];
+
+export default function ExportButtons({ getUrl, label = 'EXPORT' }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-[10px] text-terminal-muted font-mono tracking-wider">{label}:</span>
+      {EXPORT_FORMATS.map(({ format, label: formatLabel }) => (
+        <a
+          key={format}
+          href={getUrl(format)}
+          download
+          className="px-2 py-1 text-[10px] font-mono font-bold tracking-wider border border-terminal-accent text-terminal-accent hover:bg-terminal-accent hover:text-terminal-bg transition-colors"
+        >
+          {formatLabel}
+        </a>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import AnomalyCard from './AnomalyCard';
+
+const severityStyles = {
+  CRITICAL: { class: 'anomaly-critical', textColor: 'text-terminal-critical', borderColor: 'border-terminal-critical' },
+  HIGH: { class: 'anomaly-high', textColor: 'text-terminal-warning', borderColor: 'border-terminal-warning' },
+  MEDIUM: { class: 'anomaly-medium', textColor: 'text-terminal-accent', borderColor: 'border-terminal-accent' },
+  LOW: { class: 'anomaly-low', textColor: 'text-terminal-success', borderColor: 'border-terminal-success' }
+};
+
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  const diffMins = Math.floor((new Date() - date) / 60000);
+  const diffHours = Math.floor(diffMins / 60);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  return date.toLocaleDateString();
+}
+
+function IncidentCard({ incident, index }) {
+  const [showDetections, setShowDetections] = useState(false);
+  const style = severityStyles[incident.peak_severity] || severityStyles.MEDIUM;
+  const isOpen = incident.status === 'open';
+  const latest = incident.detections?.[0];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 20 }}
+      transition={{ delay: index * 0.05 }}
+      className={`anomaly-alert ${style.class} relative ${isOpen ? '' : 'opacity-60'}`}
+    >
+      {/* Header */}
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <div className={`text-sm font-bold ${style.textColor} tracking-wider`}>
+            {incident.peak_severity} PEAK
+            {incident.latest_severity !== incident.peak_severity && (
+              <span className="text-terminal-muted font-normal"> · NOW {incident.latest_severity}</span>
+            )}
+          </div>
+          <div className="text-xs text-terminal-muted font-mono">
+            {incident.type?.replace(/_/g, ' ').toUpperCase()} · first {formatTimestamp(incident.first_seen_at)} · last {formatTimestamp(incident.last_seen_at)}
+          </div>
+        </div>
+
+        <div className={`px-2 py-1 border ${isOpen ? style.borderColor : 'border-terminal-border'} text-xs font-mono font-bold ${isOpen ? style.textColor : 'text-terminal-muted'}`}>
+          {isOpen ? 'OPEN' : 'RESOLVED'}
+        </div>
+      </div>
+
+      {/* Title and latest description */}
+      <h3 className="text-lg font-bold text-terminal-text mb-2 font-display">
+        {incident.title}
+      </h3>
+      {latest?.description && (
+        <p className="text-sm text-terminal-muted mb-3 leading-relaxed">
+          {latest.description}
+        </p>
+      )}
+
+      {incident.affected_metrics.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {incident.affected_metrics.map(metric => (
+            <span key={metric} className="px-2 py-0.5 text-[10px] font-mono uppercase border border-terminal-border text-terminal-muted">
+              {metric}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {!isOpen && incident.resolution_reason && (
+        <div className="text-xs text-terminal-success font-mono mb-2">
+          ✓ {incident.resolution_reason}
+        </div>
+      )}
+
+      {/* Child detections */}
+      <button
+        onClick={() => setShowDetections(!showDetections)}
+        className="text-xs text-terminal-accent hover:text-terminal-accent/80 font-mono tracking-wide"
+      >
+        {showDetections ? '[-]' : '[+]'} {incident.detection_count} {incident.detection_count === 1 ? 'DETECTION' : 'DETECTIONS'}
+      </button>
+
+      <AnimatePresence>
+        {showDetections && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-3 pl-3 border-l border-terminal-border/50 space-y-3"
+          >
+            {incident.detections.map((detection, idx) => (
+              <AnomalyCard key={detection.id} anomaly={detection} index={idx} />
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
+
+export default IncidentCard;
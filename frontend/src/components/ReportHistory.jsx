@@ -0,0 +1,270 @@
+/**
+ * Analysis Report History
+ * Lists stored analysis reports; open one, or select two to compare side by side
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { analysisApi } from '../services/api';
+import AnalysisReportView, { ReportModal, getSeverityBadge, formatNumber } from './AnalysisReportView';
+import ExportButtons from './ExportButtons';
+
+const PAGE_SIZE = 10;
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+// Rows of the comparison summary: label, value getter, decimals
+const COMPARE_ROWS = [
+  { label: 'TVL (ETH)', get: r => r.current_state?.tvl_eth, digits: 2 },
+  { label: 'TVL (USD)', get: r => r.current_state?.tvl_usd, digits: 0 },
+  { label: 'eETH/ETH Ratio', get: r => r.current_state?.eeth_eth_ratio, digits: 6 },
+  { label: 'Gas (GWEI)', get: r => r.current_state?.avg_gas_price_gwei, digits: 4 },
+  { label: 'TVL Deviation %', get: r => r.baseline_comparison?.tvl_deviation_pct, digits: 2 },
+  { label: 'Peg Deviation %', get: r => r.baseline_comparison?.peg_deviation_pct, digits: 3 },
+  { label: 'Anomalies', get: r => r.anomalies?.length ?? r.anomaly_ids?.length, digits: 0 }
+];
+
+function CompareSummary({ older, newer }) {
+  const riskChange = (SEVERITY_RANK[newer.risk_level] || 0) - (SEVERITY_RANK[older.risk_level] || 0);
+
+  return (
+    <div className="p-4 border-b border-terminal-border/30">
+      <div className="flex items-center space-x-3 mb-3 text-sm font-mono">
+        <span className="text-terminal-muted">RISK:</span>
+        <span className={`px-2 py-0.5 rounded border ${getSeverityBadge(older.risk_level)}`}>{older.risk_level || 'N/A'}</span>
+        <span className="text-terminal-muted">→</span>
+        <span className={`px-2 py-0.5 rounded border ${getSeverityBadge(newer.risk_level)}`}>{newer.risk_level || 'N/A'}</span>
+        {riskChange !== 0 && (
+          <span className={riskChange > 0 ? 'text-terminal-critical' : 'text-terminal-success'}>
+            {riskChange > 0 ? '▲ ESCALATED' : '▼ DE-ESCALATED'}
+          </span>
+        )}
+      </div>
+
+      <table className="w-full text-xs font-mono">
+        <thead>
+          <tr className="text-terminal-muted text-left">
+            <th className="py-1">METRIC</th>
+            <th className="py-1 text-right">#{older.id}</th>
+            <th className="py-1 text-right">#{newer.id}</th>
+            <th className="py-1 text-right">CHANGE</th>
+          </tr>
+        </thead>
+        <tbody>
+          {COMPARE_ROWS.map(row => {
+            const a = parseFloat(row.get(older));
+            const b = parseFloat(row.get(newer));
+            const delta = Number.isFinite(a) && Number.isFinite(b) ? b - a : null;
+
+            return (
+              <tr key={row.label} className="border-t border-terminal-border/20">
+                <td className="py-1 text-terminal-muted">{row.label}</td>
+                <td className="py-1 text-right text-terminal-text">{formatNumber(row.get(older), row.digits)}</td>
+                <td className="py-1 text-right text-terminal-text">{formatNumber(row.get(newer), row.digits)}</td>
+                <td className={`py-1 text-right ${delta > 0 ? 'text-terminal-success' : delta < 0 ? 'text-terminal-critical' : 'text-terminal-muted'}`}>
+                  {delta === null ? '—' : `${delta > 0 ? '+' : ''}${delta.toFixed(row.digits)}`}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function ReportHistory({ refreshKey = 0 }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [reports, setReports] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [viewing, setViewing] = useState(null);
+  const [comparing, setComparing] = useState(null);
+
+  const loadReports = useCallback(async (offset = 0) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await analysisApi.getReports(PAGE_SIZE, offset);
+      setReports(prev => offset === 0 ? response.data.reports : [...prev, ...response.data.reports]);
+      setTotal(response.data.total);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load report history');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isExpanded) {
+      loadReports(0);
+    }
+  }, [isExpanded, refreshKey, loadReports]);
+
+  const toggleSelected = (id) => {
+    setSelected(prev => {
+      if (prev.includes(id)) return prev.filter(x => x !== id);
+      // Keep the two most recent picks
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const openReport = async (id) => {
+    setError(null);
+    try {
+      const response = await analysisApi.getReport(id);
+      setViewing(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to load report #${id}`);
+    }
+  };
+
+  const compareSelected = async () => {
+    setError(null);
+    try {
+      const responses = await Promise.all(selected.map(id => analysisApi.getReport(id)));
+      const [older, newer] = responses
+        .map(r => r.data)
+        .sort((a, b) => new Date(a.generated_at) - new Date(b.generated_at));
+      setComparing({ older, newer });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load reports for comparison');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mb-6"
+    >
+      <div className="terminal-card chrome-effect p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="font-display font-bold text-terminal-text mb-1">
+              REPORT HISTORY
+            </h3>
+            <p className="text-xs text-terminal-muted font-mono">
+              {isExpanded && total > 0
+                ? `${total} stored report(s) · select two to compare`
+                : 'Previously generated analysis reports'}
+            </p>
+          </div>
+
+          <div className="flex items-center space-x-3">
+            {isExpanded && (
+              <button
+                onClick={compareSelected}
+                disabled={selected.length !== 2}
+                className={`btn-terminal text-xs ${selected.length !== 2 ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                COMPARE ({selected.length}/2)
+              </button>
+            )}
+            <button
+              onClick={() => setIsExpanded(!isExpanded)}
+              className="text-terminal-accent hover:text-terminal-accent/70 transition-colors"
+            >
+              <span className="text-lg font-mono">
+                {isExpanded ? '[-]' : '[+]'}
+              </span>
+            </button>
+          </div>
+        </div>
+
+        <AnimatePresence>
+          {isExpanded && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+              className="mt-4 pt-4 border-t border-terminal-border/30"
+            >
+              {error && (
+                <div className="mb-3 p-3 bg-terminal-critical/10 border border-terminal-critical/30 rounded text-xs text-terminal-critical font-mono">
+                  ✗ {error}
+                </div>
+              )}
+
+              {!loading && reports.length === 0 && !error && (
+                <div className="text-xs text-terminal-muted font-mono">No reports generated yet.</div>
+              )}
+
+              <div className="space-y-2">
+                {reports.map(report => (
+                  <div
+                    key={report.id}
+                    className={`p-3 bg-terminal-bg-light rounded border ${
+                      selected.includes(report.id) ? 'border-terminal-accent' : 'border-terminal-border'
+                    } flex items-center space-x-3`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(report.id)}
+                      onChange={() => toggleSelected(report.id)}
+                      className="accent-terminal-accent"
+                    />
+                    <span className={`px-2 py-0.5 rounded border text-xs font-mono font-bold ${getSeverityBadge(report.risk_level)}`}>
+                      {report.risk_level || 'N/A'}
+                    </span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-xs text-terminal-muted font-mono">
+                        #{report.id} · {new Date(report.generated_at).toLocaleString()}
+                        {report.prompt_version && ` · ${report.prompt_version}`}
+                      </div>
+                      <div className="text-sm text-terminal-text font-mono truncate">
+                        {report.overall_assessment || 'No assessment'}
+                      </div>
+                    </div>
+                    <button onClick={() => openReport(report.id)} className="btn-terminal text-xs">
+                      VIEW
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              {loading && (
+                <div className="mt-3 text-xs text-terminal-muted font-mono">Loading reports...</div>
+              )}
+
+              {!loading && reports.length < total && (
+                <button onClick={() => loadReports(reports.length)} className="mt-3 btn-terminal text-xs">
+                  LOAD MORE
+                </button>
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+
+      {viewing && (
+        <ReportModal
+          title={`🤖 ANALYSIS REPORT #${viewing.id}`}
+          subtitle={`Generated: ${new Date(viewing.generated_at).toLocaleString()}`}
+          onClose={() => setViewing(null)}
+          actions={<ExportButtons getUrl={format => analysisApi.exportUrl(viewing.id, format)} />}
+        >
+          <AnalysisReportView report={viewing} />
+        </ReportModal>
+      )}
+
+      {comparing && (
+        <ReportModal
+          title={`⇄ COMPARE REPORTS #${comparing.older.id} AND #${comparing.newer.id}`}
+          subtitle={`${new Date(comparing.older.generated_at).toLocaleString()} → ${new Date(comparing.newer.generated_at).toLocaleString()}`}
+          onClose={() => setComparing(null)}
+          wide
+        >
+          <CompareSummary older={comparing.older} newer={comparing.newer} />
+          <div className="grid grid-cols-1 lg:grid-cols-2 divide-y lg:divide-y-0 lg:divide-x divide-terminal-border/30">
+            <AnalysisReportView report={comparing.older} compact />
+            <AnalysisReportView report={comparing.newer} compact />
+          </div>
+        </ReportModal>
+      )}
+    </motion.div>
+  );
+}
@@ -6,7 +6,7 @@ function SystemStatus({ systemHealth }) {
     return null;
   }
 
-  const { collectors = [], lastUpdate } = systemHealth;
+  const { collectors = [], lastUpdate, llm_usage: llmUsage } = systemHealth;
 
   // Determine overall system health
   const allHealthy = collectors.every(c => c.status === 'healthy');
@@ -65,6 +65,11 @@ function SystemStatus({ systemHealth }) {
     return `${minutes}m`;
   };
 
+  const formatUsd = (value) => {
+    if (value === null || value === undefined) return 'N/A';
+    return `$${Number(value).toFixed(2)}`;
+  };
+
   const formatLastRun = (timestamp) => {
     if (!timestamp) return 'Never';
     const now = new Date();
@@ -107,8 +112,26 @@ function SystemStatus({ systemHealth }) {
             </div>
           </div>
 
-          {/* Collector Count */}
+          {/* Collector Count and LLM Spend */}
           <div className="flex items-center space-x-6">
+            {llmUsage && (
+              <div className="text-right">
+                <div className={`text-2xl font-bold font-mono ${
+                  llmUsage.budget_exhausted ? 'text-terminal-critical' : 'text-terminal-accent'
+                }`}>
+                  {formatUsd(llmUsage.spent_today_usd)}
+                  {llmUsage.daily_budget_usd !== null && (
+                    <span className="text-sm text-terminal-muted"> / {formatUsd(llmUsage.daily_budget_usd)}</span>
+                  )}
+                </div>
+                <div className="text-xs text-terminal-muted uppercase tracking-wide">
+                  {llmUsage.budget_exhausted
+                    ? 'Budget Exhausted · Statistical Only'
+                    : `LLM Spend Today · ${formatUsd(llmUsage.spent_month_usd)} This Month`}
+                </div>
+              </div>
+            )}
+
             <div className="text-right">
               <div className="text-2xl font-bold text-terminal-accent font-mono">
                 {collectors.filter(c => c.status === 'healthy').length}/{collectors.length}
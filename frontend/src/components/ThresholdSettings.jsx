@@ -0,0 +1,276 @@
+/**
+ * Threshold Settings Panel
+ * Lets operators tune pre-filter thresholds at runtime (stored as versions in the database)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { thresholdsApi } from '../services/api';
+import ThresholdSuggestions from './ThresholdSuggestions';
+
+const THRESHOLD_GROUPS = [
+  {
+    label: 'Z-SCORE',
+    keys: ['Z_SCORE_LOW', 'Z_SCORE_MEDIUM', 'Z_SCORE_HIGH'],
+    step: 0.1
+  },
+  {
+    label: 'PEG DEVIATION (FRACTION)',
+    keys: ['PEG_MEDIUM', 'PEG_HIGH', 'PEG_CRITICAL'],
+    step: 0.0005
+  },
+  {
+    label: 'GAS PRICE (GWEI)',
+    keys: ['GAS_MEDIUM', 'GAS_HIGH', 'GAS_CRITICAL'],
+    step: 1
+  },
+  {
+    label: 'TVL OUTFLOW (% / HOUR)',
+    keys: ['TVL_VELOCITY_MEDIUM', 'TVL_VELOCITY_HIGH', 'TVL_VELOCITY_CRITICAL'],
+    step: 0.5
+  },
+  {
+    label: 'PEG TREND (FRACTION / HOUR)',
+    keys: ['PEG_TREND_MEDIUM', 'PEG_TREND_HIGH', 'PEG_TREND_CRITICAL'],
+    step: 0.0005
+  },
+  {
+    label: 'QUEUE GROWTH (% / HOUR)',
+    keys: ['QUEUE_GROWTH_MEDIUM', 'QUEUE_GROWTH_HIGH', 'QUEUE_GROWTH_CRITICAL'],
+    step: 5
+  },
+  {
+    label: 'WITHDRAWAL WAIT (P90 HOURS)',
+    keys: ['QUEUE_WAIT_HOURS_MEDIUM', 'QUEUE_WAIT_HOURS_HIGH', 'QUEUE_WAIT_HOURS_CRITICAL'],
+    step: 6
+  },
+  {
+    label: 'WHALE MOVEMENT (% OF SUPPLY / 24H)',
+    keys: ['WHALE_MOVE_PCT_MEDIUM', 'WHALE_MOVE_PCT_HIGH', 'WHALE_MOVE_PCT_CRITICAL'],
+    step: 0.1
+  },
+  {
+    label: 'MULTIVARIATE (MAHALANOBIS)',
+    keys: ['MAHALANOBIS_MEDIUM', 'MAHALANOBIS_HIGH', 'MAHALANOBIS_CRITICAL'],
+    step: 0.5
+  },
+  {
+    label: 'SENTIMENT & CORRELATION',
+    keys: ['SENTIMENT_NEGATIVE_PCT', 'SENTIMENT_SCORE_LOW', 'MIN_CORRELATED_SIGNALS'],
+    step: 0.05
+  }
+];
+
+export default function ThresholdSettings() {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [history, setHistory] = useState([]);
+  const [changedBy, setChangedBy] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadThresholds = useCallback(async () => {
+    try {
+      setError(null);
+      const [configRes, historyRes] = await Promise.all([
+        thresholdsApi.get(),
+        thresholdsApi.getHistory(10)
+      ]);
+      setConfig(configRes.data);
+      setDraft(configRes.data.thresholds);
+      setHistory(historyRes.data.audit || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load thresholds');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isExpanded && !config) {
+      loadThresholds();
+    }
+  }, [isExpanded, config, loadThresholds]);
+
+  const changedKeys = config
+    ? Object.keys(draft).filter(key => draft[key] !== config.thresholds[key])
+    : [];
+
+  const handleChange = (key, value) => {
+    setMessage(null);
+    setDraft(prev => ({ ...prev, [key]: value === '' ? '' : parseFloat(value) }));
+  };
+
+  const saveThresholds = async () => {
+    const changes = changedKeys.reduce((acc, key) => {
+      acc[key] = draft[key];
+      return acc;
+    }, {});
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await thresholdsApi.update(changes, changedBy || 'dashboard', reason || null);
+      setMessage(`Saved as version ${response.data.version}`);
+      setReason('');
+      await loadThresholds();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save thresholds');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Proposals land in the draft so they go through the normal review-and-save flow
+  const stageSuggestions = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setReason(prev => prev || 'Apply false-positive feedback suggestions');
+    setMessage(`Staged ${Object.keys(changes).length} suggested change(s) - review and save`);
+  };
+
+  const resetDraft = () => {
+    setDraft(config.thresholds);
+    setMessage(null);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mb-6"
+    >
+      <div className="terminal-card chrome-effect p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="font-display font-bold text-terminal-text mb-1">
+              DETECTION THRESHOLDS
+            </h3>
+            <p className="text-xs text-terminal-muted font-mono">
+              {config?.version
+                ? `Active version ${config.version} by ${config.created_by || 'unknown'}`
+                : 'Tune pre-filter thresholds without redeploying'}
+            </p>
+          </div>
+
+          <button
+            onClick={() => setIsExpanded(!isExpanded)}
+            className="text-terminal-accent hover:text-terminal-accent/70 transition-colors"
+          >
+            <span className="text-lg font-mono">
+              {isExpanded ? '[-]' : '[+]'}
+            </span>
+          </button>
+        </div>
+
+        <AnimatePresence>
+          {isExpanded && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+              className="mt-4 pt-4 border-t border-terminal-border/30"
+            >
+              {!config && !error && (
+                <div className="text-xs text-terminal-muted font-mono">Loading thresholds...</div>
+              )}
+
+              {config && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {THRESHOLD_GROUPS.map(group => (
+                    <div key={group.label} className="p-3 bg-terminal-bg-light rounded border border-terminal-border">
+                      <div className="text-xs font-bold text-terminal-accent mb-2 font-mono">
+                        {group.label}
+                      </div>
+                      <div className="space-y-2">
+                        {group.keys.map(key => (
+                          <label key={key} className="flex items-center justify-between text-xs font-mono">
+                            <span className={changedKeys.includes(key) ? 'text-terminal-warning' : 'text-terminal-muted'}>
+                              {key}
+                            </span>
+                            <input
+                              type="number"
+                              step={group.step}
+                              value={draft[key] ?? ''}
+                              onChange={(e) => handleChange(key, e.target.value)}
+                              className="w-28 px-2 py-1 bg-terminal-bg border border-terminal-border text-terminal-text text-right font-mono focus:border-terminal-accent outline-none"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {config && (
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <input
+                    type="text"
+                    placeholder="Your name"
+                    value={changedBy}
+                    onChange={(e) => setChangedBy(e.target.value)}
+                    className="px-2 py-1 bg-terminal-bg border border-terminal-border text-terminal-text text-xs font-mono outline-none focus:border-terminal-accent"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Reason for change"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    className="flex-1 min-w-[200px] px-2 py-1 bg-terminal-bg border border-terminal-border text-terminal-text text-xs font-mono outline-none focus:border-terminal-accent"
+                  />
+                  <button
+                    onClick={resetDraft}
+                    disabled={changedKeys.length === 0 || saving}
+                    className={`btn-terminal text-xs ${changedKeys.length === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+                  >
+                    RESET
+                  </button>
+                  <button
+                    onClick={saveThresholds}
+                    disabled={changedKeys.length === 0 || saving}
+                    className={`btn-terminal text-xs ${changedKeys.length === 0 || saving ? 'opacity-50 cursor-not-allowed' : ''}`}
+                  >
+                    {saving ? 'SAVING...' : `SAVE ${changedKeys.length || ''}`}
+                  </button>
+                </div>
+              )}
+
+              {config && <ThresholdSuggestions onStage={stageSuggestions} />}
+
+              {message && (
+                <div className="mt-3 text-xs text-terminal-success font-mono">✓ {message}</div>
+              )}
+
+              {error && (
+                <div className="mt-3 p-3 bg-terminal-critical/10 border border-terminal-critical/30 rounded">
+                  <div className="text-xs text-terminal-critical font-mono">✗ {error}</div>
+                </div>
+              )}
+
+              {/* Audit Log */}
+              {history.length > 0 && (
+                <div className="mt-4">
+                  <div className="text-xs font-bold text-terminal-accent mb-2 font-mono">RECENT CHANGES</div>
+                  <div className="space-y-1 max-h-40 overflow-y-auto pr-2">
+                    {history.map((entry, idx) => (
+                      <div key={idx} className="flex justify-between text-xs font-mono text-terminal-muted">
+                        <span>
+                          v{entry.version} {entry.key}: {entry.old_value} → <span className="text-terminal-text">{entry.new_value}</span>
+                        </span>
+                        <span>
+                          {entry.changed_by || 'unknown'} · {new Date(entry.changed_at).toLocaleString()}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </motion.div>
+  );
+}
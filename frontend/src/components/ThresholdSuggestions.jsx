@@ -0,0 +1,154 @@
+/**
+ * Threshold Suggestions
+ * Per-detector precision from triaged anomalies and proposed threshold changes
+ * Accepted proposals are staged into the threshold draft; nothing is applied until it is saved
+ */
+
+import { useState, useCallback } from 'react';
+import { thresholdsApi } from '../services/api';
+
+const formatPct = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+export default function ThresholdSuggestions({ onStage }) {
+  const [report, setReport] = useState(null);
+  const [suggestions, setSuggestions] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSuggestions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [precisionRes, suggestionsRes] = await Promise.all([
+        thresholdsApi.getPrecision(30),
+        thresholdsApi.getSuggestions(30)
+      ]);
+      setReport(precisionRes.data);
+      setSuggestions(suggestionsRes.data);
+      setSelected(suggestionsRes.data.proposals.map(p => p.key));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load suggestions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const toggle = (key) => {
+    setSelected(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const stageSelected = () => {
+    const changes = suggestions.proposals
+      .filter(p => selected.includes(p.key))
+      .reduce((acc, p) => {
+        acc[p.key] = p.proposed;
+        return acc;
+      }, {});
+    onStage(changes);
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-terminal-bg-light rounded border border-terminal-border">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-xs font-bold text-terminal-accent font-mono">
+          FALSE-POSITIVE FEEDBACK (30 DAYS)
+        </div>
+        <button
+          onClick={loadSuggestions}
+          disabled={loading}
+          className={`btn-terminal text-xs ${loading ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          {loading ? 'ANALYZING...' : report ? 'REFRESH' : 'ANALYZE TRIAGE'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="text-xs text-terminal-critical font-mono">✗ {error}</div>
+      )}
+
+      {report && (
+        <>
+          <div className="text-xs text-terminal-muted font-mono mb-2">
+            {report.reviewed} reviewed · {report.unreviewed} unreviewed detections
+          </div>
+
+          {report.detectors.length > 0 && (
+            <table className="w-full text-xs font-mono mb-3">
+              <thead>
+                <tr className="text-terminal-muted text-left">
+                  <th className="py-1">DETECTOR</th>
+                  <th className="py-1 text-right">TP</th>
+                  <th className="py-1 text-right">FP</th>
+                  <th className="py-1 text-right">UNREVIEWED</th>
+                  <th className="py-1 text-right">PRECISION</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.detectors.map(d => (
+                  <tr key={d.detector} className="text-terminal-text border-t border-terminal-border/30">
+                    <td className="py-1">{d.detector}</td>
+                    <td className="py-1 text-right text-terminal-success">{d.true_positives}</td>
+                    <td className="py-1 text-right text-terminal-critical">{d.false_positives}</td>
+                    <td className="py-1 text-right text-terminal-muted">{d.unreviewed}</td>
+                    <td className={`py-1 text-right ${d.precision !== null && d.precision < 0.5 ? 'text-terminal-warning' : ''}`}>
+                      {formatPct(d.precision)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      {suggestions && (
+        <>
+          {suggestions.proposals.length === 0 ? (
+            <div className="text-xs text-terminal-muted font-mono">
+              No threshold changes proposed
+            </div>
+          ) : (
+            <div className="space-y-1">
+              {suggestions.proposals.map(p => (
+                <label key={p.key} className="flex items-center justify-between text-xs font-mono cursor-pointer">
+                  <span className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(p.key)}
+                      onChange={() => toggle(p.key)}
+                    />
+                    <span className="text-terminal-text">{p.key}</span>
+                    <span className="text-terminal-muted">
+                      {p.current} → <span className="text-terminal-warning">{p.proposed}</span>
+                    </span>
+                  </span>
+                  <span className="text-terminal-muted">
+                    -{p.suppressed_false_positives}/{p.false_positives} FP · {p.true_positives_kept}/{p.true_positives} TP kept · precision {formatPct(p.precision_before)} → {formatPct(p.precision_after)}
+                  </span>
+                </label>
+              ))}
+              <button
+                onClick={stageSelected}
+                disabled={selected.length === 0}
+                className={`btn-terminal text-xs mt-2 ${selected.length === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                STAGE {selected.length} FOR REVIEW
+              </button>
+            </div>
+          )}
+
+          {suggestions.skipped.length > 0 && (
+            <div className="mt-2 space-y-1">
+              {suggestions.skipped.map(s => (
+                <div key={s.key} className="text-xs text-terminal-muted font-mono">
+                  {s.key}: {s.reason}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+/**
+ * Whale Panel
+ * Latest top eETH holder snapshot; known addresses show their registry label and category
+ * Selecting a holder shows its daily balances over the last week
+ */
+
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { whalesApi } from '../services/api';
+import { formatNumber } from './AnalysisReportView';
+
+export const CATEGORY_BADGES = {
+  exchange: 'bg-terminal-warning/20 text-terminal-warning border-terminal-warning',
+  defi: 'bg-terminal-accent/20 text-terminal-accent border-terminal-accent',
+  bridge: 'bg-terminal-accentDim/20 text-terminal-accent border-terminal-accentDim',
+  etherfi: 'bg-terminal-success/20 text-terminal-success border-terminal-success',
+  multisig: 'bg-terminal-muted/20 text-terminal-text border-terminal-muted',
+  fund: 'bg-terminal-critical/20 text-terminal-critical border-terminal-critical'
+};
+
+export const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+const HISTORY_HOURS = 168;
+
+/**
+ * Last snapshot of each day, newest first
+ * @param {Array} history - Whale records, newest first
+ * @returns {Array} One record per calendar day
+ */
+const dailySnapshots = (history) => {
+  const seen = new Set();
+  return history.filter(record => {
+    const day = new Date(record.timestamp).toDateString();
+    if (seen.has(day)) return false;
+    seen.add(day);
+    return true;
+  });
+};
+
+const changeClass = (change) =>
+  change > 0 ? 'text-terminal-success' : change < 0 ? 'text-terminal-critical' : 'text-terminal-muted';
+
+const formatChange = (change) =>
+  change === null ? 'N/A' : `${change > 0 ? '+' : ''}${formatNumber(change, 2)}`;
+
+export default function WhalePanel({ refreshKey = 0 }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+
+  const loadWhales = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await whalesApi.getTop(20);
+      setSnapshot(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load whale data');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isExpanded) {
+      loadWhales();
+    }
+  }, [isExpanded, refreshKey, loadWhales]);
+
+  useEffect(() => {
+    if (!selected) return undefined;
+
+    let cancelled = false;
+    setHistory(null);
+    setHistoryError(null);
+
+    whalesApi.getHistory(selected, HISTORY_HOURS)
+      .then(response => {
+        if (!cancelled) setHistory(dailySnapshots(response.data.history));
+      })
+      .catch(err => {
+        if (!cancelled) setHistoryError(err.response?.data?.message || 'Failed to load holder history');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, refreshKey]);
+
+  const toggleHolder = (address) => setSelected(current => (current === address ? null : address));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mb-6"
+    >
+      <div className="terminal-card chrome-effect p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="font-display font-bold text-terminal-text mb-1">
+              TOP eETH HOLDERS
+            </h3>
+            <p className="text-xs text-terminal-muted font-mono">
+              {isExpanded && snapshot?.timestamp
+                ? `Snapshot ${new Date(snapshot.timestamp).toLocaleString()}`
+                : 'Largest holders and their 24h balance changes; select one for its last week'}
+            </p>
+          </div>
+
+          <button
+            onClick={() => setIsExpanded(!isExpanded)}
+            className="text-terminal-accent hover:text-terminal-accent/70 transition-colors"
+          >
+            <span className="text-lg font-mono">
+              {isExpanded ? '[-]' : '[+]'}
+            </span>
+          </button>
+        </div>
+
+        <AnimatePresence>
+          {isExpanded && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+              className="mt-4 pt-4 border-t border-terminal-border/30"
+            >
+              {error && (
+                <div className="mb-3 p-3 bg-terminal-critical/10 border border-terminal-critical/30 rounded text-xs text-terminal-critical font-mono">
+                  ✗ {error}
+                </div>
+              )}
+
+              {!loading && snapshot?.count === 0 && !error && (
+                <div className="text-xs text-terminal-muted font-mono">
+                  No whale snapshot yet (the holder index may still be backfilling).
+                </div>
+              )}
+
+              {snapshot?.count > 0 && (
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-terminal-muted text-left">
+                      <th className="py-1">#</th>
+                      <th className="py-1">HOLDER</th>
+                      <th className="py-1 text-right">BALANCE (eETH)</th>
+                      <th className="py-1 text-right">SUPPLY</th>
+                      <th className="py-1 text-right">24H CHANGE</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {snapshot.whales.map(whale => (
+                      <Fragment key={whale.address}>
+                        <tr
+                          onClick={() => toggleHolder(whale.address)}
+                          className={`border-t border-terminal-border/20 cursor-pointer hover:bg-terminal-accent/5 ${selected === whale.address ? 'bg-terminal-accent/10' : ''}`}
+                        >
+                          <td className="py-1 text-terminal-muted">{whale.rank}</td>
+                          <td className="py-1 text-terminal-text" title={whale.address}>
+                            <span>{whale.label || shortAddress(whale.address)}</span>
+                            {whale.label_category && (
+                              <span className={`ml-2 px-1.5 py-0.5 rounded border text-[10px] uppercase ${CATEGORY_BADGES[whale.label_category] || CATEGORY_BADGES.multisig}`}>
+                                {whale.label_category}
+                              </span>
+                            )}
+                            {whale.is_contract && (
+                              <span className="ml-2 text-terminal-muted">[contract]</span>
+                            )}
+                          </td>
+                          <td className="py-1 text-right text-terminal-text">{formatNumber(whale.balance_eth, 2)}</td>
+                          <td className="py-1 text-right text-terminal-muted">
+                            {whale.pct_of_supply === null ? 'N/A' : `${whale.pct_of_supply.toFixed(2)}%`}
+                          </td>
+                          <td className={`py-1 text-right ${changeClass(whale.change_24h_eth)}`}>
+                            {formatChange(whale.change_24h_eth)}
+                          </td>
+                        </tr>
+                        {selected === whale.address && (
+                          <tr>
+                            <td colSpan={5} className="pb-3 pt-1 pl-6">
+                              {historyError && (
+                                <div className="text-terminal-critical">✗ {historyError}</div>
+                              )}
+                              {!history && !historyError && (
+                                <div className="text-terminal-muted">Loading history...</div>
+                              )}
+                              {history && (
+                                <table className="w-full text-terminal-muted">
+                                  <tbody>
+                                    {history.map(record => (
+                                      <tr key={record.timestamp}>
+                                        <td className="py-0.5">{new Date(record.timestamp).toLocaleDateString()}</td>
+                                        <td className="py-0.5">{record.rank ? `#${record.rank}` : 'unranked'}</td>
+                                        <td className="py-0.5 text-right text-terminal-text">{formatNumber(record.balance_eth, 2)}</td>
+                                        <td className={`py-0.5 text-right ${changeClass(record.change_24h_eth)}`}>
+                                          {formatChange(record.change_24h_eth)}
+                                        </td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </motion.div>
+  );
+}
@@ -35,13 +35,24 @@ api.interceptors.response.use(
 export const metricsApi = {
   getCurrent: () => api.get('/metrics/current'),
   getHistorical: (days = 7, metric = 'all') =>
-    api.get(`/metrics/historical?days=${days}&metric=${metric}`)
+    api.get(`/metrics/historical?days=${days}&metric=${metric}`),
+  getChangePoints: (days = 30, metric = null) =>
+    api.get(`/metrics/change-points?days=${days}${metric ? `&metric=${metric}` : ''}`)
 };
 
 export const anomaliesApi = {
-  getRecent: (limit = 10, severity = 'all') =>
-    api.get(`/anomalies?limit=${limit}&severity=${severity}`),
-  getById: (id) => api.get(`/anomalies/${id}`)
+  getRecent: (limit = 10, severity = 'all', status = 'all') =>
+    api.get(`/anomalies?limit=${limit}&severity=${severity}&status=${status}`),
+  getById: (id) => api.get(`/anomalies/${id}`),
+  // changes: { status, acknowledged, notes, resolution_notes }
+  update: (id, changes) => api.patch(`/anomalies/${id}`, changes),
+  // Download URL for format: markdown, html or pdf
+  exportUrl: (id, format) => `${API_BASE_URL}/anomalies/${id}/export?format=${format}`
+};
+
+export const incidentsApi = {
+  getRecent: (limit = 20, status = null) =>
+    api.get(`/incidents?limit=${limit}${status ? `&status=${status}` : ''}`)
 };
 
 export const baselineApi = {
@@ -57,4 +68,36 @@ export const systemApi = {
   getHealth: () => api.get('/health')
 };
 
+export const analysisApi = {
+  generate: () => api.post('/analysis/generate'),
+  getReports: (limit = 20, offset = 0) => api.get(`/analysis/reports?limit=${limit}&offset=${offset}`),
+  getReport: (id) => api.get(`/analysis/reports/${id}`),
+  // Download URL for format: markdown, html or pdf
+  exportUrl: (id, format) => `${API_BASE_URL}/analysis/reports/${id}/export?format=${format}`
+};
+
+export const whalesApi = {
+  getTop: (limit = 20) => api.get(`/whales?limit=${limit}`),
+  getHistory: (address, hours = 168) => api.get(`/whales/${address}/history?hours=${hours}`)
+};
+
+export const labelsApi = {
+  getAll: (category = null) => api.get(`/labels${category ? `?category=${category}` : ''}`),
+  // label: { address, name, category, notes }
+  create: (label) => api.post('/labels', label),
+  update: (address, changes) => api.put(`/labels/${address}`, changes),
+  remove: (address) => api.delete(`/labels/${address}`)
+};
+
+export const thresholdsApi = {
+  get: () => api.get('/thresholds'),
+  update: (thresholds, changedBy, reason) =>
+    api.put('/thresholds', { thresholds, changed_by: changedBy, reason }),
+  getHistory: (limit = 20) => api.get(`/thresholds/history?limit=${limit}`),
+  restore: (version, changedBy) =>
+    api.post(`/thresholds/versions/${version}/restore`, { changed_by: changedBy }),
+  getPrecision: (days = 30) => api.get(`/thresholds/precision?days=${days}`),
+  getSuggestions: (days = 30) => api.get(`/thresholds/suggestions?days=${days}`)
+};
+
 export default api;
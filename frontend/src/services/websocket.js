@@ -15,6 +15,8 @@ class WebSocketService {
       'error': [],
       'metrics:update': [],
       'anomaly:detected': [],
+      'anomaly:updated': [],
+      'incident:updated': [],
       'system:status': [],
       'connection:success': [],
       'heartbeat': []